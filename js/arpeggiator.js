@@ -0,0 +1,368 @@
+/**
+ * 琶音器模块
+ * 负责在按住琴键时按所选顺序、速度和时值循环演奏按住的音符
+ * 音符按音频时钟（AudioContext.currentTime）提前排程，定时器只负责唤醒，节奏不受主线程卡顿影响
+ */
+
+// 琶音顺序
+const ARP_PATTERNS = {
+  up: { name: '上行' },
+  down: { name: '下行' },
+  upDown: { name: '上行再下行' },
+  random: { name: '随机' },
+  asPlayed: { name: '按弹奏顺序' }
+};
+
+// 每步时值，beats 为以四分音符为一拍的拍数
+const ARP_SUBDIVISIONS = {
+  quarter: { name: '四分音符', beats: 1 },
+  eighth: { name: '八分音符', beats: 1 / 2 },
+  eighthTriplet: { name: '八分三连音', beats: 1 / 3 },
+  sixteenth: { name: '十六分音符', beats: 1 / 4 },
+  sixteenthTriplet: { name: '十六分三连音', beats: 1 / 6 },
+  thirtySecond: { name: '三十二分音符', beats: 1 / 8 }
+};
+
+// 琶音器参数范围和默认值
+const ARP_CONFIG = {
+  defaultPattern: 'up',
+  defaultSubdivision: 'eighth',
+  defaultTempo: 120,
+  minTempo: 40,
+  maxTempo: 240,
+  defaultOctaves: 1,
+  maxOctaves: 4,
+  defaultGate: 0.5, // 每个音符占一步时长的比例
+  minGate: 0.1,
+  maxGate: 1,
+  scheduleAheadTime: 0.1, // 提前排程的时长(秒)
+  lookaheadInterval: 25, // 定时器唤醒间隔(毫秒)
+  startDelay: 0.01 // 第一步相对按下琴键的延迟(秒)，留出排程时间
+};
+
+/**
+ * 琶音器类
+ * @class
+ */
+class Arpeggiator {
+  /**
+   * 创建Arpeggiator实例
+   * @constructor
+   * @param {Function} getAudioContext - 获取音频上下文的函数，音频上下文在用户交互后才创建
+   */
+  constructor(getAudioContext) {
+    this.getAudioContext = getAudioContext;
+    this.enabled = false;
+    this.patternId = ARP_CONFIG.defaultPattern;
+    this.subdivisionId = ARP_CONFIG.defaultSubdivision;
+    this.tempo = ARP_CONFIG.defaultTempo; // 每分钟拍数
+    this.octaves = ARP_CONFIG.defaultOctaves; // 琶音跨越的八度数
+    this.gate = ARP_CONFIG.defaultGate;
+
+    this.heldNotes = []; // 按住的音符 {note, velocity}，按按下顺序排列
+    this.stepIndex = 0;
+    this.nextStepTime = 0; // 下一步的开始时间（音频时钟，秒）
+    this.timerId = null;
+
+    this.onStep = null; // 每步排程回调 (note, velocity, startTime, duration)
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('Arpeggiator: 琶音器模块创建成功');
+  }
+
+  /**
+   * 按下音符
+   * @param {string} note - 音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   */
+  noteOn(note, velocity = 0.7) {
+    const held = this.heldNotes.find(item => item.note === note);
+    if (held) {
+      held.velocity = velocity;
+    } else {
+      this.heldNotes.push({ note, velocity });
+    }
+
+    if (this.timerId === null) {
+      this.start();
+    }
+  }
+
+  /**
+   * 松开音符
+   * @param {string} note - 音符名称
+   * @returns {boolean} 该音符是否由琶音器按住
+   */
+  noteOff(note) {
+    const index = this.heldNotes.findIndex(item => item.note === note);
+    if (index === -1) return false;
+
+    this.heldNotes.splice(index, 1);
+    if (this.heldNotes.length === 0) {
+      this.stop();
+    }
+    return true;
+  }
+
+  /**
+   * 音频上下文就绪后开始琶音
+   * 首次按键时音频上下文可能尚未创建，音符已按住但琶音未能开始；等待期间音符已全部松开时不开始
+   */
+  resume() {
+    if (this.heldNotes.length > 0 && this.timerId === null) {
+      this.start();
+    }
+  }
+
+  /**
+   * 松开所有音符并停止琶音
+   */
+  releaseAll() {
+    this.heldNotes = [];
+    this.stop();
+  }
+
+  /**
+   * 开始琶音
+   */
+  start() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext) {
+      console.warn('Arpeggiator: 音频上下文不可用，无法开始琶音');
+      return;
+    }
+
+    this.stepIndex = 0;
+    this.nextStepTime = audioContext.currentTime + ARP_CONFIG.startDelay;
+    this.timerId = setInterval(() => this.scheduleSteps(), ARP_CONFIG.lookaheadInterval);
+    this.scheduleSteps();
+  }
+
+  /**
+   * 停止琶音，已排程的音符会按原定时长播放完
+   */
+  stop() {
+    if (this.timerId === null) return;
+
+    clearInterval(this.timerId);
+    this.timerId = null;
+  }
+
+  /**
+   * 排程即将到来的各步
+   */
+  scheduleSteps() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext || this.heldNotes.length === 0) {
+      this.stop();
+      return;
+    }
+
+    // 页面在后台时定时器会被推迟，跳过已错过的步，避免恢复时一次性补发
+    if (this.nextStepTime < audioContext.currentTime) {
+      this.nextStepTime = audioContext.currentTime;
+    }
+
+    while (this.nextStepTime < audioContext.currentTime + ARP_CONFIG.scheduleAheadTime) {
+      const stepDuration = this.getStepDuration();
+      const step = this.getStepNote(this.stepIndex);
+
+      if (step && typeof this.onStep === 'function') {
+        this.onStep(step.note, step.velocity, this.nextStepTime, stepDuration * this.gate);
+      }
+
+      this.stepIndex++;
+      this.nextStepTime += stepDuration;
+    }
+  }
+
+  /**
+   * 获取每步时长
+   * @returns {number} 时长（秒）
+   */
+  getStepDuration() {
+    return (60 / this.tempo) * ARP_SUBDIVISIONS[this.subdivisionId].beats;
+  }
+
+  /**
+   * 获取一轮琶音的音符序列
+   * @returns {Array<{note: string, velocity: number}>} 音符序列
+   */
+  getSequence() {
+    const ordered = this.patternId === 'asPlayed'
+      ? this.heldNotes.slice()
+      : this.heldNotes.slice().sort((a, b) => parseInt(a.note, 10) - parseInt(b.note, 10));
+
+    // 按八度数向上扩展
+    const sequence = [];
+    for (let octave = 0; octave < this.octaves; octave++) {
+      ordered.forEach(item => {
+        const keyNumber = parseInt(item.note, 10);
+        const note = Number.isNaN(keyNumber) ? item.note : String(keyNumber + octave * 12);
+        sequence.push({ note, velocity: item.velocity });
+      });
+    }
+
+    if (this.patternId === 'down') {
+      return sequence.reverse();
+    }
+    if (this.patternId === 'upDown' && sequence.length > 2) {
+      // 最高音和最低音不重复演奏
+      return sequence.concat(sequence.slice(1, -1).reverse());
+    }
+    return sequence;
+  }
+
+  /**
+   * 获取指定步演奏的音符
+   * @param {number} stepIndex - 步序号
+   * @returns {{note: string, velocity: number}|null} 音符，没有按住的音符时返回null
+   */
+  getStepNote(stepIndex) {
+    const sequence = this.getSequence();
+    if (sequence.length === 0) return null;
+
+    if (this.patternId === 'random') {
+      return sequence[Math.floor(Math.random() * sequence.length)];
+    }
+    return sequence[stepIndex % sequence.length];
+  }
+
+  /**
+   * 启用或禁用琶音器
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.releaseAll();
+    }
+    console.info(`Arpeggiator: 琶音器 ${enabled ? '开启' : '关闭'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置琶音顺序
+   * @param {string} patternId - 琶音顺序ID
+   */
+  setPattern(patternId) {
+    if (!ARP_PATTERNS[patternId]) {
+      console.warn(`Arpeggiator: 不支持的琶音顺序 ${patternId}`);
+      return;
+    }
+
+    this.patternId = patternId;
+    console.info(`Arpeggiator: 琶音顺序设置为 ${patternId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置每步时值
+   * @param {string} subdivisionId - 时值ID
+   */
+  setSubdivision(subdivisionId) {
+    if (!ARP_SUBDIVISIONS[subdivisionId]) {
+      console.warn(`Arpeggiator: 不支持的时值 ${subdivisionId}`);
+      return;
+    }
+
+    this.subdivisionId = subdivisionId;
+    console.info(`Arpeggiator: 时值设置为 ${subdivisionId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置速度
+   * @param {number} tempo - 每分钟拍数
+   */
+  setTempo(tempo) {
+    if (!Number.isFinite(tempo)) return;
+
+    this.tempo = Math.max(ARP_CONFIG.minTempo, Math.min(ARP_CONFIG.maxTempo, Math.round(tempo)));
+    console.info(`Arpeggiator: 速度设置为 ${this.tempo} BPM`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置琶音跨越的八度数
+   * @param {number} octaves - 八度数 (1-4)
+   */
+  setOctaves(octaves) {
+    if (!Number.isInteger(octaves) || octaves < 1 || octaves > ARP_CONFIG.maxOctaves) {
+      console.warn(`Arpeggiator: 无效的八度数 ${octaves}`);
+      return;
+    }
+
+    this.octaves = octaves;
+    console.info(`Arpeggiator: 八度范围设置为 ${octaves}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置音符时长比例
+   * @param {number} gate - 音符占一步时长的比例 (0.1-1)
+   */
+  setGate(gate) {
+    if (!Number.isFinite(gate)) return;
+
+    this.gate = Math.max(ARP_CONFIG.minGate, Math.min(ARP_CONFIG.maxGate, gate));
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 琶音器设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      pattern: this.patternId,
+      subdivision: this.subdivisionId,
+      tempo: this.tempo,
+      octaves: this.octaves,
+      gate: this.gate
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 琶音器设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+    if (ARP_PATTERNS[settings.pattern]) {
+      this.patternId = settings.pattern;
+    }
+    if (ARP_SUBDIVISIONS[settings.subdivision]) {
+      this.subdivisionId = settings.subdivision;
+    }
+    if (Number.isFinite(settings.tempo)) {
+      this.tempo = Math.max(ARP_CONFIG.minTempo, Math.min(ARP_CONFIG.maxTempo, Math.round(settings.tempo)));
+    }
+    if (Number.isInteger(settings.octaves) && settings.octaves >= 1 && settings.octaves <= ARP_CONFIG.maxOctaves) {
+      this.octaves = settings.octaves;
+    }
+    if (Number.isFinite(settings.gate)) {
+      this.gate = Math.max(ARP_CONFIG.minGate, Math.min(ARP_CONFIG.maxGate, settings.gate));
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和琶音器选项添加到全局对象，以便其他脚本可以使用
+window.Arpeggiator = Arpeggiator;
+window.ARP_PATTERNS = ARP_PATTERNS;
+window.ARP_SUBDIVISIONS = ARP_SUBDIVISIONS;
+window.ARP_CONFIG = ARP_CONFIG;
@@ -0,0 +1,168 @@
+/**
+ * 音频录制模块
+ * 负责通过 MediaStreamAudioDestinationNode 和 MediaRecorder 录下主输出总线的声音（含背景音乐），生成 webm 或 ogg 音频
+ */
+
+// 音频录制参数
+const AUDIO_CAPTURE_CONFIG = {
+  // 按优先顺序尝试的格式，使用浏览器支持的第一个
+  mimeTypes: ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/ogg'],
+  timeslice: 1000 // 每隔多少毫秒取一次录音数据
+};
+
+/**
+ * 音频录制类
+ * @class
+ */
+class AudioCapture {
+  /**
+   * 创建AudioCapture实例
+   * @constructor
+   * @param {Function} getAudioContext - 获取音频上下文的函数，音频上下文在用户交互后才创建
+   */
+  constructor(getAudioContext) {
+    this.getAudioContext = getAudioContext;
+
+    this.mediaRecorder = null;
+    this.destination = null; // 主总线上的媒体流输出
+    this.chunks = [];
+    this.startTime = 0; // 开始录制时间（音频时钟，秒）
+    this.recording = null; // 最近一次录制结果 {blob, mimeType, extension, duration}
+
+    this.onStateChange = null; // 录制状态变化回调
+
+    console.info('AudioCapture: 音频录制模块创建成功');
+  }
+
+  /**
+   * 浏览器是否支持音频录制
+   * @returns {boolean} 是否支持
+   */
+  isSupported() {
+    return typeof window.MediaRecorder === 'function' && this.getSupportedMimeType() !== null;
+  }
+
+  /**
+   * 获取浏览器支持的录制格式
+   * @returns {string|null} MIME类型，都不支持时返回null
+   */
+  getSupportedMimeType() {
+    if (typeof window.MediaRecorder !== 'function') return null;
+
+    const isTypeSupported = window.MediaRecorder.isTypeSupported;
+    if (typeof isTypeSupported !== 'function') return AUDIO_CAPTURE_CONFIG.mimeTypes[0];
+
+    return AUDIO_CAPTURE_CONFIG.mimeTypes.find(type => isTypeSupported.call(window.MediaRecorder, type)) || null;
+  }
+
+  /**
+   * 是否正在录制
+   * @returns {boolean} 是否正在录制
+   */
+  isRecording() {
+    return this.mediaRecorder !== null && this.mediaRecorder.state === 'recording';
+  }
+
+  /**
+   * 开始录制主总线的声音
+   * @throws {Error} 浏览器不支持或音频上下文不可用时抛出错误
+   */
+  start() {
+    if (this.isRecording()) return;
+
+    const audioContext = this.getAudioContext();
+    const mimeType = this.getSupportedMimeType();
+    if (!audioContext || !window.MasterBusManager) {
+      throw new Error('音频尚未就绪');
+    }
+    if (!mimeType) {
+      throw new Error('当前浏览器不支持录制音频');
+    }
+
+    const bus = window.MasterBusManager.getBus(audioContext);
+    this.destination = bus.createStreamDestination();
+    if (!this.destination) {
+      throw new Error('当前浏览器不支持录制音频');
+    }
+
+    this.chunks = [];
+    this.mediaRecorder = new window.MediaRecorder(this.destination.stream, { mimeType });
+    this.mediaRecorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) {
+        this.chunks.push(e.data);
+      }
+    };
+    this.mediaRecorder.start(AUDIO_CAPTURE_CONFIG.timeslice);
+    this.startTime = audioContext.currentTime;
+
+    console.info(`AudioCapture: 开始录制音频，格式 ${mimeType}`);
+    this.notifyStateChange();
+  }
+
+  /**
+   * 停止录制
+   * @returns {Promise<Object|null>} 录制结果 {blob, mimeType, extension, duration}，没有录到数据时为null
+   */
+  stop() {
+    if (!this.isRecording()) return Promise.resolve(null);
+
+    const mediaRecorder = this.mediaRecorder;
+    const duration = this.getElapsedTime();
+
+    return new Promise(resolve => {
+      mediaRecorder.onstop = () => {
+        window.MasterBusManager.getBus(this.getAudioContext()).removeStreamDestination(this.destination);
+        this.destination = null;
+        this.mediaRecorder = null;
+
+        const mimeType = mediaRecorder.mimeType || this.getSupportedMimeType();
+        this.recording = this.chunks.length > 0
+          ? {
+            blob: new Blob(this.chunks, { type: mimeType }),
+            mimeType,
+            extension: /ogg/.test(mimeType) ? 'ogg' : 'webm',
+            duration
+          }
+          : null;
+        this.chunks = [];
+
+        console.info(`AudioCapture: 录制结束，时长 ${duration.toFixed(1)} 秒`);
+        this.notifyStateChange();
+        resolve(this.recording);
+      };
+      mediaRecorder.stop();
+    });
+  }
+
+  /**
+   * 获取已录制的时长
+   * @returns {number} 时长（秒），未在录制时为0
+   */
+  getElapsedTime() {
+    const audioContext = this.getAudioContext();
+    if (!this.isRecording() || !audioContext) return 0;
+
+    return Math.max(0, audioContext.currentTime - this.startTime);
+  }
+
+  /**
+   * 丢弃最近一次录制结果
+   */
+  clearRecording() {
+    this.recording = null;
+    this.notifyStateChange();
+  }
+
+  /**
+   * 通知录制状态已变化
+   */
+  notifyStateChange() {
+    if (typeof this.onStateChange === 'function') {
+      this.onStateChange();
+    }
+  }
+}
+
+// 将类和录制参数添加到全局对象，以便其他脚本可以使用
+window.AudioCapture = AudioCapture;
+window.AUDIO_CAPTURE_CONFIG = AUDIO_CAPTURE_CONFIG;
@@ -3,19 +3,27 @@
  * 包含音符定义、音频文件映射和其他音频相关配置
  */
 
-// 音符定义
-const NOTES = [
-  { name: '1', type: 'white' }, { name: '2', type: 'black' },
-  { name: '3', type: 'white' }, { name: '4', type: 'black' },
-  { name: '5', type: 'white' }, { name: '6', type: 'black' },
-  { name: '7', type: 'white' }, { name: '8', type: 'white' },
-  { name: '9', type: 'black' }, { name: '10', type: 'white' },
-  { name: '11', type: 'black' }, { name: '12', type: 'white' },
-  { name: '13', type: 'white' }, { name: '14', type: 'black' },
-  { name: '15', type: 'white' }, { name: '16', type: 'black' },
-  { name: '17', type: 'white' }, { name: '18', type: 'black' },
-  { name: '19', type: 'white' }
-];
+// 一个八度内黑键的位置（以F为0计算的半音数：F#、G#、A#、C#、D#）
+const BLACK_KEY_OFFSETS = [1, 3, 5, 8, 10];
+
+/**
+ * 生成连续音域的音符定义
+ * 音符名称为相对F4的半音序号，'1'为F4，'0'为E4，'-4'为C4，依此类推
+ * @param {number} start - 起始音符序号
+ * @param {number} end - 结束音符序号（包含）
+ * @returns {Array<{name: string, type: string}>} 音符定义数组
+ */
+function createNotes(start, end) {
+  const notes = [];
+  for (let n = start; n <= end; n++) {
+    const offset = (((n - 1) % 12) + 12) % 12;
+    notes.push({ name: String(n), type: BLACK_KEY_OFFSETS.includes(offset) ? 'black' : 'white' });
+  }
+  return notes;
+}
+
+// 音符定义（默认19键：F4-B5）
+const NOTES = createNotes(1, 19);
 
 // 精确的音符到音频文件映射
 const NOTES_MAP = {
@@ -40,21 +48,92 @@ const NOTES_MAP = {
   '19': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a19.mp3', start: 0, duration: 1.5 }
 };
 
+// 音频方案：不同采样音色的音符映射
+const AUDIO_SCHEMES = {
+  popular: {
+    name: '流行音域',
+    notesMap: NOTES_MAP
+  },
+  golden: {
+    name: '黄金音域',
+    notesMap: {
+      '1': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/b01.mp3', start: 0, duration: 1.5 },
+      '2': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/b02.mp3', start: 0, duration: 1.5 },
+      '3': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/b03.mp3', start: 0, duration: 1.5 },
+      '4': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a01.mp3', start: 0, duration: 1.5 },
+      '5': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a02.mp3', start: 0, duration: 1.5 },
+      '6': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a03.mp3', start: 0, duration: 1.5 },
+      '7': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a04.mp3', start: 0, duration: 1.5 },
+      '8': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a05.mp3', start: 0, duration: 1.5 },
+      '9': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a06.mp3', start: 0, duration: 1.5 },
+      '10': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a07.mp3', start: 0, duration: 1.5 },
+      '11': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a08.mp3', start: 0, duration: 1.5 },
+      '12': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a09.mp3', start: 0, duration: 1.5 },
+      '13': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a10.mp3', start: 0, duration: 1.5 },
+      '14': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a11.mp3', start: 0, duration: 1.5 },
+      '15': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a12.mp3', start: 0, duration: 1.5 },
+      '16': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a13.mp3', start: 0, duration: 1.5 },
+      '17': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a14.mp3', start: 0, duration: 1.5 },
+      '18': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a15.mp3', start: 0, duration: 1.5 },
+      '19': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a16.mp3', start: 0, duration: 1.5 }
+    }
+  }
+};
+
+// 采样音色对应的音频方案（电音使用振荡器，没有音频方案）
+const TIMBRE_SCHEMES = {
+  audio: 'popular',
+  golden: 'golden'
+};
+
 // 音频播放配置
 const AUDIO_CONFIG = {
   fadeDuration: 0.02, // 20ms淡入淡出，普通人难以察觉
   minPlayInterval: 35, // 最小播放间隔35ms
   maxConcurrent: 40, // 最大同时播放数
   debounceTime: 150, // 防抖时间(毫秒)
+  damperReleaseTime: 0.25, // 松开琴键或延音踏板时的制音时间(秒)
+  softPedalVelocityScale: 0.7, // 弱音踏板踩下时的力度系数
+  softPedalCutoff: 2500, // 弱音踏板踩下时低通滤波器的截止频率(Hz)
+  maxPitchShift: 12, // 缺少音频文件的音符可由最近采样变调合成的最大距离(半音)，单个采样可用映射中的maxShift覆盖
   defaultVolume: 0.7 // 默认音量
 };
 
-// 音符频率映射（用于振荡器模式）
-const NOTE_FREQUENCIES = [
-  261.63, 277.18, 293.66, 311.13, 329.63, 349.23, 369.99, 392.00,
-  415.30, 440.00, 466.16, 493.88, 523.25, 554.37, 587.33, 622.25,
-  659.25, 698.46, 739.99
-];
+// 调律配置
+const TUNING_CONFIG = {
+  defaultReferencePitch: 440, // 默认标准音高（A4频率，Hz），采样文件按此音高录制
+  minReferencePitch: 415, // 可选标准音高下限（巴洛克音高）
+  maxReferencePitch: 466, // 可选标准音高上限
+  referenceMidiNote: 69 // 标准音A4对应的MIDI音符号
+};
+
+// MIDI配置
+const MIDI_CONFIG = {
+  baseNote: 65, // 琴键'1'对应的MIDI音符号（F4）
+  maxVelocity: 127 // MIDI力度最大值
+};
+
+// 音名（以C为0的半音数）
+const PITCH_CLASS_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+/**
+ * 获取音符序号对应的音名（含八度），按琴键'1'的MIDI音符号换算
+ * @param {number} keyNumber - 音符序号
+ * @returns {string} 音名，如 1 -> 'F4'，-4 -> 'C4'
+ */
+function getNoteNameForKey(keyNumber) {
+  const midiNote = MIDI_CONFIG.baseNote + keyNumber - 1;
+  return `${PITCH_CLASS_NAMES[((midiNote % 12) + 12) % 12]}${Math.floor(midiNote / 12) - 1}`;
+}
+
+// 触摸力度配置
+const VELOCITY_CONFIG = {
+  defaultVelocity: 0.7, // 默认力度（固定力度曲线和无法检测力度时使用）
+  minVelocity: 0.2, // 最轻触摸对应的力度
+  maxVelocity: 1.0, // 最重触摸对应的力度
+  minContactSize: 10, // 最小接触面积直径（像素）
+  maxContactSize: 40 // 最大接触面积直径（像素）
+};
 
 // 浏览器检测
 const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
@@ -63,7 +142,13 @@ const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
 window.AudioConfig = {
   NOTES,
   NOTES_MAP,
+  AUDIO_SCHEMES,
+  TIMBRE_SCHEMES,
   AUDIO_CONFIG,
-  NOTE_FREQUENCIES,
+  TUNING_CONFIG,
+  MIDI_CONFIG,
+  VELOCITY_CONFIG,
+  createNotes,
+  getNoteNameForKey,
   isSafari
 };
\ No newline at end of file
@@ -20,6 +20,21 @@ class AudioManager {
     this.notesMap = window.AudioConfig.NOTES_MAP;
     this.currentTimbre = 'audio'; // 默认音色：音频文件
 
+    // 踏板状态
+    this.sustainPedalDown = false; // 延音踏板
+    this.sostenutoPedalDown = false; // 持音踏板
+    this.softPedalDown = false; // 弱音踏板
+    this.heldNotes = new Set(); // 琴键仍按住的音符
+    this.sostenutoNotes = new Set(); // 持音踏板踩下时按住的音符
+    this.sustainedNotes = new Set(); // 已松开琴键、由踏板保持等待制音的音符
+
+    // 键盘分割（各音区使用不同音色），由UI控制器设置
+    this.keyboardSplit = null;
+    this.voiceNotes = new Map(); // 记录音符实际演奏的声部音符（键盘分割的音区移调后），用于停止
+
+    // 音色叠加（一次按键同时演奏多个音色层），由UI控制器设置
+    this.timbreLayers = null;
+
     // 初始化音频上下文管理器
     this.contextManager = new window.AudioContextManager();
 
@@ -56,11 +71,14 @@ class AudioManager {
     if (!this.player && this.contextManager.isReady()) {
       this.player = new window.AudioPlayer(this.contextManager.getContext());
 
+      this.player.setSoftPedal(this.softPedalDown);
+
       // 创建音频播放控制器
       this.playbackController = new window.AudioPlaybackController(this.player);
 
-      // 创建音频加载器
+      // 创建音频加载器，并交给播放器用于获取已解码的音频缓冲区
       this.loader = new window.AudioLoader(this.contextManager.getContext());
+      this.player.setLoader(this.loader);
     }
 
     return Promise.resolve();
@@ -83,31 +101,24 @@ class AudioManager {
       return null;
     }
 
-    let result = null;
-    
-    // 根据当前音色选择播放方式
-    if (this.currentTimbre === 'oscillator') {
-      console.info('使用振荡器模式');
-      result = this.playNoteWithOscillator(noteName, velocity);
-    } else {
-      // 如果没有音频上下文，使用降级方案
-      if (!this.contextManager.getContext()) {
-        console.info('音频上下文不可用，使用降级方案');
-        result = this.playNoteWithOscillator(noteName, velocity);
-      } else {
-        // 如果播放控制器已创建，使用它来处理播放逻辑
-        if (this.playbackController) {
-          console.info('使用播放控制器');
-          result = this.playbackController.playNote(noteName, velocity, 'audioFile');
-        } else if (this.player) {
-          // 降级处理：直接使用播放器
-          console.info('使用音频播放器');
-          result = this.player.playNoteWithAudioFile(noteName, velocity);
-        } else {
-          console.warn('没有可用的播放器');
-        }
-      }
+    // 重新按下的音符由琴键保持，踏板松开时不再制音
+    this.heldNotes.add(noteName);
+    this.sustainedNotes.delete(noteName);
+
+    // 弱音踏板踩下时降低力度
+    if (this.softPedalDown) {
+      velocity *= window.AudioConfig.AUDIO_CONFIG.softPedalVelocityScale;
     }
+
+    // 音色叠加时演奏各音色层，键盘分割时按音区选择音色，否则使用当前音色
+    const voices = this.getVoices(noteName);
+    this.voiceNotes.set(noteName, Array.from(new Set(voices.map(voice => voice.note))));
+
+    let result = null;
+    voices.forEach(voice => {
+      const sourceId = this.playVoice(voice, velocity * voice.volume);
+      result = result || sourceId;
+    });
     
     console.info(`播放结果: ${result ? '成功' : '失败'}`);
     console.groupEnd();
@@ -115,6 +126,206 @@ class AudioManager {
     return result;
   }
 
+  /**
+   * 获取音符实际演奏的声部
+   * 音色叠加时每个音色层一个声部（优先于键盘分割），键盘分割时使用音符所在音区的音色、音量和移调
+   * 音色层声部带有 voiceId 和 layerOptions（微调和包络），经播放控制器播放
+   * @param {string} noteName - 音符名称
+   * @param {string} timbre - 不叠加也不分割时使用的音色，默认为当前音色
+   * @returns {Array<{note: string, timbre: string, volume: number, oscillatorOptions: Object}>} 声部列表
+   */
+  getVoices(noteName, timbre = this.currentTimbre) {
+    if (this.timbreLayers && this.timbreLayers.enabled) {
+      return this.timbreLayers.layers.map((layer, index) => {
+        const envelope = {
+          attack: layer.attack,
+          decay: layer.decay,
+          sustain: Math.max(layer.sustain, 0.001), // 振荡器包络使用指数衰减，持续电平不能为0
+          release: layer.release
+        };
+        return {
+          note: noteName,
+          timbre: layer.timbre,
+          volume: layer.volume,
+          voiceId: `layer${index}`,
+          layerOptions: { voiceId: `layer${index}`, detune: layer.detune, ...envelope },
+          oscillatorOptions: { type: layer.waveform, detune: layer.detune, hold: true, ...envelope }
+        };
+      });
+    }
+
+    if (this.keyboardSplit && this.keyboardSplit.enabled) {
+      const zone = this.keyboardSplit.getZone(noteName);
+      return [{
+        note: this.keyboardSplit.getZoneNote(noteName),
+        timbre: zone.timbre,
+        volume: zone.volume,
+        oscillatorOptions: { type: zone.waveform }
+      }];
+    }
+
+    return [{ note: noteName, timbre, volume: 1, oscillatorOptions: {} }];
+  }
+
+  /**
+   * 获取音符上次演奏的声部音符
+   * @param {string} noteName - 音符名称
+   * @returns {Array<string>} 声部音符名称
+   */
+  getVoiceNotes(noteName) {
+    return this.voiceNotes.get(noteName) || [noteName];
+  }
+
+  /**
+   * 按声部的音色播放音符
+   * @param {Object} voice - 声部（getVoices的结果）
+   * @param {number} velocity - 音符力度 (0-1)
+   * @returns {string|null} 音频源ID或null
+   */
+  playVoice(voice, velocity) {
+    // 音色层（包括电音层）都经过播放控制器，同样受防抖、同时播放数和停止逻辑管理
+    if (voice.voiceId !== undefined && this.playbackController) {
+      const playbackMethod = voice.timbre === 'oscillator' ? 'oscillator' : 'audioFile';
+      return this.playbackController.playNote(voice.note, velocity, playbackMethod, {
+        ...voice.layerOptions,
+        notesMap: this.getNotesMapForTimbre(voice.timbre),
+        oscillatorOptions: voice.oscillatorOptions
+      });
+    }
+
+    // 根据音色选择播放方式
+    if (voice.timbre === 'oscillator') {
+      console.info('使用振荡器模式');
+      return this.playNoteWithOscillator(voice.note, velocity, voice.oscillatorOptions);
+    }
+
+    // 如果没有音频上下文，使用降级方案
+    if (!this.contextManager.getContext()) {
+      console.info('音频上下文不可用，使用降级方案');
+      return this.playNoteWithOscillator(voice.note, velocity, voice.oscillatorOptions);
+    }
+
+    const options = { notesMap: this.getNotesMapForTimbre(voice.timbre) };
+
+    // 如果播放控制器已创建，使用它来处理播放逻辑
+    if (this.playbackController) {
+      console.info('使用播放控制器');
+      return this.playbackController.playNote(voice.note, velocity, 'audioFile', options);
+    }
+
+    // 降级处理：直接使用播放器
+    if (this.player) {
+      console.info('使用音频播放器');
+      return this.player.playNoteWithAudioFile(voice.note, velocity, options);
+    }
+
+    console.warn('没有可用的播放器');
+    return null;
+  }
+
+  /**
+   * 获取采样音色使用的音符映射
+   * 当前音色使用已切换的音频方案，其他采样音色直接使用对应方案的映射
+   * @param {string} timbre - 音色类型 ('audio' 或 'golden')
+   * @returns {Object} 音符到音频文件的映射
+   */
+  getNotesMapForTimbre(timbre) {
+    if (timbre === this.currentTimbre) return this.notesMap;
+
+    const schemeId = window.AudioConfig.TIMBRE_SCHEMES[timbre];
+    return schemeId ? window.AudioConfig.AUDIO_SCHEMES[schemeId].notesMap : this.notesMap;
+  }
+
+  /**
+   * 设置键盘分割
+   * @param {KeyboardSplit|null} keyboardSplit - 键盘分割实例，null表示不分割
+   */
+  setKeyboardSplit(keyboardSplit) {
+    this.keyboardSplit = keyboardSplit;
+  }
+
+  /**
+   * 设置音色叠加
+   * @param {TimbreLayers|null} timbreLayers - 音色叠加实例，null表示不叠加
+   */
+  setTimbreLayers(timbreLayers) {
+    this.timbreLayers = timbreLayers;
+  }
+
+  /**
+   * 在指定时间播放固定时长的音符
+   * 按音频时钟排程，时间精确，供琶音器等自动演奏使用；不受踏板保持和防抖影响
+   * @param {string} noteName - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} startTime - 开始时间（音频时钟，秒）
+   * @param {number} duration - 时长（秒）
+   * @param {Object} options - 排程选项（可选），timbre 为演奏使用的音色（默认当前音色），
+   *   soft 为弱音踏板是否踩下（降低力度并经过低通滤波，默认不踩下），
+   *   sourceIds 为数组时收集各声部的音频源ID，供 stopSources 只停止这些音符
+   * @returns {string|null} 音频源ID或null
+   */
+  scheduleNote(noteName, velocity, startTime, duration, options = {}) {
+    const audioContext = this.contextManager.getContext();
+    if (!this.isReady || !audioContext) {
+      console.warn('AudioManager: 音频上下文不可用，无法排程音符');
+      return null;
+    }
+
+    // 排程的音符按调用方给定的弱音踏板状态发音（如录音时的状态），不受现场踏板影响
+    const softPedal = Boolean(options.soft);
+    if (softPedal) {
+      velocity *= window.AudioConfig.AUDIO_CONFIG.softPedalVelocityScale;
+    }
+
+    let result = null;
+    this.getVoices(noteName, options.timbre).forEach(voice => {
+      const voiceVelocity = velocity * voice.volume;
+      const oscillatorOptions = { ...voice.oscillatorOptions, softPedal };
+      let sourceId = null;
+
+      if (voice.timbre === 'oscillator' || !this.player) {
+        let oscillator = window.OscillatorManager.getOscillator('audio-core');
+        if (!oscillator) {
+          oscillator = window.OscillatorManager.createOscillator(audioContext, 'audio-core');
+        }
+        oscillator.setVolume(this.volume);
+        sourceId = oscillator.scheduleNote(voice.note, voiceVelocity, startTime, duration, oscillatorOptions);
+      } else {
+        sourceId = this.player.scheduleNote(voice.note, voiceVelocity, startTime, duration, {
+          ...voice.layerOptions,
+          notesMap: this.getNotesMapForTimbre(voice.timbre),
+          softPedal,
+          oscillatorOptions
+        });
+      }
+
+      if (sourceId && Array.isArray(options.sourceIds)) {
+        options.sourceIds.push(sourceId);
+      }
+      result = result || sourceId;
+    });
+
+    return result;
+  }
+
+  /**
+   * 停止指定的音频源
+   * 自动演奏（录音回放、MIDI播放、循环录音）停止时只停止自己排程的音符，不影响正在弹奏的音符和其他功能的播放
+   * @param {Iterable<string>} sourceIds - scheduleNote 收集的音频源ID
+   */
+  stopSources(sourceIds) {
+    const oscillators = ['audio-core', 'audio-player']
+      .map(id => window.OscillatorManager.getOscillator(id))
+      .filter(Boolean);
+
+    for (const sourceId of sourceIds) {
+      if (this.player) {
+        this.player.cleanupSource(sourceId);
+      }
+      oscillators.forEach(oscillator => oscillator.cleanupSource(sourceId));
+    }
+  }
+
   /**
    * 从音频精灵播放音符
    * @param {string} noteName - 要播放的音符名称
@@ -134,9 +345,10 @@ class AudioManager {
    * 使用振荡器播放音符
    * @param {string} noteName - 要播放的音符名称
    * @param {number} velocity - 音符力度 (0-1)
+   * @param {Object} options - 振荡器选项（可选），如键盘分割音区的波形
    * @returns {string|null} 音频源ID或null
    */
-  playNoteWithOscillator(noteName, velocity = 0.7) {
+  playNoteWithOscillator(noteName, velocity = 0.7, options = {}) {
     console.info(`AudioManager: 使用振荡器播放音符 ${noteName}`);
     
     // 如果没有音频上下文，使用降级方案
@@ -159,7 +371,7 @@ class AudioManager {
       oscillator.setVolume(this.volume);
       
       // 播放音符
-      return oscillator.playNote(noteName, velocity);
+      return oscillator.playNote(noteName, velocity, options);
       
     } catch (error) {
       console.error('AudioManager: 振荡器播放失败', error);
@@ -201,18 +413,110 @@ class AudioManager {
 
   /**
    * 停止特定音符的播放
+   * 音符由延音或持音踏板保持时推迟到踏板松开再制音
    * @param {string} noteName - 要停止的音符名称
    */
   stopNote(noteName) {
-    // 如果播放控制器已创建，使用它来处理停止逻辑
-    if (this.playbackController) {
-      return this.playbackController.stopNote(noteName);
+    this.heldNotes.delete(noteName);
+
+    if (this.isNoteSustainedByPedal(noteName)) {
+      this.sustainedNotes.add(noteName);
+      return;
     }
 
-    // 降级处理：直接使用播放器
+    this.dampNote(noteName);
+  }
+
+  /**
+   * 检查音符是否由踏板保持
+   * @param {string} noteName - 音符名称
+   * @returns {boolean} 是否由踏板保持
+   */
+  isNoteSustainedByPedal(noteName) {
+    return this.sustainPedalDown || (this.sostenutoPedalDown && this.sostenutoNotes.has(noteName));
+  }
+
+  /**
+   * 对不再由踏板保持的已松开音符制音
+   */
+  releaseSustainedNotes() {
+    for (const noteName of Array.from(this.sustainedNotes)) {
+      if (!this.isNoteSustainedByPedal(noteName)) {
+        this.sustainedNotes.delete(noteName);
+        this.dampNote(noteName);
+      }
+    }
+  }
+
+  /**
+   * 制音：以短暂释音停止音符
+   * @param {string} noteName - 要停止的音符名称
+   */
+  dampNote(noteName) {
+    const releaseTime = window.AudioConfig.AUDIO_CONFIG.damperReleaseTime;
+
+    // 停止该音符实际演奏的各声部
+    this.getVoiceNotes(noteName).forEach(voiceNote => {
+      // 如果播放控制器已创建，使用它来处理停止逻辑
+      if (this.playbackController) {
+        this.playbackController.stopNote(voiceNote, releaseTime);
+      } else if (this.player) {
+        // 降级处理：直接使用播放器
+        this.player.stopNote(voiceNote, releaseTime);
+      }
+    });
+  }
+
+  /**
+   * 设置延音踏板状态
+   * 松开踏板时，对踏板按下期间松开的音符制音（持音踏板保持的音符除外）
+   * @param {boolean} isDown - 踏板是否按下
+   */
+  setSustainPedal(isDown) {
+    if (this.sustainPedalDown === isDown) return;
+
+    this.sustainPedalDown = isDown;
+    console.info(`AudioManager: 延音踏板${isDown ? '按下' : '松开'}`);
+
+    if (!isDown) {
+      this.releaseSustainedNotes();
+    }
+  }
+
+  /**
+   * 设置持音踏板状态
+   * 只保持踩下踏板时已按住的音符，之后按下的音符不受影响
+   * @param {boolean} isDown - 踏板是否按下
+   */
+  setSostenutoPedal(isDown) {
+    if (this.sostenutoPedalDown === isDown) return;
+
+    this.sostenutoPedalDown = isDown;
+    console.info(`AudioManager: 持音踏板${isDown ? '按下' : '松开'}`);
+
+    if (isDown) {
+      this.sostenutoNotes = new Set(this.heldNotes);
+    } else {
+      this.sostenutoNotes.clear();
+      this.releaseSustainedNotes();
+    }
+  }
+
+  /**
+   * 设置弱音踏板状态
+   * 踩下时降低之后音符的力度，并通过低通滤波使音色变暗
+   * @param {boolean} isDown - 踏板是否按下
+   */
+  setSoftPedal(isDown) {
+    if (this.softPedalDown === isDown) return;
+
+    this.softPedalDown = isDown;
+    console.info(`AudioManager: 弱音踏板${isDown ? '按下' : '松开'}`);
+
     if (this.player) {
-      return this.player.stopNote(noteName);
+      this.player.setSoftPedal(isDown);
     }
+    window.OscillatorManager.setSoftPedal(isDown);
   }
 
   /**
@@ -460,58 +764,8 @@ class AudioManager {
     console.group(`🎵 AudioManager: 开始切换音频方案到 ${schemeId}`);
     console.log('1. 检查音频方案是否存在');
     
-    // 定义音频方案配置
-    const audioSchemes = {
-      'popular': {
-        name: '流行音域',
-        notesMap: {
-          '1': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a01.mp3', start: 0, duration: 1.5 },
-          '2': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a02.mp3', start: 0, duration: 1.5 },
-          '3': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a03.mp3', start: 0, duration: 1.5 },
-          '4': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a04.mp3', start: 0, duration: 1.5 },
-          '5': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a05.mp3', start: 0, duration: 1.5 },
-          '6': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a06.mp3', start: 0, duration: 1.5 },
-          '7': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a07.mp3', start: 0, duration: 1.5 },
-          '8': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a08.mp3', start: 0, duration: 1.5 },
-          '9': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a09.mp3', start: 0, duration: 1.5 },
-          '10': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a10.mp3', start: 0, duration: 1.5 },
-          '11': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a11.mp3', start: 0, duration: 1.5 },
-          '12': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a12.mp3', start: 0, duration: 1.5 },
-          '13': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a13.mp3', start: 0, duration: 1.5 },
-          '14': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a14.mp3', start: 0, duration: 1.5 },
-          '15': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a15.mp3', start: 0, duration: 1.5 },
-          '16': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a16.mp3', start: 0, duration: 1.5 },
-          '17': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a17.mp3', start: 0, duration: 1.5 },
-          '18': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a18.mp3', start: 0, duration: 1.5 },
-          '19': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a19.mp3', start: 0, duration: 1.5 }
-        }
-      },
-      'golden': {
-        name: '黄金音域',
-        notesMap: {
-          '1': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/b01.mp3', start: 0, duration: 1.5 },
-          '2': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/b02.mp3', start: 0, duration: 1.5 },
-          '3': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/b03.mp3', start: 0, duration: 1.5 },
-          '4': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a01.mp3', start: 0, duration: 1.5 },
-          '5': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a02.mp3', start: 0, duration: 1.5 },
-          '6': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a03.mp3', start: 0, duration: 1.5 },
-          '7': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a04.mp3', start: 0, duration: 1.5 },
-          '8': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a05.mp3', start: 0, duration: 1.5 },
-          '9': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a06.mp3', start: 0, duration: 1.5 },
-          '10': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a07.mp3', start: 0, duration: 1.5 },
-          '11': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a08.mp3', start: 0, duration: 1.5 },
-          '12': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a09.mp3', start: 0, duration: 1.5 },
-          '13': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a10.mp3', start: 0, duration: 1.5 },
-          '14': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a11.mp3', start: 0, duration: 1.5 },
-          '15': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a12.mp3', start: 0, duration: 1.5 },
-          '16': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a13.mp3', start: 0, duration: 1.5 },
-          '17': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a14.mp3', start: 0, duration: 1.5 },
-          '18': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a15.mp3', start: 0, duration: 1.5 },
-          '19': { file: 'https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/a16.mp3', start: 0, duration: 1.5 }
-        }
-      }
-    };
-    
+    const audioSchemes = window.AudioConfig.AUDIO_SCHEMES;
+
     if (!audioSchemes[schemeId]) {
       console.error(`AudioManager: 未知的音频方案: ${schemeId}`);
       console.error(`AudioManager: 可用的音频方案: ${Object.keys(audioSchemes).join(', ')}`);
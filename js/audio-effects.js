@@ -72,6 +72,37 @@ class AudioEffects {
     // 淡出
     gainParam.linearRampToValueAtTime(0.001, start + totalDuration);
   }
+
+  /**
+   * 获取声音的输出节点
+   * 主总线模块可用时输出到主总线（录制音频从主总线取声），否则直接输出到扬声器
+   * @returns {AudioNode} 输出节点
+   */
+  getOutputNode() {
+    if (window.MasterBusManager) {
+      return window.MasterBusManager.getBus(this.audioContext).input;
+    }
+    return this.audioContext.destination;
+  }
+
+  /**
+   * 将音频节点连接到输出
+   * 弱音踏板踩下时在中间插入低通滤波器，使音色变暗
+   * @param {AudioNode} node - 要连接的音频节点
+   * @param {boolean} softPedal - 是否启用弱音踏板音色
+   */
+  connectToOutput(node, softPedal = false) {
+    if (!softPedal) {
+      node.connect(this.getOutputNode());
+      return;
+    }
+
+    const filter = this.audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = window.AudioConfig.AUDIO_CONFIG.softPedalCutoff;
+    node.connect(filter);
+    filter.connect(this.getOutputNode());
+  }
 }
 
 // 将类添加到全局对象，以便其他脚本可以使用
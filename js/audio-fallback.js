@@ -79,41 +79,48 @@ class FallbackAudioManager {
    * 播放音符
    * 根据当前音色设置选择播放方式
    * @param {string} note - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)
    */
-  async playNote(note) {
+  async playNote(note, velocity = 0.7) {
     console.info(`FallbackAudioManager: 播放音符 ${note}，当前音色: ${this.currentTimbre}`);
     
     // 根据当前音色选择播放方式
     if (this.currentTimbre === 'audio') {
       // 音频模式：尝试使用音频文件播放
-      await this.playNoteWithAudio(note);
+      await this.playNoteWithAudio(note, velocity);
     } else {
       // 振荡器模式：使用Web Audio API振荡器
-      await this.playNoteWithOscillator(note);
+      await this.playNoteWithOscillator(note, velocity);
     }
   }
 
   /**
    * 使用音频文件播放音符
    * @param {string} note - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)
    */
-  async playNoteWithAudio(note) {
+  async playNoteWithAudio(note, velocity = 0.7) {
     try {
-      // 将音符编号转换为音频文件名（例如：8 -> a08.mp3）
-      const noteNumber = parseInt(note);
-      const audioFileName = `a${noteNumber.toString().padStart(2, '0')}.mp3`;
-      const audioFilePath = `https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/f4-b5/${audioFileName}`;
+      // 只有音符映射中有音频文件的音符才用音频播放，扩展音域的其他音符按MIDI基准音由振荡器发音
+      const notesMap = window.AudioConfig ? window.AudioConfig.NOTES_MAP : null;
+      const mapping = notesMap ? notesMap[note] : null;
+      if (!mapping || !mapping.file) {
+        console.info(`FallbackAudioManager: 音符 ${note} 没有音频文件，使用振荡器`);
+        await this.playNoteWithOscillator(note, velocity);
+        return;
+      }
+      const audioFilePath = mapping.file;
       
       console.info(`FallbackAudioManager: 尝试加载音频文件 ${audioFilePath}`);
       
       // 创建音频元素播放音频文件
       const audio = new Audio(audioFilePath);
-      audio.volume = this.volume;
+      audio.volume = Math.min(1, velocity * this.volume);
       
       // 监听音频加载错误，如果音频文件不存在则降级到振荡器
       audio.addEventListener('error', () => {
         console.warn(`FallbackAudioManager: 音频文件 ${audioFilePath} 加载失败，降级到振荡器`);
-        this.playNoteWithOscillator(note);
+        this.playNoteWithOscillator(note, velocity);
       });
       
       // 尝试播放音频
@@ -122,15 +129,16 @@ class FallbackAudioManager {
       
     } catch (error) {
       console.warn(`FallbackAudioManager: 音频播放失败，降级到振荡器:`, error);
-      this.playNoteWithOscillator(note);
+      this.playNoteWithOscillator(note, velocity);
     }
   }
 
   /**
    * 使用振荡器播放音符
    * @param {string} note - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)
    */
-  async playNoteWithOscillator(note) {
+  async playNoteWithOscillator(note, velocity = 0.7) {
     try {
       // 确保音频上下文存在且未挂起
       const contextReady = await this.ensureContext();
@@ -149,7 +157,7 @@ class FallbackAudioManager {
       oscillator.setVolume(this.volume);
       
       // 播放音符
-      oscillator.playNote(note, 0.7);
+      oscillator.playNote(note, velocity);
 
     } catch (error) {
       console.error('FallbackAudioManager: 振荡器播放失败', error);
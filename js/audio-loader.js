@@ -88,8 +88,8 @@ class AudioLoader {
    * @returns {Promise} 加载完成的Promise
    */
   async loadAudioFile(filePath) {
-    // 如果文件已经加载过，直接返回
-    if (this.loadedFiles.has(filePath)) {
+    // 如果文件已经加载过且缓冲区仍在（切换音频方案会清空缓冲区），直接返回
+    if (this.loadedFiles.has(filePath) && this.audioBuffers.has(filePath)) {
       return Promise.resolve();
     }
 
@@ -122,6 +122,47 @@ class AudioLoader {
     return this.audioBuffers.get(filePath) || null;
   }
 
+  /**
+   * 查找用于播放音符的采样
+   * 音符没有对应的音频文件时，使用距离最近的采样，通过播放速率变调合成
+   * @param {string} noteName - 音符名称
+   * @param {Object} notesMap - 音符到音频文件的映射
+   * @returns {{mapping: Object, semitones: number, playbackRate: number}|null} 采样映射、变调半音数和播放速率，超出变调范围时返回null
+   */
+  resolveSampleForNote(noteName, notesMap) {
+    if (!notesMap) return null;
+
+    if (notesMap[noteName]) {
+      return { mapping: notesMap[noteName], semitones: 0, playbackRate: 1 };
+    }
+
+    const keyNumber = parseInt(noteName, 10);
+    if (Number.isNaN(keyNumber)) return null;
+
+    const defaultMaxShift = window.AudioConfig.AUDIO_CONFIG.maxPitchShift;
+    let nearest = null;
+
+    for (const sampleNote of Object.keys(notesMap)) {
+      const mapping = notesMap[sampleNote];
+      const sampleNumber = parseInt(sampleNote, 10);
+      if (!mapping || !mapping.file || Number.isNaN(sampleNumber)) continue;
+
+      // 每个采样可单独限制最大变调距离，变调过大时音色失真明显
+      const semitones = keyNumber - sampleNumber;
+      const maxShift = Number.isFinite(mapping.maxShift) ? mapping.maxShift : defaultMaxShift;
+      if (Math.abs(semitones) > maxShift) continue;
+
+      if (!nearest || Math.abs(semitones) < Math.abs(nearest.semitones)) {
+        nearest = { mapping, semitones };
+      }
+    }
+
+    if (!nearest) return null;
+
+    nearest.playbackRate = Math.pow(2, nearest.semitones / 12);
+    return nearest;
+  }
+
   /**
    * 获取HTML音频元素
    * @param {string} filePath - 音频文件路径
@@ -323,12 +364,13 @@ class AudioLoader {
 
   /**
    * 获取音符对应的音频文件路径
+   * 没有对应音频文件的音符返回可变调合成该音符的最近采样
    * @param {string} noteName - 音符名称
    * @returns {string|null} 音频文件路径或null
    */
   getFilePathForNote(noteName) {
-    const mapping = NOTES_MAP[noteName];
-    return mapping ? mapping.file : null;
+    const sample = this.resolveSampleForNote(noteName, window.AudioConfig.NOTES_MAP);
+    return sample ? sample.mapping.file : null;
   }
 
   /**
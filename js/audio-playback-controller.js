@@ -26,14 +26,17 @@ class AudioPlaybackController {
    * @param {string} noteName - 要播放的音符名称
    * @param {number} velocity - 音符力度 (0-1)
    * @param {string} playbackMethod - 播放方法 ('audioFile', 'oscillator', 'sprite')
+   * @param {Object} options - 播放选项（可选），notesMap 指定使用的音符映射，
+   *   voiceId 为声部ID（如音色层），同一音符的不同声部分别防抖和停止
    * @returns {string|null} 音频源ID或null
    */
-  playNote(noteName, velocity = 0.7, playbackMethod = 'audioFile') {
+  playNote(noteName, velocity = 0.7, playbackMethod = 'audioFile', options = {}) {
     console.group(`🎵 调试音符播放: ${noteName}`);
     console.log('1. 进入 playNote 函数');
 
     const now = Date.now();
-    const lastPlayTime = this.lastPlayTimes[noteName] || 0;
+    const playKey = options.voiceId === undefined ? noteName : `${noteName}:${options.voiceId}`;
+    const lastPlayTime = this.lastPlayTimes[playKey] || 0;
 
     console.log('2. 时间信息:', {
       当前时间: now,
@@ -54,10 +57,10 @@ class AudioPlaybackController {
       this.audioPlayer.stopOldestSource();
     }
 
-    // 停止同音符的先前播放（避免重叠）
-    this.audioPlayer.stopNote(noteName);
+    // 停止同音符同声部的先前播放（避免重叠）
+    this.audioPlayer.stopNote(noteName, undefined, options.voiceId);
 
-    this.lastPlayTimes[noteName] = now;
+    this.lastPlayTimes[playKey] = now;
     console.log('3. 更新最后播放时间:', now);
     console.log('4. ✅ 通过防抖检查 - 继续播放');
     console.groupEnd();
@@ -65,21 +68,22 @@ class AudioPlaybackController {
     // 根据指定的播放方法播放音符
     switch (playbackMethod) {
       case 'oscillator':
-        return this.audioPlayer.playNoteWithOscillator(noteName, velocity);
+        return this.audioPlayer.playNoteWithOscillator(noteName, velocity, options);
       case 'sprite':
         return this.audioPlayer.playNoteFromSprite(noteName, velocity);
       case 'audioFile':
       default:
-        return this.audioPlayer.playNoteWithAudioFile(noteName, velocity);
+        return this.audioPlayer.playNoteWithAudioFile(noteName, velocity, options);
     }
   }
 
   /**
    * 停止特定音符的播放
    * @param {string} noteName - 要停止的音符名称
+   * @param {number} releaseTime - 淡出时间(秒)
    */
-  stopNote(noteName) {
-    this.audioPlayer.stopNote(noteName);
+  stopNote(noteName, releaseTime) {
+    this.audioPlayer.stopNote(noteName, releaseTime);
   }
 
   /**
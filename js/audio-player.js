@@ -17,6 +17,8 @@ class AudioPlayer {
     this.audioContext = audioContext;
     this.activeSources = new Map(); // 存储活跃的音频源
     this.volume = window.AudioConfig.AUDIO_CONFIG.defaultVolume;
+    this.loader = null; // 音频加载器，用于获取已解码的音频缓冲区
+    this.softPedal = false; // 弱音踏板是否踩下
 
     // 初始化音频效果处理器
     this.effects = new window.AudioEffects(audioContext);
@@ -42,6 +44,22 @@ class AudioPlayer {
     };
   }
 
+  /**
+   * 设置音频加载器
+   * @param {AudioLoader} loader - 音频加载器实例
+   */
+  setLoader(loader) {
+    this.loader = loader;
+  }
+
+  /**
+   * 设置弱音踏板状态，只影响之后播放的音符
+   * @param {boolean} isDown - 踏板是否踩下
+   */
+  setSoftPedal(isDown) {
+    this.softPedal = isDown;
+  }
+
   /**
    * 清理音频源
    * 增强清理方法，安全地停止和断开音频源连接
@@ -63,6 +81,11 @@ class AudioPlayer {
         sourceInfo.gainNode.disconnect();
       }
 
+      // HTML音频元素没有stop方法，需要暂停播放
+      if (sourceInfo.type === 'htmlAudio' && sourceInfo.source) {
+        sourceInfo.source.pause();
+      }
+
       // 然后停止音频源
       if (sourceInfo.source) {
         try {
@@ -97,13 +120,15 @@ class AudioPlayer {
   /**
    * 停止特定音符的播放
    * @param {string} noteName - 要停止的音符名称
+   * @param {number} releaseTime - 淡出时间(秒)，默认快速淡出；音色层有更长的释音时使用音色层的释音
+   * @param {string} voiceId - 声部ID（可选），指定时只停止该声部（如某个音色层）的播放
    */
-  stopNote(noteName) {
+  stopNote(noteName, releaseTime = 0.02, voiceId) {
     const sourcesToStop = [];
 
     // 收集所有需要停止音符
     for (const [id, sourceInfo] of this.activeSources.entries()) {
-      if (sourceInfo.noteName === noteName) {
+      if (sourceInfo.noteName === noteName && (voiceId === undefined || sourceInfo.voiceId === voiceId)) {
         sourcesToStop.push(id);
       }
     }
@@ -113,15 +138,19 @@ class AudioPlayer {
       const sourceInfo = this.activeSources.get(id);
       if (sourceInfo && sourceInfo.gainNode) {
         try {
-          // 快速淡出而不是立即停止
-          const fadeOutTime = this.audioContext.currentTime + 0.02;
-          sourceInfo.gainNode.gain.exponentialRampToValueAtTime(0.001, fadeOutTime);
-          sourceInfo.gainNode.gain.linearRampToValueAtTime(0.001, this.audioContext.currentTime + 0.03);
+          // 淡出而不是立即停止，从当前音量开始衰减
+          const now = this.audioContext.currentTime;
+          const gain = sourceInfo.gainNode.gain;
+          const fadeTime = Math.max(releaseTime, sourceInfo.release || 0);
+          gain.cancelScheduledValues(now);
+          gain.setValueAtTime(Math.max(gain.value, 0.001), now);
+          gain.exponentialRampToValueAtTime(0.001, now + fadeTime);
+          gain.linearRampToValueAtTime(0.001, now + fadeTime + 0.01);
 
           // 延迟清理
           setTimeout(() => {
             this.cleanupSource(id);
-          }, 25);
+          }, fadeTime * 1000 + 5);
         } catch (error) {
           this.cleanupSource(id);
         }
@@ -166,38 +195,81 @@ class AudioPlayer {
    * 使用音频文件播放音符
    * @param {string} noteName - 要播放的音符名称
    * @param {number} velocity - 音符力度 (0-1)
+   * @param {Object} options - 播放选项（可选），notesMap 指定使用的音符映射（如键盘分割的音区音色），
+   *   音色层的 voiceId、detune 和包络参数见 playAudioBuffer，oscillatorOptions 为改用振荡器时的选项
    * @returns {string|null} 音频源ID或null
    */
-  playNoteWithAudioFile(noteName, velocity = 0.7) {
+  playNoteWithAudioFile(noteName, velocity = 0.7, options = {}) {
     try {
       // 使用 AudioManager 实例的 notesMap 精确映射音符到音频文件
-      let noteMapping = null;
+      let sample = null;
       
-      // 优先使用 AudioManager 实例的 notesMap
-      if (window.audioManager && window.audioManager.notesMap) {
-        noteMapping = window.audioManager.notesMap[noteName];
+      // 优先使用指定的 notesMap，其次使用 AudioManager 实例的 notesMap
+      if (options.notesMap) {
+        sample = this.resolveSample(noteName, options.notesMap);
+        console.log(`AudioPlayer: 使用指定的 notesMap 查找音符 ${noteName}`);
+      } else if (window.audioManager && window.audioManager.notesMap) {
+        sample = this.resolveSample(noteName, window.audioManager.notesMap);
         console.log(`AudioPlayer: 使用 AudioManager notesMap 查找音符 ${noteName}`);
-        console.log(`AudioPlayer: AudioManager notesMap 内容:`, window.audioManager.notesMap);
-        console.log(`AudioPlayer: 查找到的映射:`, noteMapping);
+        console.log(`AudioPlayer: 查找到的映射:`, sample);
       }
       
       // 如果 AudioManager 中没有找到，使用全局配置作为降级方案
-      if (!noteMapping && window.AudioConfig && window.AudioConfig.NOTES_MAP) {
-        noteMapping = window.AudioConfig.NOTES_MAP[noteName];
+      if (!sample && window.AudioConfig && window.AudioConfig.NOTES_MAP) {
+        sample = this.resolveSample(noteName, window.AudioConfig.NOTES_MAP);
         console.log(`AudioPlayer: 使用全局 AudioConfig notesMap 查找音符 ${noteName}`);
-        console.log(`AudioPlayer: 全局 AudioConfig notesMap 内容:`, window.AudioConfig.NOTES_MAP);
       }
       
-      if (!noteMapping) {
-        console.warn(`AudioPlayer: 未找到音符 ${noteName} 的音频映射`);
-        return null;
+      if (!sample) {
+        // 超出采样变调范围的音符使用振荡器发音
+        console.warn(`AudioPlayer: 未找到音符 ${noteName} 的音频映射，使用振荡器`);
+        return this.playNoteWithOscillator(noteName, velocity, options);
       }
 
-      const audioFile = noteMapping.file;
-      console.log(`AudioPlayer: 播放音符 ${noteName}，音频文件: ${audioFile}`);
+      const audioFile = sample.mapping.file;
+      const playbackRate = sample.playbackRate;
+      console.log(`AudioPlayer: 播放音符 ${noteName}，音频文件: ${audioFile}，变调 ${sample.semitones} 个半音`);
+
+      // 音频缓冲区已解码时使用Web Audio播放，力度直接作用于增益节点
+      const audioBuffer = this.loader ? this.loader.getAudioBuffer(audioFile) : null;
+      if (audioBuffer) {
+        return this.playAudioBuffer(noteName, audioBuffer, velocity, playbackRate, this.audioContext.currentTime, null, options);
+      }
+
+      // 缓冲区尚未就绪时在后台加载，之后的播放即可使用Web Audio
+      if (this.loader) {
+        this.loader.loadAudioFile(audioFile).catch(error => {
+          console.warn(`AudioPlayer: 后台加载音频文件失败 ${audioFile}`, error);
+        });
+      }
       
-      const audioElement = new Audio(audioFile);
-      audioElement.volume = velocity * this.volume;
+      // 采样站点发送跨域响应头（加载器同样用 fetch 读取），请求跨域授权后经增益节点接入效果链和主总线，录制音频时也能录到
+      const audioElement = new Audio();
+      audioElement.crossOrigin = 'anonymous';
+      audioElement.src = audioFile;
+
+      let gainNode = null;
+      try {
+        const mediaSource = this.audioContext.createMediaElementSource(audioElement);
+        gainNode = this.audioContext.createGain();
+        gainNode.gain.value = velocity * this.volume;
+        mediaSource.connect(gainNode);
+        this.effects.connectToOutput(gainNode, this.softPedal);
+      } catch (error) {
+        // 浏览器不支持媒体元素源时直接输出
+        console.warn('AudioPlayer: 音频元素无法接入音频上下文，直接输出', error);
+        gainNode = null;
+        audioElement.volume = Math.min(1, velocity * this.volume);
+      }
+
+      // 变调合成和调律通过播放速率改变音高，需要关闭保持音高
+      const htmlPlaybackRate = playbackRate * Math.pow(2, this.getTuningDetune(noteName) / 1200);
+      if (htmlPlaybackRate !== 1) {
+        audioElement.preservesPitch = false;
+        audioElement.mozPreservesPitch = false;
+        audioElement.webkitPreservesPitch = false;
+        audioElement.playbackRate = htmlPlaybackRate;
+      }
 
       // 添加错误处理
       audioElement.addEventListener('error', (e) => {
@@ -218,11 +290,13 @@ class AudioPlayer {
         }
       });
 
-      const sourceId = `${noteName}_${Date.now()}`;
+      const sourceId = `${noteName}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
       this.activeSources.set(sourceId, {
         source: audioElement,
+        gainNode: gainNode,
         noteName: noteName,
-        startTime: Date.now(),
+        startTime: this.audioContext.currentTime,
+        voiceId: options.voiceId,
         type: 'htmlAudio' // 标记类型便于清理时区分
       });
 
@@ -233,6 +307,9 @@ class AudioPlayer {
         try {
           audioElement.pause();
           audioElement.currentTime = 0;
+          if (gainNode) {
+            gainNode.disconnect();
+          }
           this.activeSources.delete(sourceId);
           // 播放结束后移除视觉反馈
           if (pianoKey) {
@@ -256,13 +333,165 @@ class AudioPlayer {
     }
   }
 
+  /**
+   * 查找音符对应的采样
+   * 加载器可用时支持由最近的采样变调合成，否则只使用精确映射
+   * @param {string} noteName - 音符名称
+   * @param {Object} notesMap - 音符到音频文件的映射
+   * @returns {{mapping: Object, semitones: number, playbackRate: number}|null} 采样信息或null
+   */
+  resolveSample(noteName, notesMap) {
+    if (this.loader) {
+      return this.loader.resolveSampleForNote(noteName, notesMap);
+    }
+
+    const mapping = notesMap[noteName];
+    return mapping ? { mapping, semitones: 0, playbackRate: 1 } : null;
+  }
+
+  /**
+   * 获取音符相对采样录制音高（A4=440Hz十二平均律）的调律偏移
+   * @param {string} noteName - 音符名称
+   * @returns {number} 音分偏移
+   */
+  getTuningDetune(noteName) {
+    const tuning = window.pianoTuning;
+    if (!tuning) return 0;
+
+    const midiNote = tuning.getMidiForNote(noteName);
+    return midiNote === null ? 0 : tuning.getDetune(midiNote);
+  }
+
+  /**
+   * 使用已解码的音频缓冲区播放音符
+   * @param {string} noteName - 要播放的音符名称
+   * @param {AudioBuffer} audioBuffer - 音频缓冲区
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} playbackRate - 播放速率，用于由相邻采样变调合成音符（1为原始音高）
+   * @param {number} startTime - 开始时间（音频时钟，秒），默认立即播放
+   * @param {number|null} duration - 时长（秒），指定时到点后制音，默认播放完整采样
+   * @param {Object} options - 音色层选项（可选）：voiceId 声部ID，detune 微调（音分），
+   *   attack、decay、sustain、release 为包络参数，softPedal 为弱音踏板状态（默认使用当前踏板状态）
+   * @returns {string|null} 音频源ID或null
+   */
+  playAudioBuffer(noteName, audioBuffer, velocity = 0.7, playbackRate = 1, startTime = this.audioContext.currentTime, duration = null, options = {}) {
+    try {
+      const source = this.audioContext.createBufferSource();
+      source.buffer = audioBuffer;
+
+      // 调律偏移和音色层微调通过 detune 作用，不支持 detune 的浏览器改用播放速率
+      const tuningCents = this.getTuningDetune(noteName) + (options.detune || 0);
+      if (source.detune) {
+        source.detune.value = tuningCents;
+        source.playbackRate.value = playbackRate;
+      } else {
+        source.playbackRate.value = playbackRate * Math.pow(2, tuningCents / 1200);
+      }
+
+      // 创建增益节点，根据力度和音量控制响度
+      const gainNode = this.audioContext.createGain();
+      source.connect(gainNode);
+      this.effects.connectToOutput(gainNode, options.softPedal !== undefined ? options.softPedal : this.softPedal);
+
+      // 短暂淡入，避免起音爆音；音色层按其包络起音并衰减到持续电平
+      const fadeDuration = Math.max(window.AudioConfig.AUDIO_CONFIG.fadeDuration, options.attack || 0);
+      const sustainLevel = options.sustain !== undefined ? options.sustain : 1;
+      const peakVolume = velocity * this.volume;
+      const endTime = duration !== null ? startTime + Math.max(duration, fadeDuration) : null;
+      gainNode.gain.setValueAtTime(0, startTime);
+      gainNode.gain.linearRampToValueAtTime(peakVolume, startTime + fadeDuration);
+      if (sustainLevel < 1) {
+        // 固定时长的音符在结束前完成衰减
+        const decayEndTime = startTime + fadeDuration + (options.decay || 0);
+        gainNode.gain.linearRampToValueAtTime(peakVolume * sustainLevel, endTime !== null ? Math.min(decayEndTime, endTime) : decayEndTime);
+      }
+
+      source.start(startTime);
+
+      // 固定时长的音符到点后制音
+      if (endTime !== null) {
+        const releaseTime = Math.max(window.AudioConfig.AUDIO_CONFIG.damperReleaseTime, options.release || 0);
+        gainNode.gain.setValueAtTime(peakVolume * sustainLevel, endTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, endTime + releaseTime);
+        source.stop(endTime + releaseTime);
+      }
+
+      const sourceId = `${noteName}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+      this.activeSources.set(sourceId, {
+        source: source,
+        gainNode: gainNode,
+        noteName: noteName,
+        startTime: startTime,
+        voiceId: options.voiceId,
+        release: options.release,
+        type: 'webAudio' // 标记类型便于清理时区分
+      });
+
+      // 自然播放结束后清理
+      source.onended = () => {
+        this.cleanupSource(sourceId);
+      };
+
+      console.log(`AudioPlayer: 使用音频缓冲区播放音符 ${noteName}，力度 ${velocity.toFixed(2)}`);
+      return sourceId;
+
+    } catch (error) {
+      console.error('AudioPlayer: 音频缓冲区播放失败', error);
+      return null;
+    }
+  }
+
+  /**
+   * 在指定时间播放固定时长的音符
+   * HTML Audio无法按音频时钟排程，采样尚未解码时改用振荡器
+   * @param {string} noteName - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} startTime - 开始时间（音频时钟，秒）
+   * @param {number} duration - 时长（秒）
+   * @param {Object} options - 播放选项（可选），notesMap 指定使用的音符映射，oscillatorOptions 为改用振荡器时的选项，
+   *   其余音色层选项见 playAudioBuffer
+   * @returns {string|null} 音频源ID或null
+   */
+  scheduleNote(noteName, velocity, startTime, duration, options = {}) {
+    try {
+      if (this.activeSources.size >= window.AudioConfig.AUDIO_CONFIG.maxConcurrent) {
+        this.stopOldestSource();
+      }
+
+      const notesMap = options.notesMap || (window.audioManager && window.audioManager.notesMap) || window.AudioConfig.NOTES_MAP;
+      const sample = this.resolveSample(noteName, notesMap);
+      const audioBuffer = sample && this.loader ? this.loader.getAudioBuffer(sample.mapping.file) : null;
+      if (audioBuffer) {
+        return this.playAudioBuffer(noteName, audioBuffer, velocity, sample.playbackRate, startTime, duration, options);
+      }
+
+      if (sample && this.loader) {
+        this.loader.loadAudioFile(sample.mapping.file).catch(error => {
+          console.warn(`AudioPlayer: 后台加载音频文件失败 ${sample.mapping.file}`, error);
+        });
+      }
+
+      let oscillator = window.OscillatorManager.getOscillator('audio-player');
+      if (!oscillator) {
+        oscillator = window.OscillatorManager.createOscillator(this.audioContext, 'audio-player');
+      }
+      oscillator.setVolume(this.volume);
+      return oscillator.scheduleNote(noteName, velocity, startTime, duration, options.oscillatorOptions);
+
+    } catch (error) {
+      console.error('AudioPlayer: 排程音符失败', error);
+      return null;
+    }
+  }
+
   /**
    * 使用振荡器播放音符
    * @param {string} noteName - 要播放的音符名称
    * @param {number} velocity - 音符力度 (0-1)
+   * @param {Object} options - 播放选项（可选），oscillatorOptions 为振荡器选项，voiceId 为声部ID
    * @returns {string|null} 音频源ID或null
    */
-  playNoteWithOscillator(noteName, velocity = 0.7) {
+  playNoteWithOscillator(noteName, velocity = 0.7, options = {}) {
     try {
       // 使用新的振荡器模块
       let oscillator = window.OscillatorManager.getOscillator('audio-player');
@@ -274,7 +503,27 @@ class AudioPlayer {
       oscillator.setVolume(this.volume);
       
       // 播放音符
-      return oscillator.playNote(noteName, velocity);
+      const oscillatorOptions = options.oscillatorOptions || {};
+      const sourceId = oscillator.playNote(noteName, velocity, oscillatorOptions);
+
+      // 登记到播放器，使振荡器发音同样受同时播放数限制，并能按音符停止
+      const sourceInfo = sourceId ? oscillator.activeSources.get(sourceId) : null;
+      if (sourceInfo) {
+        this.activeSources.set(sourceId, {
+          source: sourceInfo.oscillator,
+          gainNode: sourceInfo.gainNode,
+          noteName: noteName,
+          startTime: sourceInfo.startTime,
+          voiceId: options.voiceId,
+          release: oscillatorOptions.release,
+          type: 'oscillator'
+        });
+        sourceInfo.oscillator.addEventListener('ended', () => {
+          this.activeSources.delete(sourceId);
+        });
+      }
+
+      return sourceId;
 
     } catch (error) {
       console.error('AudioPlayer: 播放音符失败', error);
@@ -313,7 +562,7 @@ class AudioPlayer {
 
       // 连接节点
       source.connect(gainNode);
-      gainNode.connect(this.audioContext.destination);
+      this.effects.connectToOutput(gainNode);
 
       // 播放指定时间段的音频
       const startTime = this.audioContext.currentTime;
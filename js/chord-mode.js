@@ -0,0 +1,181 @@
+/**
+ * 单指和弦模块
+ * 负责将按下的单个琴键扩展为以该音为根音的和弦
+ * 和弦类型可固定选择，也可根据所选调号推导出该音对应的顺阶和弦
+ */
+
+// 和弦类型：各音相对根音的半音数
+const CHORD_TYPES = {
+  diatonic: { name: '按调号自动', intervals: null },
+  major: { name: '大三和弦', intervals: [0, 4, 7] },
+  minor: { name: '小三和弦', intervals: [0, 3, 7] },
+  dominant7: { name: '属七和弦', intervals: [0, 4, 7, 10] },
+  major7: { name: '大七和弦', intervals: [0, 4, 7, 11] },
+  minor7: { name: '小七和弦', intervals: [0, 3, 7, 10] },
+  sus2: { name: '挂二和弦', intervals: [0, 2, 7] },
+  sus4: { name: '挂四和弦', intervals: [0, 5, 7] },
+  diminished: { name: '减三和弦', intervals: [0, 3, 6] },
+  augmented: { name: '增三和弦', intervals: [0, 4, 8] }
+};
+
+// 默认和弦类型
+const DEFAULT_CHORD_TYPE = 'major';
+
+// 大调调号，tonic 为主音（以C为0的半音数）
+const KEY_SIGNATURES = [
+  { name: 'C大调', tonic: 0 },
+  { name: 'G大调（1♯）', tonic: 7 },
+  { name: 'D大调（2♯）', tonic: 2 },
+  { name: 'A大调（3♯）', tonic: 9 },
+  { name: 'E大调（4♯）', tonic: 4 },
+  { name: 'B大调（5♯）', tonic: 11 },
+  { name: 'F♯大调（6♯）', tonic: 6 },
+  { name: 'F大调（1♭）', tonic: 5 },
+  { name: 'B♭大调（2♭）', tonic: 10 },
+  { name: 'E♭大调（3♭）', tonic: 3 },
+  { name: 'A♭大调（4♭）', tonic: 8 },
+  { name: 'D♭大调（5♭）', tonic: 1 }
+];
+
+// 大调音阶各级相对主音的半音数及其顺阶三和弦（I ii iii IV V vi vii°）
+const DIATONIC_CHORDS = [
+  { degree: 0, chordType: 'major' },
+  { degree: 2, chordType: 'minor' },
+  { degree: 4, chordType: 'minor' },
+  { degree: 5, chordType: 'major' },
+  { degree: 7, chordType: 'major' },
+  { degree: 9, chordType: 'minor' },
+  { degree: 11, chordType: 'diminished' }
+];
+
+/**
+ * 单指和弦类
+ * @class
+ */
+class ChordMode {
+  /**
+   * 创建ChordMode实例
+   * @constructor
+   */
+  constructor() {
+    this.enabled = false;
+    this.chordType = DEFAULT_CHORD_TYPE;
+    this.tonic = 0; // 按调号自动时使用的大调主音（以C为0的半音数）
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('ChordMode: 单指和弦模块创建成功');
+  }
+
+  /**
+   * 获取按下琴键时实际演奏的音符
+   * @param {string} note - 按下的琴键音符名称（根音）
+   * @returns {Array<string>} 和弦各音的音符名称，未启用和弦模式时只包含按下的音符
+   */
+  getChordNotes(note) {
+    const keyNumber = parseInt(note, 10);
+    if (!this.enabled || Number.isNaN(keyNumber)) return [note];
+
+    return this.getIntervals(keyNumber).map(interval => String(keyNumber + interval));
+  }
+
+  /**
+   * 获取根音对应的和弦音程
+   * @param {number} keyNumber - 根音的音符序号
+   * @returns {Array<number>} 各音相对根音的半音数
+   */
+  getIntervals(keyNumber) {
+    if (this.chordType !== 'diatonic') {
+      return CHORD_TYPES[this.chordType].intervals;
+    }
+
+    // 根据根音在所选大调中的音级推导顺阶和弦，调外音使用大三和弦
+    const midiNote = window.AudioConfig.MIDI_CONFIG.baseNote + keyNumber - 1;
+    const degree = (((midiNote - this.tonic) % 12) + 12) % 12;
+    const diatonic = DIATONIC_CHORDS.find(item => item.degree === degree);
+    return CHORD_TYPES[diatonic ? diatonic.chordType : 'major'].intervals;
+  }
+
+  /**
+   * 启用或禁用和弦模式
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.info(`ChordMode: 单指和弦 ${enabled ? '开启' : '关闭'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置和弦类型
+   * @param {string} chordType - 和弦类型ID
+   */
+  setChordType(chordType) {
+    if (!CHORD_TYPES[chordType]) {
+      console.warn(`ChordMode: 不支持的和弦类型 ${chordType}`);
+      return;
+    }
+
+    this.chordType = chordType;
+    console.info(`ChordMode: 和弦类型设置为 ${chordType}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置调号的主音
+   * @param {number} tonic - 大调主音（以C为0的半音数，0-11）
+   */
+  setTonic(tonic) {
+    if (!KEY_SIGNATURES.some(signature => signature.tonic === tonic)) {
+      console.warn(`ChordMode: 无效的调号主音 ${tonic}`);
+      return;
+    }
+
+    this.tonic = tonic;
+    console.info(`ChordMode: 调号主音设置为 ${tonic}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 和弦模式设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      chordType: this.chordType,
+      tonic: this.tonic
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 和弦模式设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+    if (CHORD_TYPES[settings.chordType]) {
+      this.chordType = settings.chordType;
+    }
+    if (KEY_SIGNATURES.some(signature => signature.tonic === settings.tonic)) {
+      this.tonic = settings.tonic;
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和和弦类型添加到全局对象，以便其他脚本可以使用
+window.ChordMode = ChordMode;
+window.CHORD_TYPES = CHORD_TYPES;
+window.KEY_SIGNATURES = KEY_SIGNATURES;
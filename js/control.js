@@ -13,7 +13,87 @@ class UIController {
     this.audioManager = audioManager;
     this.pianoManager = pianoManager;
     this.buttonSound = new Audio('https://cdn.jsdelivr.net/gh/bruce-peng24/qingsongpiano@main/audio/button.mp3');
-    this.activeTouches = {};
+    this.activePointers = {}; // 记录按下的指针及其对应的音符，键为pointerId
+    this.transpose = 0; // 全局移调（半音），作用于所有音色、MIDI输出和琴键标签
+    this.soundingNotes = new Map(); // 记录按下的琴键及其移调后实际发音的音符
+    this.chordVoices = new Map(); // 记录按下的琴键 -> 每次按下实际演奏的和弦各音（同一琴键可由多个输入同时按住）
+    this.voiceHolds = new Map(); // 记录每个和弦音被多少个按下的琴键占用
+
+    // 电脑键盘输入模块
+    this.keyboardInput = null;
+
+    // MIDI输入模块
+    this.midiInput = null;
+
+    // MIDI输出模块
+    this.midiOutput = null;
+
+    // 触摸力度模块
+    this.touchVelocity = null;
+
+    // 踏板模块（延音、持音、弱音）
+    this.pedals = {};
+
+    // 琴键范围模块
+    this.keyRange = null;
+
+    // 调律模块（全局实例，振荡器和音频播放器共用）
+    this.tuning = null;
+
+    // 单指和弦模块
+    this.chordMode = null;
+
+    // 琶音器模块
+    this.arpeggiator = null;
+
+    // 音阶锁定模块
+    this.scaleLock = null;
+
+    // 键盘分割模块
+    this.keyboardSplit = null;
+
+    // 音色叠加模块
+    this.timbreLayers = null;
+
+    // 演奏录音模块
+    this.recorder = null;
+    this.recorderStatusTimer = null; // 录音时刷新已录时长的定时器
+    this.playbackKeys = new Set(); // 录音回放中点亮的琴键
+    this.playbackSources = []; // 录音回放排程的音频源ID，停止回放时只停止这些音符
+    this.playbackTimers = new Set(); // 录音回放中点亮和熄灭琴键的定时器
+    this.offlineRenderer = null; // 将录音离线渲染为WAV文件
+
+    // 钢琴卷帘编辑模块
+    this.pianoRollEditor = null;
+    this.pianoRollView = null;
+    this.pianoRollTimer = null; // 回放时刷新播放位置线的定时器
+
+    // 音频录制模块
+    this.audioCapture = null;
+    this.audioCaptureTimer = null; // 录制时刷新已录时长的定时器
+    this.audioCaptureBlob = null; // 预览播放器当前播放的录制结果
+    this.audioCaptureUrl = null; // 预览播放器使用的临时链接
+
+    // 循环录音模块
+    this.looper = null;
+    this.looperTimers = new Set(); // 循环播放中点亮和熄灭琴键的定时器
+    this.looperKeys = new Map(); // 循环播放中点亮的琴键 -> 正在发音的音符数
+    this.looperSources = new Set(); // 循环排程且尚未结束的音频源ID，停止时只停止这些音符
+
+    // MIDI文件播放模块
+    this.midiPlayer = null;
+    this.midiPlayerStatusTimer = null; // 播放时刷新进度的定时器
+    this.midiPlayerTimers = new Set(); // MIDI文件播放中点亮和熄灭琴键的定时器
+    this.midiPlayerKeys = new Map(); // MIDI文件播放中点亮的琴键 -> 正在发音的音符数
+    this.midiPlayerSources = []; // MIDI文件播放排程的音频源ID，暂停或跳转时只停止这些音符
+    this.isMidiSeeking = false; // 是否正在拖动播放进度条
+    this.midiPlayerFile = null; // 最近导入的MIDI文件 {name, data}，用于存入资料库
+
+    // 资料库模块
+    this.library = null;
+    this.libraryEntries = []; // 资料库条目信息，最新的在前
+    this.libraryEntryId = null; // 选中的条目ID
+    this.libraryPreviewUrl = null; // 歌曲试听使用的临时链接
 
     // 背景音乐相关属性
     this.backgroundMusic = null;
@@ -47,6 +127,25 @@ class UIController {
   init() {
     this.setupEventListeners();
     this.setupPianoKeyListeners();
+    this.setupKeyboardInput();
+    this.setupMidiInput();
+    this.setupMidiOutput();
+    this.setupTouchVelocity();
+    this.setupPedals();
+    this.setupKeyRange();
+    this.setupTranspose();
+    this.setupTuning();
+    this.setupChordMode();
+    this.setupArpeggiator();
+    this.setupScaleLock();
+    this.setupKeyboardSplit();
+    this.setupTimbreLayers();
+    this.setupPerformanceRecorder();
+    this.setupPianoRoll();
+    this.setupAudioCapture();
+    this.setupLooper();
+    this.setupMidiPlayer();
+    this.setupLibrary();
     this.loadCachedSettings();
     this.setupBackgroundMusic();
 
@@ -362,217 +461,3831 @@ class UIController {
   }
 
   /**
-   * 设置钢琴键点击事件
+   * 设置钢琴键指针事件
+   * 使用Pointer Events统一处理鼠标、触摸和触控笔输入，每次按下只产生一次发音和一次释放
    */
   setupPianoKeyListeners() {
     const pianoContainer = document.getElementById('piano-container');
     if (!pianoContainer) return;
 
-    // 使用事件委托处理钢琴键点击
-    pianoContainer.addEventListener('click', (event) => {
-      const pianoKey = event.target.closest('.piano-key');
-      if (!pianoKey) return;
+    pianoContainer.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    pianoContainer.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    pianoContainer.addEventListener('pointerup', this.handlePointerUp.bind(this));
+    pianoContainer.addEventListener('pointercancel', this.handlePointerCancel.bind(this));
 
-      const note = pianoKey.getAttribute('data-note');
-      if (!note) return;
+    // 长按琴键时不弹出系统菜单
+    pianoContainer.addEventListener('contextmenu', (e) => {
+      if (e.target.closest('.piano-key')) {
+        e.preventDefault();
+      }
+    });
+
+    console.info('UIController: 钢琴键事件监听器已设置');
+  }
+
+  /**
+   * 设置电脑键盘演奏功能
+   */
+  setupKeyboardInput() {
+    if (!window.KeyboardInput) {
+      console.warn('UIController: KeyboardInput类未找到，跳过键盘演奏设置');
+      return;
+    }
+
+    this.keyboardInput = new window.KeyboardInput(this);
+    this.keyboardInput.onSettingsChange = () => {
+      this.syncKeyboardInputControls();
+      this.cacheUserSettings();
+    };
+    this.keyboardInput.attach();
+
+    // 键盘演奏开关
+    const keyboardToggle = document.getElementById('keyboard-input-toggle');
+    if (keyboardToggle) {
+      keyboardToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.keyboardInput.setEnabled(e.target.checked);
+      });
+    }
+
+    // 键位布局选择
+    const layoutSelector = document.getElementById('keyboard-layout-selector');
+    if (layoutSelector) {
+      layoutSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.keyboardInput.setLayout(e.target.value);
+      });
+    }
+
+    // 自定义键位：选择音符后按下要绑定的按键
+    const bindNoteSelector = document.getElementById('keyboard-bind-note');
+    if (bindNoteSelector) {
+      bindNoteSelector.innerHTML = '';
+      (this.audioManager?.notes || window.AudioConfig.NOTES).forEach(note => {
+        const option = document.createElement('option');
+        option.value = note.name;
+        option.textContent = `琴键 ${note.name}`;
+        bindNoteSelector.appendChild(option);
+      });
+      bindNoteSelector.addEventListener('change', () => {
+        this.syncKeyboardInputControls();
+      });
+    }
+
+    const bindBtn = document.getElementById('keyboard-bind-btn');
+    if (bindBtn && bindNoteSelector) {
+      bindBtn.addEventListener('click', () => {
+        this.buttonSound.play();
+        const note = bindNoteSelector.value;
+        const hint = document.getElementById('keyboard-bind-hint');
+        if (hint) {
+          hint.textContent = `请按下要绑定到琴键 ${note} 的按键（Esc取消）`;
+        }
+        // 让按钮失去焦点，避免按下空格或回车时再次触发按钮
+        bindBtn.blur();
+        this.keyboardInput.startBinding(note, (code) => {
+          if (code) {
+            this.showToast(`琴键 ${note} 已绑定到按键 ${this.keyboardInput.formatKeyCode(code)}`, 2000);
+          }
+          this.syncKeyboardInputControls();
+        });
+      });
+    }
+
+    const resetBtn = document.getElementById('keyboard-reset-btn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.keyboardInput.resetCustomLayout();
+        this.showToast('键位已恢复默认', 2000);
+      });
+    }
+
+    this.syncKeyboardInputControls();
+    console.info('UIController: 电脑键盘演奏已设置');
+  }
+
+  /**
+   * 同步键盘演奏控件的显示状态
+   */
+  syncKeyboardInputControls() {
+    if (!this.keyboardInput) return;
+
+    const settings = this.keyboardInput.getSettings();
+
+    const keyboardToggle = document.getElementById('keyboard-input-toggle');
+    if (keyboardToggle) {
+      keyboardToggle.checked = settings.enabled;
+    }
+
+    const layoutSelector = document.getElementById('keyboard-layout-selector');
+    if (layoutSelector) {
+      layoutSelector.value = settings.layout;
+    }
+
+    // 显示所选音符当前绑定的按键
+    const bindNoteSelector = document.getElementById('keyboard-bind-note');
+    const hint = document.getElementById('keyboard-bind-hint');
+    if (bindNoteSelector && hint) {
+      const code = this.keyboardInput.getKeyForNote(bindNoteSelector.value);
+      hint.textContent = `当前按键：${this.keyboardInput.formatKeyCode(code)}`;
+    }
+  }
+
+  /**
+   * 设置MIDI键盘输入功能
+   */
+  setupMidiInput() {
+    if (!window.MidiInput) {
+      console.warn('UIController: MidiInput类未找到，跳过MIDI输入设置');
+      return;
+    }
+
+    this.midiInput = new window.MidiInput(this);
+    this.midiInput.onSettingsChange = () => {
+      this.syncMidiInputControls();
+      this.cacheUserSettings();
+    };
+    this.midiInput.onDevicesChange = () => {
+      this.syncMidiInputControls();
+    };
+
+    // MIDI输入开关
+    const midiToggle = document.getElementById('midi-input-toggle');
+    if (midiToggle) {
+      midiToggle.addEventListener('change', async (e) => {
+        this.buttonSound.play();
+        if (e.target.checked) {
+          const success = await this.midiInput.enable();
+          if (!success) {
+            this.showToast(this.midiInput.isSupported() ? '无法访问MIDI设备，请检查浏览器权限' : '当前浏览器不支持Web MIDI', 3000);
+            this.syncMidiInputControls();
+          }
+        } else {
+          this.midiInput.disable();
+        }
+      });
+    }
+
+    // 输入设备选择
+    const deviceSelector = document.getElementById('midi-input-device');
+    if (deviceSelector) {
+      deviceSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiInput.selectDevice(e.target.value);
+      });
+    }
+
+    // 八度偏移
+    const octaveSelector = document.getElementById('midi-input-octave');
+    if (octaveSelector) {
+      octaveSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiInput.setOctaveOffset(parseInt(e.target.value, 10));
+      });
+    }
+
+    // 半音偏移
+    const transposeSelector = document.getElementById('midi-input-transpose');
+    if (transposeSelector) {
+      transposeSelector.innerHTML = '';
+      for (let i = -12; i <= 12; i++) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = i > 0 ? `+${i}` : `${i}`;
+        transposeSelector.appendChild(option);
+      }
+      transposeSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiInput.setTranspose(parseInt(e.target.value, 10));
+      });
+    }
+
+    this.syncMidiInputControls();
+    console.info('UIController: MIDI键盘输入已设置');
+  }
+
+  /**
+   * 同步MIDI输入控件的显示状态
+   */
+  syncMidiInputControls() {
+    if (!this.midiInput) return;
+
+    const settings = this.midiInput.getSettings();
+    const devices = this.midiInput.getDevices();
+
+    const midiToggle = document.getElementById('midi-input-toggle');
+    if (midiToggle) {
+      midiToggle.checked = settings.enabled;
+      midiToggle.disabled = !this.midiInput.isSupported();
+    }
+
+    // 重建设备列表，保留已保存但当前未连接的设备选项
+    const deviceSelector = document.getElementById('midi-input-device');
+    if (deviceSelector) {
+      deviceSelector.innerHTML = '';
+      const allOption = document.createElement('option');
+      allOption.value = 'all';
+      allOption.textContent = '全部设备';
+      deviceSelector.appendChild(allOption);
+
+      devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.id;
+        option.textContent = device.name;
+        deviceSelector.appendChild(option);
+      });
+
+      if (settings.deviceId !== 'all' && !devices.some(device => device.id === settings.deviceId)) {
+        const option = document.createElement('option');
+        option.value = settings.deviceId;
+        option.textContent = '已保存的设备（未连接）';
+        deviceSelector.appendChild(option);
+      }
+
+      deviceSelector.value = settings.deviceId;
+    }
+
+    const octaveSelector = document.getElementById('midi-input-octave');
+    if (octaveSelector) {
+      octaveSelector.value = settings.octaveOffset;
+    }
+
+    const transposeSelector = document.getElementById('midi-input-transpose');
+    if (transposeSelector) {
+      transposeSelector.value = settings.transpose;
+    }
+
+    const status = document.getElementById('midi-input-status');
+    if (status) {
+      if (!this.midiInput.isSupported()) {
+        status.textContent = '当前浏览器不支持Web MIDI';
+      } else if (!settings.enabled) {
+        status.textContent = 'MIDI输入未启用';
+      } else if (devices.length === 0) {
+        status.textContent = '未检测到MIDI设备，请连接后稍候';
+      } else {
+        status.textContent = `已连接 ${devices.length} 个MIDI设备`;
+      }
+    }
+  }
+
+  /**
+   * 设置MIDI输出功能
+   */
+  setupMidiOutput() {
+    if (!window.MidiOutput) {
+      console.warn('UIController: MidiOutput类未找到，跳过MIDI输出设置');
+      return;
+    }
+
+    this.midiOutput = new window.MidiOutput();
+    this.midiOutput.onSettingsChange = () => {
+      this.syncMidiOutputControls();
+      this.cacheUserSettings();
+    };
+    this.midiOutput.onDevicesChange = () => {
+      this.syncMidiOutputControls();
+    };
+
+    // MIDI输出开关
+    const outputToggle = document.getElementById('midi-output-toggle');
+    if (outputToggle) {
+      outputToggle.addEventListener('change', async (e) => {
+        this.buttonSound.play();
+        if (e.target.checked) {
+          const success = await this.midiOutput.enable();
+          if (!success) {
+            this.showToast(this.midiOutput.isSupported() ? '无法访问MIDI设备，请检查浏览器权限' : '当前浏览器不支持Web MIDI', 3000);
+            this.syncMidiOutputControls();
+          }
+        } else {
+          this.midiOutput.disable();
+        }
+      });
+    }
+
+    // 输出端口选择
+    const portSelector = document.getElementById('midi-output-port');
+    if (portSelector) {
+      portSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiOutput.selectPort(e.target.value);
+      });
+    }
+
+    // MIDI通道选择
+    const channelSelector = document.getElementById('midi-output-channel');
+    if (channelSelector) {
+      channelSelector.innerHTML = '';
+      for (let i = 1; i <= 16; i++) {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `通道 ${i}`;
+        channelSelector.appendChild(option);
+      }
+      channelSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiOutput.setChannel(parseInt(e.target.value, 10));
+      });
+    }
+
+    // 静音内置音源
+    const muteToggle = document.getElementById('midi-output-mute-toggle');
+    if (muteToggle) {
+      muteToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiOutput.setMuteInternal(e.target.checked);
+      });
+    }
+
+    this.syncMidiOutputControls();
+    console.info('UIController: MIDI输出已设置');
+  }
+
+  /**
+   * 同步MIDI输出控件的显示状态
+   */
+  syncMidiOutputControls() {
+    if (!this.midiOutput) return;
+
+    const settings = this.midiOutput.getSettings();
+    const devices = this.midiOutput.getDevices();
+
+    const outputToggle = document.getElementById('midi-output-toggle');
+    if (outputToggle) {
+      outputToggle.checked = settings.enabled;
+      outputToggle.disabled = !this.midiOutput.isSupported();
+    }
+
+    // 重建端口列表，保留已保存但当前未连接的端口选项
+    const portSelector = document.getElementById('midi-output-port');
+    if (portSelector) {
+      portSelector.innerHTML = '';
+
+      if (devices.length === 0 && !settings.portId) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = '无可用端口';
+        portSelector.appendChild(option);
+      }
+
+      devices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.id;
+        option.textContent = device.name;
+        portSelector.appendChild(option);
+      });
+
+      if (settings.portId && !devices.some(device => device.id === settings.portId)) {
+        const option = document.createElement('option');
+        option.value = settings.portId;
+        option.textContent = '已保存的端口（未连接）';
+        portSelector.appendChild(option);
+      }
+
+      portSelector.value = settings.portId || '';
+    }
+
+    const channelSelector = document.getElementById('midi-output-channel');
+    if (channelSelector) {
+      channelSelector.value = settings.channel;
+    }
+
+    const muteToggle = document.getElementById('midi-output-mute-toggle');
+    if (muteToggle) {
+      muteToggle.checked = settings.muteInternal;
+    }
+
+    const status = document.getElementById('midi-output-status');
+    if (status) {
+      if (!this.midiOutput.isSupported()) {
+        status.textContent = '当前浏览器不支持Web MIDI';
+      } else if (!settings.enabled) {
+        status.textContent = 'MIDI输出未启用';
+      } else if (!this.midiOutput.getOutputPort()) {
+        status.textContent = '未连接输出端口';
+      } else {
+        status.textContent = `正在输出到通道 ${settings.channel}`;
+      }
+    }
+  }
+
+  /**
+   * 设置触摸力度功能
+   */
+  setupTouchVelocity() {
+    if (!window.TouchVelocity) {
+      console.warn('UIController: TouchVelocity类未找到，跳过触摸力度设置');
+      return;
+    }
+
+    this.touchVelocity = new window.TouchVelocity();
+    this.touchVelocity.onSettingsChange = () => {
+      this.syncTouchVelocityControls();
+      this.cacheUserSettings();
+    };
+
+    // 力度曲线选择
+    const curveSelector = document.getElementById('velocity-curve-selector');
+    if (curveSelector) {
+      curveSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.touchVelocity.setCurve(e.target.value);
+      });
+    }
+
+    // 鼠标点击按位置计算力度
+    const mousePositionToggle = document.getElementById('velocity-mouse-position-toggle');
+    if (mousePositionToggle) {
+      mousePositionToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.touchVelocity.setMousePosition(e.target.checked);
+      });
+    }
+
+    this.syncTouchVelocityControls();
+    console.info('UIController: 触摸力度已设置');
+  }
+
+  /**
+   * 同步触摸力度控件的显示状态
+   */
+  syncTouchVelocityControls() {
+    if (!this.touchVelocity) return;
+
+    const curveSelector = document.getElementById('velocity-curve-selector');
+    if (curveSelector) {
+      curveSelector.value = this.touchVelocity.getSettings().curve;
+    }
+
+    const mousePositionToggle = document.getElementById('velocity-mouse-position-toggle');
+    if (mousePositionToggle) {
+      mousePositionToggle.checked = this.touchVelocity.mousePosition;
+    }
+  }
+
+  /**
+   * 设置踏板功能
+   * 延音踏板可用空格键控制，三个踏板都可用屏幕按钮和MIDI控制器控制
+   */
+  setupPedals() {
+    if (!window.PianoPedal) {
+      console.warn('UIController: PianoPedal类未找到，跳过踏板设置');
+      return;
+    }
+
+    const pedalKeys = { sustain: 'Space' };
+    Object.keys(window.PIANO_PEDALS).forEach(type => {
+      const pedal = new window.PianoPedal(this, type, { keyCode: pedalKeys[type] });
+      pedal.attach(document.getElementById(`${type}-pedal-btn`));
+      this.pedals[type] = pedal;
+    });
+
+    console.info('UIController: 踏板已设置');
+  }
+
+  /**
+   * 设置琴键范围功能
+   * 包括音域选择、八度移动和琴键缩放
+   */
+  setupKeyRange() {
+    if (!window.KeyRange) {
+      console.warn('UIController: KeyRange类未找到，跳过琴键范围设置');
+      return;
+    }
+
+    this.keyRange = new window.KeyRange();
+    this.keyRange.onRangeChange = (notes) => {
+      this.applyKeyRange(notes);
+    };
+    this.keyRange.onZoomChange = (zoom) => {
+      if (this.pianoManager && typeof this.pianoManager.setZoom === 'function') {
+        this.pianoManager.setZoom(zoom);
+      }
+    };
+    this.keyRange.onSettingsChange = () => {
+      this.syncKeyRangeControls();
+      this.cacheUserSettings();
+    };
+
+    // 音域选择
+    const rangeSelector = document.getElementById('key-range-selector');
+    if (rangeSelector) {
+      rangeSelector.innerHTML = '';
+      Object.keys(window.KEY_RANGES).forEach(rangeId => {
+        const option = document.createElement('option');
+        option.value = rangeId;
+        option.textContent = window.KEY_RANGES[rangeId].name;
+        rangeSelector.appendChild(option);
+      });
+      rangeSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.keyRange.setRange(e.target.value);
+      });
+    }
+
+    // 八度移动：控制面板和钢琴上各有一组按钮
+    [['key-range-octave-down', -1], ['key-range-octave-up', 1], ['octave-down-btn', -1], ['octave-up-btn', 1]].forEach(([id, delta]) => {
+      const button = document.getElementById(id);
+      if (!button) return;
+
+      // 阻止事件冒泡到钢琴容器，避免按下按钮时触发琴键
+      button.addEventListener('pointerdown', (e) => e.stopPropagation());
+      button.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.keyRange.shiftOctave(delta);
+      });
+    });
+
+    // 琴键缩放
+    const zoomSlider = document.getElementById('key-zoom');
+    if (zoomSlider) {
+      zoomSlider.addEventListener('input', (e) => {
+        this.keyRange.setZoom(parseInt(e.target.value, 10) / 100);
+      });
+    }
+
+    this.syncKeyRangeControls();
+    console.info('UIController: 琴键范围已设置');
+  }
+
+  /**
+   * 同步琴键范围控件的显示状态
+   */
+  syncKeyRangeControls() {
+    if (!this.keyRange) return;
+
+    const settings = this.keyRange.getSettings();
+    const limits = this.keyRange.getShiftLimits();
+    const shiftText = settings.octaveShift > 0 ? `+${settings.octaveShift}` : String(settings.octaveShift);
+
+    const rangeSelector = document.getElementById('key-range-selector');
+    if (rangeSelector) {
+      rangeSelector.value = settings.range;
+    }
+
+    ['key-range-octave-down', 'octave-down-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = settings.octaveShift <= limits.min;
+    });
+    ['key-range-octave-up', 'octave-up-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = settings.octaveShift >= limits.max;
+    });
+
+    const badge = document.getElementById('octave-shift-badge');
+    if (badge) {
+      badge.textContent = shiftText;
+    }
+
+    const status = document.getElementById('key-range-status');
+    if (status) {
+      const notes = this.keyRange.getNotes();
+      status.textContent = `八度移动 ${shiftText}，共 ${notes.length} 个琴键（琴键 ${notes[0].name} 至 ${notes[notes.length - 1].name}）`;
+    }
+
+    const zoomSlider = document.getElementById('key-zoom');
+    if (zoomSlider) {
+      zoomSlider.value = Math.round(settings.zoom * 100);
+    }
+  }
+
+  /**
+   * 应用新的音域：释放正在演奏的音符，更新音符定义并重建琴键
+   * @param {Array<{name: string, type: string}>} notes - 新音域的音符定义
+   */
+  applyKeyRange(notes) {
+    // 音域变化后原琴键不再存在，先释放所有按住的音符，避免音符卡住
+    this.releaseAllInputs();
+    if (this.keyboardInput) {
+      this.keyboardInput.setNoteOffset(this.keyRange.octaveShift * 12);
+    }
+
+    if (this.audioManager) {
+      this.audioManager.notes = notes;
+    }
+
+    if (this.pianoManager) {
+      this.pianoManager.initPianoKeys();
+    }
+
+    // 自定义键位的音符选项随音域更新
+    const bindNoteSelector = document.getElementById('keyboard-bind-note');
+    if (bindNoteSelector) {
+      const selected = bindNoteSelector.value;
+      bindNoteSelector.innerHTML = '';
+      notes.forEach(note => {
+        const option = document.createElement('option');
+        option.value = note.name;
+        option.textContent = `琴键 ${note.name}`;
+        bindNoteSelector.appendChild(option);
+      });
+      if (notes.some(note => note.name === selected)) {
+        bindNoteSelector.value = selected;
+      }
+      this.syncKeyboardInputControls();
+    }
+
+    // 键盘分割点的选项随音域更新
+    this.updateSplitNoteOptions();
+
+    // MIDI文件播放的音符按新音域折叠
+    this.updateMidiPlayerRange();
+
+    console.info(`UIController: 音域已更新，共 ${notes.length} 个琴键`);
+  }
+
+  /**
+   * 设置全局移调功能
+   */
+  setupTranspose() {
+    const transposeSelector = document.getElementById('transpose-selector');
+    if (!transposeSelector) return;
+
+    // 生成 -12 到 +12 的半音选项
+    transposeSelector.innerHTML = '';
+    for (let i = -12; i <= 12; i++) {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = i > 0 ? `+${i}` : String(i);
+      transposeSelector.appendChild(option);
+    }
+
+    transposeSelector.addEventListener('change', (e) => {
+      this.buttonSound.play();
+      this.setTranspose(parseInt(e.target.value, 10));
+    });
+
+    const resetBtn = document.getElementById('transpose-reset-btn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.setTranspose(0);
+      });
+    }
+
+    this.syncTransposeControls();
+    console.info('UIController: 移调已设置');
+  }
+
+  /**
+   * 设置全局移调并保存
+   * @param {number} semitones - 移调半音数 (-12 到 12)
+   */
+  setTranspose(semitones) {
+    if (!this.applyTranspose(semitones)) return;
+    this.cacheUserSettings();
+  }
+
+  /**
+   * 应用全局移调
+   * @param {number} semitones - 移调半音数 (-12 到 12)
+   * @returns {boolean} 是否应用成功
+   */
+  applyTranspose(semitones) {
+    if (!Number.isInteger(semitones) || semitones < -12 || semitones > 12) {
+      console.warn(`UIController: 无效的移调 ${semitones}`);
+      return false;
+    }
+
+    // 先按原移调释放按住的音符，避免音符卡住
+    this.releaseAllInputs();
+    this.transpose = semitones;
+
+    if (this.pianoManager && typeof this.pianoManager.setLabelOffset === 'function') {
+      this.pianoManager.setLabelOffset(semitones);
+    }
+
+    // 音阶按实际发音的音高计算，移调后重新标暗琴键
+    if (this.scaleLock) {
+      this.scaleLock.setPitchOffset(semitones);
+      this.applyScaleHighlight();
+    }
+
+    // 分割点按琴键计算，不随移调移动
+    if (this.keyboardSplit) {
+      this.keyboardSplit.setPitchOffset(semitones);
+    }
+
+    // MIDI文件播放的音符按实际发音的音高折叠，移调后重新计算
+    this.updateMidiPlayerRange();
+
+    this.syncTransposeControls();
+    console.info(`UIController: 移调设置为 ${semitones} 个半音`);
+    return true;
+  }
+
+  /**
+   * 同步移调控件的显示状态
+   */
+  syncTransposeControls() {
+    const transposeText = this.transpose > 0 ? `+${this.transpose}` : String(this.transpose);
+
+    const transposeSelector = document.getElementById('transpose-selector');
+    if (transposeSelector) {
+      transposeSelector.value = String(this.transpose);
+    }
+
+    const status = document.getElementById('transpose-status');
+    if (status) {
+      status.textContent = this.transpose === 0 ? '当前未移调' : `当前移调 ${transposeText} 个半音`;
+    }
+  }
+
+  /**
+   * 设置调律功能
+   * 包括标准音高、律制和律制主音
+   */
+  setupTuning() {
+    if (!window.pianoTuning) {
+      console.warn('UIController: 调律模块未找到，跳过调律设置');
+      return;
+    }
+
+    this.tuning = window.pianoTuning;
+    this.tuning.onSettingsChange = () => {
+      this.syncTuningControls();
+      this.cacheUserSettings();
+    };
+
+    // 标准音高
+    const pitchInput = document.getElementById('tuning-reference-pitch');
+    if (pitchInput) {
+      const { minReferencePitch, maxReferencePitch } = window.AudioConfig.TUNING_CONFIG;
+      pitchInput.min = minReferencePitch;
+      pitchInput.max = maxReferencePitch;
+      pitchInput.addEventListener('change', (e) => {
+        const pitch = parseFloat(e.target.value);
+        this.tuning.setReferencePitch(pitch);
+        // 输入超出范围时恢复为当前值
+        this.syncTuningControls();
+      });
+    }
+
+    // 律制选择
+    const temperamentSelector = document.getElementById('tuning-temperament-selector');
+    if (temperamentSelector) {
+      temperamentSelector.innerHTML = '';
+      Object.keys(window.TEMPERAMENTS).forEach(temperamentId => {
+        const option = document.createElement('option');
+        option.value = temperamentId;
+        option.textContent = window.TEMPERAMENTS[temperamentId].name;
+        temperamentSelector.appendChild(option);
+      });
+      temperamentSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.tuning.setTemperament(e.target.value);
+      });
+    }
+
+    // 律制主音
+    const keySelector = document.getElementById('tuning-key-selector');
+    if (keySelector) {
+      keySelector.innerHTML = '';
+      window.TUNING_KEY_NAMES.forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = name;
+        keySelector.appendChild(option);
+      });
+      keySelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.tuning.setKey(parseInt(e.target.value, 10));
+      });
+    }
+
+    // Scala调律文件导入
+    const scalaInput = document.getElementById('scala-file-input');
+    const scalaImportBtn = document.getElementById('scala-import-btn');
+    if (scalaInput && scalaImportBtn) {
+      scalaImportBtn.addEventListener('click', () => {
+        this.buttonSound.play();
+        scalaInput.click();
+      });
+      scalaInput.addEventListener('change', async (e) => {
+        await this.importScalaFiles(Array.from(e.target.files || []));
+        // 清空选择，允许再次导入同名文件
+        scalaInput.value = '';
+      });
+    }
+
+    const scalaClearBtn = document.getElementById('scala-clear-btn');
+    if (scalaClearBtn) {
+      scalaClearBtn.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.tuning.clearScala();
+        this.showToast('已恢复律制设置', 2000);
+      });
+    }
+
+    this.syncTuningControls();
+    console.info('UIController: 调律已设置');
+  }
+
+  /**
+   * 导入Scala调律文件
+   * 可同时选择一个 .scl 音阶文件和一个可选的 .kbm 键盘映射文件；
+   * 只选择 .kbm 文件时，将其应用到已导入的音阶
+   * @param {Array<File>} files - 选择的文件
+   */
+  async importScalaFiles(files) {
+    if (!this.tuning || files.length === 0) return;
+
+    const sclFile = files.find(file => /\.scl$/i.test(file.name));
+    const kbmFile = files.find(file => /\.kbm$/i.test(file.name));
+
+    try {
+      if (!sclFile && !kbmFile) {
+        throw new Error('请选择 .scl 音阶文件，可同时选择 .kbm 键盘映射文件');
+      }
+      if (!sclFile && !this.tuning.scala) {
+        throw new Error('请先导入 .scl 音阶文件，或与 .kbm 文件一起选择');
+      }
+
+      const scale = sclFile
+        ? this.parseScalaFile(sclFile.name, await sclFile.text(), window.ScalaParser.parseScl)
+        : this.tuning.scala.scale;
+      const mapping = kbmFile
+        ? this.parseScalaFile(kbmFile.name, await kbmFile.text(), window.ScalaParser.parseKbm)
+        : (sclFile ? null : this.tuning.scala.mapping);
+      const name = sclFile ? sclFile.name : this.tuning.scala.name;
+
+      this.tuning.setScala(name, scale, mapping);
+      this.showToast(`已导入Scala调律：${scale.description || name}`, 2000);
+    } catch (error) {
+      console.warn('UIController: Scala调律文件导入失败', error);
+      this.showToast(`Scala调律导入失败：${error.message}`, 4000);
+    }
+  }
+
+  /**
+   * 解析Scala文件，错误信息中附带文件名
+   * @param {string} fileName - 文件名
+   * @param {string} text - 文件内容
+   * @param {Function} parser - 解析函数
+   * @returns {Object} 解析结果
+   */
+  parseScalaFile(fileName, text, parser) {
+    try {
+      return parser(text);
+    } catch (error) {
+      throw new Error(`${fileName} ${error.message}`);
+    }
+  }
+
+  /**
+   * 同步调律控件的显示状态
+   */
+  syncTuningControls() {
+    if (!this.tuning) return;
+
+    const settings = this.tuning.getSettings();
+
+    const pitchInput = document.getElementById('tuning-reference-pitch');
+    if (pitchInput) {
+      pitchInput.value = settings.referencePitch;
+    }
+
+    const temperamentSelector = document.getElementById('tuning-temperament-selector');
+    if (temperamentSelector) {
+      temperamentSelector.value = settings.temperament;
+    }
+
+    // 十二平均律各调相同，不需要选择主音
+    const keySelector = document.getElementById('tuning-key-selector');
+    if (keySelector) {
+      keySelector.value = String(settings.key);
+      keySelector.disabled = settings.temperament === 'equal';
+    }
+
+    const status = document.getElementById('tuning-status');
+    if (status) {
+      const temperamentName = window.TEMPERAMENTS[settings.temperament].name;
+      const keyText = settings.temperament === 'equal' ? '' : `（主音 ${window.TUNING_KEY_NAMES[settings.key]}）`;
+      status.textContent = `A4=${settings.referencePitch}Hz，${temperamentName}${keyText}`;
+    }
+
+    // 导入的Scala调律优先于律制设置
+    const scalaStatus = document.getElementById('scala-status');
+    if (scalaStatus) {
+      if (settings.scala) {
+        const mappingText = settings.scala.mapping ? '，使用导入的键盘映射' : '';
+        scalaStatus.textContent = `当前使用 ${settings.scala.name}（${settings.scala.scale.cents.length} 音${mappingText}），律制设置暂不生效`;
+      } else {
+        scalaStatus.textContent = '未导入Scala调律';
+      }
+    }
+
+    const scalaClearBtn = document.getElementById('scala-clear-btn');
+    if (scalaClearBtn) {
+      scalaClearBtn.disabled = !settings.scala;
+    }
+  }
+
+  /**
+   * 设置单指和弦功能
+   * 所有输入方式都经过 playNote/releaseNote，因此触摸、鼠标、电脑键盘和MIDI输入均可触发和弦
+   */
+  setupChordMode() {
+    if (!window.ChordMode) {
+      console.warn('UIController: ChordMode类未找到，跳过单指和弦设置');
+      return;
+    }
+
+    this.chordMode = new window.ChordMode();
+    this.chordMode.onSettingsChange = () => {
+      this.syncChordModeControls();
+      this.cacheUserSettings();
+    };
+
+    const chordToggle = document.getElementById('chord-mode-toggle');
+    if (chordToggle) {
+      chordToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.chordMode.setEnabled(e.target.checked);
+      });
+    }
+
+    const typeSelector = document.getElementById('chord-type-selector');
+    if (typeSelector) {
+      typeSelector.innerHTML = '';
+      Object.keys(window.CHORD_TYPES).forEach(chordType => {
+        const option = document.createElement('option');
+        option.value = chordType;
+        option.textContent = window.CHORD_TYPES[chordType].name;
+        typeSelector.appendChild(option);
+      });
+
+      typeSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.chordMode.setChordType(e.target.value);
+      });
+    }
+
+    const keySelector = document.getElementById('chord-key-selector');
+    if (keySelector) {
+      keySelector.innerHTML = '';
+      window.KEY_SIGNATURES.forEach(signature => {
+        const option = document.createElement('option');
+        option.value = String(signature.tonic);
+        option.textContent = signature.name;
+        keySelector.appendChild(option);
+      });
+
+      keySelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.chordMode.setTonic(parseInt(e.target.value, 10));
+      });
+    }
+
+    this.syncChordModeControls();
+    console.info('UIController: 单指和弦已设置');
+  }
+
+  /**
+   * 同步单指和弦控件的显示状态
+   */
+  syncChordModeControls() {
+    if (!this.chordMode) return;
+
+    const settings = this.chordMode.getSettings();
+
+    const chordToggle = document.getElementById('chord-mode-toggle');
+    if (chordToggle) {
+      chordToggle.checked = settings.enabled;
+    }
+
+    const typeSelector = document.getElementById('chord-type-selector');
+    if (typeSelector) {
+      typeSelector.value = settings.chordType;
+    }
+
+    // 只有按调号自动选择和弦时才需要调号
+    const keySelector = document.getElementById('chord-key-selector');
+    if (keySelector) {
+      keySelector.value = String(settings.tonic);
+      keySelector.disabled = settings.chordType !== 'diatonic';
+    }
+
+    const status = document.getElementById('chord-mode-status');
+    if (status) {
+      if (!settings.enabled) {
+        status.textContent = '单指和弦已关闭';
+      } else if (settings.chordType === 'diatonic') {
+        const signature = window.KEY_SIGNATURES.find(item => item.tonic === settings.tonic);
+        status.textContent = `按下琴键演奏${signature.name}中以该音为根音的顺阶和弦`;
+      } else {
+        status.textContent = `按下琴键演奏以该音为根音的${window.CHORD_TYPES[settings.chordType].name}`;
+      }
+    }
+  }
+
+  /**
+   * 设置琶音器功能
+   * 包括琶音顺序、速度、时值、八度范围和音符时长
+   */
+  setupArpeggiator() {
+    if (!window.Arpeggiator) {
+      console.warn('UIController: Arpeggiator类未找到，跳过琶音器设置');
+      return;
+    }
+
+    this.arpeggiator = new window.Arpeggiator(() => this.audioManager.contextManager.getContext());
+    this.arpeggiator.onStep = (note, velocity, startTime, duration) => {
+      this.playArpeggioStep(note, velocity, startTime, duration);
+    };
+    this.arpeggiator.onSettingsChange = () => {
+      this.syncArpeggiatorControls();
+      this.cacheUserSettings();
+    };
+
+    const arpToggle = document.getElementById('arp-toggle');
+    if (arpToggle) {
+      arpToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        // 先释放按住的琴键，避免开关前后的音符卡住
+        this.releaseAllInputs();
+        this.arpeggiator.setEnabled(e.target.checked);
+      });
+    }
+
+    const patternSelector = document.getElementById('arp-pattern-selector');
+    if (patternSelector) {
+      patternSelector.innerHTML = '';
+      Object.keys(window.ARP_PATTERNS).forEach(patternId => {
+        const option = document.createElement('option');
+        option.value = patternId;
+        option.textContent = window.ARP_PATTERNS[patternId].name;
+        patternSelector.appendChild(option);
+      });
+
+      patternSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.arpeggiator.setPattern(e.target.value);
+      });
+    }
+
+    const tempoInput = document.getElementById('arp-tempo');
+    if (tempoInput) {
+      tempoInput.min = window.ARP_CONFIG.minTempo;
+      tempoInput.max = window.ARP_CONFIG.maxTempo;
+      tempoInput.addEventListener('change', (e) => {
+        this.arpeggiator.setTempo(parseFloat(e.target.value));
+        // 无效输入时恢复为当前速度
+        this.syncArpeggiatorControls();
+      });
+    }
+
+    const subdivisionSelector = document.getElementById('arp-subdivision-selector');
+    if (subdivisionSelector) {
+      subdivisionSelector.innerHTML = '';
+      Object.keys(window.ARP_SUBDIVISIONS).forEach(subdivisionId => {
+        const option = document.createElement('option');
+        option.value = subdivisionId;
+        option.textContent = window.ARP_SUBDIVISIONS[subdivisionId].name;
+        subdivisionSelector.appendChild(option);
+      });
+
+      subdivisionSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.arpeggiator.setSubdivision(e.target.value);
+      });
+    }
+
+    const octavesSelector = document.getElementById('arp-octaves-selector');
+    if (octavesSelector) {
+      octavesSelector.innerHTML = '';
+      for (let i = 1; i <= window.ARP_CONFIG.maxOctaves; i++) {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = `${i} 个八度`;
+        octavesSelector.appendChild(option);
+      }
+
+      octavesSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.arpeggiator.setOctaves(parseInt(e.target.value, 10));
+      });
+    }
+
+    const gateSlider = document.getElementById('arp-gate');
+    if (gateSlider) {
+      gateSlider.addEventListener('input', (e) => {
+        this.arpeggiator.setGate(parseInt(e.target.value, 10) / 100);
+      });
+    }
+
+    this.syncArpeggiatorControls();
+    console.info('UIController: 琶音器已设置');
+  }
+
+  /**
+   * 同步琶音器控件的显示状态
+   */
+  syncArpeggiatorControls() {
+    if (!this.arpeggiator) return;
+
+    const settings = this.arpeggiator.getSettings();
+
+    const arpToggle = document.getElementById('arp-toggle');
+    if (arpToggle) {
+      arpToggle.checked = settings.enabled;
+    }
+
+    const patternSelector = document.getElementById('arp-pattern-selector');
+    if (patternSelector) {
+      patternSelector.value = settings.pattern;
+    }
+
+    const tempoInput = document.getElementById('arp-tempo');
+    if (tempoInput) {
+      tempoInput.value = settings.tempo;
+    }
+
+    const subdivisionSelector = document.getElementById('arp-subdivision-selector');
+    if (subdivisionSelector) {
+      subdivisionSelector.value = settings.subdivision;
+    }
+
+    const octavesSelector = document.getElementById('arp-octaves-selector');
+    if (octavesSelector) {
+      octavesSelector.value = String(settings.octaves);
+    }
+
+    const gateSlider = document.getElementById('arp-gate');
+    if (gateSlider) {
+      gateSlider.value = Math.round(settings.gate * 100);
+    }
+
+    const status = document.getElementById('arp-status');
+    if (status) {
+      status.textContent = settings.enabled
+        ? `${window.ARP_PATTERNS[settings.pattern].name}，${settings.tempo} BPM ${window.ARP_SUBDIVISIONS[settings.subdivision].name}，音符时长 ${Math.round(settings.gate * 100)}%`
+        : '琶音器已关闭';
+    }
+  }
+
+  /**
+   * 设置音阶锁定功能
+   * 包括音阶、主音和调外音的处理方式
+   */
+  setupScaleLock() {
+    if (!window.ScaleLock) {
+      console.warn('UIController: ScaleLock类未找到，跳过音阶锁定设置');
+      return;
+    }
+
+    this.scaleLock = new window.ScaleLock();
+    this.scaleLock.setPitchOffset(this.transpose);
+    this.scaleLock.onSettingsChange = () => {
+      this.applyScaleHighlight();
+      this.syncScaleLockControls();
+      this.cacheUserSettings();
+    };
+
+    const scaleSelector = document.getElementById('scale-selector');
+    if (scaleSelector) {
+      scaleSelector.innerHTML = '';
+      Object.keys(window.SCALES).forEach(scaleId => {
+        const option = document.createElement('option');
+        option.value = scaleId;
+        option.textContent = window.SCALES[scaleId].name;
+        scaleSelector.appendChild(option);
+      });
+
+      scaleSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.scaleLock.setScale(e.target.value);
+      });
+    }
+
+    const rootSelector = document.getElementById('scale-root-selector');
+    if (rootSelector) {
+      rootSelector.innerHTML = '';
+      window.TUNING_KEY_NAMES.forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = name;
+        rootSelector.appendChild(option);
+      });
+
+      rootSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.scaleLock.setRoot(parseInt(e.target.value, 10));
+      });
+    }
+
+    const modeSelector = document.getElementById('scale-out-of-scale-selector');
+    if (modeSelector) {
+      modeSelector.innerHTML = '';
+      Object.keys(window.OUT_OF_SCALE_MODES).forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = window.OUT_OF_SCALE_MODES[mode].name;
+        modeSelector.appendChild(option);
+      });
+
+      modeSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.scaleLock.setOutOfScaleMode(e.target.value);
+      });
+    }
+
+    this.applyScaleHighlight();
+    this.syncScaleLockControls();
+    console.info('UIController: 音阶锁定已设置');
+  }
+
+  /**
+   * 按当前音阶标暗琴键
+   */
+  applyScaleHighlight() {
+    if (!this.scaleLock || !this.pianoManager || typeof this.pianoManager.setScaleFilter !== 'function') return;
+
+    this.pianoManager.setScaleFilter(this.scaleLock.isActive() ? note => this.scaleLock.containsNote(note) : null);
+  }
+
+  /**
+   * 同步音阶锁定控件的显示状态
+   */
+  syncScaleLockControls() {
+    if (!this.scaleLock) return;
+
+    const settings = this.scaleLock.getSettings();
+    const isActive = this.scaleLock.isActive();
+
+    const scaleSelector = document.getElementById('scale-selector');
+    if (scaleSelector) {
+      scaleSelector.value = settings.scale;
+    }
+
+    const rootSelector = document.getElementById('scale-root-selector');
+    if (rootSelector) {
+      rootSelector.value = String(settings.root);
+      rootSelector.disabled = !isActive;
+    }
+
+    const modeSelector = document.getElementById('scale-out-of-scale-selector');
+    if (modeSelector) {
+      modeSelector.value = settings.outOfScale;
+      modeSelector.disabled = !isActive;
+    }
+
+    const status = document.getElementById('scale-status');
+    if (status) {
+      status.textContent = isActive
+        ? `${window.TUNING_KEY_NAMES[settings.root]} ${window.SCALES[settings.scale].name}，调外音${window.OUT_OF_SCALE_MODES[settings.outOfScale].name}`
+        : '未选择音阶，所有琴键均可演奏';
+    }
+  }
+
+  /**
+   * 设置键盘分割功能
+   * 分割点以下和以上的琴键分别使用各自的音色、波形、音量和移调
+   */
+  setupKeyboardSplit() {
+    if (!window.KeyboardSplit) {
+      console.warn('UIController: KeyboardSplit类未找到，跳过键盘分割设置');
+      return;
+    }
+
+    this.keyboardSplit = new window.KeyboardSplit();
+    this.keyboardSplit.setPitchOffset(this.transpose);
+    this.keyboardSplit.onSettingsChange = () => {
+      // 音区变化后原音符的声部可能改变，先释放按住的音符
+      this.releaseAllInputs();
+      this.applyKeyboardSplit();
+      this.syncKeyboardSplitControls();
+      this.cacheUserSettings();
+    };
+    if (this.audioManager && typeof this.audioManager.setKeyboardSplit === 'function') {
+      this.audioManager.setKeyboardSplit(this.keyboardSplit);
+    }
+
+    const splitToggle = document.getElementById('split-toggle');
+    if (splitToggle) {
+      splitToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.keyboardSplit.setEnabled(e.target.checked);
+      });
+    }
+
+    const splitNoteSelector = document.getElementById('split-note-selector');
+    if (splitNoteSelector) {
+      splitNoteSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.keyboardSplit.setSplitNote(e.target.value);
+      });
+    }
+    this.updateSplitNoteOptions();
+
+    // 各音区的音色、波形、音量和移调
+    Object.keys(window.SPLIT_ZONES).forEach(zoneId => {
+      const timbreSelector = document.getElementById(`split-${zoneId}-timbre`);
+      if (timbreSelector) {
+        timbreSelector.innerHTML = '';
+        Object.keys(window.SPLIT_TIMBRES).forEach(timbre => {
+          const option = document.createElement('option');
+          option.value = timbre;
+          option.textContent = window.SPLIT_TIMBRES[timbre].name;
+          timbreSelector.appendChild(option);
+        });
+
+        timbreSelector.addEventListener('change', (e) => {
+          this.buttonSound.play();
+          this.keyboardSplit.setZoneOption(zoneId, 'timbre', e.target.value);
+        });
+      }
+
+      const waveformSelector = document.getElementById(`split-${zoneId}-waveform`);
+      if (waveformSelector) {
+        waveformSelector.innerHTML = '';
+        window.SPLIT_WAVEFORMS.forEach(waveform => {
+          const option = document.createElement('option');
+          option.value = waveform;
+          option.textContent = this.getWaveformDisplayName(waveform);
+          waveformSelector.appendChild(option);
+        });
+
+        waveformSelector.addEventListener('change', (e) => {
+          this.buttonSound.play();
+          this.keyboardSplit.setZoneOption(zoneId, 'waveform', e.target.value);
+        });
+      }
+
+      const volumeSlider = document.getElementById(`split-${zoneId}-volume`);
+      if (volumeSlider) {
+        volumeSlider.addEventListener('change', (e) => {
+          this.keyboardSplit.setZoneOption(zoneId, 'volume', parseInt(e.target.value, 10) / 100);
+        });
+      }
+
+      const transposeSelector = document.getElementById(`split-${zoneId}-transpose`);
+      if (transposeSelector) {
+        transposeSelector.innerHTML = '';
+        const limit = window.SPLIT_TRANSPOSE_LIMIT;
+        for (let i = -limit; i <= limit; i++) {
+          const option = document.createElement('option');
+          option.value = String(i);
+          option.textContent = i > 0 ? `+${i}` : String(i);
+          transposeSelector.appendChild(option);
+        }
+
+        transposeSelector.addEventListener('change', (e) => {
+          this.buttonSound.play();
+          this.keyboardSplit.setZoneOption(zoneId, 'transpose', parseInt(e.target.value, 10));
+        });
+      }
+    });
+
+    this.applyKeyboardSplit();
+    this.syncKeyboardSplitControls();
+    console.info('UIController: 键盘分割已设置');
+  }
+
+  /**
+   * 更新键盘分割点的选项
+   * 选项为当前音域的琴键，已保存的分割点不在音域内时也保留
+   */
+  updateSplitNoteOptions() {
+    const splitNoteSelector = document.getElementById('split-note-selector');
+    if (!splitNoteSelector || !this.keyboardSplit || !this.audioManager) return;
+
+    const noteNames = this.audioManager.notes.map(note => note.name);
+    if (!noteNames.includes(this.keyboardSplit.splitNote)) {
+      noteNames.push(this.keyboardSplit.splitNote);
+      noteNames.sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+    }
+
+    splitNoteSelector.innerHTML = '';
+    noteNames.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = `琴键 ${name}`;
+      splitNoteSelector.appendChild(option);
+    });
+    splitNoteSelector.value = this.keyboardSplit.splitNote;
+  }
+
+  /**
+   * 在琴键上显示键盘分割点
+   */
+  applyKeyboardSplit() {
+    if (!this.keyboardSplit || !this.pianoManager || typeof this.pianoManager.setSplitNote !== 'function') return;
+
+    this.pianoManager.setSplitNote(this.keyboardSplit.enabled ? this.keyboardSplit.splitNote : null);
+  }
+
+  /**
+   * 同步键盘分割控件的显示状态
+   */
+  syncKeyboardSplitControls() {
+    if (!this.keyboardSplit) return;
+
+    const settings = this.keyboardSplit.getSettings();
+
+    const splitToggle = document.getElementById('split-toggle');
+    if (splitToggle) {
+      splitToggle.checked = settings.enabled;
+    }
+
+    const splitNoteSelector = document.getElementById('split-note-selector');
+    if (splitNoteSelector) {
+      splitNoteSelector.value = settings.splitNote;
+    }
+
+    Object.keys(window.SPLIT_ZONES).forEach(zoneId => {
+      const zone = settings[zoneId];
+
+      const timbreSelector = document.getElementById(`split-${zoneId}-timbre`);
+      if (timbreSelector) {
+        timbreSelector.value = zone.timbre;
+      }
+
+      // 波形只对电音有效
+      const waveformSelector = document.getElementById(`split-${zoneId}-waveform`);
+      if (waveformSelector) {
+        waveformSelector.value = zone.waveform;
+        waveformSelector.disabled = zone.timbre !== 'oscillator';
+      }
+
+      const volumeSlider = document.getElementById(`split-${zoneId}-volume`);
+      if (volumeSlider) {
+        volumeSlider.value = Math.round(zone.volume * 100);
+      }
+
+      const transposeSelector = document.getElementById(`split-${zoneId}-transpose`);
+      if (transposeSelector) {
+        transposeSelector.value = String(zone.transpose);
+      }
+    });
+
+    const status = document.getElementById('split-status');
+    if (status) {
+      const { lower, upper } = settings;
+      status.textContent = settings.enabled
+        ? `琴键 ${settings.splitNote} 以下：${window.SPLIT_TIMBRES[lower.timbre].name}；琴键 ${settings.splitNote} 及以上：${window.SPLIT_TIMBRES[upper.timbre].name}`
+        : '键盘分割已关闭，所有琴键使用当前音色';
+    }
+  }
+
+  /**
+   * 设置音色叠加功能
+   * 一次按键同时演奏多个音色层，各层有独立的音量、微调和包络，配置可保存为命名预设
+   */
+  setupTimbreLayers() {
+    if (!window.TimbreLayers) {
+      console.warn('UIController: TimbreLayers类未找到，跳过音色叠加设置');
+      return;
+    }
+
+    this.timbreLayers = new window.TimbreLayers();
+    this.timbreLayers.onSettingsChange = () => {
+      // 音色层变化后原音符的声部可能改变，先释放按住的音符
+      this.releaseAllInputs();
+      this.syncTimbreLayersControls();
+      this.cacheUserSettings();
+    };
+    if (this.audioManager && typeof this.audioManager.setTimbreLayers === 'function') {
+      this.audioManager.setTimbreLayers(this.timbreLayers);
+    }
+
+    const layersToggle = document.getElementById('layers-toggle');
+    if (layersToggle) {
+      layersToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.timbreLayers.setEnabled(e.target.checked);
+      });
+    }
+
+    const presetSelector = document.getElementById('layers-preset-selector');
+    const loadButton = document.getElementById('layers-preset-load');
+    if (loadButton && presetSelector) {
+      loadButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.timbreLayers.loadPreset(presetSelector.value);
+        this.showToast(`已载入音色预设：${presetSelector.value}`, 2000);
+      });
+    }
+
+    const deleteButton = document.getElementById('layers-preset-delete');
+    if (deleteButton && presetSelector) {
+      deleteButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        const name = presetSelector.value;
+        if (this.timbreLayers.isBuiltInPreset(name)) {
+          this.showToast('内置预设不能删除', 2000);
+          return;
+        }
+        this.timbreLayers.deletePreset(name);
+        this.showToast(`已删除音色预设：${name}`, 2000);
+      });
+    }
+
+    const saveButton = document.getElementById('layers-preset-save');
+    const presetNameInput = document.getElementById('layers-preset-name');
+    if (saveButton && presetNameInput) {
+      saveButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        try {
+          const name = presetNameInput.value.trim();
+          this.timbreLayers.savePreset(name);
+          presetNameInput.value = '';
+          if (presetSelector) {
+            presetSelector.value = name;
+          }
+          this.showToast(`已保存音色预设：${name}`, 2000);
+        } catch (error) {
+          this.showToast(error.message, 3000);
+        }
+      });
+    }
+
+    const addButton = document.getElementById('layers-add');
+    if (addButton) {
+      addButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        if (!this.timbreLayers.addLayer()) {
+          this.showToast(`最多只能叠加 ${window.LAYER_LIMITS.maxLayers} 个音色层`, 2000);
+        }
+      });
+    }
+
+    this.syncTimbreLayersControls();
+    console.info('UIController: 音色叠加已设置');
+  }
+
+  /**
+   * 同步音色叠加控件的显示状态
+   * 音色层控件随音色层数量变化，每次同步时重新生成
+   */
+  syncTimbreLayersControls() {
+    if (!this.timbreLayers) return;
+
+    const settings = this.timbreLayers.getSettings();
+
+    const layersToggle = document.getElementById('layers-toggle');
+    if (layersToggle) {
+      layersToggle.checked = settings.enabled;
+    }
+
+    const presetSelector = document.getElementById('layers-preset-selector');
+    if (presetSelector) {
+      const selected = presetSelector.value;
+      presetSelector.innerHTML = '';
+      Object.keys(this.timbreLayers.getPresets()).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = this.timbreLayers.isBuiltInPreset(name) ? `${name}（内置）` : name;
+        presetSelector.appendChild(option);
+      });
+      if (selected && this.timbreLayers.getPresets()[selected]) {
+        presetSelector.value = selected;
+      }
+    }
+
+    const layersList = document.getElementById('layers-list');
+    if (layersList) {
+      layersList.innerHTML = '';
+      settings.layers.forEach((layer, index) => {
+        layersList.appendChild(this.createLayerControls(layer, index, settings.layers.length));
+      });
+    }
+
+    const status = document.getElementById('layers-status');
+    if (status) {
+      const names = settings.layers.map(layer => window.LAYER_TIMBRES[layer.timbre].name).join(' + ');
+      status.textContent = settings.enabled
+        ? `每次按键同时演奏：${names}（优先于键盘分割）`
+        : '音色叠加已关闭，使用当前音色';
+    }
+  }
+
+  /**
+   * 创建单个音色层的控件
+   * @param {Object} layer - 音色层设置
+   * @param {number} index - 音色层序号
+   * @param {number} layerCount - 音色层总数
+   * @returns {HTMLElement} 音色层控件容器
+   */
+  createLayerControls(layer, index, layerCount) {
+    const container = document.createElement('div');
+    container.className = 'control-item';
+
+    const title = document.createElement('label');
+    title.className = 'control-label';
+    title.textContent = `音色层 ${index + 1}`;
+    container.appendChild(title);
+
+    const timbreSelector = document.createElement('select');
+    Object.keys(window.LAYER_TIMBRES).forEach(timbre => {
+      const option = document.createElement('option');
+      option.value = timbre;
+      option.textContent = window.LAYER_TIMBRES[timbre].name;
+      timbreSelector.appendChild(option);
+    });
+    timbreSelector.value = layer.timbre;
+    timbreSelector.addEventListener('change', (e) => {
+      this.buttonSound.play();
+      this.timbreLayers.setLayerOption(index, 'timbre', e.target.value);
+    });
+    container.appendChild(timbreSelector);
+
+    // 波形只对电音有效
+    const waveformLabel = document.createElement('label');
+    waveformLabel.className = 'control-label';
+    waveformLabel.textContent = '电音波形';
+    container.appendChild(waveformLabel);
+
+    const waveformSelector = document.createElement('select');
+    window.LAYER_WAVEFORMS.forEach(waveform => {
+      const option = document.createElement('option');
+      option.value = waveform;
+      option.textContent = this.getWaveformDisplayName(waveform);
+      waveformSelector.appendChild(option);
+    });
+    waveformSelector.value = layer.waveform;
+    waveformSelector.disabled = layer.timbre !== 'oscillator';
+    waveformSelector.addEventListener('change', (e) => {
+      this.buttonSound.play();
+      this.timbreLayers.setLayerOption(index, 'waveform', e.target.value);
+    });
+    container.appendChild(waveformSelector);
+
+    const limits = window.LAYER_LIMITS;
+    const sliders = [
+      { key: 'volume', label: '音量', min: 0, max: 100, scale: 100, format: value => `${Math.round(value * 100)}%` },
+      { key: 'detune', label: '微调', min: -limits.maxDetune, max: limits.maxDetune, scale: 1, format: value => `${value > 0 ? '+' : ''}${value} 音分` },
+      { key: 'attack', label: '起音', min: 0, max: limits.maxAttack * 1000, scale: 1000, format: value => `${value.toFixed(2)} 秒` },
+      { key: 'decay', label: '衰减', min: 0, max: limits.maxDecay * 1000, scale: 1000, format: value => `${value.toFixed(2)} 秒` },
+      { key: 'sustain', label: '持续电平', min: 0, max: 100, scale: 100, format: value => `${Math.round(value * 100)}%` },
+      { key: 'release', label: '释音', min: 0, max: limits.maxRelease * 1000, scale: 1000, format: value => `${value.toFixed(2)} 秒` }
+    ];
+
+    sliders.forEach(({ key, label, min, max, scale, format }) => {
+      const sliderLabel = document.createElement('label');
+      sliderLabel.className = 'control-label';
+      sliderLabel.textContent = `${label}：${format(layer[key])}`;
+      container.appendChild(sliderLabel);
+
+      const sliderContainer = document.createElement('div');
+      sliderContainer.className = 'slider-container';
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.className = 'slider';
+      slider.min = String(min);
+      slider.max = String(max);
+      slider.value = String(Math.round(layer[key] * scale));
+      slider.addEventListener('input', (e) => {
+        sliderLabel.textContent = `${label}：${format(parseInt(e.target.value, 10) / scale)}`;
+      });
+      slider.addEventListener('change', (e) => {
+        this.timbreLayers.setLayerOption(index, key, parseInt(e.target.value, 10) / scale);
+      });
+
+      sliderContainer.appendChild(slider);
+      container.appendChild(sliderContainer);
+    });
+
+    // 至少保留一个音色层
+    if (layerCount > 1) {
+      const buttonRow = document.createElement('div');
+      buttonRow.className = 'button-row';
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'button text-button';
+      removeButton.type = 'button';
+      removeButton.textContent = '移除此层';
+      removeButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.timbreLayers.removeLayer(index);
+      });
+
+      buttonRow.appendChild(removeButton);
+      container.appendChild(buttonRow);
+    }
+
+    return container;
+  }
+
+  /**
+   * 设置演奏录音功能
+   * 录下经 playNote/releaseNote 演奏的音符和踏板变化，可回放、重命名和删除录音
+   */
+  setupPerformanceRecorder() {
+    if (!window.PerformanceRecorder) {
+      console.warn('UIController: PerformanceRecorder类未找到，跳过演奏录音设置');
+      return;
+    }
+
+    this.recorder = new window.PerformanceRecorder(() => this.audioManager.contextManager.getContext());
+    this.recorder.onPlaybackEvent = (event, time, note) => {
+      this.playRecordedEvent(event, time, note);
+    };
+    this.recorder.onPlaybackEnd = () => {
+      this.finishRecordedPlayback();
+    };
+    this.recorder.onStateChange = () => {
+      this.syncRecorderControls();
+      this.syncPianoRollControls();
+    };
+
+    const recordButton = document.getElementById('recorder-record-btn');
+    if (recordButton) {
+      recordButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.toggleRecording();
+      });
+    }
+
+    const playButton = document.getElementById('recorder-play-btn');
+    if (playButton) {
+      playButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.togglePlayback();
+      });
+    }
+
+    const takeSelector = document.getElementById('recorder-take-selector');
+    if (takeSelector) {
+      takeSelector.addEventListener('change', () => {
+        this.buttonSound.play();
+        this.syncRecorderControls();
+      });
+    }
+
+    const renameButton = document.getElementById('recorder-rename-btn');
+    const takeNameInput = document.getElementById('recorder-take-name');
+    if (renameButton && takeNameInput && takeSelector) {
+      renameButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        if (!this.recorder.renameTake(takeSelector.value, takeNameInput.value)) {
+          this.showToast('请先选择录音并输入新名称', 2000);
+        }
+      });
+    }
+
+    const exportMidiButton = document.getElementById('recorder-export-midi-btn');
+    if (exportMidiButton && takeSelector) {
+      exportMidiButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.exportTakeAsMidi(takeSelector.value);
+      });
+    }
+
+    if (window.OfflineRenderer) {
+      this.offlineRenderer = new window.OfflineRenderer(this.audioManager);
+    }
+
+    const exportWavButton = document.getElementById('recorder-export-wav-btn');
+    if (exportWavButton && takeSelector) {
+      exportWavButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.exportTakeAsWav(takeSelector.value);
+      });
+    }
+
+    const deleteButton = document.getElementById('recorder-delete-btn');
+    if (deleteButton && takeSelector) {
+      deleteButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        const take = this.recorder.getTake(takeSelector.value);
+        if (take) {
+          this.recorder.deleteTake(take.id);
+          this.showToast(`已删除 ${take.name}`, 2000);
+        }
+      });
+    }
+
+    this.syncRecorderControls();
+    console.info('UIController: 演奏录音已设置');
+  }
+
+  /**
+   * 开始或停止录音
+   */
+  async toggleRecording() {
+    if (this.recorder.isRecording) {
+      clearInterval(this.recorderStatusTimer);
+      this.recorderStatusTimer = null;
+
+      const take = this.recorder.stopRecording();
+      if (take) {
+        this.showToast(`已保存 ${take.name}`, 2000);
+        const takeSelector = document.getElementById('recorder-take-selector');
+        if (takeSelector) {
+          takeSelector.value = take.id;
+        }
+      } else {
+        this.showToast('没有录到音符', 2000);
+      }
+      this.syncRecorderControls();
+      return;
+    }
+
+    // 录音时间使用音频时钟，需要先创建音频上下文
+    await this.audioManager.ensureContext();
+    if (this.recorder.startRecording()) {
+      this.recorderStatusTimer = setInterval(() => this.syncRecorderControls(), 500);
+    } else {
+      this.showToast('音频尚未就绪，无法录音', 2000);
+    }
+  }
+
+  /**
+   * 回放所选录音或停止回放
+   */
+  async togglePlayback() {
+    if (this.recorder.isPlaying()) {
+      this.recorder.stopPlayback();
+      return;
+    }
+
+    const takeSelector = document.getElementById('recorder-take-selector');
+    if (!takeSelector || !takeSelector.value) {
+      this.showToast('还没有录音', 2000);
+      return;
+    }
+
+    await this.audioManager.ensureContext();
+    this.recorder.play(takeSelector.value);
+  }
+
+  /**
+   * 将录音导出为标准MIDI文件并下载
+   * @param {string} takeId - 录音ID
+   */
+  exportTakeAsMidi(takeId) {
+    const take = this.recorder.getTake(takeId);
+    if (!take) {
+      this.showToast('还没有录音', 2000);
+      return;
+    }
+    if (!window.MidiFile) {
+      console.warn('UIController: MidiFile模块未找到，无法导出MIDI文件');
+      return;
+    }
+
+    const formatSelector = document.getElementById('smf-format-selector');
+    const tempoInput = document.getElementById('smf-tempo');
+
+    try {
+      const blob = window.MidiFile.createMidiBlob(take, {
+        format: formatSelector ? parseInt(formatSelector.value, 10) : 1,
+        tempo: tempoInput ? parseFloat(tempoInput.value) : window.SMF_CONFIG.defaultTempo
+      });
+      this.downloadBlob(blob, `${take.name}.mid`);
+      this.showToast(`已导出 ${take.name}.mid`, 2000);
+    } catch (error) {
+      console.warn('UIController: 导出MIDI文件失败', error);
+      this.showToast(`导出失败：${error.message}`, 3000);
+    }
+  }
+
+  /**
+   * 将录音离线渲染为WAV文件并下载
+   * @param {string} takeId - 录音ID
+   */
+  async exportTakeAsWav(takeId) {
+    const take = this.recorder.getTake(takeId);
+    if (!take) {
+      this.showToast('还没有录音', 2000);
+      return;
+    }
+    if (!this.offlineRenderer) {
+      console.warn('UIController: OfflineRenderer类未找到，无法导出WAV文件');
+      return;
+    }
+
+    const bitDepthSelector = document.getElementById('wav-bit-depth-selector');
+    const bitDepth = bitDepthSelector ? parseInt(bitDepthSelector.value, 10) : window.WAV_CONFIG.defaultBitDepth;
+    const exportWavButton = document.getElementById('recorder-export-wav-btn');
+    if (exportWavButton) {
+      exportWavButton.disabled = true;
+    }
+
+    try {
+      this.showToast(`正在渲染 ${take.name}…`, 2000);
+      // 采样需要由音频上下文解码
+      await this.audioManager.ensureContext();
+      const blob = await this.offlineRenderer.renderWav(take, bitDepth);
+      this.downloadBlob(blob, `${take.name}.wav`);
+      this.showToast(`已导出 ${take.name}.wav`, 2000);
+    } catch (error) {
+      console.warn('UIController: 导出WAV文件失败', error);
+      this.showToast(`导出失败：${error.message}`, 3000);
+    } finally {
+      if (exportWavButton) {
+        exportWavButton.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * 通过临时链接下载文件
+   * @param {Blob} blob - 文件内容
+   * @param {string} fileName - 文件名，文件系统不允许的字符会被替换
+   */
+  downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName.replace(/[\\/:*?"<>|]/g, '_');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // 等待浏览器开始下载后再释放链接
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 演奏录音回放的一个事件
+   * 按下和松开已配对（含踏板保持），音符连同发音时长按音频时钟精确排程，只有琴键点亮按定时器近似同步
+   * @param {Object} event - 录音事件
+   * @param {number} time - 事件的音频时钟时间（秒）
+   * @param {Object} note - 按下事件整理后的音符（见 collectTakeNotes），其他事件为undefined
+   */
+  playRecordedEvent(event, time, note) {
+    try {
+      const audioContext = this.audioManager.contextManager.getContext();
+      const delay = audioContext ? Math.max(0, (time - audioContext.currentTime) * 1000) : 0;
+
+      if (event.type === 'noteOn') {
+        // 按录音时的弱音踏板状态发音，与现场踏板无关
+        if (note) {
+          this.audioManager.scheduleNote(event.note, event.velocity, time, note.endTime - note.startTime, {
+            timbre: event.timbre,
+            soft: note.soft,
+            sourceIds: this.playbackSources
+          });
+        }
+        this.schedulePlaybackTimer(() => {
+          this.playbackKeys.add(event.key);
+          if (this.pianoManager) {
+            this.pianoManager.activateKey(event.key);
+          }
+        }, delay);
+      } else if (event.type === 'noteOff') {
+        this.schedulePlaybackTimer(() => {
+          this.playbackKeys.delete(event.key);
+          if (this.pianoManager) {
+            this.pianoManager.deactivateKey(event.key);
+          }
+        }, delay);
+      }
+    } catch (error) {
+      console.warn('UIController: 回放录音事件失败', event, error);
+    }
+  }
+
+  /**
+   * 设置录音回放点亮琴键的定时器，停止回放时统一清除
+   * @param {Function} callback - 回调函数
+   * @param {number} delay - 延迟（毫秒）
+   */
+  schedulePlaybackTimer(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.playbackTimers.delete(timerId);
+      callback();
+    }, delay);
+    this.playbackTimers.add(timerId);
+  }
+
+  /**
+   * 录音回放结束或停止后，停止回放排程的音符并熄灭点亮的琴键
+   * 只停止回放自己的音符，正在弹奏的音符和踏板状态不受影响
+   */
+  finishRecordedPlayback() {
+    this.playbackTimers.forEach(timerId => clearTimeout(timerId));
+    this.playbackTimers.clear();
+
+    this.audioManager.stopSources(this.playbackSources);
+    this.playbackSources = [];
+
+    this.playbackKeys.forEach(key => {
+      if (this.pianoManager) {
+        this.pianoManager.deactivateKey(key);
+      }
+    });
+    this.playbackKeys.clear();
+  }
+
+  /**
+   * 弱音踏板当前是否踩下
+   * @returns {boolean} 是否踩下
+   */
+  isSoftPedalDown() {
+    return Boolean(this.audioManager && this.audioManager.softPedalDown);
+  }
+
+  /**
+   * 获取录音时记录的演奏状态
+   * @returns {{timbre: string, sustain: boolean}} 当前音色和延音踏板状态
+   */
+  getRecordingState() {
+    return {
+      timbre: this.audioManager ? this.audioManager.currentTimbre : undefined,
+      sustain: Boolean(this.audioManager && this.audioManager.sustainPedalDown)
+    };
+  }
+
+  /**
+   * 同步演奏录音控件的显示状态
+   */
+  syncRecorderControls() {
+    if (!this.recorder) return;
+
+    const recordButton = document.getElementById('recorder-record-btn');
+    if (recordButton) {
+      recordButton.textContent = this.recorder.isRecording ? '停止录音' : '开始录音';
+      recordButton.classList.toggle('active', this.recorder.isRecording);
+    }
+
+    const playButton = document.getElementById('recorder-play-btn');
+    if (playButton) {
+      playButton.textContent = this.recorder.isPlaying() ? '停止回放' : '回放';
+      playButton.disabled = this.recorder.isRecording || this.recorder.takes.length === 0;
+    }
+
+    const takeSelector = document.getElementById('recorder-take-selector');
+    if (takeSelector) {
+      const selected = takeSelector.value;
+      takeSelector.innerHTML = '';
+      this.recorder.takes.forEach(take => {
+        const option = document.createElement('option');
+        option.value = take.id;
+        option.textContent = `${take.name}（${take.duration.toFixed(1)} 秒）`;
+        takeSelector.appendChild(option);
+      });
+
+      // 默认选中最新的录音
+      if (this.recorder.getTake(selected)) {
+        takeSelector.value = selected;
+      } else if (this.recorder.takes.length > 0) {
+        takeSelector.value = this.recorder.takes[this.recorder.takes.length - 1].id;
+      }
+    }
+
+    const takeNameInput = document.getElementById('recorder-take-name');
+    const selectedTake = takeSelector ? this.recorder.getTake(takeSelector.value) : null;
+    if (takeNameInput && document.activeElement !== takeNameInput) {
+      takeNameInput.value = selectedTake ? selectedTake.name : '';
+    }
+
+    const status = document.getElementById('recorder-status');
+    if (status) {
+      if (this.recorder.isRecording) {
+        status.textContent = `录音中… ${this.recorder.getRecordingTime().toFixed(1)} 秒`;
+      } else if (this.recorder.isPlaying()) {
+        status.textContent = `正在回放 ${this.recorder.playingTake.name}`;
+      } else if (selectedTake) {
+        const noteCount = selectedTake.events.filter(event => event.type === 'noteOn').length;
+        status.textContent = `${selectedTake.name}：${selectedTake.duration.toFixed(1)} 秒，${noteCount} 个音符`;
+      } else {
+        status.textContent = '录音保存在本次打开的页面中，刷新后会清空';
+      }
+    }
+  }
+
+  /**
+   * 设置钢琴卷帘编辑功能
+   * 在弹窗中编辑所选录音的音符，编辑结果写回录音
+   */
+  setupPianoRoll() {
+    const container = document.getElementById('piano-roll');
+    if (!window.PianoRollEditor || !this.recorder || !container) {
+      console.warn('UIController: PianoRollEditor类未找到，跳过钢琴卷帘设置');
+      return;
+    }
+
+    this.pianoRollEditor = new window.PianoRollEditor();
+    this.pianoRollEditor.onChange = (events, duration) => {
+      if (!this.recorder.updateTake(this.pianoRollEditor.take.id, events, duration)) {
+        this.closePianoRoll();
+        return;
+      }
+      this.pianoRollView.render();
+      this.syncPianoRollControls();
+    };
+
+    this.pianoRollView = new window.PianoRollView(container, this.pianoRollEditor);
+    this.pianoRollView.onSelect = () => {
+      this.syncPianoRollControls();
+    };
+    this.pianoRollView.onAddNote = (time, key) => {
+      this.addPianoRollNote(time, key);
+    };
+
+    const editButton = document.getElementById('recorder-edit-btn');
+    const takeSelector = document.getElementById('recorder-take-selector');
+    if (editButton && takeSelector) {
+      editButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.openPianoRoll(takeSelector.value);
+      });
+    }
+
+    const closeButton = document.getElementById('piano-roll-close-btn');
+    if (closeButton) {
+      closeButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.closePianoRoll();
+      });
+    }
+
+    const playButton = document.getElementById('piano-roll-play-btn');
+    if (playButton) {
+      playButton.addEventListener('click', async () => {
+        this.buttonSound.play();
+        if (this.recorder.isPlaying()) {
+          this.recorder.stopPlayback();
+          return;
+        }
+        await this.audioManager.ensureContext();
+        this.recorder.play(this.pianoRollEditor.take.id);
+      });
+    }
+
+    const undoButton = document.getElementById('piano-roll-undo-btn');
+    if (undoButton) {
+      undoButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.pianoRollEditor.undo();
+      });
+    }
+
+    const deleteButton = document.getElementById('piano-roll-delete-btn');
+    if (deleteButton) {
+      deleteButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.pianoRollEditor.deleteNote(this.pianoRollView.selectedId);
+      });
+    }
+
+    const velocitySlider = document.getElementById('piano-roll-velocity');
+    if (velocitySlider) {
+      // 拖动滑块时实时显示，松开后记为一步撤销
+      velocitySlider.addEventListener('input', (e) => {
+        const id = this.pianoRollView.selectedId;
+        if (id === null) return;
+
+        this.pianoRollEditor.beginChange();
+        this.pianoRollEditor.setNoteProperties(id, { velocity: parseInt(e.target.value, 10) / 127 });
+        this.pianoRollView.updateNote(id);
+        this.syncPianoRollControls();
+      });
+      velocitySlider.addEventListener('change', () => {
+        this.pianoRollEditor.endChange();
+      });
+    }
+
+    const gridSelector = document.getElementById('piano-roll-grid-selector');
+    if (gridSelector) {
+      gridSelector.innerHTML = '';
+      window.PIANO_ROLL_CONFIG.grids.forEach(grid => {
+        const option = document.createElement('option');
+        option.value = String(grid.division);
+        option.textContent = grid.label;
+        gridSelector.appendChild(option);
+      });
+      gridSelector.value = String(window.PIANO_ROLL_CONFIG.defaultDivision);
+
+      gridSelector.addEventListener('change', () => {
+        this.buttonSound.play();
+        this.updatePianoRollGrid();
+      });
+    }
+
+    const tempoInput = document.getElementById('piano-roll-tempo');
+    if (tempoInput) {
+      tempoInput.min = window.PIANO_ROLL_CONFIG.minTempo;
+      tempoInput.max = window.PIANO_ROLL_CONFIG.maxTempo;
+      tempoInput.value = window.PIANO_ROLL_CONFIG.defaultTempo;
+      tempoInput.addEventListener('change', () => {
+        this.updatePianoRollGrid();
+      });
+    }
+
+    const swingSlider = document.getElementById('piano-roll-swing');
+    if (swingSlider) {
+      swingSlider.min = window.PIANO_ROLL_CONFIG.minSwing;
+      swingSlider.max = window.PIANO_ROLL_CONFIG.maxSwing;
+      swingSlider.value = window.PIANO_ROLL_CONFIG.minSwing;
+      swingSlider.addEventListener('input', () => {
+        this.syncPianoRollControls();
+      });
+    }
+
+    const quantizeButton = document.getElementById('piano-roll-quantize-btn');
+    if (quantizeButton) {
+      quantizeButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        const grid = this.getPianoRollGrid();
+        if (!this.pianoRollEditor.quantize(grid.tempo, grid.division, grid.swing)) {
+          this.showToast('音符已经对齐网格', 2000);
+        }
+      });
+    }
+
+    this.updatePianoRollGrid();
+    console.info('UIController: 钢琴卷帘已设置');
+  }
+
+  /**
+   * 获取钢琴卷帘的网格设置
+   * @returns {{tempo: number, division: number, swing: number}} 速度、每拍格数和摇摆(%)
+   */
+  getPianoRollGrid() {
+    const config = window.PIANO_ROLL_CONFIG;
+    const tempoInput = document.getElementById('piano-roll-tempo');
+    const gridSelector = document.getElementById('piano-roll-grid-selector');
+    const swingSlider = document.getElementById('piano-roll-swing');
+
+    const tempo = tempoInput ? parseFloat(tempoInput.value) : config.defaultTempo;
+    return {
+      tempo: Number.isFinite(tempo) ? Math.max(config.minTempo, Math.min(config.maxTempo, tempo)) : config.defaultTempo,
+      division: gridSelector ? parseInt(gridSelector.value, 10) : config.defaultDivision,
+      swing: swingSlider ? parseInt(swingSlider.value, 10) : config.minSwing
+    };
+  }
+
+  /**
+   * 按网格设置重新绘制网格线
+   */
+  updatePianoRollGrid() {
+    const grid = this.getPianoRollGrid();
+    const tempoInput = document.getElementById('piano-roll-tempo');
+    if (tempoInput) {
+      // 无效输入时恢复为实际使用的速度
+      tempoInput.value = grid.tempo;
+    }
+
+    this.pianoRollView.setGrid(this.pianoRollEditor.getGridStep(grid.tempo, grid.division), grid.division);
+  }
+
+  /**
+   * 打开钢琴卷帘编辑录音
+   * @param {string} takeId - 录音ID
+   */
+  openPianoRoll(takeId) {
+    const take = this.recorder.getTake(takeId);
+    if (!take) {
+      this.showToast('还没有录音', 2000);
+      return;
+    }
+    if (this.recorder.isRecording) {
+      this.showToast('录音中无法编辑', 2000);
+      return;
+    }
+
+    this.pianoRollEditor.load(take);
+
+    // 纵轴包含当前所有琴键，以及录音中超出当前音域的琴键
+    const keyNumbers = this.audioManager.notes
+      .map(note => note.name)
+      .concat(this.pianoRollEditor.notes.map(note => note.key))
+      .map(name => parseInt(name, 10))
+      .filter(keyNumber => !Number.isNaN(keyNumber));
+    this.pianoRollView.setKeyRange(Math.min(...keyNumbers), Math.max(...keyNumbers));
+    this.pianoRollView.select(null);
+
+    const modal = document.getElementById('piano-roll-modal');
+    if (modal) {
+      modal.style.display = 'block';
+    }
+    // 弹窗显示后才能取得卷帘的宽度
+    this.pianoRollView.render();
+    this.syncPianoRollControls();
+  }
+
+  /**
+   * 关闭钢琴卷帘
+   */
+  closePianoRoll() {
+    const modal = document.getElementById('piano-roll-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+
+    if (this.pianoRollEditor.take && this.recorder.playingTake === this.pianoRollEditor.take) {
+      this.recorder.stopPlayback();
+    }
+    this.pianoRollEditor.take = null;
+    this.syncPianoRollControls();
+  }
+
+  /**
+   * 在钢琴卷帘中添加音符
+   * 开始时间对齐网格，时长为一格，力度和音色使用当前设置
+   * @param {number} time - 双击位置的时间（秒）
+   * @param {string} key - 双击位置的琴键音符名称
+   */
+  addPianoRollNote(time, key) {
+    const grid = this.getPianoRollGrid();
+    const note = this.pianoRollEditor.addNote({
+      time: this.pianoRollEditor.snapToGrid(time, grid.tempo, grid.division, grid.swing),
+      duration: this.pianoRollEditor.getGridStep(grid.tempo, grid.division),
+      key,
+      note: this.getSoundingNote(key),
+      velocity: window.AudioConfig.VELOCITY_CONFIG.defaultVelocity,
+      timbre: this.audioManager.currentTimbre
+    });
+    this.pianoRollView.select(note.id);
+  }
+
+  /**
+   * 同步钢琴卷帘控件的显示状态
+   */
+  syncPianoRollControls() {
+    if (!this.pianoRollEditor) return;
+
+    const editor = this.pianoRollEditor;
+    const take = editor.take;
+    const isPlaying = Boolean(take) && this.recorder.playingTake === take;
+    const selectedNote = editor.getNote(this.pianoRollView.selectedId);
+
+    const title = document.getElementById('piano-roll-title');
+    if (title) {
+      title.textContent = take ? `编辑 ${take.name}` : '编辑录音';
+    }
+
+    const playButton = document.getElementById('piano-roll-play-btn');
+    if (playButton) {
+      playButton.textContent = isPlaying ? '停止' : '播放';
+    }
+
+    const undoButton = document.getElementById('piano-roll-undo-btn');
+    if (undoButton) {
+      undoButton.disabled = !editor.canUndo();
+    }
+
+    const deleteButton = document.getElementById('piano-roll-delete-btn');
+    if (deleteButton) {
+      deleteButton.disabled = !selectedNote;
+    }
+
+    const velocitySlider = document.getElementById('piano-roll-velocity');
+    const velocityValue = document.getElementById('piano-roll-velocity-value');
+    const velocity = selectedNote ? Math.round(selectedNote.velocity * 127) : null;
+    if (velocitySlider) {
+      velocitySlider.disabled = !selectedNote;
+      if (velocity !== null) {
+        velocitySlider.value = velocity;
+      }
+    }
+    if (velocityValue) {
+      velocityValue.textContent = velocity !== null ? String(velocity) : '-';
+    }
+
+    const swingSlider = document.getElementById('piano-roll-swing');
+    const swingValue = document.getElementById('piano-roll-swing-value');
+    if (swingSlider && swingValue) {
+      swingValue.textContent = `${swingSlider.value}%`;
+    }
+
+    const status = document.getElementById('piano-roll-status');
+    if (status && take) {
+      status.textContent = selectedNote
+        ? `已选中 ${selectedNote.key}：${selectedNote.time.toFixed(2)} 秒起，长 ${selectedNote.duration.toFixed(2)} 秒`
+        : `${editor.notes.length} 个音符，${editor.getDuration().toFixed(1)} 秒`;
+    }
+
+    // 回放时刷新播放位置线
+    if (isPlaying && !this.pianoRollTimer) {
+      this.pianoRollTimer = setInterval(() => {
+        const audioContext = this.audioManager.contextManager.getContext();
+        if (audioContext) {
+          this.pianoRollView.setPlayhead(Math.max(0, audioContext.currentTime - this.recorder.playbackStartTime));
+        }
+      }, 50);
+    } else if (!isPlaying && this.pianoRollTimer) {
+      clearInterval(this.pianoRollTimer);
+      this.pianoRollTimer = null;
+      this.pianoRollView.setPlayhead(null);
+    }
+  }
+
+  /**
+   * 设置资料库功能
+   * 演奏录音、MIDI文件和录制的歌曲可存入浏览器的 IndexedDB，刷新页面后仍可载入、重命名、复制、导出和删除
+   */
+  setupLibrary() {
+    if (!window.LibraryStore) {
+      console.warn('UIController: LibraryStore类未找到，跳过资料库设置');
+      return;
+    }
+
+    this.library = new window.LibraryStore();
+    this.library.onChange = () => {
+      this.refreshLibrary();
+    };
+
+    const takeSelector = document.getElementById('recorder-take-selector');
+    const saveTakeButton = document.getElementById('recorder-save-library-btn');
+    if (saveTakeButton && takeSelector) {
+      saveTakeButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.saveTakeToLibrary(takeSelector.value);
+      });
+    }
+
+    const saveMidiButton = document.getElementById('midi-save-library-btn');
+    if (saveMidiButton) {
+      saveMidiButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.saveMidiFileToLibrary();
+      });
+    }
+
+    const saveSongButton = document.getElementById('audio-capture-save-library-btn');
+    if (saveSongButton) {
+      saveSongButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.saveAudioCaptureToLibrary();
+      });
+    }
+
+    const librarySelector = document.getElementById('library-selector');
+    if (librarySelector) {
+      librarySelector.addEventListener('change', () => {
+        this.buttonSound.play();
+        this.libraryEntryId = librarySelector.value;
+        this.syncLibraryControls();
+      });
+    }
+
+    const loadButton = document.getElementById('library-load-btn');
+    if (loadButton && librarySelector) {
+      loadButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.loadLibraryEntry(librarySelector.value);
+      });
+    }
+
+    const renameButton = document.getElementById('library-rename-btn');
+    const entryNameInput = document.getElementById('library-entry-name');
+    if (renameButton && entryNameInput && librarySelector) {
+      renameButton.addEventListener('click', async () => {
+        this.buttonSound.play();
+        try {
+          if (!await this.library.rename(librarySelector.value, entryNameInput.value)) {
+            this.showToast('请先选择条目并输入新名称', 2000);
+          }
+        } catch (error) {
+          console.warn('UIController: 资料库条目重命名失败', error);
+          this.showToast(`重命名失败：${error.message}`, 3000);
+        }
+      });
+    }
+
+    const duplicateButton = document.getElementById('library-duplicate-btn');
+    if (duplicateButton && librarySelector) {
+      duplicateButton.addEventListener('click', async () => {
+        this.buttonSound.play();
+        try {
+          const entry = await this.library.duplicate(librarySelector.value);
+          if (entry) {
+            this.libraryEntryId = entry.id;
+            this.showToast(`已复制为 ${entry.name}`, 2000);
+          }
+        } catch (error) {
+          console.warn('UIController: 资料库条目复制失败', error);
+          this.showToast(`复制失败：${error.message}`, 4000);
+        }
+      });
+    }
+
+    const exportButton = document.getElementById('library-export-btn');
+    if (exportButton && librarySelector) {
+      exportButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.exportLibraryEntry(librarySelector.value);
+      });
+    }
+
+    const deleteButton = document.getElementById('library-delete-btn');
+    if (deleteButton && librarySelector) {
+      deleteButton.addEventListener('click', async () => {
+        this.buttonSound.play();
+        const entry = this.libraryEntries.find(item => item.id === librarySelector.value);
+        if (!entry) return;
+
+        try {
+          await this.library.delete(entry.id);
+          this.showToast(`已删除 ${entry.name}`, 2000);
+        } catch (error) {
+          console.warn('UIController: 资料库条目删除失败', error);
+          this.showToast(`删除失败：${error.message}`, 3000);
+        }
+      });
+    }
+
+    this.refreshLibrary();
+    console.info('UIController: 资料库已设置');
+  }
+
+  /**
+   * 重新读取资料库条目和存储空间使用情况
+   */
+  async refreshLibrary() {
+    if (this.library.isSupported()) {
+      try {
+        this.libraryEntries = await this.library.list();
+      } catch (error) {
+        console.warn('UIController: 资料库读取失败', error);
+        this.libraryEntries = [];
+      }
+    }
+    this.syncLibraryControls();
+
+    const storage = document.getElementById('library-storage');
+    if (storage) {
+      const estimate = await this.library.getStorageEstimate();
+      storage.textContent = estimate && estimate.quota > 0
+        ? `存储空间：已使用 ${this.library.formatSize(estimate.usage)}，共 ${this.library.formatSize(estimate.quota)}`
+        : '无法获取存储空间使用情况';
+    }
+  }
+
+  /**
+   * 将内容存入资料库，内容太大或空间不足时提示
+   * @param {string} type - 条目类型，见 LIBRARY_CONFIG.types
+   * @param {Object} info - 条目信息 {name, duration, tempo, timbre}
+   * @param {*} data - 条目内容
+   */
+  async saveToLibrary(type, info, data) {
+    try {
+      const entry = await this.library.add(type, info, data);
+      this.libraryEntryId = entry.id;
+      this.showToast(`已存入资料库：${entry.name}`, 2000);
+    } catch (error) {
+      console.warn('UIController: 存入资料库失败', error);
+      this.showToast(`存入资料库失败：${error.message}`, 4000);
+    }
+  }
+
+  /**
+   * 将演奏录音存入资料库
+   * 速度使用导出MIDI文件的速度设置，音色为录音中第一个音符的音色
+   * @param {string} takeId - 录音ID
+   */
+  async saveTakeToLibrary(takeId) {
+    const take = this.recorder ? this.recorder.getTake(takeId) : null;
+    if (!take) {
+      this.showToast('还没有录音', 2000);
+      return;
+    }
+
+    const tempoInput = document.getElementById('smf-tempo');
+    const tempo = tempoInput ? parseFloat(tempoInput.value) : NaN;
+    const firstNote = take.events.find(event => event.type === 'noteOn');
+
+    await this.saveToLibrary('take', {
+      name: take.name,
+      duration: take.duration,
+      tempo: Number.isFinite(tempo) ? tempo : window.SMF_CONFIG.defaultTempo,
+      timbre: firstNote ? firstNote.timbre : null
+    }, { events: take.events, duration: take.duration });
+  }
+
+  /**
+   * 将最近导入的MIDI文件存入资料库，速度为文件开头的速度
+   */
+  async saveMidiFileToLibrary() {
+    const file = this.midiPlayerFile;
+    if (!file || !this.midiPlayer.song) {
+      this.showToast('请先导入MIDI文件', 2000);
+      return;
+    }
+
+    const song = this.midiPlayer.song;
+    const firstTempo = song.tempoChanges.find(change => change.time === 0);
+    await this.saveToLibrary('midi', {
+      name: file.name.replace(/\.midi?$/i, ''),
+      duration: song.duration,
+      tempo: firstTempo ? Math.round(firstTempo.tempo) : window.SMF_CONFIG.defaultTempo
+    }, file.data);
+  }
+
+  /**
+   * 将录制的音频作为歌曲存入资料库
+   */
+  async saveAudioCaptureToLibrary() {
+    const recording = this.audioCapture ? this.audioCapture.recording : null;
+    if (!recording) {
+      this.showToast('还没有录制音频', 2000);
+      return;
+    }
+
+    await this.saveToLibrary('song', {
+      name: `歌曲 ${new Date().toLocaleString()}`,
+      duration: recording.duration,
+      timbre: this.audioManager.currentTimbre
+    }, recording.blob);
+  }
+
+  /**
+   * 载入资料库条目：演奏录音加入录音列表，MIDI文件载入播放器，歌曲在资料库中试听
+   * @param {string} id - 条目ID
+   */
+  async loadLibraryEntry(id) {
+    try {
+      const item = await this.library.get(id);
+      if (!item) {
+        this.showToast('请先选择条目', 2000);
+        return;
+      }
+
+      const { entry, data } = item;
+      if (entry.type === 'take') {
+        if (!this.recorder || this.recorder.isRecording) {
+          this.showToast('录音中无法载入', 2000);
+          return;
+        }
+        const take = this.recorder.addTake(data.events, data.duration, entry.name);
+        this.recorder.notifyStateChange();
+        const takeSelector = document.getElementById('recorder-take-selector');
+        if (takeSelector) {
+          takeSelector.value = take.id;
+          this.syncRecorderControls();
+        }
+        this.showToast(`已载入到录音列表：${entry.name}`, 2000);
+      } else if (entry.type === 'midi') {
+        if (!this.midiPlayer) return;
+        const song = window.MidiFile.parseMidiFile(data);
+        this.midiPlayer.load(song, entry.name);
+        this.midiPlayerFile = { name: `${entry.name}.mid`, data };
+        this.renderMidiTrackList();
+        this.showToast(`已载入到MIDI文件播放：${entry.name}`, 2000);
+      } else if (entry.type === 'song') {
+        const preview = document.getElementById('library-preview');
+        if (!preview) return;
+        if (this.libraryPreviewUrl) {
+          URL.revokeObjectURL(this.libraryPreviewUrl);
+        }
+        this.libraryPreviewUrl = URL.createObjectURL(data);
+        preview.src = this.libraryPreviewUrl;
+        preview.hidden = false;
+        preview.play().catch(error => console.warn('UIController: 歌曲试听失败', error));
+      }
+    } catch (error) {
+      console.warn('UIController: 资料库条目载入失败', error);
+      this.showToast(`载入失败：${error.message}`, 3000);
+    }
+  }
+
+  /**
+   * 导出资料库条目：演奏录音导出为MIDI文件，MIDI文件和歌曲按原格式下载
+   * @param {string} id - 条目ID
+   */
+  async exportLibraryEntry(id) {
+    try {
+      const item = await this.library.get(id);
+      if (!item) {
+        this.showToast('请先选择条目', 2000);
+        return;
+      }
+
+      const { entry, data } = item;
+      if (entry.type === 'take') {
+        const formatSelector = document.getElementById('smf-format-selector');
+        const blob = window.MidiFile.createMidiBlob({ name: entry.name, ...data }, {
+          format: formatSelector ? parseInt(formatSelector.value, 10) : 1,
+          tempo: entry.tempo || window.SMF_CONFIG.defaultTempo
+        });
+        this.downloadBlob(blob, `${entry.name}.mid`);
+      } else if (entry.type === 'midi') {
+        this.downloadBlob(new Blob([data], { type: 'audio/midi' }), `${entry.name}.mid`);
+      } else if (entry.type === 'song') {
+        this.downloadBlob(data, `${entry.name}.${/ogg/.test(data.type) ? 'ogg' : 'webm'}`);
+      }
+      this.showToast(`已导出 ${entry.name}`, 2000);
+    } catch (error) {
+      console.warn('UIController: 资料库条目导出失败', error);
+      this.showToast(`导出失败：${error.message}`, 3000);
+    }
+  }
+
+  /**
+   * 获取音色的显示名称
+   * @param {string} timbre - 音色
+   * @returns {string} 音色选择框中的名称，找不到时返回音色本身
+   */
+  getTimbreLabel(timbre) {
+    const timbreSelector = document.getElementById('timbre-selector');
+    const option = timbreSelector && Array.from(timbreSelector.options).find(item => item.value === timbre);
+    return option ? option.textContent : timbre;
+  }
+
+  /**
+   * 同步资料库控件的显示状态
+   */
+  syncLibraryControls() {
+    if (!this.library) return;
+
+    const isSupported = this.library.isSupported();
+    const librarySelector = document.getElementById('library-selector');
+    if (librarySelector) {
+      librarySelector.innerHTML = '';
+      this.libraryEntries.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = `${entry.name}（${window.LIBRARY_CONFIG.types[entry.type]}）`;
+        librarySelector.appendChild(option);
+      });
+
+      // 优先选中刚存入或复制的条目
+      if (this.libraryEntries.some(entry => entry.id === this.libraryEntryId)) {
+        librarySelector.value = this.libraryEntryId;
+      }
+      this.libraryEntryId = librarySelector.value;
+    }
+
+    const selectedEntry = this.libraryEntries.find(entry => entry.id === this.libraryEntryId) || null;
+
+    const entryNameInput = document.getElementById('library-entry-name');
+    if (entryNameInput) {
+      entryNameInput.value = selectedEntry ? selectedEntry.name : '';
+    }
+
+    ['library-load-btn', 'library-rename-btn', 'library-duplicate-btn', 'library-export-btn', 'library-delete-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = !selectedEntry;
+      }
+    });
+
+    ['recorder-save-library-btn', 'midi-save-library-btn', 'audio-capture-save-library-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = !isSupported;
+      }
+    });
+
+    const info = document.getElementById('library-entry-info');
+    if (info) {
+      if (!isSupported) {
+        info.textContent = '当前浏览器不支持资料库';
+      } else if (selectedEntry) {
+        const details = [
+          new Date(selectedEntry.createdAt).toLocaleString(),
+          `时长 ${this.formatPlaybackTime(selectedEntry.duration)}`
+        ];
+        if (selectedEntry.tempo) {
+          details.push(`速度 ${selectedEntry.tempo} BPM`);
+        }
+        if (selectedEntry.timbre) {
+          details.push(`音色 ${this.getTimbreLabel(selectedEntry.timbre)}`);
+        }
+        details.push(this.library.formatSize(selectedEntry.size));
+        info.textContent = details.join('，');
+      } else {
+        info.textContent = '资料库为空，可将演奏录音、MIDI文件和录制的歌曲存入资料库';
+      }
+    }
+  }
+
+  /**
+   * 设置音频录制功能
+   */
+  setupAudioCapture() {
+    if (!window.AudioCapture) {
+      console.warn('UIController: AudioCapture类未找到，跳过音频录制设置');
+      return;
+    }
+
+    this.audioCapture = new window.AudioCapture(() => this.audioManager.contextManager.getContext());
+    this.audioCapture.onStateChange = () => {
+      this.syncAudioCaptureControls();
+    };
+
+    const captureButton = document.getElementById('audio-capture-btn');
+    if (captureButton) {
+      captureButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.toggleAudioCapture();
+      });
+    }
+
+    const downloadButton = document.getElementById('audio-capture-download-btn');
+    if (downloadButton) {
+      downloadButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.downloadAudioCapture();
+      });
+    }
+
+    const discardButton = document.getElementById('audio-capture-discard-btn');
+    if (discardButton) {
+      discardButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.audioCapture.clearRecording();
+      });
+    }
+
+    this.syncAudioCaptureControls();
+    console.info('UIController: 音频录制已设置');
+  }
+
+  /**
+   * 开始或停止录制音频
+   */
+  async toggleAudioCapture() {
+    if (this.audioCapture.isRecording()) {
+      clearInterval(this.audioCaptureTimer);
+      this.audioCaptureTimer = null;
+
+      const recording = await this.audioCapture.stop();
+      this.showToast(recording ? '录制完成，可试听后下载' : '没有录到声音', 2000);
+      return;
+    }
+
+    // 录制从主总线取声，需要先创建音频上下文，并让背景音乐经主总线输出
+    await this.audioManager.ensureContext();
+    const audioContext = this.audioManager.contextManager.getContext();
+    if (window.musicPlayer) {
+      window.musicPlayer.connectToMasterBus(audioContext);
+    }
+
+    try {
+      this.audioCapture.start();
+      this.audioCaptureTimer = setInterval(() => this.syncAudioCaptureControls(), 500);
+    } catch (error) {
+      console.warn('UIController: 开始录制音频失败', error);
+      this.showToast(`无法录制音频：${error.message}`, 3000);
+    }
+  }
+
+  /**
+   * 下载最近一次录制的音频
+   */
+  downloadAudioCapture() {
+    const recording = this.audioCapture.recording;
+    if (!recording) {
+      this.showToast('还没有录制音频', 2000);
+      return;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    this.downloadBlob(recording.blob, `演奏音频_${timestamp}.${recording.extension}`);
+  }
+
+  /**
+   * 同步音频录制控件的显示状态
+   */
+  syncAudioCaptureControls() {
+    if (!this.audioCapture) return;
+
+    const isRecording = this.audioCapture.isRecording();
+    const recording = this.audioCapture.recording;
+    const isSupported = this.audioCapture.isSupported();
+
+    const captureButton = document.getElementById('audio-capture-btn');
+    if (captureButton) {
+      captureButton.textContent = isRecording ? '停止录制' : '录制音频';
+      captureButton.classList.toggle('active', isRecording);
+      captureButton.disabled = !isSupported;
+    }
+
+    // 预览播放器使用录制结果的临时链接，录制结果变化时释放旧链接
+    const preview = document.getElementById('audio-capture-preview');
+    if (preview) {
+      const blob = recording && !isRecording ? recording.blob : null;
+      if (blob !== this.audioCaptureBlob) {
+        if (this.audioCaptureUrl) {
+          URL.revokeObjectURL(this.audioCaptureUrl);
+        }
+        this.audioCaptureBlob = blob;
+        this.audioCaptureUrl = blob ? URL.createObjectURL(blob) : null;
+        if (this.audioCaptureUrl) {
+          preview.src = this.audioCaptureUrl;
+        } else {
+          preview.removeAttribute('src');
+          preview.load();
+        }
+      }
+      preview.hidden = !this.audioCaptureUrl;
+    }
+
+    ['audio-capture-download-btn', 'audio-capture-discard-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = isRecording || !recording;
+      }
+    });
+
+    const status = document.getElementById('audio-capture-status');
+    if (status) {
+      if (!isSupported) {
+        status.textContent = '当前浏览器不支持录制音频';
+      } else if (isRecording) {
+        status.textContent = `录制中… ${this.formatPlaybackTime(this.audioCapture.getElapsedTime())}`;
+      } else if (recording) {
+        status.textContent = `已录制 ${this.formatPlaybackTime(recording.duration)}（${recording.extension.toUpperCase()}），可试听后下载`;
+      } else {
+        status.textContent = '录下琴声和背景音乐，保存为音频文件';
+      }
+    }
+  }
+
+  /**
+   * 设置循环录音功能
+   */
+  setupLooper() {
+    if (!window.Looper) {
+      console.warn('UIController: Looper类未找到，跳过循环录音设置');
+      return;
+    }
+
+    this.looper = new window.Looper(() => this.audioManager.contextManager.getContext());
+    this.looper.onNote = (note, key, velocity, startTime, duration, soft) => {
+      this.playLooperNote(note, key, velocity, startTime, duration, soft);
+    };
+    this.looper.onStop = () => {
+      this.stopLooperNotes();
+    };
+    this.looper.onStateChange = () => {
+      this.syncLooperControls();
+    };
+    this.looper.onSettingsChange = () => {
+      this.syncLooperControls();
+      this.cacheUserSettings();
+    };
+
+    const recordButton = document.getElementById('looper-record-btn');
+    if (recordButton) {
+      recordButton.addEventListener('click', async () => {
+        this.buttonSound.play();
+        // 循环按音频时钟录制和排程，需要先创建音频上下文
+        await this.audioManager.ensureContext();
+        const previousState = this.looper.state;
+        if (this.looper.record()) return;
+
+        if (previousState === window.LOOPER_STATES.recording) {
+          this.showToast('第一遍没有录到音符或太短，请重新录制', 2000);
+        } else if (previousState === window.LOOPER_STATES.playing) {
+          this.showToast(`最多只能叠录 ${window.LOOPER_CONFIG.maxLayers} 层`, 2000);
+        }
+      });
+    }
+
+    const playButton = document.getElementById('looper-play-btn');
+    if (playButton) {
+      playButton.addEventListener('click', async () => {
+        this.buttonSound.play();
+        if (this.looper.isPlaying()) {
+          this.looper.stop();
+          return;
+        }
+        await this.audioManager.ensureContext();
+        this.looper.play();
+      });
+    }
+
+    const undoButton = document.getElementById('looper-undo-btn');
+    if (undoButton) {
+      undoButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.looper.undo();
+      });
+    }
+
+    const clearButton = document.getElementById('looper-clear-btn');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.looper.clear();
+      });
+    }
+
+    const quantizeToggle = document.getElementById('looper-quantize-toggle');
+    if (quantizeToggle) {
+      quantizeToggle.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.looper.setQuantize(e.target.checked);
+      });
+    }
+
+    const tempoInput = document.getElementById('looper-tempo');
+    if (tempoInput) {
+      tempoInput.min = window.LOOPER_CONFIG.minTempo;
+      tempoInput.max = window.LOOPER_CONFIG.maxTempo;
+      tempoInput.addEventListener('change', (e) => {
+        this.looper.setTempo(parseFloat(e.target.value));
+        // 无效输入时恢复为当前速度
+        this.syncLooperControls();
+      });
+    }
+
+    const beatsSelector = document.getElementById('looper-beats-selector');
+    if (beatsSelector) {
+      beatsSelector.innerHTML = '';
+      window.LOOPER_CONFIG.beatsPerBarOptions.forEach(beats => {
+        const option = document.createElement('option');
+        option.value = String(beats);
+        option.textContent = `${beats} 拍`;
+        beatsSelector.appendChild(option);
+      });
+
+      beatsSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.looper.setBeatsPerBar(parseInt(e.target.value, 10));
+      });
+    }
+
+    this.syncLooperControls();
+    console.info('UIController: 循环录音已设置');
+  }
+
+  /**
+   * 演奏循环排程的一个音符
+   * 声音按音频时钟精确排程，琴键点亮按定时器近似同步
+   * @param {string} note - 实际发音的音符名称
+   * @param {string} key - 录制时的琴键音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} startTime - 开始时间（音频时钟，秒）
+   * @param {number} duration - 时长（秒）
+   * @param {boolean} soft - 录制时弱音踏板是否踩下
+   */
+  playLooperNote(note, key, velocity, startTime, duration, soft) {
+    try {
+      const audioContext = this.audioManager.contextManager.getContext();
+      const delay = audioContext ? Math.max(0, (startTime - audioContext.currentTime) * 1000) : 0;
+
+      const sourceIds = [];
+      if (typeof this.audioManager.scheduleNote === 'function') {
+        this.audioManager.scheduleNote(note, velocity, startTime, duration, { soft, sourceIds });
+      }
+      sourceIds.forEach(sourceId => this.looperSources.add(sourceId));
+
+      // 循环一直重复，音符结束后不再记录其音频源；同一琴键的音符可能重叠，最后一个音符结束时才熄灭
+      this.scheduleLooperTimer(() => {
+        this.looperKeys.set(key, (this.looperKeys.get(key) || 0) + 1);
+        if (this.pianoManager) {
+          this.pianoManager.activateKey(key);
+        }
+      }, delay);
+      this.scheduleLooperTimer(() => {
+        sourceIds.forEach(sourceId => this.looperSources.delete(sourceId));
+
+        const count = (this.looperKeys.get(key) || 1) - 1;
+        if (count > 0) {
+          this.looperKeys.set(key, count);
+          return;
+        }
+        this.looperKeys.delete(key);
+        if (this.pianoManager) {
+          this.pianoManager.deactivateKey(key);
+        }
+      }, delay + duration * 1000);
+    } catch (error) {
+      console.warn('UIController: 循环音符演奏失败', note, error);
+    }
+  }
+
+  /**
+   * 设置循环播放使用的定时器，停止或清除循环时统一清除
+   * @param {Function} callback - 回调函数
+   * @param {number} delay - 延迟（毫秒）
+   */
+  scheduleLooperTimer(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.looperTimers.delete(timerId);
+      callback();
+    }, delay);
+    this.looperTimers.add(timerId);
+  }
+
+  /**
+   * 循环停止或清除后，停止已排程的循环音符并熄灭琴键
+   * 只停止循环自己的音符，正在弹奏的音符、MIDI文件播放和录音回放不受影响
+   */
+  stopLooperNotes() {
+    this.looperTimers.forEach(timerId => clearTimeout(timerId));
+    this.looperTimers.clear();
+
+    this.looperKeys.forEach((count, key) => {
+      if (this.pianoManager) {
+        this.pianoManager.deactivateKey(key);
+      }
+    });
+    this.looperKeys.clear();
+
+    this.audioManager.stopSources(this.looperSources);
+    this.looperSources.clear();
+  }
+
+  /**
+   * 生成循环各层的控件
+   */
+  renderLooperLayers() {
+    const layersList = document.getElementById('looper-layers');
+    if (!layersList) return;
+
+    layersList.innerHTML = '';
+    this.looper.layers.forEach(layer => {
+      const container = document.createElement('div');
+      container.className = 'control-item';
+
+      const title = document.createElement('label');
+      title.className = 'control-label';
+      title.textContent = `${layer.name}（${layer.notes.length} 个音符${layer.muted ? '，已静音' : ''}）`;
+      container.appendChild(title);
+
+      const buttonRow = document.createElement('div');
+      buttonRow.className = 'button-row';
+
+      const muteButton = document.createElement('button');
+      muteButton.type = 'button';
+      muteButton.className = 'button text-button';
+      muteButton.textContent = layer.muted ? '取消静音' : '静音';
+      muteButton.classList.toggle('active', layer.muted);
+      muteButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.looper.setLayerMuted(layer.id, !layer.muted);
+      });
+      buttonRow.appendChild(muteButton);
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'button text-button';
+      removeButton.textContent = '清除此层';
+      removeButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.looper.removeLayer(layer.id);
+      });
+      buttonRow.appendChild(removeButton);
+
+      container.appendChild(buttonRow);
+      layersList.appendChild(container);
+    });
+  }
+
+  /**
+   * 同步循环录音控件的显示状态
+   */
+  syncLooperControls() {
+    if (!this.looper) return;
+
+    const looper = this.looper;
+    const states = window.LOOPER_STATES;
+
+    const recordButton = document.getElementById('looper-record-btn');
+    if (recordButton) {
+      const recordLabels = {
+        [states.empty]: '录制第一遍',
+        [states.recording]: '闭合循环',
+        [states.playing]: '叠录',
+        [states.overdubbing]: '结束叠录',
+        [states.stopped]: '播放并叠录'
+      };
+      recordButton.textContent = recordLabels[looper.state];
+      recordButton.classList.toggle('active', looper.isRecording());
+    }
+
+    const playButton = document.getElementById('looper-play-btn');
+    if (playButton) {
+      playButton.textContent = looper.isPlaying() ? '停止' : '播放';
+      playButton.disabled = looper.state === states.empty || looper.state === states.recording;
+    }
+
+    const undoButton = document.getElementById('looper-undo-btn');
+    if (undoButton) {
+      undoButton.disabled = looper.layers.length === 0 && looper.state !== states.overdubbing;
+    }
+
+    const quantizeToggle = document.getElementById('looper-quantize-toggle');
+    if (quantizeToggle) {
+      quantizeToggle.checked = looper.quantize;
+    }
+
+    const tempoInput = document.getElementById('looper-tempo');
+    if (tempoInput) {
+      tempoInput.value = looper.tempo;
+    }
+
+    const beatsSelector = document.getElementById('looper-beats-selector');
+    if (beatsSelector) {
+      beatsSelector.value = String(looper.beatsPerBar);
+    }
+
+    const status = document.getElementById('looper-status');
+    if (status) {
+      if (looper.state === states.empty) {
+        status.textContent = '第一遍录音决定循环长度，之后每次叠录成为新的一层';
+      } else if (looper.state === states.recording) {
+        status.textContent = '正在录制第一遍，再按一次闭合循环';
+      } else {
+        const bars = Math.round(looper.getBarCount() * 10) / 10;
+        const barsText = Number.isInteger(bars) ? `，${bars} 小节` : `，约 ${bars} 小节`;
+        const stateText = looper.state === states.overdubbing ? '叠录中' : (looper.isPlaying() ? '播放中' : '已停止');
+        status.textContent = `${stateText}：循环 ${looper.loopLength.toFixed(2)} 秒${barsText}，${looper.layers.length} 层`;
+      }
+    }
 
-      // 播放音符
-      if (this.audioManager && this.audioManager.playNote) {
-        this.audioManager.playNote(note).catch(error => {
-          console.warn('UIController: 播放音符失败', note, error);
-        });
+    this.renderLooperLayers();
+  }
 
-        // 视觉反馈
-        pianoKey.classList.add('active');
-        setTimeout(() => {
-          pianoKey.classList.remove('active');
-        }, 150);
+  /**
+   * 设置MIDI文件导入和播放功能
+   */
+  setupMidiPlayer() {
+    if (!window.MidiPlayer || !window.MidiFile) {
+      console.warn('UIController: MidiPlayer类或MidiFile模块未找到，跳过MIDI文件播放设置');
+      return;
+    }
 
-        console.info(`UIController: 播放音符 ${note}`);
-      }
-    });
+    this.midiPlayer = new window.MidiPlayer(() => this.audioManager.contextManager.getContext());
+    this.midiPlayer.onNote = (note, velocity, startTime, duration) => {
+      this.playMidiFileNote(note, velocity, startTime, duration);
+    };
+    this.midiPlayer.onStop = () => {
+      this.stopMidiFileNotes();
+    };
+    this.midiPlayer.onStateChange = () => {
+      this.syncMidiPlayerControls();
+    };
+    this.updateMidiPlayerRange();
+
+    const midiFileInput = document.getElementById('midi-file-input');
+    const midiImportBtn = document.getElementById('midi-import-btn');
+    if (midiFileInput && midiImportBtn) {
+      midiImportBtn.addEventListener('click', () => {
+        this.buttonSound.play();
+        midiFileInput.click();
+      });
+      midiFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (file) {
+          await this.importMidiFile(file);
+        }
+        // 清空选择，允许再次导入同名文件
+        midiFileInput.value = '';
+      });
+    }
 
-    // 添加触摸事件支持
-    document.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: false });
-    document.addEventListener('touchmove', this.handleTouchMove.bind(this), { passive: false });
-    document.addEventListener('touchend', this.handleTouchEnd.bind(this), { passive: false });
+    const playButton = document.getElementById('midi-play-btn');
+    if (playButton) {
+      playButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.toggleMidiPlayback();
+      });
+    }
 
-    console.info('UIController: 钢琴键事件监听器已设置');
+    const stopButton = document.getElementById('midi-stop-btn');
+    if (stopButton) {
+      stopButton.addEventListener('click', () => {
+        this.buttonSound.play();
+        this.midiPlayer.stop();
+      });
+    }
+
+    // 拖动进度条时只更新时间显示，松开后再跳转
+    const seekSlider = document.getElementById('midi-seek');
+    if (seekSlider) {
+      seekSlider.addEventListener('input', (e) => {
+        this.isMidiSeeking = true;
+        const position = document.getElementById('midi-position');
+        if (position) {
+          position.textContent = `${this.formatPlaybackTime(parseFloat(e.target.value))} / ${this.formatPlaybackTime(this.midiPlayer.getDuration())}`;
+        }
+      });
+      seekSlider.addEventListener('change', (e) => {
+        this.isMidiSeeking = false;
+        this.midiPlayer.seek(parseFloat(e.target.value));
+      });
+    }
+
+    const speedSelector = document.getElementById('midi-speed-selector');
+    if (speedSelector) {
+      speedSelector.innerHTML = '';
+      window.MIDI_PLAYER_CONFIG.speeds.forEach(speed => {
+        const option = document.createElement('option');
+        option.value = String(speed);
+        option.textContent = `${speed}x`;
+        speedSelector.appendChild(option);
+      });
+
+      speedSelector.addEventListener('change', (e) => {
+        this.buttonSound.play();
+        this.midiPlayer.setSpeed(parseFloat(e.target.value));
+      });
+    }
+
+    this.renderMidiTrackList();
+    this.syncMidiPlayerControls();
+    console.info('UIController: MIDI文件播放已设置');
   }
 
   /**
-   * 触摸开始处理
-   * @param {TouchEvent} e - 触摸事件对象
+   * 导入并载入MIDI文件
+   * @param {File} file - 选择的 .mid 文件
    */
-  handleTouchStart(e) {
-    let shouldPrevent = false;
+  async importMidiFile(file) {
+    try {
+      // 读取前检查大小，避免误选的大文件占满内存
+      const maxFileSize = window.MIDI_PLAYER_CONFIG.maxFileSize;
+      if (file.size > maxFileSize) {
+        throw new Error(`文件太大，不能超过 ${Math.round(maxFileSize / 1024 / 1024)} MB`);
+      }
 
-    for (let i = 0; i < e.changedTouches.length; i++) {
-      const touch = e.changedTouches[i];
-      const keyEl = this.getKeyElementFromTouch(touch);
-      if (keyEl) {
-        shouldPrevent = true;
-        break;
+      const data = await file.arrayBuffer();
+      const song = window.MidiFile.parseMidiFile(data);
+      if (!song.tracks.some(track => track.notes.length > 0)) {
+        throw new Error('文件中没有音符');
       }
+
+      this.midiPlayer.load(song, file.name);
+      this.midiPlayerFile = { name: file.name, data };
+      this.renderMidiTrackList();
+      this.showToast(`已导入 ${file.name}`, 2000);
+    } catch (error) {
+      console.warn('UIController: MIDI文件导入失败', error);
+      this.showToast(`MIDI文件导入失败：${error.message}`, 4000);
+    }
+  }
+
+  /**
+   * 按当前音域和移调更新MIDI文件播放的音符范围
+   * 音符按实际发音的音高折叠，琴键点亮时再减去移调
+   */
+  updateMidiPlayerRange() {
+    if (!this.midiPlayer || !this.audioManager || !this.audioManager.notes) return;
+
+    const keyNumbers = this.audioManager.notes.map(note => parseInt(note.name, 10));
+    this.midiPlayer.setNoteRange(
+      Math.min(...keyNumbers) + this.transpose,
+      Math.max(...keyNumbers) + this.transpose
+    );
+  }
+
+  /**
+   * 生成MIDI文件的音轨选择列表
+   */
+  renderMidiTrackList() {
+    const trackList = document.getElementById('midi-track-list');
+    if (!trackList) return;
+
+    trackList.innerHTML = '';
+    const song = this.midiPlayer.song;
+    if (!song) return;
+
+    song.tracks
+      .filter(track => track.notes.length > 0)
+      .forEach(track => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.midiPlayer.selectedTracks.has(track.index);
+        checkbox.addEventListener('change', (e) => {
+          this.buttonSound.play();
+          this.midiPlayer.setTrackSelected(track.index, e.target.checked);
+        });
+
+        const percussion = this.midiPlayer.isPercussionTrack(track) ? '，打击乐' : '';
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${track.name}（${track.notes.length} 个音符${percussion}）`));
+        trackList.appendChild(label);
+      });
+  }
+
+  /**
+   * 播放或暂停MIDI文件
+   */
+  async toggleMidiPlayback() {
+    if (this.midiPlayer.isPlaying) {
+      this.midiPlayer.pause();
+      return;
+    }
+
+    if (!this.midiPlayer.song) {
+      this.showToast('请先导入MIDI文件', 2000);
+      return;
+    }
+
+    // 播放使用音频时钟排程，需要先创建音频上下文
+    await this.audioManager.ensureContext();
+    if (!this.midiPlayer.play()) {
+      this.showToast('没有选中可播放的音轨', 2000);
     }
+  }
 
-    if (shouldPrevent) e.preventDefault();
+  /**
+   * 演奏MIDI文件排程的一个音符
+   * 声音按音频时钟精确排程，琴键点亮按定时器近似同步
+   * @param {string} note - 实际发音的音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} startTime - 开始时间（音频时钟，秒）
+   * @param {number} duration - 时长（秒）
+   */
+  playMidiFileNote(note, velocity, startTime, duration) {
+    try {
+      const audioContext = this.audioManager.contextManager.getContext();
+      const delay = audioContext ? Math.max(0, (startTime - audioContext.currentTime) * 1000) : 0;
+      const key = String(parseInt(note, 10) - this.transpose);
 
-    for (let i = 0; i < e.changedTouches.length; i++) {
-      const touch = e.changedTouches[i];
-      const keyEl = this.getKeyElementFromTouch(touch);
-      if (keyEl) {
-        const note = keyEl.getAttribute('data-note');
-        this.playNote(note);
-        this.activeTouches[touch.identifier] = {
-          note: note,
-          startTime: Date.now(),
-          isSustaining: false
-        };
+      if (typeof this.audioManager.scheduleNote === 'function') {
+        this.audioManager.scheduleNote(note, velocity, startTime, duration, { sourceIds: this.midiPlayerSources });
       }
+
+      // 同一琴键的音符可能重叠，最后一个音符结束时才熄灭
+      this.scheduleMidiPlayerTimer(() => {
+        this.midiPlayerKeys.set(key, (this.midiPlayerKeys.get(key) || 0) + 1);
+        if (this.pianoManager) {
+          this.pianoManager.activateKey(key);
+        }
+      }, delay);
+      this.scheduleMidiPlayerTimer(() => {
+        const count = (this.midiPlayerKeys.get(key) || 1) - 1;
+        if (count > 0) {
+          this.midiPlayerKeys.set(key, count);
+          return;
+        }
+        this.midiPlayerKeys.delete(key);
+        if (this.pianoManager) {
+          this.pianoManager.deactivateKey(key);
+        }
+      }, delay + duration * 1000);
+    } catch (error) {
+      console.warn('UIController: MIDI文件音符演奏失败', note, error);
     }
   }
 
   /**
-   * 触摸移动处理
-   * @param {TouchEvent} e - 触摸事件对象
+   * 设置MIDI文件播放使用的定时器，暂停或跳转时统一清除
+   * @param {Function} callback - 回调函数
+   * @param {number} delay - 延迟（毫秒）
+   */
+  scheduleMidiPlayerTimer(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.midiPlayerTimers.delete(timerId);
+      callback();
+    }, delay);
+    this.midiPlayerTimers.add(timerId);
+  }
+
+  /**
+   * MIDI文件暂停、跳转或停止后，停止已排程的音符并熄灭琴键
+   * 只停止MIDI文件播放自己的音符，正在弹奏的音符、循环录音和录音回放不受影响
    */
-  handleTouchMove(e) {
-    let shouldPrevent = false;
+  stopMidiFileNotes() {
+    this.midiPlayerTimers.forEach(timerId => clearTimeout(timerId));
+    this.midiPlayerTimers.clear();
 
-    for (let i = 0; i < e.changedTouches.length; i++) {
-      const touch = e.changedTouches[i];
-      const keyEl = this.getKeyElementFromTouch(touch);
-      if (keyEl) {
-        shouldPrevent = true;
-        break;
+    this.midiPlayerKeys.forEach((count, key) => {
+      if (this.pianoManager) {
+        this.pianoManager.deactivateKey(key);
       }
+    });
+    this.midiPlayerKeys.clear();
+
+    this.audioManager.stopSources(this.midiPlayerSources);
+    this.midiPlayerSources = [];
+  }
+
+  /**
+   * 将秒数格式化为 分:秒
+   * @param {number} seconds - 秒数
+   * @returns {string} 格式化的时间
+   */
+  formatPlaybackTime(seconds) {
+    const totalSeconds = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * 同步MIDI文件播放控件的显示状态
+   */
+  syncMidiPlayerControls() {
+    if (!this.midiPlayer) return;
+
+    const player = this.midiPlayer;
+
+    // 播放时定时刷新进度
+    if (player.isPlaying && !this.midiPlayerStatusTimer) {
+      this.midiPlayerStatusTimer = setInterval(() => this.syncMidiPlayerControls(), 250);
+    } else if (!player.isPlaying && this.midiPlayerStatusTimer) {
+      clearInterval(this.midiPlayerStatusTimer);
+      this.midiPlayerStatusTimer = null;
     }
 
-    if (shouldPrevent) e.preventDefault();
+    const playButton = document.getElementById('midi-play-btn');
+    if (playButton) {
+      playButton.textContent = player.isPlaying ? '暂停' : '播放';
+      playButton.disabled = !player.song;
+    }
 
-    for (let i = 0; i < e.changedTouches.length; i++) {
-      const touch = e.changedTouches[i];
-      const keyEl = this.getKeyElementFromTouch(touch);
-      const prevTouchInfo = this.activeTouches[touch.identifier];
+    const stopButton = document.getElementById('midi-stop-btn');
+    if (stopButton) {
+      stopButton.disabled = !player.song;
+    }
 
-      if (keyEl) {
-        const note = keyEl.getAttribute('data-note');
-        
-        // 只有当手指移动到不同的琴键时才播放新音符
-        if (prevTouchInfo && note !== prevTouchInfo.note) {
-          this.playNote(note);
-          
-          // 检查是否开启了持续发音模式
-          const sustainToggle = document.getElementById('sustain-toggle');
-          const isSustainMode = sustainToggle ? sustainToggle.checked : false;
-          
-          if (isSustainMode) {
-            // 在持续发音模式下，停止上一个琴键的持续发音
-            this.stopSustainedNote(prevTouchInfo.note);
-          } else {
-            // 在普通模式下，释放上一个琴键的音符
-            this.releaseNote(prevTouchInfo.note);
-          }
-          
-          this.activeTouches[touch.identifier] = {
-            note: note,
-            startTime: prevTouchInfo.startTime,
-            isSustaining: prevTouchInfo.isSustaining
-          };
-        } else if (!prevTouchInfo) {
-          // 如果没有之前的触摸信息，说明是新的触摸点
-          this.playNote(note);
-          this.activeTouches[touch.identifier] = {
-            note: note,
-            startTime: Date.now(),
-            isSustaining: false
-          };
-        }
-        // 如果手指在同一个琴键上滑动，不触发任何操作
-      } else if (prevTouchInfo) {
-        // 检查是否开启了持续发音模式
-        const sustainToggle = document.getElementById('sustain-toggle');
-        const isSustainMode = sustainToggle ? sustainToggle.checked : false;
-        
-        if (isSustainMode) {
-          // 在持续发音模式下，停止持续发音
-          this.stopSustainedNote(prevTouchInfo.note);
-        } else {
-          // 在普通模式下，释放音符
-          this.releaseNote(prevTouchInfo.note);
-        }
-        delete this.activeTouches[touch.identifier];
+    const duration = player.getDuration();
+    const position = player.getPosition();
+    const seekSlider = document.getElementById('midi-seek');
+    if (seekSlider && !this.isMidiSeeking) {
+      seekSlider.max = String(duration);
+      seekSlider.value = String(position);
+      seekSlider.disabled = !player.song;
+    }
+
+    const positionText = document.getElementById('midi-position');
+    if (positionText && !this.isMidiSeeking) {
+      positionText.textContent = `${this.formatPlaybackTime(position)} / ${this.formatPlaybackTime(duration)}`;
+    }
+
+    const speedSelector = document.getElementById('midi-speed-selector');
+    if (speedSelector) {
+      speedSelector.value = String(player.speed);
+    }
+
+    const status = document.getElementById('midi-player-status');
+    if (status) {
+      if (!player.song) {
+        status.textContent = '尚未导入MIDI文件';
+      } else {
+        const skipped = player.skippedNoteCount > 0 ? `，${player.skippedNoteCount} 个音符无法放入当前音域` : '';
+        status.textContent = `${player.fileName}：${player.selectedTracks.size} 个音轨，${player.notes.length} 个音符${skipped}`;
       }
     }
   }
 
   /**
-   * 触摸结束处理
-   * @param {TouchEvent} e - 触摸事件对象
+   * 演奏琶音器排程的一步
+   * 声音按音频时钟精确排程，MIDI输出换算为performance.now()时钟的时间戳，视觉反馈按定时器近似同步
+   * @param {string} note - 琴键音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} startTime - 开始时间（音频时钟，秒）
+   * @param {number} duration - 时长（秒）
    */
-  handleTouchEnd(e) {
-    let shouldPrevent = false;
+  playArpeggioStep(note, velocity, startTime, duration) {
+    try {
+      const soundingNote = this.getSoundingNote(note);
+      const audioContext = this.audioManager.contextManager.getContext();
+      const delay = audioContext ? Math.max(0, (startTime - audioContext.currentTime) * 1000) : 0;
+
+      if (this.midiOutput) {
+        const timestamp = performance.now() + delay;
+        this.midiOutput.noteOn(soundingNote, velocity, timestamp);
+        this.midiOutput.noteOff(soundingNote, timestamp + duration * 1000);
+      }
 
-    for (let i = 0; i < e.changedTouches.length; i++) {
-      const touch = e.changedTouches[i];
-      const keyEl = this.getKeyElementFromTouch(touch);
-      if (keyEl) {
-        shouldPrevent = true;
-        break;
+      if (this.recorder) {
+        const state = this.getRecordingState();
+        this.recorder.recordNoteOn(note, soundingNote, velocity, state, startTime);
+        this.recorder.recordNoteOff(note, soundingNote, state, startTime + duration);
+      }
+      if (this.looper) {
+        this.looper.recordNoteOn(note, soundingNote, velocity, startTime, this.isSoftPedalDown());
+        this.looper.recordNoteOff(soundingNote, startTime + duration);
       }
-    }
 
-    if (shouldPrevent) e.preventDefault();
+      const isInternalMuted = this.midiOutput ? this.midiOutput.shouldMuteInternal() : false;
+      if (!isInternalMuted && typeof this.audioManager.scheduleNote === 'function') {
+        // 琶音是现场演奏，按当前弱音踏板状态发音
+        this.audioManager.scheduleNote(soundingNote, velocity, startTime, duration, { soft: this.isSoftPedalDown() });
+      }
 
-    for (let i = 0; i < e.changedTouches.length; i++) {
-      const touch = e.changedTouches[i];
-      const touchInfo = this.activeTouches[touch.identifier];
-      if (touchInfo) {
-        // 检查是否开启了持续发音模式
-        const sustainToggle = document.getElementById('sustain-toggle');
-        const isSustainMode = sustainToggle ? sustainToggle.checked : false;
-        
-        if (isSustainMode) {
-          // 停止持续发音
-          this.stopSustainedNote(touchInfo.note);
-        } else {
-          // 原有的释放逻辑
-          this.releaseNote(touchInfo.note);
-        }
-        
-        delete this.activeTouches[touch.identifier];
+      if (this.pianoManager) {
+        setTimeout(() => this.pianoManager.activateKey(note), delay);
+        setTimeout(() => this.pianoManager.deactivateKey(note), delay + duration * 1000);
       }
+    } catch (error) {
+      console.warn('UIController: 琶音演奏失败', note, error);
+    }
+  }
+
+  /**
+   * 应用踏板状态
+   * @param {string} type - 踏板类型 ('sustain', 'sostenuto' 或 'soft')
+   * @param {boolean} isDown - 踏板是否按下
+   */
+  applyPedal(type, isDown) {
+    this.setAudioPedal(type, isDown);
+
+    // 同步发送到MIDI输出
+    if (this.midiOutput) {
+      this.midiOutput.controlChange(window.PIANO_PEDALS[type].controller, isDown ? 127 : 0);
+    }
+
+    if (this.recorder) {
+      this.recorder.recordPedal(type, isDown);
+    }
+  }
+
+  /**
+   * 设置音频管理器的踏板状态
+   * @param {string} type - 踏板类型 ('sustain', 'sostenuto' 或 'soft')
+   * @param {boolean} isDown - 踏板是否按下
+   */
+  setAudioPedal(type, isDown) {
+    const pedalMethods = {
+      sustain: 'setSustainPedal',
+      sostenuto: 'setSostenutoPedal',
+      soft: 'setSoftPedal'
+    };
+
+    const method = pedalMethods[type];
+    if (this.audioManager && typeof this.audioManager[method] === 'function') {
+      this.audioManager[method](isDown);
+    }
+  }
+
+  /**
+   * 指针按下处理
+   * @param {PointerEvent} e - 指针事件对象
+   */
+  handlePointerDown(e) {
+    // 鼠标只响应左键
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    const keyEl = this.getKeyElementFromPoint(e);
+    if (!keyEl) return;
+
+    e.preventDefault();
+
+    // 捕获指针，确保移出容器或窗口后仍能收到移动和松开事件
+    try {
+      e.currentTarget.setPointerCapture(e.pointerId);
+    } catch (error) {
+      console.warn('UIController: 指针捕获失败', error);
+    }
+
+    // 同一指针未收到松开事件又再次按下时，先释放之前的音符
+    const prevPointerInfo = this.activePointers[e.pointerId];
+    if (prevPointerInfo && prevPointerInfo.note) {
+      this.releaseHeldNote(prevPointerInfo.note);
+    }
+
+    const note = keyEl.getAttribute('data-note');
+    this.playNote(note, this.getPointerVelocity(e, keyEl));
+    this.activePointers[e.pointerId] = {
+      note: note,
+      pointerType: e.pointerType,
+      startTime: Date.now(),
+      isSustaining: false
+    };
+  }
+
+  /**
+   * 指针移动处理（滑奏）
+   * @param {PointerEvent} e - 指针事件对象
+   */
+  handlePointerMove(e) {
+    const pointerInfo = this.activePointers[e.pointerId];
+    // 只处理已按下的指针，鼠标悬停不发音
+    if (!pointerInfo) return;
+
+    e.preventDefault();
+
+    const keyEl = this.getKeyElementFromPoint(e);
+    const note = keyEl ? keyEl.getAttribute('data-note') : null;
+
+    // 在同一个琴键上移动，不触发任何操作
+    if (note === pointerInfo.note) return;
+
+    // 先播放新琴键再释放上一个琴键，与原触摸滑奏的顺序一致
+    if (note) {
+      this.playNote(note, this.getPointerVelocity(e, keyEl));
+    }
+    if (pointerInfo.note) {
+      this.releaseHeldNote(pointerInfo.note);
+    }
+
+    // 移出琴键时保留指针记录，移回琴键时继续滑奏
+    pointerInfo.note = note;
+  }
+
+  /**
+   * 指针松开处理
+   * @param {PointerEvent} e - 指针事件对象
+   */
+  handlePointerUp(e) {
+    const pointerInfo = this.activePointers[e.pointerId];
+    if (!pointerInfo) return;
+
+    e.preventDefault();
+    this.releasePointer(e.pointerId);
+  }
+
+  /**
+   * 指针取消处理（如系统手势打断、触控笔离开感应范围）
+   * @param {PointerEvent} e - 指针事件对象
+   */
+  handlePointerCancel(e) {
+    this.releasePointer(e.pointerId);
+  }
+
+  /**
+   * 释放指针对应的音符并移除记录
+   * @param {number} pointerId - 指针ID
+   */
+  releasePointer(pointerId) {
+    const pointerInfo = this.activePointers[pointerId];
+    if (!pointerInfo) return;
+
+    delete this.activePointers[pointerId];
+    if (pointerInfo.note) {
+      this.releaseHeldNote(pointerInfo.note);
     }
   }
 
   /**
-   * 从触摸点获取琴键元素
-   * @param {Touch} touch - 触摸点对象
+   * 计算指针按键的力度
+   * @param {PointerEvent} e - 指针事件对象
+   * @param {Element} keyEl - 被按下的琴键元素
+   * @returns {number|undefined} 力度 (0-1)，未启用触摸力度时返回undefined使用默认力度
+   */
+  getPointerVelocity(e, keyEl) {
+    return this.touchVelocity ? this.touchVelocity.getVelocity(e, keyEl) : undefined;
+  }
+
+  /**
+   * 从指针位置获取琴键元素
+   * @param {PointerEvent} e - 指针事件对象
    * @returns {Element|null} 琴键元素或null
    */
-  getKeyElementFromTouch(touch) {
-    const el = document.elementFromPoint(touch.clientX, touch.clientY);
+  getKeyElementFromPoint(e) {
+    // 指针被捕获后事件目标不再变化，需要根据坐标查找实际所在的琴键
+    const el = document.elementFromPoint(e.clientX, e.clientY);
     return el && el.closest && el.closest('.piano-key');
   }
 
   /**
    * 播放音符
+   * 音阶锁定时调外音静音或吸附到最近的音阶音，单指和弦模式下演奏以该音为根音的和弦
+   * @param {string} note - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)，未指定时使用音频管理器的默认力度
+   */
+  async playNote(note, velocity) {
+    const rootNote = this.scaleLock ? this.scaleLock.resolveNote(note) : note;
+    let voices = [];
+    if (rootNote !== null) {
+      voices = this.chordMode ? this.chordMode.getChordNotes(rootNote) : [rootNote];
+    }
+    if (!this.chordVoices.has(note)) {
+      this.chordVoices.set(note, []);
+    }
+    this.chordVoices.get(note).push(voices);
+
+    voices.forEach(voice => {
+      this.voiceHolds.set(voice, (this.voiceHolds.get(voice) || 0) + 1);
+    });
+
+    // 琶音器开启时按住的音符交给琶音器按节奏演奏
+    // 先登记按住的音符再等待音频上下文，等待期间松开琴键时琶音器能找到并停止这些音符
+    if (this.arpeggiator && this.arpeggiator.enabled) {
+      voices.forEach(voice => this.arpeggiator.noteOn(voice, velocity));
+      if (this.audioManager && typeof this.audioManager.ensureContext === 'function') {
+        await this.audioManager.ensureContext();
+        this.arpeggiator.resume();
+      }
+      return;
+    }
+
+    await Promise.all(voices.map(voice => this.playVoice(voice, velocity)));
+  }
+
+  /**
+   * 播放单个音符并点亮对应琴键
    * @param {string} note - 要播放的音符名称
+   * @param {number} velocity - 音符力度 (0-1)，未指定时使用音频管理器的默认力度
    */
-  async playNote(note) {
+  async playVoice(note, velocity) {
     try {
-      if (this.audioManager && this.audioManager.playNote) {
-        const result = await this.audioManager.playNote(note);
+      // 记录移调后实际发音的音符，松开时即使移调已改变也能停止正确的音符
+      const soundingNote = this.getSoundingNote(note);
+      this.soundingNotes.set(note, soundingNote);
+
+      // 同步发送到MIDI输出
+      if (this.midiOutput) {
+        this.midiOutput.noteOn(soundingNote, velocity);
+      }
+
+      const recordedVelocity = velocity === undefined ? window.AudioConfig.VELOCITY_CONFIG.defaultVelocity : velocity;
+      if (this.recorder) {
+        this.recorder.recordNoteOn(note, soundingNote, recordedVelocity, this.getRecordingState());
+      }
+      if (this.looper) {
+        this.looper.recordNoteOn(note, soundingNote, recordedVelocity, undefined, this.isSoftPedalDown());
+      }
+
+      const isInternalMuted = this.midiOutput ? this.midiOutput.shouldMuteInternal() : false;
+      if (!isInternalMuted && this.audioManager && this.audioManager.playNote) {
+        const result = await this.audioManager.playNote(soundingNote, velocity);
         if (result === null) {
           console.warn('UIController: 播放音符失败或跳过', note);
         }
       }
 
       // 视觉反馈
-      const pianoKey = document.querySelector(`.piano-key[data-note="${note}"]`);
-      if (pianoKey) {
-        pianoKey.classList.add('active');
+      if (this.pianoManager) {
+        this.pianoManager.activateKey(note);
       }
     } catch (error) {
       console.warn('UIController: 播放音符失败', note, error);
@@ -581,38 +4294,118 @@ class UIController {
 
   /**
    * 释放音符
+   * 单指和弦模式下释放该琴键触发的所有和弦音
    * @param {string} note - 要释放的音符名称
    */
   releaseNote(note) {
+    this.takeChordVoices(note).forEach(voice => this.releaseVoice(voice));
+  }
+
+  /**
+   * 取出琴键触发的和弦音
+   * 多个琴键的和弦共用同一个音时，只有最后一个琴键松开才返回该音；
+   * 同一琴键由多个输入（如电脑键盘和鼠标）同时按住时，每次松开取出最早一次按下的和弦
+   * @param {string} note - 松开的琴键音符名称
+   * @returns {Array<string>} 需要释放的音符名称
+   */
+  takeChordVoices(note) {
+    const presses = this.chordVoices.get(note);
+    const voices = presses ? presses.shift() : [note];
+    if (presses && presses.length === 0) {
+      this.chordVoices.delete(note);
+    }
+
+    return voices.filter(voice => {
+      const holds = (this.voiceHolds.get(voice) || 1) - 1;
+      if (holds > 0) {
+        this.voiceHolds.set(voice, holds);
+        return false;
+      }
+      this.voiceHolds.delete(voice);
+      // 琶音器按住的音符由琶音器停止，不需要再释放
+      return !(this.arpeggiator && this.arpeggiator.noteOff(voice));
+    });
+  }
+
+  /**
+   * 释放单个音符并熄灭对应琴键
+   * @param {string} note - 要释放的音符名称
+   */
+  releaseVoice(note) {
     try {
+      const soundingNote = this.soundingNotes.get(note) || this.getSoundingNote(note);
+      this.soundingNotes.delete(note);
+
+      if (this.midiOutput) {
+        this.midiOutput.noteOff(soundingNote);
+      }
+
+      if (this.recorder) {
+        this.recorder.recordNoteOff(note, soundingNote, this.getRecordingState());
+      }
+      if (this.looper) {
+        this.looper.recordNoteOff(soundingNote);
+      }
+
+      // 制音，延音踏板按下时由音频管理器推迟到踏板松开
+      if (this.audioManager && typeof this.audioManager.stopNote === 'function') {
+        this.audioManager.stopNote(soundingNote);
+      }
+
       // 移除视觉反馈
-      const pianoKey = document.querySelector(`.piano-key[data-note="${note}"]`);
-      if (pianoKey) {
-        pianoKey.classList.remove('active');
+      if (this.pianoManager) {
+        this.pianoManager.deactivateKey(note);
       }
     } catch (error) {
       console.warn('UIController: 释放音符失败', note, error);
     }
   }
 
+  /**
+   * 松开按住的琴键
+   * 持续发音模式下停止持续音，否则按普通方式释放音符
+   * @param {string} note - 要松开的音符名称
+   */
+  releaseHeldNote(note) {
+    const sustainToggle = document.getElementById('sustain-toggle');
+    const isSustainMode = sustainToggle ? sustainToggle.checked : false;
+
+    if (isSustainMode) {
+      this.stopSustainedNote(note);
+    } else {
+      this.releaseNote(note);
+    }
+  }
+
   /**
    * 停止持续发音音符
    * @param {string} note - 要停止的音符名称
    */
   stopSustainedNote(note) {
+    this.takeChordVoices(note).forEach(voice => this.stopSustainedVoice(voice));
+  }
+
+  /**
+   * 停止单个持续发音音符
+   * @param {string} note - 要停止的音符名称
+   */
+  stopSustainedVoice(note) {
     try {
-      // 移除视觉反馈
-      const pianoKey = document.querySelector(`.piano-key[data-note="${note}"]`);
-      if (pianoKey) {
-        pianoKey.classList.remove('active');
-      }
+      // 振荡器按实际发音的音符记录持续音，需在释放前取得（键盘分割时为音区移调后的声部音符）
+      const soundingNote = this.soundingNotes.get(note) || this.getSoundingNote(note);
+      const voiceNotes = this.audioManager && typeof this.audioManager.getVoiceNotes === 'function'
+        ? this.audioManager.getVoiceNotes(soundingNote)
+        : [soundingNote];
+
+      // 移除视觉反馈并同步MIDI输出
+      this.releaseVoice(note);
       
       // 停止所有振荡器实例中的持续发音
       const oscillators = ['audio-core', 'audio-player', 'fallback'];
       oscillators.forEach(id => {
         const oscillator = window.OscillatorManager.getOscillator(id);
         if (oscillator && typeof oscillator.stopSustainedNote === 'function') {
-          oscillator.stopSustainedNote(note);
+          voiceNotes.forEach(voiceNote => oscillator.stopSustainedNote(voiceNote));
         }
       });
       
@@ -623,12 +4416,49 @@ class UIController {
     }
   }
 
+  /**
+   * 获取琴键移调后实际发音的音符
+   * @param {string} note - 琴键音符名称
+   * @returns {string} 移调后的音符名称
+   */
+  getSoundingNote(note) {
+    const keyNumber = parseInt(note, 10);
+    if (Number.isNaN(keyNumber) || this.transpose === 0) return note;
+    return String(keyNumber + this.transpose);
+  }
+
+  /**
+   * 释放所有输入方式按住的琴键
+   */
+  releaseAllInputs() {
+    Object.keys(this.activePointers).forEach(pointerId => this.releasePointer(pointerId));
+    if (this.keyboardInput) {
+      this.keyboardInput.releaseAll();
+    }
+    if (this.midiInput) {
+      this.midiInput.releaseAll();
+    }
+  }
+
   /**
    * 缓存用户设置
    */
   cacheUserSettings() {
     const settings = {
       volume: this.audioManager?.volume || 0.9,
+      keyboard: this.keyboardInput ? this.keyboardInput.getSettings() : undefined,
+      midiInput: this.midiInput ? this.midiInput.getSettings() : undefined,
+      midiOutput: this.midiOutput ? this.midiOutput.getSettings() : undefined,
+      velocity: this.touchVelocity ? this.touchVelocity.getSettings() : undefined,
+      keyRange: this.keyRange ? this.keyRange.getSettings() : undefined,
+      transpose: this.transpose,
+      tuning: this.tuning ? this.tuning.getSettings() : undefined,
+      chord: this.chordMode ? this.chordMode.getSettings() : undefined,
+      arpeggiator: this.arpeggiator ? this.arpeggiator.getSettings() : undefined,
+      scale: this.scaleLock ? this.scaleLock.getSettings() : undefined,
+      split: this.keyboardSplit ? this.keyboardSplit.getSettings() : undefined,
+      layers: this.timbreLayers ? this.timbreLayers.getSettings() : undefined,
+      looper: this.looper ? this.looper.getSettings() : undefined,
       lastUsed: Date.now()
     };
 
@@ -650,6 +4480,71 @@ class UIController {
         if (settings.volume && this.audioManager) {
           this.audioManager.setVolume(settings.volume);
         }
+        if (settings.keyboard && this.keyboardInput) {
+          this.keyboardInput.applySettings(settings.keyboard);
+          this.syncKeyboardInputControls();
+        }
+        if (settings.midiInput && this.midiInput) {
+          this.midiInput.applySettings(settings.midiInput);
+          this.syncMidiInputControls();
+          // 上次已启用MIDI输入且已授权时自动重新连接，未授权时等待用户手动启用
+          if (settings.midiInput.enabled) {
+            this.midiInput.restore();
+          }
+        }
+        if (settings.midiOutput && this.midiOutput) {
+          this.midiOutput.applySettings(settings.midiOutput);
+          this.syncMidiOutputControls();
+          if (settings.midiOutput.enabled) {
+            this.midiOutput.restore();
+          }
+        }
+        if (settings.velocity && this.touchVelocity) {
+          this.touchVelocity.applySettings(settings.velocity);
+          this.syncTouchVelocityControls();
+        }
+        if (settings.keyRange && this.keyRange) {
+          this.keyRange.applySettings(settings.keyRange);
+          this.applyKeyRange(this.keyRange.getNotes());
+          if (this.pianoManager && typeof this.pianoManager.setZoom === 'function') {
+            this.pianoManager.setZoom(this.keyRange.zoom);
+          }
+          this.syncKeyRangeControls();
+        }
+        if (Number.isInteger(settings.transpose)) {
+          this.applyTranspose(settings.transpose);
+        }
+        if (settings.tuning && this.tuning) {
+          this.tuning.applySettings(settings.tuning);
+          this.syncTuningControls();
+        }
+        if (settings.chord && this.chordMode) {
+          this.chordMode.applySettings(settings.chord);
+          this.syncChordModeControls();
+        }
+        if (settings.arpeggiator && this.arpeggiator) {
+          this.arpeggiator.applySettings(settings.arpeggiator);
+          this.syncArpeggiatorControls();
+        }
+        if (settings.scale && this.scaleLock) {
+          this.scaleLock.applySettings(settings.scale);
+          this.applyScaleHighlight();
+          this.syncScaleLockControls();
+        }
+        if (settings.split && this.keyboardSplit) {
+          this.keyboardSplit.applySettings(settings.split);
+          this.updateSplitNoteOptions();
+          this.applyKeyboardSplit();
+          this.syncKeyboardSplitControls();
+        }
+        if (settings.layers && this.timbreLayers) {
+          this.timbreLayers.applySettings(settings.layers);
+          this.syncTimbreLayersControls();
+        }
+        if (settings.looper && this.looper) {
+          this.looper.applySettings(settings.looper);
+          this.syncLooperControls();
+        }
       }
     } catch (error) {
       console.warn('读取缓存设置失败:', error);
@@ -0,0 +1,194 @@
+/**
+ * 琴键范围模块
+ * 负责管理可演奏的音域（19键或2-4个八度）、八度移动以及琴键缩放
+ * 音符名称沿用相对F4的半音序号，扩展后的音域可包含0和负数序号
+ */
+
+// 可选的琴键范围，start/end 为八度移动为0时的起止音符序号
+const KEY_RANGES = {
+  default: { name: '19键（F4-B5）', start: 1, end: 19 },
+  twoOctaves: { name: '2个八度（C4-C6）', start: -4, end: 20 },
+  threeOctaves: { name: '3个八度（C3-C6）', start: -16, end: 20 },
+  fourOctaves: { name: '4个八度（C3-C7）', start: -16, end: 32 }
+};
+
+// 默认琴键范围
+const DEFAULT_KEY_RANGE = 'default';
+
+// 八度移动后音域必须保持在标准88键钢琴范围内（A0-C8）
+const KEY_RANGE_MIDI_LIMITS = { min: 21, max: 108 };
+
+// 琴键缩放范围
+const KEY_ZOOM_LIMITS = { min: 1, max: 3 };
+
+/**
+ * 琴键范围类
+ * @class
+ */
+class KeyRange {
+  /**
+   * 创建KeyRange实例
+   * @constructor
+   */
+  constructor() {
+    this.rangeId = DEFAULT_KEY_RANGE;
+    this.octaveShift = 0; // 八度移动
+    this.zoom = 1; // 琴键缩放倍数，大于1时琴键条可滚动
+    this.onRangeChange = null; // 音域变化回调，用于重建琴键
+    this.onZoomChange = null; // 缩放变化回调
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('KeyRange: 琴键范围模块创建成功');
+  }
+
+  /**
+   * 获取当前音域的起止音符序号
+   * @returns {{start: number, end: number}} 起止音符序号（包含）
+   */
+  getBounds() {
+    const range = KEY_RANGES[this.rangeId];
+    return {
+      start: range.start + this.octaveShift * 12,
+      end: range.end + this.octaveShift * 12
+    };
+  }
+
+  /**
+   * 获取当前音域的音符定义
+   * @returns {Array<{name: string, type: string}>} 音符定义数组
+   */
+  getNotes() {
+    const { start, end } = this.getBounds();
+    return window.AudioConfig.createNotes(start, end);
+  }
+
+  /**
+   * 获取当前音域允许的八度移动范围
+   * @param {string} rangeId - 琴键范围ID（可选，默认当前范围）
+   * @returns {{min: number, max: number}} 最小和最大八度移动
+   */
+  getShiftLimits(rangeId = this.rangeId) {
+    const range = KEY_RANGES[rangeId];
+    // 音符序号n对应的MIDI音符号为 baseNote + n - 1
+    const offset = window.AudioConfig.MIDI_CONFIG.baseNote - 1;
+    return {
+      min: Math.ceil((KEY_RANGE_MIDI_LIMITS.min - offset - range.start) / 12),
+      max: Math.floor((KEY_RANGE_MIDI_LIMITS.max - offset - range.end) / 12)
+    };
+  }
+
+  /**
+   * 将八度移动限制在当前音域允许的范围内
+   * @param {number} shift - 八度移动
+   * @returns {number} 限制后的八度移动
+   */
+  clampShift(shift) {
+    const { min, max } = this.getShiftLimits();
+    return Math.max(min, Math.min(max, shift));
+  }
+
+  /**
+   * 切换琴键范围
+   * @param {string} rangeId - 琴键范围ID
+   */
+  setRange(rangeId) {
+    if (!KEY_RANGES[rangeId]) {
+      console.warn(`KeyRange: 不支持的琴键范围 ${rangeId}`);
+      return;
+    }
+
+    this.rangeId = rangeId;
+    this.octaveShift = this.clampShift(this.octaveShift);
+    console.info(`KeyRange: 琴键范围切换为 ${rangeId}`);
+    this.notifyRangeChange();
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置八度移动
+   * @param {number} shift - 八度移动
+   */
+  setOctaveShift(shift) {
+    const clamped = this.clampShift(shift);
+    if (clamped === this.octaveShift) return;
+
+    this.octaveShift = clamped;
+    console.info(`KeyRange: 八度移动设置为 ${clamped}`);
+    this.notifyRangeChange();
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 向上或向下移动八度
+   * @param {number} delta - 移动的八度数（正数升高，负数降低）
+   */
+  shiftOctave(delta) {
+    this.setOctaveShift(this.octaveShift + delta);
+  }
+
+  /**
+   * 设置琴键缩放倍数
+   * @param {number} zoom - 缩放倍数
+   */
+  setZoom(zoom) {
+    if (!Number.isFinite(zoom)) return;
+
+    this.zoom = Math.max(KEY_ZOOM_LIMITS.min, Math.min(KEY_ZOOM_LIMITS.max, zoom));
+    if (typeof this.onZoomChange === 'function') {
+      this.onZoomChange(this.zoom);
+    }
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 琴键范围设置
+   */
+  getSettings() {
+    return {
+      range: this.rangeId,
+      octaveShift: this.octaveShift,
+      zoom: this.zoom
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 琴键范围设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (KEY_RANGES[settings.range]) {
+      this.rangeId = settings.range;
+    }
+    if (Number.isInteger(settings.octaveShift)) {
+      this.octaveShift = this.clampShift(settings.octaveShift);
+    }
+    if (Number.isFinite(settings.zoom)) {
+      this.zoom = Math.max(KEY_ZOOM_LIMITS.min, Math.min(KEY_ZOOM_LIMITS.max, settings.zoom));
+    }
+  }
+
+  /**
+   * 通知音域已变化
+   */
+  notifyRangeChange() {
+    if (typeof this.onRangeChange === 'function') {
+      this.onRangeChange(this.getNotes());
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和琴键范围添加到全局对象，以便其他脚本可以使用
+window.KeyRange = KeyRange;
+window.KEY_RANGES = KEY_RANGES;
@@ -0,0 +1,389 @@
+/**
+ * 电脑键盘输入模块
+ * 负责将电脑键盘按键映射到钢琴琴键，支持多种内置布局和用户自定义布局
+ * 按键使用 KeyboardEvent.code 标识物理位置，不受输入法和键盘语言影响
+ */
+
+// 内置键盘布局：物理按键 -> 音符名称（对应 AudioConfig.NOTES 中的 '1'-'19'，随八度移动平移）
+const KEYBOARD_LAYOUTS = {
+  // ASDF行为白键，QWER行为黑键（常见的电脑钢琴布局）
+  piano: {
+    name: '钢琴布局',
+    map: {
+      KeyA: '1', KeyW: '2', KeyS: '3', KeyE: '4', KeyD: '5', KeyR: '6',
+      KeyF: '7', KeyG: '8', KeyY: '9', KeyH: '10', KeyU: '11', KeyJ: '12',
+      KeyK: '13', KeyO: '14', KeyL: '15', KeyP: '16', Semicolon: '17',
+      BracketLeft: '18', Quote: '19'
+    }
+  },
+  // QWER行为白键，数字行为黑键
+  upper: {
+    name: '上排布局',
+    map: {
+      KeyQ: '1', Digit2: '2', KeyW: '3', Digit3: '4', KeyE: '5', Digit4: '6',
+      KeyR: '7', KeyT: '8', Digit6: '9', KeyY: '10', Digit7: '11', KeyU: '12',
+      KeyI: '13', Digit9: '14', KeyO: '15', Digit0: '16', KeyP: '17',
+      Minus: '18', BracketLeft: '19'
+    }
+  },
+  // 两排按键依次对应每个琴键（不区分黑白键）
+  linear: {
+    name: '顺序布局',
+    map: {
+      KeyQ: '1', KeyW: '2', KeyE: '3', KeyR: '4', KeyT: '5', KeyY: '6',
+      KeyU: '7', KeyI: '8', KeyO: '9', KeyP: '10', BracketLeft: '11',
+      BracketRight: '12', KeyA: '13', KeyS: '14', KeyD: '15', KeyF: '16',
+      KeyG: '17', KeyH: '18', KeyJ: '19'
+    }
+  }
+};
+
+// 默认布局
+const DEFAULT_KEYBOARD_LAYOUT = 'piano';
+
+// 特殊按键的显示名称
+const KEY_DISPLAY_NAMES = {
+  Semicolon: ';', Quote: '\'', BracketLeft: '[', BracketRight: ']',
+  Minus: '-', Equal: '=', Comma: ',', Period: '.', Slash: '/',
+  Backslash: '\\', Backquote: '`', Space: '空格'
+};
+
+/**
+ * 将音符名称平移若干半音
+ * @param {string} note - 音符名称
+ * @param {number} semitones - 平移的半音数
+ * @returns {string} 平移后的音符名称
+ */
+function shiftNoteName(note, semitones) {
+  const keyNumber = parseInt(note, 10);
+  return Number.isNaN(keyNumber) ? note : String(keyNumber + semitones);
+}
+
+/**
+ * 电脑键盘输入类
+ * @class
+ */
+class KeyboardInput {
+  /**
+   * 创建KeyboardInput实例
+   * @constructor
+   * @param {UIController} uiController - UI控制器实例，用于播放和释放音符
+   */
+  constructor(uiController) {
+    this.uiController = uiController;
+    this.enabled = true;
+    this.layoutId = DEFAULT_KEYBOARD_LAYOUT;
+    this.customMap = { ...KEYBOARD_LAYOUTS[DEFAULT_KEYBOARD_LAYOUT].map }; // 用户自定义布局
+    this.pressedKeys = new Map(); // 记录按下的按键及其对应的音符
+    this.noteOffset = 0; // 音符偏移（半音），随琴键范围的八度移动变化
+    this.bindingNote = null; // 正在等待绑定按键的音符
+    this.onBindingComplete = null; // 绑定完成回调
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.releaseAll = this.releaseAll.bind(this);
+
+    console.info('KeyboardInput: 电脑键盘输入模块创建成功');
+  }
+
+  /**
+   * 开始监听键盘事件
+   */
+  attach() {
+    document.addEventListener('keydown', this.handleKeyDown);
+    document.addEventListener('keyup', this.handleKeyUp);
+    // 窗口失去焦点时收不到keyup，需要释放所有按键避免音符卡住
+    window.addEventListener('blur', this.releaseAll);
+    console.info('KeyboardInput: 键盘事件监听已设置');
+  }
+
+  /**
+   * 停止监听键盘事件
+   */
+  detach() {
+    document.removeEventListener('keydown', this.handleKeyDown);
+    document.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.releaseAll);
+    this.releaseAll();
+  }
+
+  /**
+   * 键盘按下处理
+   * @param {KeyboardEvent} e - 键盘事件对象
+   */
+  handleKeyDown(e) {
+    // 绑定模式：捕获下一个按键作为目标音符的键位
+    if (this.bindingNote) {
+      e.preventDefault();
+      if (e.code === 'Escape') {
+        this.cancelBinding();
+      } else {
+        this.completeBinding(e.code);
+      }
+      return;
+    }
+
+    if (!this.shouldHandleEvent(e)) return;
+
+    const note = this.getNoteForKey(e.code);
+    if (!note) return;
+
+    e.preventDefault();
+
+    // 忽略按住不放时的自动重复
+    if (e.repeat || this.pressedKeys.has(e.code)) return;
+
+    this.pressedKeys.set(e.code, note);
+    this.uiController.playNote(note);
+  }
+
+  /**
+   * 键盘松开处理
+   * @param {KeyboardEvent} e - 键盘事件对象
+   */
+  handleKeyUp(e) {
+    // 使用按下时记录的音符释放，避免按住期间切换布局导致音符卡住
+    const note = this.pressedKeys.get(e.code);
+    if (!note) return;
+
+    e.preventDefault();
+    this.pressedKeys.delete(e.code);
+    this.uiController.releaseHeldNote(note);
+  }
+
+  /**
+   * 判断是否应处理该键盘事件
+   * @param {KeyboardEvent} e - 键盘事件对象
+   * @returns {boolean} 是否处理
+   */
+  shouldHandleEvent(e) {
+    if (!this.enabled) return false;
+
+    // 带修饰键的组合键留给浏览器（如刷新、复制）
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    // 在输入框、下拉框中输入时不触发演奏
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 释放所有按下的按键
+   */
+  releaseAll() {
+    for (const note of this.pressedKeys.values()) {
+      this.uiController.releaseHeldNote(note);
+    }
+    this.pressedKeys.clear();
+  }
+
+  /**
+   * 获取当前布局的映射表
+   * @returns {Object} 按键代码到音符名称的映射
+   */
+  getLayoutMap() {
+    if (this.layoutId === 'custom') {
+      return this.customMap;
+    }
+    return KEYBOARD_LAYOUTS[this.layoutId].map;
+  }
+
+  /**
+   * 获取按键对应的音符
+   * @param {string} code - 按键代码 (KeyboardEvent.code)
+   * @returns {string|null} 音符名称或null
+   */
+  getNoteForKey(code) {
+    const note = this.getLayoutMap()[code];
+    if (!note) return null;
+
+    // 布局按八度移动为0时的音符定义，演奏时随八度移动平移，超出当前音域的按键不发音
+    const shifted = shiftNoteName(note, this.noteOffset);
+    const notes = this.uiController.audioManager?.notes || window.AudioConfig.NOTES;
+    return notes.some(item => item.name === shifted) ? shifted : null;
+  }
+
+  /**
+   * 获取音符在当前布局中对应的按键
+   * @param {string} note - 音符名称
+   * @returns {string|null} 按键代码或null
+   */
+  getKeyForNote(note) {
+    const map = this.getLayoutMap();
+    const unshifted = shiftNoteName(note, -this.noteOffset);
+    return Object.keys(map).find(code => map[code] === unshifted) || null;
+  }
+
+  /**
+   * 切换键盘布局
+   * @param {string} layoutId - 布局ID ('piano', 'upper', 'linear' 或 'custom')
+   */
+  setLayout(layoutId) {
+    if (layoutId !== 'custom' && !KEYBOARD_LAYOUTS[layoutId]) {
+      console.warn(`KeyboardInput: 不支持的键盘布局 ${layoutId}`);
+      return;
+    }
+
+    this.releaseAll();
+    this.layoutId = layoutId;
+    console.info(`KeyboardInput: 键盘布局切换为 ${layoutId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置音符偏移
+   * @param {number} semitones - 偏移的半音数
+   */
+  setNoteOffset(semitones) {
+    this.releaseAll();
+    this.noteOffset = semitones;
+  }
+
+  /**
+   * 启用或禁用键盘演奏
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.releaseAll();
+    }
+    console.info(`KeyboardInput: 键盘演奏 ${enabled ? '开启' : '关闭'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 进入绑定模式，等待用户按下要绑定到音符的按键
+   * @param {string} note - 要绑定的音符名称
+   * @param {Function} onComplete - 绑定结束回调，参数为按键代码（取消时为null）
+   */
+  startBinding(note, onComplete) {
+    this.releaseAll();
+    this.bindingNote = note;
+    this.onBindingComplete = onComplete || null;
+    console.info(`KeyboardInput: 等待为音符 ${note} 绑定按键`);
+  }
+
+  /**
+   * 取消绑定模式
+   */
+  cancelBinding() {
+    const callback = this.onBindingComplete;
+    this.bindingNote = null;
+    this.onBindingComplete = null;
+    if (callback) callback(null);
+  }
+
+  /**
+   * 完成绑定
+   * @param {string} code - 按下的按键代码
+   */
+  completeBinding(code) {
+    const note = this.bindingNote;
+    const callback = this.onBindingComplete;
+    this.bindingNote = null;
+    this.onBindingComplete = null;
+
+    this.bindKey(code, note);
+    if (callback) callback(code);
+  }
+
+  /**
+   * 将按键绑定到音符
+   * 绑定后自动切换到自定义布局，每个音符只保留一个按键
+   * @param {string} code - 按键代码
+   * @param {string} note - 音符名称
+   */
+  bindKey(code, note) {
+    // 从当前布局出发修改，便于在内置布局基础上微调
+    if (this.layoutId !== 'custom') {
+      this.customMap = { ...this.getLayoutMap() };
+      this.layoutId = 'custom';
+    }
+
+    // 自定义布局同样按八度移动为0时的音符保存
+    const unshifted = shiftNoteName(note, -this.noteOffset);
+    Object.keys(this.customMap).forEach(existingCode => {
+      if (this.customMap[existingCode] === unshifted) {
+        delete this.customMap[existingCode];
+      }
+    });
+    this.customMap[code] = unshifted;
+
+    console.info(`KeyboardInput: 按键 ${code} 绑定到音符 ${note}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 重置自定义布局为默认布局
+   */
+  resetCustomLayout() {
+    this.releaseAll();
+    this.customMap = { ...KEYBOARD_LAYOUTS[DEFAULT_KEYBOARD_LAYOUT].map };
+    this.layoutId = DEFAULT_KEYBOARD_LAYOUT;
+    console.info('KeyboardInput: 键盘布局已恢复默认');
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取按键的显示名称
+   * @param {string} code - 按键代码
+   * @returns {string} 显示名称
+   */
+  formatKeyCode(code) {
+    if (!code) return '未绑定';
+    if (KEY_DISPLAY_NAMES[code]) return KEY_DISPLAY_NAMES[code];
+    if (code.startsWith('Key')) return code.substring(3);
+    if (code.startsWith('Digit')) return code.substring(5);
+    if (code.startsWith('Numpad')) return `小键盘${code.substring(6)}`;
+    return code;
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 键盘设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      layout: this.layoutId,
+      customMap: { ...this.customMap }
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 键盘设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+    if (settings.customMap && typeof settings.customMap === 'object') {
+      this.customMap = { ...settings.customMap };
+    }
+    if (settings.layout === 'custom' || KEYBOARD_LAYOUTS[settings.layout]) {
+      this.layoutId = settings.layout;
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和布局添加到全局对象，以便其他脚本可以使用
+window.KeyboardInput = KeyboardInput;
+window.KEYBOARD_LAYOUTS = KEYBOARD_LAYOUTS;
@@ -0,0 +1,219 @@
+/**
+ * 键盘分割模块
+ * 负责设置分割点，使分割点以下（低音区）和以上（高音区）的琴键使用不同的音色
+ * 每个音区有独立的音色、电音波形、音量和移调
+ */
+
+// 音区：分割点琴键属于高音区
+const SPLIT_ZONES = {
+  lower: { name: '低音区' },
+  upper: { name: '高音区' }
+};
+
+// 音区可选的音色，与音色切换一致
+const SPLIT_TIMBRES = {
+  audio: { name: '流行音域' },
+  golden: { name: '黄金音域' },
+  oscillator: { name: '电音' }
+};
+
+// 电音可选的波形
+const SPLIT_WAVEFORMS = ['triangle', 'square', 'sawtooth', 'sine'];
+
+// 音区移调范围（半音）
+const SPLIT_TRANSPOSE_LIMIT = 24;
+
+// 默认分割点：C5
+const DEFAULT_SPLIT_NOTE = '8';
+
+/**
+ * 创建默认音区设置
+ * @param {string} timbre - 音色类型
+ * @returns {{timbre: string, waveform: string, volume: number, transpose: number}} 音区设置
+ */
+function createDefaultZone(timbre) {
+  return { timbre, waveform: 'triangle', volume: 1, transpose: 0 };
+}
+
+/**
+ * 键盘分割类
+ * @class
+ */
+class KeyboardSplit {
+  /**
+   * 创建KeyboardSplit实例
+   * @constructor
+   */
+  constructor() {
+    this.enabled = false;
+    this.splitNote = DEFAULT_SPLIT_NOTE; // 分割点（高音区的第一个琴键）
+    this.zones = {
+      lower: createDefaultZone('golden'),
+      upper: createDefaultZone('oscillator')
+    };
+    this.pitchOffset = 0; // 琴键到音频管理器收到的音符的偏移（半音），与全局移调一致
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('KeyboardSplit: 键盘分割模块创建成功');
+  }
+
+  /**
+   * 获取音符所在的音区ID
+   * 分割点按琴键计算，全局移调后仍与琴键上显示的分割位置一致
+   * @param {string} note - 音符名称（全局移调后）
+   * @returns {string} 音区ID ('lower' 或 'upper')
+   */
+  getZoneId(note) {
+    const keyNumber = parseInt(note, 10);
+    if (Number.isNaN(keyNumber)) return 'upper';
+    return keyNumber - this.pitchOffset < parseInt(this.splitNote, 10) ? 'lower' : 'upper';
+  }
+
+  /**
+   * 设置琴键到音频管理器收到的音符的偏移
+   * @param {number} semitones - 偏移的半音数
+   */
+  setPitchOffset(semitones) {
+    this.pitchOffset = semitones;
+  }
+
+  /**
+   * 获取音符所在音区的设置
+   * @param {string} note - 音符名称（全局移调后）
+   * @returns {Object} 音区设置
+   */
+  getZone(note) {
+    return this.zones[this.getZoneId(note)];
+  }
+
+  /**
+   * 获取音符按所在音区移调后的音符
+   * @param {string} note - 音符名称（全局移调后）
+   * @returns {string} 移调后的音符名称
+   */
+  getZoneNote(note) {
+    const keyNumber = parseInt(note, 10);
+    const { transpose } = this.getZone(note);
+    if (Number.isNaN(keyNumber) || transpose === 0) return note;
+    return String(keyNumber + transpose);
+  }
+
+  /**
+   * 启用或禁用键盘分割
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.info(`KeyboardSplit: 键盘分割 ${enabled ? '开启' : '关闭'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置分割点
+   * @param {string} note - 分割点音符名称（高音区的第一个琴键）
+   */
+  setSplitNote(note) {
+    if (Number.isNaN(parseInt(note, 10))) {
+      console.warn(`KeyboardSplit: 无效的分割点 ${note}`);
+      return;
+    }
+
+    this.splitNote = String(parseInt(note, 10));
+    console.info(`KeyboardSplit: 分割点设置为 ${this.splitNote}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置音区的选项
+   * @param {string} zoneId - 音区ID ('lower' 或 'upper')
+   * @param {string} key - 选项名称 ('timbre', 'waveform', 'volume' 或 'transpose')
+   * @param {string|number} value - 选项值
+   */
+  setZoneOption(zoneId, key, value) {
+    const zone = this.zones[zoneId];
+    if (!zone || !this.isValidZoneOption(key, value)) {
+      console.warn(`KeyboardSplit: 无效的音区设置 ${zoneId}.${key} = ${value}`);
+      return;
+    }
+
+    zone[key] = value;
+    console.info(`KeyboardSplit: ${SPLIT_ZONES[zoneId].name} ${key} 设置为 ${value}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 检查音区选项是否有效
+   * @param {string} key - 选项名称
+   * @param {string|number} value - 选项值
+   * @returns {boolean} 是否有效
+   */
+  isValidZoneOption(key, value) {
+    switch (key) {
+      case 'timbre':
+        return Boolean(SPLIT_TIMBRES[value]);
+      case 'waveform':
+        return SPLIT_WAVEFORMS.includes(value);
+      case 'volume':
+        return Number.isFinite(value) && value >= 0 && value <= 1;
+      case 'transpose':
+        return Number.isInteger(value) && Math.abs(value) <= SPLIT_TRANSPOSE_LIMIT;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 键盘分割设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      splitNote: this.splitNote,
+      lower: { ...this.zones.lower },
+      upper: { ...this.zones.upper }
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 键盘分割设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+    if (typeof settings.splitNote === 'string' && !Number.isNaN(parseInt(settings.splitNote, 10))) {
+      this.splitNote = settings.splitNote;
+    }
+
+    Object.keys(SPLIT_ZONES).forEach(zoneId => {
+      const zoneSettings = settings[zoneId];
+      if (!zoneSettings) return;
+
+      Object.keys(this.zones[zoneId]).forEach(key => {
+        if (this.isValidZoneOption(key, zoneSettings[key])) {
+          this.zones[zoneId][key] = zoneSettings[key];
+        }
+      });
+    });
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和音区选项添加到全局对象，以便其他脚本可以使用
+window.KeyboardSplit = KeyboardSplit;
+window.SPLIT_ZONES = SPLIT_ZONES;
+window.SPLIT_TIMBRES = SPLIT_TIMBRES;
+window.SPLIT_WAVEFORMS = SPLIT_WAVEFORMS;
+window.SPLIT_TRANSPOSE_LIMIT = SPLIT_TRANSPOSE_LIMIT;
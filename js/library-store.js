@@ -0,0 +1,291 @@
+/**
+ * 资料库模块
+ * 负责在 IndexedDB 中保存演奏录音、导入的MIDI文件和录制的歌曲，刷新页面后仍然保留
+ * 条目信息（名称、日期、时长、速度、音色）和内容分开存放，列出资料库时不必读取内容
+ */
+
+// 资料库参数
+const LIBRARY_CONFIG = {
+  databaseName: 'qingsong-piano-library',
+  databaseVersion: 1,
+  entryStore: 'entries', // 条目信息
+  dataStore: 'data', // 条目内容，与条目信息使用相同的ID
+  maxItemSize: 20 * 1024 * 1024, // 单个条目的大小上限(字节)
+  types: {
+    take: '演奏录音',
+    midi: 'MIDI文件',
+    song: '歌曲'
+  }
+};
+
+/**
+ * 资料库类
+ * @class
+ */
+class LibraryStore {
+  /**
+   * 创建LibraryStore实例
+   * @constructor
+   */
+  constructor() {
+    this.openPromise = null; // 打开数据库的Promise，只打开一次
+
+    this.onChange = null; // 条目增删或改名后的回调
+
+    console.info('LibraryStore: 资料库模块创建成功');
+  }
+
+  /**
+   * 浏览器是否支持资料库
+   * @returns {boolean} 是否支持
+   */
+  isSupported() {
+    return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+  }
+
+  /**
+   * 打开数据库，首次使用时创建存储
+   * @returns {Promise<IDBDatabase>} 数据库
+   */
+  open() {
+    if (this.openPromise) return this.openPromise;
+
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('当前浏览器不支持资料库'));
+    }
+
+    this.openPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(LIBRARY_CONFIG.databaseName, LIBRARY_CONFIG.databaseVersion);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LIBRARY_CONFIG.entryStore)) {
+          db.createObjectStore(LIBRARY_CONFIG.entryStore, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(LIBRARY_CONFIG.dataStore)) {
+          db.createObjectStore(LIBRARY_CONFIG.dataStore);
+        }
+      };
+      request.onsuccess = () => {
+        console.info('LibraryStore: 数据库已打开');
+        resolve(request.result);
+      };
+      request.onerror = () => reject(new Error('资料库打开失败'));
+      request.onblocked = () => reject(new Error('资料库被其他页面占用，请关闭其他页面后重试'));
+    });
+
+    // 打开失败后允许重试
+    this.openPromise.catch(() => {
+      this.openPromise = null;
+    });
+    return this.openPromise;
+  }
+
+  /**
+   * 在事务中执行操作，事务完成后返回结果
+   * @param {string} mode - 事务模式 ('readonly' 或 'readwrite')
+   * @param {Function} operation - 操作函数 (entryStore, dataStore) => 结果或IDBRequest
+   * @returns {Promise<*>} 操作结果，为IDBRequest时返回其结果
+   */
+  async runTransaction(mode, operation) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([LIBRARY_CONFIG.entryStore, LIBRARY_CONFIG.dataStore], mode);
+      const result = operation(
+        transaction.objectStore(LIBRARY_CONFIG.entryStore),
+        transaction.objectStore(LIBRARY_CONFIG.dataStore)
+      );
+
+      transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      transaction.onabort = () => {
+        const error = transaction.error;
+        reject(error && error.name === 'QuotaExceededError'
+          ? new Error('存储空间不足，请删除一些条目后重试')
+          : new Error('资料库操作失败'));
+      };
+    });
+  }
+
+  /**
+   * 列出所有条目
+   * @returns {Promise<Array<Object>>} 条目信息 {id, type, name, createdAt, duration, tempo, timbre, size}，最新的在前
+   */
+  async list() {
+    const entries = await this.runTransaction('readonly', entryStore => entryStore.getAll());
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * 读取条目的信息和内容
+   * @param {string} id - 条目ID
+   * @returns {Promise<{entry: Object, data: *}|null>} 条目信息和内容，不存在时为null
+   */
+  async get(id) {
+    let entryRequest = null;
+    let dataRequest = null;
+    await this.runTransaction('readonly', (entryStore, dataStore) => {
+      entryRequest = entryStore.get(id);
+      dataRequest = dataStore.get(id);
+    });
+
+    return entryRequest.result ? { entry: entryRequest.result, data: dataRequest.result } : null;
+  }
+
+  /**
+   * 估算条目内容占用的字节数
+   * @param {*} data - 条目内容：Blob、ArrayBuffer 或可序列化为JSON的对象
+   * @returns {number} 字节数
+   */
+  getDataSize(data) {
+    if (data instanceof Blob) return data.size;
+    if (data instanceof ArrayBuffer) return data.byteLength;
+    return new Blob([JSON.stringify(data)]).size;
+  }
+
+  /**
+   * 获取存储空间的使用情况
+   * @returns {Promise<{usage: number, quota: number}|null>} 已用和可用的字节数，浏览器不支持时为null
+   */
+  async getStorageEstimate() {
+    if (!navigator.storage || typeof navigator.storage.estimate !== 'function') return null;
+
+    try {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage: usage || 0, quota: quota || 0 };
+    } catch (error) {
+      console.warn('LibraryStore: 无法获取存储空间使用情况', error);
+      return null;
+    }
+  }
+
+  /**
+   * 将字节数格式化为便于阅读的大小
+   * @param {number} bytes - 字节数
+   * @returns {string} 如 '1.5 MB'
+   */
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+
+  /**
+   * 检查内容能否存入资料库
+   * @param {number} size - 内容的字节数
+   * @throws {Error} 超过单个条目上限或剩余空间不足时抛出错误
+   */
+  async checkSize(size) {
+    if (size > LIBRARY_CONFIG.maxItemSize) {
+      throw new Error(`内容太大（${this.formatSize(size)}），单个条目不能超过 ${this.formatSize(LIBRARY_CONFIG.maxItemSize)}`);
+    }
+
+    const estimate = await this.getStorageEstimate();
+    if (estimate && estimate.quota > 0 && estimate.usage + size > estimate.quota) {
+      throw new Error(`存储空间不足，还剩 ${this.formatSize(Math.max(0, estimate.quota - estimate.usage))}`);
+    }
+  }
+
+  /**
+   * 添加条目
+   * @param {string} type - 条目类型，见 LIBRARY_CONFIG.types
+   * @param {Object} info - 条目信息 {name, duration, tempo, timbre}
+   * @param {*} data - 条目内容
+   * @returns {Promise<Object>} 新的条目信息
+   * @throws {Error} 内容太大或存储空间不足时抛出错误
+   */
+  async add(type, info, data) {
+    if (!LIBRARY_CONFIG.types[type]) {
+      throw new Error(`未知的条目类型 ${type}`);
+    }
+
+    const size = this.getDataSize(data);
+    await this.checkSize(size);
+
+    const entry = {
+      id: `item_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      type,
+      name: String(info.name || LIBRARY_CONFIG.types[type]).trim(),
+      createdAt: Date.now(),
+      duration: info.duration || 0,
+      tempo: info.tempo || null,
+      timbre: info.timbre || null,
+      size
+    };
+
+    await this.runTransaction('readwrite', (entryStore, dataStore) => {
+      entryStore.put(entry);
+      dataStore.put(data, entry.id);
+    });
+
+    console.info(`LibraryStore: 已保存 ${entry.name}（${this.formatSize(size)}）`);
+    this.notifyChange();
+    return entry;
+  }
+
+  /**
+   * 重命名条目
+   * @param {string} id - 条目ID
+   * @param {string} name - 新名称
+   * @returns {Promise<boolean>} 是否重命名成功
+   */
+  async rename(id, name) {
+    const newName = String(name || '').trim();
+    if (!newName) return false;
+
+    const renamed = await this.runTransaction('readwrite', entryStore => {
+      const request = entryStore.get(id);
+      request.onsuccess = () => {
+        if (request.result) {
+          entryStore.put({ ...request.result, name: newName });
+        }
+      };
+      return request;
+    });
+
+    if (renamed) {
+      this.notifyChange();
+    }
+    return Boolean(renamed);
+  }
+
+  /**
+   * 复制条目，副本使用新的ID和日期
+   * @param {string} id - 条目ID
+   * @returns {Promise<Object|null>} 副本的条目信息，条目不存在时为null
+   * @throws {Error} 存储空间不足时抛出错误
+   */
+  async duplicate(id) {
+    const item = await this.get(id);
+    if (!item) return null;
+
+    const { entry, data } = item;
+    return this.add(entry.type, { ...entry, name: `${entry.name} 副本` }, data);
+  }
+
+  /**
+   * 删除条目
+   * @param {string} id - 条目ID
+   */
+  async delete(id) {
+    await this.runTransaction('readwrite', (entryStore, dataStore) => {
+      entryStore.delete(id);
+      dataStore.delete(id);
+    });
+
+    this.notifyChange();
+  }
+
+  /**
+   * 通知条目已变化
+   */
+  notifyChange() {
+    if (typeof this.onChange === 'function') {
+      this.onChange();
+    }
+  }
+}
+
+// 将类和资料库参数添加到全局对象，以便其他脚本可以使用
+window.LibraryStore = LibraryStore;
+window.LIBRARY_CONFIG = LIBRARY_CONFIG;
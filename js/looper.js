@@ -0,0 +1,519 @@
+/**
+ * 循环录音模块
+ * 第一遍录音决定循环长度（可按设定速度取整到小节），之后每次叠录成为新的一层，每层可静音、撤销或清除
+ * 循环按音频时钟（AudioContext.currentTime）排程，每一圈的起点由循环起点和长度直接算出，长时间播放也不会错位
+ */
+
+// 循环录音参数
+const LOOPER_CONFIG = {
+  maxLayers: 8,
+  defaultTempo: 100,
+  minTempo: 40,
+  maxTempo: 240,
+  defaultBeatsPerBar: 4,
+  beatsPerBarOptions: [2, 3, 4, 6],
+  minLoopLength: 0.5, // 最短循环长度(秒)，过短的第一遍录音会被放弃
+  startDelay: 0.05, // 开始播放相对点击的延迟(秒)，留出排程时间
+  scheduleAheadTime: 0.1, // 提前排程的时长(秒)
+  lookaheadInterval: 25 // 定时器唤醒间隔(毫秒)
+};
+
+// 循环录音的状态
+const LOOPER_STATES = {
+  empty: 'empty', // 没有循环
+  recording: 'recording', // 正在录第一遍
+  playing: 'playing', // 正在播放循环
+  overdubbing: 'overdubbing', // 播放循环的同时叠录新的一层
+  stopped: 'stopped' // 已有循环但停止播放
+};
+
+/**
+ * 循环录音类
+ * @class
+ */
+class Looper {
+  /**
+   * 创建Looper实例
+   * @constructor
+   * @param {Function} getAudioContext - 获取音频上下文的函数，音频上下文在用户交互后才创建
+   */
+  constructor(getAudioContext) {
+    this.getAudioContext = getAudioContext;
+
+    // 小节取整设置
+    this.quantize = false;
+    this.tempo = LOOPER_CONFIG.defaultTempo; // 每分钟拍数
+    this.beatsPerBar = LOOPER_CONFIG.defaultBeatsPerBar;
+
+    // 循环和各层
+    this.state = LOOPER_STATES.empty;
+    this.loopLength = 0; // 循环长度（秒）
+    this.loopStartTime = 0; // 第一圈的开始时间（音频时钟，秒）
+    this.layers = []; // {id, name, muted, notes: [{time, duration, note, key, velocity}]}，time 为循环内的位置
+    this.nextLayerNumber = 1;
+
+    // 正在录制的一层
+    this.passStartTime = 0; // 本次录音开始时间（音频时钟，秒）
+    this.passNotes = [];
+    this.passOpenNotes = new Map(); // 按下未松开的音符 -> 录制中的音符
+
+    // 排程状态
+    this.scheduledUntil = 0; // 已排程到的音频时钟时间
+    this.timerId = null;
+
+    this.onNote = null; // 循环音符排程回调 (note, key, velocity, startTime, duration, soft)
+    this.onStop = null; // 停止播放或清除时的回调，用于停止已排程的音符
+    this.onStateChange = null; // 循环状态或层变化回调
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('Looper: 循环录音模块创建成功');
+  }
+
+  /**
+   * 获取一小节的时长
+   * @returns {number} 时长（秒）
+   */
+  getBarLength() {
+    return (60 / this.tempo) * this.beatsPerBar;
+  }
+
+  /**
+   * 获取循环的小节数（按当前速度换算，未取整时可能不是整数）
+   * @returns {number} 小节数
+   */
+  getBarCount() {
+    return this.loopLength / this.getBarLength();
+  }
+
+  /**
+   * 录音键：空闲时开始录第一遍，录第一遍时闭合循环并开始播放，
+   * 播放时开始叠录，叠录时结束叠录并保存为新的一层
+   * @returns {boolean} 是否执行成功
+   */
+  record() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext) {
+      console.warn('Looper: 音频上下文不可用');
+      return false;
+    }
+
+    switch (this.state) {
+      case LOOPER_STATES.empty:
+        this.startPass(audioContext.currentTime);
+        this.state = LOOPER_STATES.recording;
+        console.info('Looper: 开始录制第一遍');
+        break;
+      case LOOPER_STATES.recording:
+        return this.closeLoop(audioContext.currentTime);
+      case LOOPER_STATES.playing:
+        if (this.layers.length >= LOOPER_CONFIG.maxLayers) {
+          console.warn(`Looper: 最多只能叠录 ${LOOPER_CONFIG.maxLayers} 层`);
+          return false;
+        }
+        this.startPass(audioContext.currentTime);
+        this.state = LOOPER_STATES.overdubbing;
+        console.info('Looper: 开始叠录');
+        break;
+      case LOOPER_STATES.overdubbing:
+        this.finishOverdub(audioContext.currentTime);
+        break;
+      case LOOPER_STATES.stopped:
+        // 停止时按录音键从头播放并叠录
+        if (!this.play()) return false;
+        return this.record();
+      default:
+        return false;
+    }
+
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 开始录制一层
+   * @param {number} time - 开始时间（音频时钟，秒）
+   */
+  startPass(time) {
+    this.passStartTime = time;
+    this.passNotes = [];
+    this.passOpenNotes.clear();
+  }
+
+  /**
+   * 结束第一遍录音，按录音时长（或取整后的小节数）确定循环长度并开始播放
+   * @param {number} time - 结束时间（音频时钟，秒）
+   * @returns {boolean} 是否成功闭合循环
+   */
+  closeLoop(time) {
+    let loopLength = time - this.passStartTime;
+    if (this.quantize) {
+      const barLength = this.getBarLength();
+      loopLength = Math.max(1, Math.round(loopLength / barLength)) * barLength;
+    }
+
+    if (loopLength < LOOPER_CONFIG.minLoopLength) {
+      console.warn('Looper: 第一遍录音太短，已放弃');
+      this.clear();
+      return false;
+    }
+
+    this.loopLength = loopLength;
+    this.loopStartTime = this.passStartTime;
+    this.commitPass(time);
+    if (this.layers.length === 0) {
+      console.info('Looper: 第一遍没有录到音符，已放弃');
+      this.clear();
+      return false;
+    }
+
+    // 第一遍的音符已经弹过，从第二圈开始排程
+    this.startScheduling(Math.max(time, this.loopStartTime + this.loopLength));
+    this.state = LOOPER_STATES.playing;
+    console.info(`Looper: 循环长度 ${this.loopLength.toFixed(2)} 秒`);
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 结束叠录，保存为新的一层
+   * @param {number} time - 结束时间（音频时钟，秒）
+   */
+  finishOverdub(time) {
+    this.commitPass(time);
+    this.state = LOOPER_STATES.playing;
+  }
+
+  /**
+   * 将录制中的音符保存为新的一层，仍按住的音符在结束时刻松开
+   * 音符位置按循环长度折回循环内，时长不超过一圈
+   * @param {number} time - 结束时间（音频时钟，秒）
+   */
+  commitPass(time) {
+    this.passOpenNotes.forEach(note => {
+      note.duration = time - note.startTime;
+      this.passNotes.push(note);
+    });
+    this.passOpenNotes.clear();
+
+    const notes = this.passNotes
+      .map(note => ({
+        time: this.getLoopPosition(note.startTime),
+        duration: Math.max(0.01, Math.min(note.duration, this.loopLength)),
+        note: note.note,
+        key: note.key,
+        velocity: note.velocity
+      }))
+      .sort((a, b) => a.time - b.time);
+    this.passNotes = [];
+
+    if (notes.length === 0) return;
+
+    this.layers.push({
+      id: `layer_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      name: `第 ${this.nextLayerNumber++} 层`,
+      muted: false,
+      notes
+    });
+    console.info(`Looper: 已保存新的一层，共 ${notes.length} 个音符`);
+  }
+
+  /**
+   * 获取音频时钟时间在循环内的位置
+   * @param {number} time - 音频时钟时间（秒）
+   * @returns {number} 循环内的位置（秒）
+   */
+  getLoopPosition(time) {
+    if (this.loopLength <= 0) return 0;
+
+    const position = (time - this.loopStartTime) % this.loopLength;
+    return position < 0 ? position + this.loopLength : position;
+  }
+
+  /**
+   * 是否正在录制（第一遍或叠录）
+   * @returns {boolean} 是否正在录制
+   */
+  isRecording() {
+    return this.state === LOOPER_STATES.recording || this.state === LOOPER_STATES.overdubbing;
+  }
+
+  /**
+   * 是否正在播放循环
+   * @returns {boolean} 是否正在播放
+   */
+  isPlaying() {
+    return this.state === LOOPER_STATES.playing || this.state === LOOPER_STATES.overdubbing;
+  }
+
+  /**
+   * 记录音符按下
+   * @param {string} key - 琴键音符名称（用于点亮琴键）
+   * @param {string} note - 实际发音的音符名称
+   * @param {number} velocity - 力度 (0-1)
+   * @param {number} time - 事件的音频时钟时间（可选），预先排程的音符（如琶音）使用排程时间
+   * @param {boolean} soft - 按下时弱音踏板是否踩下，循环播放时按此状态发音
+   */
+  recordNoteOn(key, note, velocity, time, soft = false) {
+    if (!this.isRecording()) return;
+
+    const startTime = time !== undefined ? time : this.getAudioContext().currentTime;
+    const openNote = this.passOpenNotes.get(note);
+    if (openNote) {
+      openNote.duration = startTime - openNote.startTime;
+      this.passNotes.push(openNote);
+    }
+    this.passOpenNotes.set(note, { startTime, duration: 0, note, key, velocity, soft: Boolean(soft) });
+  }
+
+  /**
+   * 记录音符松开
+   * @param {string} note - 实际发音的音符名称
+   * @param {number} time - 事件的音频时钟时间（可选）
+   */
+  recordNoteOff(note, time) {
+    const openNote = this.passOpenNotes.get(note);
+    if (!this.isRecording() || !openNote) return;
+
+    const endTime = time !== undefined ? time : this.getAudioContext().currentTime;
+    openNote.duration = endTime - openNote.startTime;
+    this.passNotes.push(openNote);
+    this.passOpenNotes.delete(note);
+  }
+
+  /**
+   * 从第一圈的起点开始播放循环
+   * @returns {boolean} 是否开始播放
+   */
+  play() {
+    const audioContext = this.getAudioContext();
+    if (this.state !== LOOPER_STATES.stopped || !audioContext) return false;
+
+    this.loopStartTime = audioContext.currentTime + LOOPER_CONFIG.startDelay;
+    this.startScheduling(this.loopStartTime);
+    this.state = LOOPER_STATES.playing;
+    console.info('Looper: 开始播放循环');
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 停止播放，叠录中的音符保存为新的一层
+   */
+  stop() {
+    if (!this.isPlaying()) return;
+
+    const audioContext = this.getAudioContext();
+    if (this.state === LOOPER_STATES.overdubbing && audioContext) {
+      this.finishOverdub(audioContext.currentTime);
+    }
+
+    this.stopScheduling();
+    this.state = this.layers.length > 0 ? LOOPER_STATES.stopped : LOOPER_STATES.empty;
+    console.info('Looper: 停止播放循环');
+    this.notifyStateChange();
+  }
+
+  /**
+   * 开始排程循环音符
+   * @param {number} fromTime - 从该音频时钟时间开始排程
+   */
+  startScheduling(fromTime) {
+    clearInterval(this.timerId);
+    this.scheduledUntil = fromTime;
+    this.timerId = setInterval(() => this.scheduleNotes(), LOOPER_CONFIG.lookaheadInterval);
+    this.scheduleNotes();
+  }
+
+  /**
+   * 停止排程并通知停止已排程的音符
+   */
+  stopScheduling() {
+    clearInterval(this.timerId);
+    this.timerId = null;
+
+    if (typeof this.onStop === 'function') {
+      this.onStop();
+    }
+  }
+
+  /**
+   * 排程即将到来的循环音符
+   * 每个音符的时间由循环起点、圈数和循环内位置算出，不累积误差
+   */
+  scheduleNotes() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext || this.loopLength <= 0) return;
+
+    const from = this.scheduledUntil;
+    const to = audioContext.currentTime + LOOPER_CONFIG.scheduleAheadTime;
+    if (to <= from) return;
+
+    const firstCycle = Math.floor((from - this.loopStartTime) / this.loopLength);
+    const lastCycle = Math.floor((to - this.loopStartTime) / this.loopLength);
+
+    for (let cycle = Math.max(0, firstCycle); cycle <= lastCycle; cycle++) {
+      const cycleStart = this.loopStartTime + cycle * this.loopLength;
+      this.layers.forEach(layer => {
+        if (layer.muted) return;
+
+        layer.notes.forEach(note => {
+          const startTime = cycleStart + note.time;
+          if (startTime >= from && startTime < to && typeof this.onNote === 'function') {
+            this.onNote(note.note, note.key, note.velocity, startTime, note.duration, Boolean(note.soft));
+          }
+        });
+      });
+    }
+
+    this.scheduledUntil = to;
+  }
+
+  /**
+   * 静音或取消静音一层
+   * @param {string} layerId - 层ID
+   * @param {boolean} muted - 是否静音
+   */
+  setLayerMuted(layerId, muted) {
+    const layer = this.layers.find(item => item.id === layerId);
+    if (!layer) return;
+
+    layer.muted = muted;
+    this.notifyStateChange();
+  }
+
+  /**
+   * 清除一层，清除最后一层时回到空闲状态
+   * @param {string} layerId - 层ID
+   */
+  removeLayer(layerId) {
+    this.layers = this.layers.filter(layer => layer.id !== layerId);
+    if (this.layers.length === 0 && !this.isRecording()) {
+      this.clear();
+      return;
+    }
+    this.notifyStateChange();
+  }
+
+  /**
+   * 撤销最近的一层；叠录中撤销时放弃正在录制的一层
+   */
+  undo() {
+    if (this.state === LOOPER_STATES.overdubbing) {
+      this.startPass(this.passStartTime);
+      this.state = LOOPER_STATES.playing;
+      console.info('Looper: 已放弃本次叠录');
+      this.notifyStateChange();
+      return;
+    }
+
+    const layer = this.layers[this.layers.length - 1];
+    if (layer) {
+      this.removeLayer(layer.id);
+      console.info(`Looper: 已撤销 ${layer.name}`);
+    }
+  }
+
+  /**
+   * 清除循环和所有层
+   */
+  clear() {
+    this.stopScheduling();
+    this.state = LOOPER_STATES.empty;
+    this.loopLength = 0;
+    this.layers = [];
+    this.nextLayerNumber = 1;
+    this.passNotes = [];
+    this.passOpenNotes.clear();
+
+    console.info('Looper: 已清除循环');
+    this.notifyStateChange();
+  }
+
+  /**
+   * 设置是否将第一遍录音的长度取整到小节
+   * @param {boolean} quantize - 是否取整
+   */
+  setQuantize(quantize) {
+    this.quantize = quantize;
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置取整使用的速度
+   * @param {number} tempo - 每分钟拍数
+   */
+  setTempo(tempo) {
+    if (!Number.isFinite(tempo)) return;
+
+    this.tempo = Math.max(LOOPER_CONFIG.minTempo, Math.min(LOOPER_CONFIG.maxTempo, Math.round(tempo)));
+    console.info(`Looper: 速度设置为 ${this.tempo} BPM`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置每小节拍数
+   * @param {number} beatsPerBar - 每小节拍数
+   */
+  setBeatsPerBar(beatsPerBar) {
+    if (!LOOPER_CONFIG.beatsPerBarOptions.includes(beatsPerBar)) {
+      console.warn(`Looper: 无效的每小节拍数 ${beatsPerBar}`);
+      return;
+    }
+
+    this.beatsPerBar = beatsPerBar;
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置（循环内容不保存）
+   * @returns {Object} 循环录音设置
+   */
+  getSettings() {
+    return {
+      quantize: this.quantize,
+      tempo: this.tempo,
+      beatsPerBar: this.beatsPerBar
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 循环录音设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.quantize === 'boolean') {
+      this.quantize = settings.quantize;
+    }
+    if (Number.isFinite(settings.tempo)) {
+      this.tempo = Math.max(LOOPER_CONFIG.minTempo, Math.min(LOOPER_CONFIG.maxTempo, Math.round(settings.tempo)));
+    }
+    if (LOOPER_CONFIG.beatsPerBarOptions.includes(settings.beatsPerBar)) {
+      this.beatsPerBar = settings.beatsPerBar;
+    }
+  }
+
+  /**
+   * 通知循环状态或层已变化
+   */
+  notifyStateChange() {
+    if (typeof this.onStateChange === 'function') {
+      this.onStateChange();
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和循环录音参数添加到全局对象，以便其他脚本可以使用
+window.Looper = Looper;
+window.LOOPER_CONFIG = LOOPER_CONFIG;
+window.LOOPER_STATES = LOOPER_STATES;
@@ -0,0 +1,97 @@
+/**
+ * 主输出总线模块
+ * 所有声音（采样音符、电音和背景音乐）先汇入主总线再输出到扬声器，
+ * 录制音频时从主总线旁路输出，录到的就是听到的声音
+ */
+
+/**
+ * 主输出总线类
+ * @class
+ */
+class MasterBus {
+  /**
+   * 创建MasterBus实例
+   * @constructor
+   * @param {BaseAudioContext} audioContext - 音频上下文（离线渲染的上下文同样适用）
+   */
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+    this.input = audioContext.createGain(); // 各声音连接到该节点
+    this.input.connect(audioContext.destination);
+    this.mediaSources = new WeakMap(); // HTML音频元素 -> 媒体源节点，每个元素只能创建一次
+  }
+
+  /**
+   * 将HTML音频元素（如背景音乐）接入主总线
+   * 接入后元素的声音经由音频上下文输出
+   * @param {HTMLMediaElement} element - 音频元素
+   * @returns {boolean} 是否已接入
+   */
+  connectMediaElement(element) {
+    if (this.mediaSources.has(element)) return true;
+    if (typeof this.audioContext.createMediaElementSource !== 'function') return false;
+
+    try {
+      const source = this.audioContext.createMediaElementSource(element);
+      source.connect(this.input);
+      this.mediaSources.set(element, source);
+      console.info('MasterBus: 音频元素已接入主总线');
+      return true;
+    } catch (error) {
+      console.warn('MasterBus: 音频元素接入主总线失败', error);
+      return false;
+    }
+  }
+
+  /**
+   * 创建录音用的媒体流输出，主总线的声音同时送往该输出
+   * @returns {MediaStreamAudioDestinationNode|null} 媒体流输出，浏览器不支持时返回null
+   */
+  createStreamDestination() {
+    if (typeof this.audioContext.createMediaStreamDestination !== 'function') return null;
+
+    const destination = this.audioContext.createMediaStreamDestination();
+    this.input.connect(destination);
+    return destination;
+  }
+
+  /**
+   * 断开录音用的媒体流输出
+   * @param {MediaStreamAudioDestinationNode} destination - 媒体流输出
+   */
+  removeStreamDestination(destination) {
+    try {
+      this.input.disconnect(destination);
+    } catch (error) {
+      // 忽略已断开的输出
+    }
+  }
+}
+
+/**
+ * 主输出总线管理器类
+ * 为每个音频上下文提供一个主总线
+ */
+class MasterBusManager {
+  constructor() {
+    this.buses = new WeakMap(); // 音频上下文 -> 主总线
+  }
+
+  /**
+   * 获取音频上下文的主总线，不存在时创建
+   * @param {BaseAudioContext} audioContext - 音频上下文
+   * @returns {MasterBus} 主总线
+   */
+  getBus(audioContext) {
+    let bus = this.buses.get(audioContext);
+    if (!bus) {
+      bus = new MasterBus(audioContext);
+      this.buses.set(audioContext, bus);
+    }
+    return bus;
+  }
+}
+
+// 创建全局主总线管理器
+window.MasterBusManager = new MasterBusManager();
+window.MasterBus = MasterBus;
@@ -0,0 +1,531 @@
+/**
+ * 标准MIDI文件模块
+ * 负责将演奏录音编码为标准MIDI文件（.mid，格式0或格式1），以及解析导入的MIDI文件，不依赖网络资源
+ * 格式说明：https://www.midi.org/specifications/file-format-specifications/standard-midi-files
+ */
+
+// 标准MIDI文件参数
+const SMF_CONFIG = {
+  ticksPerQuarter: 480, // 每个四分音符的tick数
+  defaultTempo: 120, // 默认速度（每分钟拍数）
+  minTempo: 20,
+  maxTempo: 300,
+  noteOffVelocity: 64 // 松开音符时使用的力度
+};
+
+// 踏板对应的MIDI控制器编号，踏板模块未加载时使用
+const SMF_PEDAL_CONTROLLERS = { sustain: 64, sostenuto: 66, soft: 67 };
+
+// 同一时刻事件的排列顺序：先松开音符，再改变踏板，最后按下音符
+const SMF_EVENT_ORDER = { noteOff: 0, pedal: 1, noteOn: 2 };
+
+/**
+ * 编码可变长度数值（每字节7位，除最后一个字节外最高位为1）
+ * @param {number} value - 非负整数
+ * @returns {Array<number>} 字节数组
+ */
+function encodeVariableLength(value) {
+  const bytes = [value & 0x7f];
+  let remaining = value >>> 7;
+  while (remaining > 0) {
+    bytes.unshift((remaining & 0x7f) | 0x80);
+    remaining >>>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * 编码大端序无符号整数
+ * @param {number} value - 数值
+ * @param {number} byteCount - 字节数
+ * @returns {Array<number>} 字节数组
+ */
+function encodeUint(value, byteCount) {
+  const bytes = [];
+  for (let i = byteCount - 1; i >= 0; i--) {
+    bytes.push((value >>> (i * 8)) & 0xff);
+  }
+  return bytes;
+}
+
+/**
+ * 编码文字元事件（如音轨名称）
+ * @param {number} type - 元事件类型
+ * @param {string} text - 文字内容
+ * @returns {Array<number>} 事件数据
+ */
+function encodeTextMetaEvent(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+  return [0xff, type, ...encodeVariableLength(bytes.length), ...bytes];
+}
+
+/**
+ * 编码音轨块（MTrk），事件按tick排列并以音轨结束元事件结尾
+ * @param {Array<{tick: number, data: Array<number>}>} events - 已排序的事件
+ * @returns {Array<number>} 音轨块字节
+ */
+function encodeTrack(events) {
+  const body = [];
+  let lastTick = 0;
+
+  events.forEach(event => {
+    body.push(...encodeVariableLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  });
+  body.push(0x00, 0xff, 0x2f, 0x00);
+
+  return [0x4d, 0x54, 0x72, 0x6b, ...encodeUint(body.length, 4), ...body];
+}
+
+/**
+ * 将琴键音符名称映射为MIDI音符号
+ * @param {string} note - 音符名称（'1'为F4）
+ * @returns {number|null} MIDI音符号，超出范围时返回null
+ */
+function getMidiNoteNumber(note) {
+  const keyNumber = parseInt(note, 10);
+  if (Number.isNaN(keyNumber)) return null;
+
+  const midiNote = window.AudioConfig.MIDI_CONFIG.baseNote + keyNumber - 1;
+  return midiNote >= 0 && midiNote <= 127 ? midiNote : null;
+}
+
+/**
+ * 获取踏板对应的MIDI控制器编号
+ * @param {string} pedal - 踏板类型
+ * @returns {number|undefined} 控制器编号
+ */
+function getPedalController(pedal) {
+  if (window.PIANO_PEDALS && window.PIANO_PEDALS[pedal]) {
+    return window.PIANO_PEDALS[pedal].controller;
+  }
+  return SMF_PEDAL_CONTROLLERS[pedal];
+}
+
+/**
+ * 将录音事件转换为MIDI通道事件
+ * @param {Object} take - 演奏录音 {events}，事件时间为秒
+ * @param {number} tempo - 速度（每分钟拍数），用于秒到tick的换算
+ * @param {number} channel - MIDI通道 (1-16)
+ * @returns {Array<{tick: number, order: number, data: Array<number>}>} 已排序的通道事件
+ */
+function createChannelEvents(take, tempo, channel) {
+  const ticksPerSecond = (tempo / 60) * SMF_CONFIG.ticksPerQuarter;
+  const channelIndex = channel - 1;
+  const events = [];
+  const toTick = time => Math.max(0, Math.round(time * ticksPerSecond));
+
+  // 录音开始前已踩下的延音踏板没有踏板事件，按第一个音符记录的踏板状态补上
+  const firstNote = take.events.find(event => event.type === 'noteOn');
+  const firstPedal = take.events.find(event => event.type === 'pedal' && event.pedal === 'sustain');
+  if (firstNote && firstNote.sustain && (!firstPedal || firstPedal.time > firstNote.time)) {
+    events.push({ tick: 0, order: SMF_EVENT_ORDER.pedal, data: [0xb0 | channelIndex, getPedalController('sustain'), 127] });
+  }
+
+  take.events.forEach(event => {
+    const tick = toTick(event.time);
+
+    if (event.type === 'noteOn' || event.type === 'noteOff') {
+      const midiNote = getMidiNoteNumber(event.note);
+      if (midiNote === null) return;
+
+      const data = event.type === 'noteOn'
+        ? [0x90 | channelIndex, midiNote, Math.max(1, Math.min(127, Math.round(event.velocity * 127)))]
+        : [0x80 | channelIndex, midiNote, SMF_CONFIG.noteOffVelocity];
+      events.push({ tick, order: SMF_EVENT_ORDER[event.type], data });
+    } else if (event.type === 'pedal') {
+      const controller = getPedalController(event.pedal);
+      if (controller === undefined) return;
+
+      events.push({ tick, order: SMF_EVENT_ORDER.pedal, data: [0xb0 | channelIndex, controller, event.isDown ? 127 : 0] });
+    }
+  });
+
+  return events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+}
+
+/**
+ * 将演奏录音编码为标准MIDI文件
+ * @param {Object} take - 演奏录音 {name, events}
+ * @param {Object} options - 编码选项（可选）
+ * @param {number} options.format - 文件格式：0 为单音轨，1 为速度音轨加演奏音轨，默认为1
+ * @param {number} options.tempo - 速度（每分钟拍数），默认120
+ * @param {number} options.channel - MIDI通道 (1-16)，默认为1
+ * @returns {Uint8Array} 文件内容
+ * @throws {Error} 参数无效时抛出错误
+ */
+function encodeMidiFile(take, options = {}) {
+  const format = options.format === undefined ? 1 : options.format;
+  const tempo = options.tempo === undefined ? SMF_CONFIG.defaultTempo : options.tempo;
+  const channel = options.channel === undefined ? 1 : options.channel;
+
+  if (format !== 0 && format !== 1) {
+    throw new Error(`不支持的MIDI文件格式 ${format}`);
+  }
+  if (!Number.isFinite(tempo) || tempo < SMF_CONFIG.minTempo || tempo > SMF_CONFIG.maxTempo) {
+    throw new Error(`速度应在 ${SMF_CONFIG.minTempo}-${SMF_CONFIG.maxTempo} 之间`);
+  }
+  if (!Number.isInteger(channel) || channel < 1 || channel > 16) {
+    throw new Error('MIDI通道应在 1-16 之间');
+  }
+
+  // 速度以每个四分音符的微秒数表示，拍号固定为4/4
+  const microsecondsPerQuarter = Math.round(60000000 / tempo);
+  const conductorEvents = [
+    { tick: 0, data: encodeTextMetaEvent(0x03, take.name || '') },
+    { tick: 0, data: [0xff, 0x51, 0x03, ...encodeUint(microsecondsPerQuarter, 3)] },
+    { tick: 0, data: [0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08] }
+  ];
+  const channelEvents = createChannelEvents(take, tempo, channel);
+
+  const tracks = format === 0
+    ? [encodeTrack(conductorEvents.concat(channelEvents))]
+    : [encodeTrack(conductorEvents), encodeTrack([{ tick: 0, data: encodeTextMetaEvent(0x03, '钢琴') }].concat(channelEvents))];
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // MThd
+    ...encodeUint(6, 4),
+    ...encodeUint(format, 2),
+    ...encodeUint(tracks.length, 2),
+    ...encodeUint(SMF_CONFIG.ticksPerQuarter, 2)
+  ];
+
+  const bytes = header.concat(...tracks);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * 将演奏录音编码为可下载的MIDI文件Blob
+ * @param {Object} take - 演奏录音
+ * @param {Object} options - 编码选项，见 encodeMidiFile
+ * @returns {Blob} MIDI文件
+ */
+function createMidiBlob(take, options = {}) {
+  return new Blob([encodeMidiFile(take, options)], { type: 'audio/midi' });
+}
+
+/**
+ * 读取大端序无符号整数
+ * @param {Uint8Array} bytes - 文件数据
+ * @param {number} offset - 起始位置
+ * @param {number} byteCount - 字节数
+ * @returns {number} 数值
+ */
+function readUint(bytes, offset, byteCount) {
+  if (offset + byteCount > bytes.length) {
+    throw new Error('文件数据不完整');
+  }
+
+  let value = 0;
+  for (let i = 0; i < byteCount; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+}
+
+/**
+ * 读取可变长度数值
+ * @param {Uint8Array} bytes - 文件数据
+ * @param {number} offset - 起始位置
+ * @returns {{value: number, length: number}} 数值和占用的字节数
+ */
+function readVariableLength(bytes, offset) {
+  let value = 0;
+  for (let length = 1; length <= 4; length++) {
+    if (offset + length > bytes.length) break;
+
+    const byte = bytes[offset + length - 1];
+    value = value * 128 + (byte & 0x7f);
+    if ((byte & 0x80) === 0) {
+      return { value, length };
+    }
+  }
+  throw new Error('可变长度数值无效');
+}
+
+/**
+ * 读取4字节的块类型标识（如 MThd、MTrk）
+ * @param {Uint8Array} bytes - 文件数据
+ * @param {number} offset - 起始位置
+ * @returns {string} 块类型
+ */
+function readChunkType(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * 解析一个音轨块中的事件
+ * 支持运行状态；系统独占消息和与演奏无关的元事件会被跳过
+ * @param {Uint8Array} bytes - 文件数据
+ * @param {number} start - 音轨数据起始位置
+ * @param {number} end - 音轨数据结束位置
+ * @returns {{name: string, events: Array<Object>, endTick: number}} 音轨名称、事件和结束tick
+ */
+function parseTrackEvents(bytes, start, end) {
+  const events = [];
+  let name = '';
+  let tick = 0;
+  let position = start;
+  let runningStatus = null;
+
+  while (position < end) {
+    const delta = readVariableLength(bytes, position);
+    position += delta.length;
+    tick += delta.value;
+
+    let status = bytes[position];
+    if (status === undefined) {
+      throw new Error('音轨数据不完整');
+    }
+
+    if (status === 0xff) {
+      // 元事件
+      const type = bytes[position + 1];
+      const length = readVariableLength(bytes, position + 2);
+      const dataStart = position + 2 + length.length;
+      position = dataStart + length.value;
+      if (position > end) {
+        throw new Error('元事件超出音轨范围');
+      }
+
+      if (type === 0x2f) break; // 音轨结束
+      if (type === 0x03 && !name) {
+        name = new TextDecoder().decode(bytes.subarray(dataStart, position)).trim();
+      } else if (type === 0x51 && length.value === 3) {
+        events.push({ tick, type: 'tempo', microsecondsPerQuarter: readUint(bytes, dataStart, 3) });
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      // 系统独占消息
+      const length = readVariableLength(bytes, position + 1);
+      position += 1 + length.length + length.value;
+      runningStatus = null;
+      continue;
+    }
+
+    if (status < 0x80) {
+      // 运行状态：沿用上一个通道消息的状态字节
+      if (runningStatus === null) {
+        throw new Error('缺少状态字节');
+      }
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+      position++;
+    }
+
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+    const dataLength = command === 0xc0 || command === 0xd0 ? 1 : 2;
+    if (position + dataLength > end) {
+      throw new Error('通道消息超出音轨范围');
+    }
+    const data1 = bytes[position];
+    const data2 = bytes[position + 1];
+    position += dataLength;
+
+    if (command === 0x90 && data2 > 0) {
+      events.push({ tick, type: 'noteOn', channel, midiNote: data1, velocity: data2 });
+    } else if (command === 0x80 || command === 0x90) {
+      // 力度为0的按下消息等同于松开
+      events.push({ tick, type: 'noteOff', channel, midiNote: data1 });
+    } else if (command === 0xb0) {
+      events.push({ tick, type: 'controller', channel, controller: data1, value: data2 });
+    }
+  }
+
+  return { name, events, endTick: tick };
+}
+
+/**
+ * 创建tick到秒的换算函数
+ * 按四分音符计时时按速度变化分段换算，SMPTE计时时与速度无关
+ * @param {number} division - 文件头中的时间单位
+ * @param {Array<{tick: number, microsecondsPerQuarter: number}>} tempoEvents - 按tick排序的速度事件
+ * @returns {Function} (tick) => 秒
+ */
+function createTickConverter(division, tempoEvents) {
+  if (division & 0x8000) {
+    // 高字节为负的每秒帧数，低字节为每帧tick数
+    const framesPerSecond = 256 - (division >> 8);
+    const ticksPerSecond = framesPerSecond * (division & 0xff);
+    return tick => tick / ticksPerSecond;
+  }
+
+  // 预先计算每段速度开始时的秒数
+  const segments = [{ tick: 0, seconds: 0, microsecondsPerQuarter: 500000 }];
+  tempoEvents.forEach(event => {
+    const last = segments[segments.length - 1];
+    const seconds = last.seconds + ((event.tick - last.tick) * last.microsecondsPerQuarter) / (division * 1000000);
+    if (event.tick === last.tick) {
+      last.microsecondsPerQuarter = event.microsecondsPerQuarter;
+    } else {
+      segments.push({ tick: event.tick, seconds, microsecondsPerQuarter: event.microsecondsPerQuarter });
+    }
+  });
+
+  return tick => {
+    let segment = segments[0];
+    for (let i = segments.length - 1; i >= 0; i--) {
+      if (segments[i].tick <= tick) {
+        segment = segments[i];
+        break;
+      }
+    }
+    return segment.seconds + ((tick - segment.tick) * segment.microsecondsPerQuarter) / (division * 1000000);
+  };
+}
+
+/**
+ * 将音轨的按下和松开事件配对为音符
+ * 延音踏板（控制器64）踩下期间松开的音符延续到踏板松开
+ * @param {Object} track - parseTrackEvents 的结果
+ * @param {Function} toSeconds - tick到秒的换算函数
+ * @returns {Array<{time: number, duration: number, midiNote: number, velocity: number, channel: number}>} 音符
+ */
+function collectTrackNotes(track, toSeconds) {
+  const notes = [];
+  const sounding = new Map(); // 通道:音符号 -> 按下未松开的音符（同音重叠时先按先松）
+  const sustainDown = new Set(); // 延音踏板踩下的通道
+  const sustained = new Map(); // 通道 -> 已松开、由踏板保持的音符
+
+  const endNote = (note, tick) => {
+    note.duration = Math.max(0, toSeconds(tick) - note.time);
+    notes.push(note);
+  };
+
+  track.events.forEach(event => {
+    const key = `${event.channel}:${event.midiNote}`;
+
+    if (event.type === 'noteOn') {
+      if (!sounding.has(key)) sounding.set(key, []);
+      sounding.get(key).push({
+        time: toSeconds(event.tick),
+        duration: 0,
+        midiNote: event.midiNote,
+        velocity: event.velocity / 127,
+        channel: event.channel
+      });
+    } else if (event.type === 'noteOff') {
+      const queue = sounding.get(key);
+      const note = queue && queue.shift();
+      if (!note) return;
+
+      if (sustainDown.has(event.channel)) {
+        if (!sustained.has(event.channel)) sustained.set(event.channel, []);
+        sustained.get(event.channel).push(note);
+      } else {
+        endNote(note, event.tick);
+      }
+    } else if (event.type === 'controller' && event.controller === 64) {
+      if (event.value >= 64) {
+        sustainDown.add(event.channel);
+      } else {
+        sustainDown.delete(event.channel);
+        (sustained.get(event.channel) || []).forEach(note => endNote(note, event.tick));
+        sustained.delete(event.channel);
+      }
+    }
+  });
+
+  // 音轨结束时仍未松开的音符在音轨结束处松开
+  sounding.forEach(queue => queue.forEach(note => endNote(note, track.endTick)));
+  sustained.forEach(queue => queue.forEach(note => endNote(note, track.endTick)));
+
+  return notes.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * 解析标准MIDI文件
+ * @param {ArrayBuffer|Uint8Array} buffer - 文件内容
+ * @returns {{format: number, tracks: Array<Object>, tempoChanges: Array<{time: number, tempo: number}>, duration: number}}
+ *   解析结果，音轨包含 index、name、channels 和按时间排序的 notes（时间单位为秒）
+ * @throws {Error} 文件格式无效时抛出错误
+ */
+function parseMidiFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (bytes.length < 14 || readChunkType(bytes, 0) !== 'MThd') {
+    throw new Error('不是有效的MIDI文件（缺少文件头）');
+  }
+
+  const headerLength = readUint(bytes, 4, 4);
+  const format = readUint(bytes, 8, 2);
+  const division = readUint(bytes, 12, 2);
+  if (format > 2) {
+    throw new Error(`不支持的MIDI文件格式 ${format}`);
+  }
+  if (format === 2) {
+    throw new Error('不支持格式2（多段独立乐曲）的MIDI文件');
+  }
+  if (division === 0) {
+    throw new Error('MIDI文件的时间单位无效');
+  }
+
+  // 依次读取各个块，跳过未知类型的块
+  const rawTracks = [];
+  let position = 8 + headerLength;
+  while (position + 8 <= bytes.length) {
+    const type = readChunkType(bytes, position);
+    const length = readUint(bytes, position + 4, 4);
+    const start = position + 8;
+    const end = start + length;
+    if (end > bytes.length) {
+      throw new Error('MIDI文件已损坏（音轨长度超出文件范围）');
+    }
+
+    if (type === 'MTrk') {
+      try {
+        rawTracks.push(parseTrackEvents(bytes, start, end));
+      } catch (error) {
+        throw new Error(`第 ${rawTracks.length + 1} 个音轨解析失败：${error.message}`);
+      }
+    }
+    position = end;
+  }
+
+  if (rawTracks.length === 0) {
+    throw new Error('MIDI文件中没有音轨');
+  }
+
+  // 速度变化对所有音轨生效（格式1通常写在第一个音轨）
+  const tempoEvents = rawTracks
+    .reduce((all, track) => all.concat(track.events.filter(event => event.type === 'tempo')), [])
+    .sort((a, b) => a.tick - b.tick);
+  const toSeconds = createTickConverter(division, tempoEvents);
+
+  const tracks = rawTracks.map((track, index) => {
+    const notes = collectTrackNotes(track, toSeconds);
+    return {
+      index,
+      name: track.name || `音轨 ${index + 1}`,
+      channels: Array.from(new Set(notes.map(note => note.channel))).sort((a, b) => a - b),
+      notes
+    };
+  });
+
+  const duration = tracks.reduce((max, track) => {
+    return track.notes.reduce((trackMax, note) => Math.max(trackMax, note.time + note.duration), max);
+  }, 0);
+
+  return {
+    format,
+    tracks,
+    tempoChanges: (division & 0x8000) ? [] : tempoEvents.map(event => ({
+      time: toSeconds(event.tick),
+      tempo: 60000000 / event.microsecondsPerQuarter
+    })),
+    duration
+  };
+}
+
+// 将编码和解析函数添加到全局对象，以便其他脚本可以使用
+window.MidiFile = {
+  encodeMidiFile,
+  createMidiBlob,
+  parseMidiFile,
+  getMidiNoteNumber
+};
+window.SMF_CONFIG = SMF_CONFIG;
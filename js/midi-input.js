@@ -0,0 +1,393 @@
+/**
+ * MIDI输入模块
+ * 负责通过Web MIDI API接收外部MIDI键盘的音符消息，并映射到钢琴琴键
+ * 支持设备热插拔、设备选择和八度/半音偏移
+ */
+
+// MIDI消息状态码（高4位）
+const MIDI_STATUS = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  CONTROL_CHANGE: 0xB0
+};
+
+/**
+ * MIDI输入类
+ * @class
+ */
+class MidiInput {
+  /**
+   * 创建MidiInput实例
+   * @constructor
+   * @param {UIController} uiController - UI控制器实例，用于播放和释放音符
+   */
+  constructor(uiController) {
+    this.uiController = uiController;
+    this.midiAccess = null;
+    this.enabled = false;
+    this.selectedDeviceId = 'all'; // 'all' 表示监听所有设备
+    this.octaveOffset = 0; // 八度偏移
+    this.transpose = 0; // 半音偏移
+    this.activeNotes = new Map(); // 记录按下的MIDI音符及其对应的琴键，键为 "设备ID:音符号"
+    this.onDevicesChange = null; // 设备列表变化回调
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    this.handleMidiMessage = this.handleMidiMessage.bind(this);
+    this.handleStateChange = this.handleStateChange.bind(this);
+
+    console.info('MidiInput: MIDI输入模块创建成功');
+  }
+
+  /**
+   * 检查浏览器是否支持Web MIDI
+   * @returns {boolean} 是否支持
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * 启用MIDI输入
+   * @returns {Promise<boolean>} 是否成功获取MIDI访问权限
+   */
+  async enable() {
+    if (!this.isSupported()) {
+      console.warn('MidiInput: 当前浏览器不支持Web MIDI');
+      return false;
+    }
+
+    try {
+      if (!this.midiAccess) {
+        this.midiAccess = await navigator.requestMIDIAccess();
+        this.midiAccess.addEventListener('statechange', this.handleStateChange);
+      }
+
+      this.enabled = true;
+      this.connectInputs();
+      console.info('MidiInput: MIDI输入已启用');
+      this.notifyDevicesChange();
+      this.notifySettingsChange();
+      return true;
+    } catch (error) {
+      console.error('MidiInput: 获取MIDI访问权限失败', error);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  /**
+   * 恢复上次的启用状态
+   * 只在已授予MIDI权限时连接，页面加载时不弹出权限请求
+   * @returns {Promise<boolean>} 是否已启用
+   */
+  async restore() {
+    if (!this.isSupported() || !navigator.permissions || typeof navigator.permissions.query !== 'function') {
+      return false;
+    }
+
+    try {
+      const permission = await navigator.permissions.query({ name: 'midi' });
+      if (permission.state !== 'granted') {
+        console.info('MidiInput: 尚未授予MIDI权限，等待用户手动启用');
+        return false;
+      }
+    } catch (error) {
+      // 浏览器无法查询MIDI权限时同样等待用户手动启用
+      return false;
+    }
+
+    return this.enable();
+  }
+
+  /**
+   * 禁用MIDI输入
+   */
+  disable() {
+    this.enabled = false;
+    this.disconnectInputs();
+    this.releaseAll();
+    this.releasePedals();
+    console.info('MidiInput: MIDI输入已禁用');
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 为选中的输入设备绑定消息处理
+   */
+  connectInputs() {
+    if (!this.midiAccess) return;
+
+    for (const input of this.midiAccess.inputs.values()) {
+      const isSelected = this.selectedDeviceId === 'all' || this.selectedDeviceId === input.id;
+      input.onmidimessage = this.enabled && isSelected ? this.handleMidiMessage : null;
+    }
+  }
+
+  /**
+   * 解除所有输入设备的消息处理
+   */
+  disconnectInputs() {
+    if (!this.midiAccess) return;
+
+    for (const input of this.midiAccess.inputs.values()) {
+      input.onmidimessage = null;
+    }
+  }
+
+  /**
+   * 设备连接状态变化处理（热插拔）
+   * @param {MIDIConnectionEvent} e - 连接事件对象
+   */
+  handleStateChange(e) {
+    const port = e.port;
+    if (!port || port.type !== 'input') return;
+
+    console.info(`MidiInput: 设备 ${port.name} 状态变为 ${port.state}`);
+
+    if (port.state === 'disconnected') {
+      // 设备拔出时释放它按下的所有音符，避免音符卡住
+      this.releaseAll(port.id);
+      this.releasePedals();
+    }
+
+    this.connectInputs();
+    this.notifyDevicesChange();
+  }
+
+  /**
+   * MIDI消息处理
+   * @param {MIDIMessageEvent} e - MIDI消息事件对象
+   */
+  handleMidiMessage(e) {
+    const data = e.data;
+    if (!data || data.length < 2) return;
+
+    const status = data[0] & 0xF0;
+    const deviceId = e.target ? e.target.id : 'unknown';
+
+    switch (status) {
+      case MIDI_STATUS.NOTE_ON:
+        // 力度为0的Note On等同于Note Off
+        if (data[2] > 0) {
+          this.handleNoteOn(deviceId, data[1], data[2]);
+        } else {
+          this.handleNoteOff(deviceId, data[1]);
+        }
+        break;
+      case MIDI_STATUS.NOTE_OFF:
+        this.handleNoteOff(deviceId, data[1]);
+        break;
+      case MIDI_STATUS.CONTROL_CHANGE:
+        this.handleControlChange(data[1], data[2]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 音符按下处理
+   * @param {string} deviceId - 设备ID
+   * @param {number} midiNote - MIDI音符号
+   * @param {number} midiVelocity - MIDI力度 (1-127)
+   */
+  handleNoteOn(deviceId, midiNote, midiVelocity) {
+    const note = this.getNoteForMidi(midiNote);
+    if (!note) {
+      console.log(`MidiInput: MIDI音符 ${midiNote} 超出琴键范围，已忽略`);
+      return;
+    }
+
+    const key = `${deviceId}:${midiNote}`;
+    if (this.activeNotes.has(key)) {
+      // 未收到Note Off又再次按下，先释放上一个
+      this.releaseNote(this.activeNotes.get(key));
+    }
+
+    const velocity = midiVelocity / window.AudioConfig.MIDI_CONFIG.maxVelocity;
+    this.activeNotes.set(key, note);
+    this.uiController.playNote(note, velocity);
+  }
+
+  /**
+   * 音符松开处理
+   * @param {string} deviceId - 设备ID
+   * @param {number} midiNote - MIDI音符号
+   */
+  handleNoteOff(deviceId, midiNote) {
+    const key = `${deviceId}:${midiNote}`;
+    const note = this.activeNotes.get(key);
+    if (!note) return;
+
+    this.activeNotes.delete(key);
+    this.releaseNote(note);
+  }
+
+  /**
+   * 控制器消息处理
+   * @param {number} controller - 控制器编号
+   * @param {number} value - 控制器数值 (0-127)
+   */
+  handleControlChange(controller, value) {
+    const pedals = this.uiController.pedals;
+    if (!pedals || !window.PIANO_PEDALS) return;
+
+    // CC64延音、CC66持音、CC67弱音
+    const type = Object.keys(window.PIANO_PEDALS).find(id => window.PIANO_PEDALS[id].controller === controller);
+    const pedal = type ? pedals[type] : null;
+    if (!pedal) return;
+
+    // 按MIDI规范，数值大于等于64视为踏板按下
+    if (value >= 64) {
+      pedal.press('midi');
+    } else {
+      pedal.release('midi');
+    }
+  }
+
+  /**
+   * 释放琴键并停止对应音符的发音
+   * @param {string} note - 音符名称
+   */
+  releaseNote(note) {
+    this.uiController.releaseHeldNote(note);
+  }
+
+  /**
+   * 释放按下的音符
+   * @param {string} deviceId - 只释放该设备的音符（可选，默认释放全部）
+   */
+  releaseAll(deviceId = null) {
+    for (const [key, note] of this.activeNotes.entries()) {
+      if (!deviceId || key.startsWith(`${deviceId}:`)) {
+        this.activeNotes.delete(key);
+        this.releaseNote(note);
+      }
+    }
+  }
+
+  /**
+   * 松开由MIDI控制的所有踏板，避免设备断开后踏板一直保持按下
+   */
+  releasePedals() {
+    const pedals = this.uiController.pedals || {};
+    Object.values(pedals).forEach(pedal => pedal.release('midi'));
+  }
+
+  /**
+   * 将MIDI音符号映射为琴键音符名称
+   * @param {number} midiNote - MIDI音符号
+   * @returns {string|null} 音符名称，超出琴键范围时返回null
+   */
+  getNoteForMidi(midiNote) {
+    const baseNote = window.AudioConfig.MIDI_CONFIG.baseNote;
+    const keyNumber = midiNote - baseNote - this.octaveOffset * 12 - this.transpose + 1;
+    const name = String(keyNumber);
+
+    const notes = this.uiController.audioManager?.notes || window.AudioConfig.NOTES;
+    return notes.some(note => note.name === name) ? name : null;
+  }
+
+  /**
+   * 获取可用的输入设备列表
+   * @returns {Array<{id: string, name: string}>} 设备列表
+   */
+  getDevices() {
+    if (!this.midiAccess) return [];
+
+    const devices = [];
+    for (const input of this.midiAccess.inputs.values()) {
+      if (input.state !== 'disconnected') {
+        devices.push({ id: input.id, name: input.name || input.manufacturer || input.id });
+      }
+    }
+    return devices;
+  }
+
+  /**
+   * 选择输入设备
+   * @param {string} deviceId - 设备ID，'all' 表示所有设备
+   */
+  selectDevice(deviceId) {
+    this.releaseAll();
+    this.selectedDeviceId = deviceId;
+    this.connectInputs();
+    console.info(`MidiInput: 选择输入设备 ${deviceId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置八度偏移
+   * @param {number} offset - 八度偏移量
+   */
+  setOctaveOffset(offset) {
+    this.releaseAll();
+    this.octaveOffset = offset;
+    console.info(`MidiInput: 八度偏移设置为 ${offset}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置半音偏移
+   * @param {number} semitones - 半音偏移量
+   */
+  setTranspose(semitones) {
+    this.releaseAll();
+    this.transpose = semitones;
+    console.info(`MidiInput: 半音偏移设置为 ${semitones}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} MIDI输入设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      deviceId: this.selectedDeviceId,
+      octaveOffset: this.octaveOffset,
+      transpose: this.transpose
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - MIDI输入设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.deviceId === 'string') {
+      this.selectedDeviceId = settings.deviceId;
+    }
+    if (Number.isInteger(settings.octaveOffset)) {
+      this.octaveOffset = settings.octaveOffset;
+    }
+    if (Number.isInteger(settings.transpose)) {
+      this.transpose = settings.transpose;
+    }
+  }
+
+  /**
+   * 通知设备列表已变化
+   */
+  notifyDevicesChange() {
+    if (typeof this.onDevicesChange === 'function') {
+      this.onDevicesChange(this.getDevices());
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类添加到全局对象，以便其他脚本可以使用
+window.MidiInput = MidiInput;
+window.MIDI_STATUS = MIDI_STATUS;
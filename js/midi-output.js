@@ -0,0 +1,364 @@
+/**
+ * MIDI输出模块
+ * 负责将演奏的音符同步发送到外部MIDI设备（如DAW或硬件合成器）
+ * 支持输出端口选择、MIDI通道选择以及静音内置音源
+ */
+
+// 发送用的MIDI消息状态码（高4位）
+const MIDI_OUTPUT_STATUS = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  CONTROL_CHANGE: 0xB0
+};
+
+// "全部音符关闭"控制器编号
+const MIDI_ALL_NOTES_OFF = 123;
+
+/**
+ * MIDI输出类
+ * @class
+ */
+class MidiOutput {
+  /**
+   * 创建MidiOutput实例
+   * @constructor
+   */
+  constructor() {
+    this.midiAccess = null;
+    this.enabled = false;
+    this.selectedPortId = null; // 选中的输出端口ID
+    this.channel = 1; // MIDI通道 (1-16)
+    this.muteInternal = false; // 是否静音内置音源
+    this.activeNotes = new Map(); // 记录已发送Note On的音符及其MIDI音符号
+    this.onDevicesChange = null; // 设备列表变化回调
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    this.handleStateChange = this.handleStateChange.bind(this);
+
+    console.info('MidiOutput: MIDI输出模块创建成功');
+  }
+
+  /**
+   * 检查浏览器是否支持Web MIDI
+   * @returns {boolean} 是否支持
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  /**
+   * 启用MIDI输出
+   * @returns {Promise<boolean>} 是否成功获取MIDI访问权限
+   */
+  async enable() {
+    if (!this.isSupported()) {
+      console.warn('MidiOutput: 当前浏览器不支持Web MIDI');
+      return false;
+    }
+
+    try {
+      if (!this.midiAccess) {
+        this.midiAccess = await navigator.requestMIDIAccess();
+        this.midiAccess.addEventListener('statechange', this.handleStateChange);
+      }
+
+      this.enabled = true;
+
+      // 未选择端口或端口已不存在时默认使用第一个输出端口
+      if (!this.getOutputPort()) {
+        const devices = this.getDevices();
+        if (devices.length > 0 && !this.selectedPortId) {
+          this.selectedPortId = devices[0].id;
+        }
+      }
+
+      console.info('MidiOutput: MIDI输出已启用');
+      this.notifyDevicesChange();
+      this.notifySettingsChange();
+      return true;
+    } catch (error) {
+      console.error('MidiOutput: 获取MIDI访问权限失败', error);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  /**
+   * 恢复上次的启用状态
+   * 只在已授予MIDI权限时连接，页面加载时不弹出权限请求
+   * @returns {Promise<boolean>} 是否已启用
+   */
+  async restore() {
+    if (!this.isSupported() || !navigator.permissions || typeof navigator.permissions.query !== 'function') {
+      return false;
+    }
+
+    try {
+      const permission = await navigator.permissions.query({ name: 'midi' });
+      if (permission.state !== 'granted') {
+        console.info('MidiOutput: 尚未授予MIDI权限，等待用户手动启用');
+        return false;
+      }
+    } catch (error) {
+      // 浏览器无法查询MIDI权限时同样等待用户手动启用
+      return false;
+    }
+
+    return this.enable();
+  }
+
+  /**
+   * 禁用MIDI输出
+   */
+  disable() {
+    this.allNotesOff();
+    this.enabled = false;
+    console.info('MidiOutput: MIDI输出已禁用');
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设备连接状态变化处理（热插拔）
+   * @param {MIDIConnectionEvent} e - 连接事件对象
+   */
+  handleStateChange(e) {
+    const port = e.port;
+    if (!port || port.type !== 'output') return;
+
+    console.info(`MidiOutput: 设备 ${port.name} 状态变为 ${port.state}`);
+
+    if (port.state === 'disconnected' && port.id === this.selectedPortId) {
+      // 端口已断开，无法再发送Note Off，直接清空记录
+      this.activeNotes.clear();
+    }
+
+    // 首个设备接入时自动选中
+    if (port.state === 'connected' && this.enabled && !this.selectedPortId) {
+      this.selectedPortId = port.id;
+      this.notifySettingsChange();
+    }
+
+    this.notifyDevicesChange();
+  }
+
+  /**
+   * 获取当前选中的输出端口
+   * @returns {MIDIOutput|null} 输出端口，不可用时返回null
+   */
+  getOutputPort() {
+    if (!this.midiAccess || !this.selectedPortId) return null;
+
+    const port = this.midiAccess.outputs.get(this.selectedPortId);
+    if (!port || port.state === 'disconnected') return null;
+    return port;
+  }
+
+  /**
+   * 向选中的输出端口发送MIDI消息
+   * @param {Array<number>} message - MIDI消息字节
+   * @param {number} timestamp - 发送时间（performance.now()时钟，毫秒），可选，默认立即发送
+   * @returns {boolean} 是否发送成功
+   */
+  send(message, timestamp) {
+    const port = this.getOutputPort();
+    if (!port) return false;
+
+    try {
+      port.send(message, timestamp);
+      return true;
+    } catch (error) {
+      console.warn('MidiOutput: 发送MIDI消息失败', error);
+      return false;
+    }
+  }
+
+  /**
+   * 发送音符按下消息
+   * @param {string} note - 音符名称
+   * @param {number} velocity - 音符力度 (0-1)
+   * @param {number} timestamp - 发送时间（performance.now()时钟，毫秒），可选
+   */
+  noteOn(note, velocity = 0.7, timestamp) {
+    if (!this.enabled) return;
+
+    const midiNote = this.getMidiForNote(note);
+    if (midiNote === null) return;
+
+    // 同一音符未释放又再次按下时先发送Note Off，与真实键盘的重复击键一致
+    if (this.activeNotes.has(note)) {
+      this.noteOff(note, timestamp);
+    }
+
+    const maxVelocity = window.AudioConfig.MIDI_CONFIG.maxVelocity;
+    const midiVelocity = Math.max(1, Math.min(maxVelocity, Math.round(velocity * maxVelocity)));
+    const status = MIDI_OUTPUT_STATUS.NOTE_ON | (this.channel - 1);
+
+    if (this.send([status, midiNote, midiVelocity], timestamp)) {
+      this.activeNotes.set(note, midiNote);
+    }
+  }
+
+  /**
+   * 发送音符松开消息
+   * @param {string} note - 音符名称
+   * @param {number} timestamp - 发送时间（performance.now()时钟，毫秒），可选
+   */
+  noteOff(note, timestamp) {
+    const midiNote = this.activeNotes.get(note);
+    if (midiNote === undefined) return;
+
+    this.activeNotes.delete(note);
+    const status = MIDI_OUTPUT_STATUS.NOTE_OFF | (this.channel - 1);
+    this.send([status, midiNote, 0], timestamp);
+  }
+
+  /**
+   * 发送控制器消息
+   * @param {number} controller - 控制器编号
+   * @param {number} value - 控制器数值 (0-127)
+   */
+  controlChange(controller, value) {
+    if (!this.enabled) return;
+
+    const status = MIDI_OUTPUT_STATUS.CONTROL_CHANGE | (this.channel - 1);
+    this.send([status, controller, value]);
+  }
+
+  /**
+   * 释放所有已发送的音符，并发送"全部音符关闭"控制消息
+   */
+  allNotesOff() {
+    for (const note of Array.from(this.activeNotes.keys())) {
+      this.noteOff(note);
+    }
+
+    const status = MIDI_OUTPUT_STATUS.CONTROL_CHANGE | (this.channel - 1);
+    this.send([status, MIDI_ALL_NOTES_OFF, 0]);
+  }
+
+  /**
+   * 是否应静音内置音源
+   * @returns {boolean} 启用MIDI输出且开启静音时返回true
+   */
+  shouldMuteInternal() {
+    return this.enabled && this.muteInternal;
+  }
+
+  /**
+   * 将琴键音符名称映射为MIDI音符号
+   * @param {string} note - 音符名称
+   * @returns {number|null} MIDI音符号，超出范围时返回null
+   */
+  getMidiForNote(note) {
+    const keyNumber = parseInt(note, 10);
+    if (Number.isNaN(keyNumber)) return null;
+
+    const midiNote = window.AudioConfig.MIDI_CONFIG.baseNote + keyNumber - 1;
+    return midiNote >= 0 && midiNote <= 127 ? midiNote : null;
+  }
+
+  /**
+   * 获取可用的输出设备列表
+   * @returns {Array<{id: string, name: string}>} 设备列表
+   */
+  getDevices() {
+    if (!this.midiAccess) return [];
+
+    const devices = [];
+    for (const output of this.midiAccess.outputs.values()) {
+      if (output.state !== 'disconnected') {
+        devices.push({ id: output.id, name: output.name || output.manufacturer || output.id });
+      }
+    }
+    return devices;
+  }
+
+  /**
+   * 选择输出端口
+   * @param {string} portId - 端口ID
+   */
+  selectPort(portId) {
+    this.allNotesOff();
+    this.selectedPortId = portId;
+    console.info(`MidiOutput: 选择输出端口 ${portId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置MIDI通道
+   * @param {number} channel - MIDI通道 (1-16)
+   */
+  setChannel(channel) {
+    if (!Number.isInteger(channel) || channel < 1 || channel > 16) {
+      console.warn(`MidiOutput: 无效的MIDI通道 ${channel}`);
+      return;
+    }
+
+    this.allNotesOff();
+    this.channel = channel;
+    console.info(`MidiOutput: MIDI通道设置为 ${channel}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置是否静音内置音源
+   * @param {boolean} muted - 是否静音
+   */
+  setMuteInternal(muted) {
+    this.muteInternal = muted;
+    console.info(`MidiOutput: 内置音源 ${muted ? '静音' : '恢复'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} MIDI输出设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      portId: this.selectedPortId,
+      channel: this.channel,
+      muteInternal: this.muteInternal
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - MIDI输出设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.portId === 'string') {
+      this.selectedPortId = settings.portId;
+    }
+    if (Number.isInteger(settings.channel) && settings.channel >= 1 && settings.channel <= 16) {
+      this.channel = settings.channel;
+    }
+    if (typeof settings.muteInternal === 'boolean') {
+      this.muteInternal = settings.muteInternal;
+    }
+  }
+
+  /**
+   * 通知设备列表已变化
+   */
+  notifyDevicesChange() {
+    if (typeof this.onDevicesChange === 'function') {
+      this.onDevicesChange(this.getDevices());
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类添加到全局对象，以便其他脚本可以使用
+window.MidiOutput = MidiOutput;
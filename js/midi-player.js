@@ -0,0 +1,348 @@
+/**
+ * MIDI文件播放模块
+ * 负责播放导入的标准MIDI文件：选择音轨，将超出琴键范围的音符按八度折叠到范围内，并支持播放、暂停、跳转和变速
+ * 播放使用音频时钟（AudioContext.currentTime）提前排程，速度变化已在解析时换算为秒
+ */
+
+// MIDI文件播放参数
+const MIDI_PLAYER_CONFIG = {
+  speeds: [0.5, 0.75, 1, 1.25, 1.5, 2], // 可选的播放速度倍率
+  startDelay: 0.05, // 开始播放相对点击的延迟(秒)，留出排程时间
+  scheduleAheadTime: 0.1, // 提前排程的时长(秒)
+  lookaheadInterval: 25, // 定时器唤醒间隔(毫秒)
+  minNoteDuration: 0.05, // 最短音符时长(秒)，避免极短音符听不到
+  maxFileSize: 20 * 1024 * 1024, // 可导入的MIDI文件大小上限(字节)，与资料库单个条目的上限一致
+  percussionChannel: 9 // 打击乐通道（通道10，从0计数），琴键无法演奏，默认不选
+};
+
+/**
+ * MIDI文件播放类
+ * @class
+ */
+class MidiPlayer {
+  /**
+   * 创建MidiPlayer实例
+   * @constructor
+   * @param {Function} getAudioContext - 获取音频上下文的函数，音频上下文在用户交互后才创建
+   */
+  constructor(getAudioContext) {
+    this.getAudioContext = getAudioContext;
+
+    // 乐曲和音轨选择
+    this.song = null; // MidiFile.parseMidiFile 的解析结果
+    this.fileName = '';
+    this.selectedTracks = new Set(); // 选中的音轨序号
+    this.noteRange = { min: 1, max: 19 }; // 可演奏的音符范围（音符名称的数字，'1'为F4）
+    this.notes = []; // 选中音轨折叠到范围内后的音符 {time, duration, note, velocity}，按时间排序
+    this.skippedNoteCount = 0; // 范围不足一个八度时无法折叠而跳过的音符数
+
+    // 播放状态
+    this.speed = 1;
+    this.position = 0; // 暂停时的乐曲位置（秒）
+    this.isPlaying = false;
+    this.anchorContextTime = 0; // 开始播放或变速时的音频时钟时间
+    this.anchorSongTime = 0; // 与 anchorContextTime 对应的乐曲位置
+    this.scheduledUntil = 0; // 已排程到的乐曲位置
+    this.nextNoteIndex = 0; // 下一个待排程音符的序号
+    this.timerId = null;
+
+    this.onNote = null; // 音符排程回调 (note, velocity, startTime, duration)，startTime 为音频时钟时间
+    this.onStop = null; // 暂停、跳转或停止时的回调，用于停止已排程的音符
+    this.onEnd = null; // 播放到结尾的回调
+    this.onStateChange = null; // 乐曲、音轨或播放状态变化回调
+
+    console.info('MidiPlayer: MIDI文件播放模块创建成功');
+  }
+
+  /**
+   * 载入乐曲，默认选中所有含音符的非打击乐音轨
+   * @param {Object} song - MidiFile.parseMidiFile 的解析结果
+   * @param {string} fileName - 文件名
+   */
+  load(song, fileName = '') {
+    this.stop();
+    this.song = song;
+    this.fileName = fileName;
+    this.selectedTracks = new Set(
+      song.tracks
+        .filter(track => track.notes.length > 0 && !this.isPercussionTrack(track))
+        .map(track => track.index)
+    );
+    this.rebuildNotes();
+
+    console.info(`MidiPlayer: 已载入 ${fileName}，共 ${song.tracks.length} 个音轨，时长 ${song.duration.toFixed(1)} 秒`);
+    this.notifyStateChange();
+  }
+
+  /**
+   * 音轨是否只包含打击乐通道的音符
+   * @param {Object} track - 音轨
+   * @returns {boolean} 是否为打击乐音轨
+   */
+  isPercussionTrack(track) {
+    return track.channels.length > 0 && track.channels.every(channel => channel === MIDI_PLAYER_CONFIG.percussionChannel);
+  }
+
+  /**
+   * 选中或取消选中音轨
+   * @param {number} index - 音轨序号
+   * @param {boolean} selected - 是否选中
+   */
+  setTrackSelected(index, selected) {
+    if (!this.song || !this.song.tracks[index]) return;
+
+    if (selected) {
+      this.selectedTracks.add(index);
+    } else {
+      this.selectedTracks.delete(index);
+    }
+    this.rebuildNotes();
+    this.notifyStateChange();
+  }
+
+  /**
+   * 设置可演奏的音符范围，音域或移调变化时调用
+   * @param {number} min - 最低音符（音符名称的数字）
+   * @param {number} max - 最高音符（音符名称的数字）
+   */
+  setNoteRange(min, max) {
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+      console.warn(`MidiPlayer: 无效的音符范围 ${min}-${max}`);
+      return;
+    }
+
+    this.noteRange = { min, max };
+    this.rebuildNotes();
+    this.notifyStateChange();
+  }
+
+  /**
+   * 将MIDI音符号按八度折叠到可演奏范围内
+   * @param {number} midiNote - MIDI音符号
+   * @returns {string|null} 音符名称，范围不足以容纳时返回null
+   */
+  foldNote(midiNote) {
+    const { min, max } = this.noteRange;
+    let keyNumber = midiNote - window.AudioConfig.MIDI_CONFIG.baseNote + 1;
+
+    while (keyNumber < min) keyNumber += 12;
+    while (keyNumber > max) keyNumber -= 12;
+
+    return keyNumber >= min ? String(keyNumber) : null;
+  }
+
+  /**
+   * 按选中的音轨和音符范围重新生成待播放的音符
+   * 播放中调用时从已排程的位置继续，不会重复排程
+   */
+  rebuildNotes() {
+    this.notes = [];
+    this.skippedNoteCount = 0;
+
+    if (this.song) {
+      this.song.tracks
+        .filter(track => this.selectedTracks.has(track.index))
+        .forEach(track => {
+          track.notes.forEach(note => {
+            const foldedNote = this.foldNote(note.midiNote);
+            if (foldedNote === null) {
+              this.skippedNoteCount++;
+              return;
+            }
+            this.notes.push({ time: note.time, duration: note.duration, note: foldedNote, velocity: note.velocity });
+          });
+        });
+      this.notes.sort((a, b) => a.time - b.time);
+    }
+
+    this.nextNoteIndex = this.findNoteIndex(this.isPlaying ? this.scheduledUntil : this.position);
+  }
+
+  /**
+   * 查找不早于指定位置的第一个音符
+   * @param {number} time - 乐曲位置（秒）
+   * @returns {number} 音符序号，没有时返回音符总数
+   */
+  findNoteIndex(time) {
+    const index = this.notes.findIndex(note => note.time >= time);
+    return index === -1 ? this.notes.length : index;
+  }
+
+  /**
+   * 获取乐曲时长
+   * @returns {number} 时长（秒）
+   */
+  getDuration() {
+    return this.song ? this.song.duration : 0;
+  }
+
+  /**
+   * 获取当前乐曲位置
+   * @returns {number} 位置（秒）
+   */
+  getPosition() {
+    const audioContext = this.getAudioContext();
+    if (!this.isPlaying || !audioContext) return this.position;
+
+    const time = Math.max(this.anchorSongTime, this.toSongTime(audioContext.currentTime));
+    return Math.min(time, this.getDuration());
+  }
+
+  /**
+   * 将音频时钟时间换算为乐曲位置
+   * @param {number} contextTime - 音频时钟时间（秒）
+   * @returns {number} 乐曲位置（秒）
+   */
+  toSongTime(contextTime) {
+    return this.anchorSongTime + (contextTime - this.anchorContextTime) * this.speed;
+  }
+
+  /**
+   * 将乐曲位置换算为音频时钟时间
+   * @param {number} songTime - 乐曲位置（秒）
+   * @returns {number} 音频时钟时间（秒）
+   */
+  toContextTime(songTime) {
+    return this.anchorContextTime + (songTime - this.anchorSongTime) / this.speed;
+  }
+
+  /**
+   * 从当前位置开始播放，已播放到结尾时从头开始
+   * @returns {boolean} 是否开始播放
+   */
+  play() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext || this.notes.length === 0) {
+      console.warn('MidiPlayer: 没有可播放的音符或音频上下文不可用');
+      return false;
+    }
+    if (this.isPlaying) return true;
+
+    if (this.position >= this.getDuration()) {
+      this.position = 0;
+    }
+
+    this.isPlaying = true;
+    this.anchorContextTime = audioContext.currentTime + MIDI_PLAYER_CONFIG.startDelay;
+    this.anchorSongTime = this.position;
+    this.scheduledUntil = this.position;
+    this.nextNoteIndex = this.findNoteIndex(this.position);
+    this.timerId = setInterval(() => this.scheduleNotes(), MIDI_PLAYER_CONFIG.lookaheadInterval);
+    this.scheduleNotes();
+
+    console.info(`MidiPlayer: 从 ${this.position.toFixed(1)} 秒开始播放`);
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 排程即将到来的音符，播放到结尾时停止
+   */
+  scheduleNotes() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext) {
+      this.pause();
+      return;
+    }
+
+    const horizon = this.toSongTime(audioContext.currentTime + MIDI_PLAYER_CONFIG.scheduleAheadTime);
+    while (this.nextNoteIndex < this.notes.length && this.notes[this.nextNoteIndex].time < horizon) {
+      const note = this.notes[this.nextNoteIndex];
+      if (typeof this.onNote === 'function') {
+        const duration = Math.max(MIDI_PLAYER_CONFIG.minNoteDuration, note.duration / this.speed);
+        this.onNote(note.note, note.velocity, this.toContextTime(note.time), duration);
+      }
+      this.nextNoteIndex++;
+    }
+    this.scheduledUntil = Math.max(this.scheduledUntil, horizon);
+
+    if (this.nextNoteIndex >= this.notes.length && this.getPosition() >= this.getDuration()) {
+      this.stop();
+      console.info('MidiPlayer: 播放结束');
+      if (typeof this.onEnd === 'function') {
+        this.onEnd();
+      }
+    }
+  }
+
+  /**
+   * 暂停播放，保留当前位置
+   */
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.position = this.getPosition();
+    this.isPlaying = false;
+    clearInterval(this.timerId);
+    this.timerId = null;
+
+    if (typeof this.onStop === 'function') {
+      this.onStop();
+    }
+    this.notifyStateChange();
+  }
+
+  /**
+   * 停止播放并回到开头
+   */
+  stop() {
+    this.pause();
+    this.position = 0;
+    this.nextNoteIndex = 0;
+    this.notifyStateChange();
+  }
+
+  /**
+   * 跳转到指定位置，播放中会从新位置继续播放
+   * @param {number} seconds - 乐曲位置（秒）
+   */
+  seek(seconds) {
+    if (!Number.isFinite(seconds)) return;
+
+    const wasPlaying = this.isPlaying;
+    this.pause();
+    this.position = Math.max(0, Math.min(seconds, this.getDuration()));
+    this.nextNoteIndex = this.findNoteIndex(this.position);
+
+    if (wasPlaying) {
+      this.play();
+    } else {
+      this.notifyStateChange();
+    }
+  }
+
+  /**
+   * 设置播放速度，播放中从当前位置按新速度继续
+   * @param {number} speed - 速度倍率，见 MIDI_PLAYER_CONFIG.speeds
+   */
+  setSpeed(speed) {
+    if (!MIDI_PLAYER_CONFIG.speeds.includes(speed)) {
+      console.warn(`MidiPlayer: 无效的播放速度 ${speed}`);
+      return;
+    }
+
+    const audioContext = this.getAudioContext();
+    if (this.isPlaying && audioContext) {
+      // 以当前时刻为新的换算基准，已排程的音符保持原时间
+      this.anchorSongTime = this.getPosition();
+      this.anchorContextTime = Math.max(audioContext.currentTime, this.anchorContextTime);
+    }
+
+    this.speed = speed;
+    console.info(`MidiPlayer: 播放速度设置为 ${speed}x`);
+    this.notifyStateChange();
+  }
+
+  /**
+   * 通知乐曲、音轨或播放状态已变化
+   */
+  notifyStateChange() {
+    if (typeof this.onStateChange === 'function') {
+      this.onStateChange();
+    }
+  }
+}
+
+// 将类和播放参数添加到全局对象，以便其他脚本可以使用
+window.MidiPlayer = MidiPlayer;
+window.MIDI_PLAYER_CONFIG = MIDI_PLAYER_CONFIG;
@@ -5,18 +5,22 @@
 class MusicPlayer {
   constructor() {
     // 音乐列表 - 使用外部URL链接，背景音乐URL
+    // corsEnabled 表示曲目所在站点已确认发送跨域响应头，只有这样的曲目才接入主总线；
+    // cdn.tosound.com 未确认，背景音乐直接输出，录制音频时不会录到
     this.playlist = [
       {
         id: 1,
         title: '轻松旋律',
         artist: '青松音乐',
-        url: 'https://cdn.tosound.com:3321/preview?file=youtube%2F0%2F0%2F634532.mp3&token=eW91dHViZSUyRjAlMkYwJTJGNjM0NTMyLm1wMw==&sound=audio.mp3'
+        url: 'https://cdn.tosound.com:3321/preview?file=youtube%2F0%2F0%2F634532.mp3&token=eW91dHViZSUyRjAlMkYwJTJGNjM0NTMyLm1wMw==&sound=audio.mp3',
+        corsEnabled: false
       },
       {
         id: 2,
         title: '古典钢琴',
         artist: '青松音乐',
-        url: 'https://cdn.tosound.com:3321/preview?file=youtube%2F0%2F1%2F635949.mp3&token=eW91dHViZSUyRjAlMkYxJTJGNjM1OTQ5Lm1wMw==&sound=audio.mp3'
+        url: 'https://cdn.tosound.com:3321/preview?file=youtube%2F0%2F1%2F635949.mp3&token=eW91dHViZSUyRjAlMkYxJTJGNjM1OTQ5Lm1wMw==&sound=audio.mp3',
+        corsEnabled: false
       }
     ];
 
@@ -62,14 +66,28 @@ class MusicPlayer {
    * 初始化音频元素
    */
   initAudio() {
-    this.audio = new Audio();
-    this.audio.volume = this.volume;
-    this.audio.loop = true;
+    this.audio = this.createAudioElement(Boolean(this.playlist[this.currentTrackIndex].corsEnabled));
 
     // 加载当前曲目
     this.loadCurrentTrack();
   }
 
+  /**
+   * 创建背景音乐的音频元素
+   * @param {boolean} corsEnabled - 曲目所在站点是否已确认发送跨域响应头
+   * @returns {HTMLAudioElement} 音频元素
+   */
+  createAudioElement(corsEnabled) {
+    const audio = new Audio();
+    // 接入主总线需要跨域授权；站点不发送跨域响应头时请求跨域授权会导致加载失败，因此只对已确认的站点设置
+    if (corsEnabled) {
+      audio.crossOrigin = 'anonymous';
+    }
+    audio.volume = this.volume;
+    audio.loop = true;
+    return audio;
+  }
+
   /**
    * 绑定事件
    */
@@ -135,6 +153,12 @@ class MusicPlayer {
       this.loadCurrentTrack();
     }
 
+    // 音频上下文已创建时经主总线输出
+    const audioManager = window.audioManager;
+    if (audioManager && audioManager.contextManager) {
+      this.connectToMasterBus(audioManager.contextManager.getContext());
+    }
+
     this.audio.play()
       .then(() => {
         this.isPlaying = true;
@@ -187,6 +211,14 @@ class MusicPlayer {
    */
   loadCurrentTrack() {
     const currentTrack = this.playlist[this.currentTrackIndex];
+
+    // 接入主总线的音频元素无法恢复直接输出，跨域授权不同的曲目换用新的音频元素
+    const corsEnabled = Boolean(currentTrack.corsEnabled);
+    if ((this.audio.crossOrigin === 'anonymous') !== corsEnabled) {
+      this.audio.pause();
+      this.audio = this.createAudioElement(corsEnabled);
+    }
+
     this.audio.src = currentTrack.url;
     console.info(`MusicPlayer: 加载曲目: ${currentTrack.title}`);
   }
@@ -223,4 +255,16 @@ class MusicPlayer {
       this.audio.volume = volume;
     }
   }
+
+  /**
+   * 将背景音乐接入主输出总线，录制音频时背景音乐也会被录下
+   * 没有跨域授权的音频元素接入后会被静音，这类曲目保持直接输出
+   * @param {AudioContext} audioContext - 音频上下文
+   */
+  connectToMasterBus(audioContext) {
+    if (!this.audio || !audioContext || !window.MasterBusManager) return;
+    if (this.audio.crossOrigin !== 'anonymous') return;
+
+    window.MasterBusManager.getBus(audioContext).connectMediaElement(this.audio);
+  }
 }
\ No newline at end of file
@@ -0,0 +1,310 @@
+/**
+ * 离线渲染模块
+ * 负责将演奏录音通过 OfflineAudioContext 以快于实时的速度渲染，并编码为16位或24位PCM WAV文件
+ * 采样音色直接使用音频加载器中已解码的缓冲区，电音使用同一套振荡器合成，声部、音量和调律与现场演奏一致
+ */
+
+// WAV渲染参数
+const WAV_CONFIG = {
+  bitDepths: [16, 24], // 支持的采样位深
+  defaultBitDepth: 16,
+  sampleRate: 44100,
+  numberOfChannels: 2,
+  tailTime: 0.5 // 最长释音之后额外渲染的时长(秒)
+};
+
+/**
+ * 将音频缓冲区编码为PCM WAV文件
+ * @param {AudioBuffer} audioBuffer - 音频缓冲区
+ * @param {number} bitDepth - 采样位深（16或24）
+ * @returns {Uint8Array} 文件内容
+ * @throws {Error} 位深不受支持时抛出错误
+ */
+function encodeWav(audioBuffer, bitDepth = WAV_CONFIG.defaultBitDepth) {
+  if (!WAV_CONFIG.bitDepths.includes(bitDepth)) {
+    throw new Error(`不支持 ${bitDepth} 位的WAV文件`);
+  }
+
+  const numberOfChannels = audioBuffer.numberOfChannels;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataLength = audioBuffer.length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF文件头和fmt块（PCM格式）
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, audioBuffer.sampleRate, true);
+  view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  // 各声道交错写入，超出 [-1, 1] 的采样削波
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+
+  let offset = 44;
+  for (let i = 0; i < audioBuffer.length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+      if (bitDepth === 16) {
+        view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+      } else {
+        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff);
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+/**
+ * 离线渲染类
+ * @class
+ */
+class OfflineRenderer {
+  /**
+   * 创建OfflineRenderer实例
+   * @constructor
+   * @param {AudioManager} audioManager - 音频管理器实例，提供音色声部、已解码的采样和音量设置
+   */
+  constructor(audioManager) {
+    this.audioManager = audioManager;
+    this.isRendering = false;
+
+    console.info('OfflineRenderer: 离线渲染模块创建成功');
+  }
+
+  /**
+   * 渲染演奏录音
+   * @param {Object} take - 演奏录音
+   * @returns {Promise<AudioBuffer>} 渲染结果
+   * @throws {Error} 浏览器不支持离线渲染、录音为空或正在渲染时抛出错误
+   */
+  async render(take) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      throw new Error('当前浏览器不支持离线渲染');
+    }
+    if (this.isRendering) {
+      throw new Error('正在渲染其他录音，请稍候');
+    }
+
+    const notes = window.TakeNotes.collectTakeNotes(take);
+    if (notes.length === 0) {
+      throw new Error('录音中没有音符');
+    }
+
+    this.isRendering = true;
+    try {
+      // 先加载用到的采样，避免渲染时改用振荡器发音
+      await this.loadSamples(notes);
+
+      const lastEndTime = notes.reduce((max, renderNote) => Math.max(max, renderNote.endTime), take.duration);
+      const length = Math.ceil((lastEndTime + this.getTailTime()) * WAV_CONFIG.sampleRate);
+      const context = new OfflineContext(WAV_CONFIG.numberOfChannels, length, WAV_CONFIG.sampleRate);
+
+      const renderer = this.createRenderVoices(context);
+      notes.forEach(renderNote => this.scheduleRenderNote(renderer, renderNote));
+
+      const startedAt = performance.now();
+      const audioBuffer = await context.startRendering();
+      console.info(`OfflineRenderer: 渲染完成，${notes.length} 个音符，时长 ${(length / WAV_CONFIG.sampleRate).toFixed(1)} 秒，用时 ${Math.round(performance.now() - startedAt)} 毫秒`);
+      return audioBuffer;
+    } finally {
+      this.isRendering = false;
+    }
+  }
+
+  /**
+   * 渲染演奏录音并编码为WAV文件
+   * @param {Object} take - 演奏录音
+   * @param {number} bitDepth - 采样位深（16或24）
+   * @returns {Promise<Blob>} WAV文件
+   */
+  async renderWav(take, bitDepth = WAV_CONFIG.defaultBitDepth) {
+    if (!WAV_CONFIG.bitDepths.includes(bitDepth)) {
+      throw new Error(`不支持 ${bitDepth} 位的WAV文件`);
+    }
+
+    const audioBuffer = await this.render(take);
+    return new Blob([encodeWav(audioBuffer, bitDepth)], { type: 'audio/wav' });
+  }
+
+  /**
+   * 加载音符用到的采样文件，加载失败的采样在渲染时改用振荡器发音
+   * @param {Array<Object>} notes - collectTakeNotes 的结果
+   * @returns {Promise} 加载完成的Promise
+   */
+  async loadSamples(notes) {
+    const loader = this.audioManager.loader;
+    const player = this.audioManager.player;
+    if (!loader || !player) return;
+
+    const files = new Set();
+    notes.forEach(renderNote => {
+      this.audioManager.getVoices(renderNote.note, renderNote.timbre).forEach(voice => {
+        if (voice.timbre === 'oscillator') return;
+
+        const sample = player.resolveSample(voice.note, this.audioManager.getNotesMapForTimbre(voice.timbre));
+        if (sample) {
+          files.add(sample.mapping.file);
+        }
+      });
+    });
+
+    await Promise.all(Array.from(files).map(file => loader.loadAudioFile(file).catch(error => {
+      console.warn(`OfflineRenderer: 采样加载失败，改用振荡器 ${file}`, error);
+    })));
+  }
+
+  /**
+   * 获取最后一个音符停止后需要继续渲染的时长，保留释音和电音的固定时长
+   * @returns {number} 时长（秒）
+   */
+  getTailTime() {
+    const releases = [window.AudioConfig.AUDIO_CONFIG.damperReleaseTime];
+
+    const oscillator = window.OscillatorManager.getOscillator('audio-core');
+    releases.push(oscillator ? oscillator.getConfig().duration : window.OscillatorManager.defaultOptions.duration);
+
+    const timbreLayers = this.audioManager.timbreLayers;
+    if (timbreLayers && timbreLayers.enabled) {
+      timbreLayers.layers.forEach(layer => releases.push(layer.release));
+    }
+
+    return Math.max(...releases) + WAV_CONFIG.tailTime;
+  }
+
+  /**
+   * 在离线音频上下文中创建与现场演奏相同设置的播放器和振荡器
+   * @param {OfflineAudioContext} context - 离线音频上下文
+   * @returns {{player: AudioPlayer, coreOscillator: Oscillator, playerOscillator: Oscillator, sustainMode: boolean}}
+   *   渲染用的发音器，sustainMode 为现场电音是否处于持续发音模式
+   */
+  createRenderVoices(context) {
+    const livePlayer = this.audioManager.player;
+    const player = new window.AudioPlayer(context);
+    player.setLoader(this.audioManager.loader);
+    player.volume = livePlayer ? livePlayer.volume : this.audioManager.volume;
+
+    const liveOscillator = window.OscillatorManager.getOscillator('audio-core');
+    return {
+      player,
+      coreOscillator: this.createRenderOscillator(context, 'audio-core', this.audioManager.volume),
+      playerOscillator: this.createRenderOscillator(context, 'audio-player', player.volume),
+      sustainMode: Boolean(liveOscillator && liveOscillator.sustainMode)
+    };
+  }
+
+  /**
+   * 按现场振荡器实例的设置创建离线振荡器
+   * 持续发音模式由渲染时按音符时长排程代替，离线振荡器不启用
+   * @param {OfflineAudioContext} context - 离线音频上下文
+   * @param {string} id - 现场振荡器实例ID
+   * @param {number} volume - 音量 (0-1)
+   * @returns {Oscillator} 离线振荡器
+   */
+  createRenderOscillator(context, id, volume) {
+    const liveOscillator = window.OscillatorManager.getOscillator(id);
+    const options = liveOscillator
+      ? { ...liveOscillator.getConfig(), pitch: liveOscillator.currentPitch }
+      : { ...window.OscillatorManager.defaultOptions };
+
+    const oscillator = new window.Oscillator(context, { ...options, sustainMode: false, softPedal: false });
+    oscillator.setVolume(volume);
+    return oscillator;
+  }
+
+  /**
+   * 排程一个音符的各声部
+   * 与 AudioManager 的选择一致：音色层优先，其次键盘分割，否则使用录音时的音色
+   * @param {Object} renderer - createRenderVoices 的结果
+   * @param {Object} renderNote - collectTakeNotes 的音符
+   */
+  scheduleRenderNote(renderer, renderNote) {
+    const { player, coreOscillator, playerOscillator, sustainMode } = renderer;
+    const duration = renderNote.endTime - renderNote.startTime;
+    const damperReleaseTime = window.AudioConfig.AUDIO_CONFIG.damperReleaseTime;
+
+    // 弱音踏板踩下时按下的音符降低力度，并经过低通滤波
+    let velocity = renderNote.velocity;
+    if (renderNote.soft) {
+      velocity *= window.AudioConfig.AUDIO_CONFIG.softPedalVelocityScale;
+    }
+    player.setSoftPedal(renderNote.soft);
+    coreOscillator.setSoftPedal(renderNote.soft);
+    playerOscillator.setSoftPedal(renderNote.soft);
+
+    this.audioManager.getVoices(renderNote.note, renderNote.timbre).forEach(voice => {
+      const voiceVelocity = velocity * voice.volume;
+
+      try {
+        if (voice.timbre === 'oscillator' && voice.voiceId !== undefined) {
+          // 电音层按住期间停留在持续电平，松开后按释音淡出
+          const release = Math.max(damperReleaseTime, voice.oscillatorOptions.release || 0);
+          playerOscillator.scheduleNote(voice.note, voiceVelocity, renderNote.startTime, duration + release, voice.oscillatorOptions);
+        } else if (voice.timbre === 'oscillator') {
+          // 电音按固定时长发音，持续发音模式下持续到松开
+          if (sustainMode) {
+            coreOscillator.scheduleNote(voice.note, voiceVelocity, renderNote.startTime, duration, voice.oscillatorOptions);
+          } else {
+            coreOscillator.playNote(voice.note, voiceVelocity, { ...voice.oscillatorOptions, startTime: renderNote.startTime });
+          }
+        } else {
+          this.scheduleSampleVoice(renderer, voice, voiceVelocity, renderNote.startTime, duration);
+        }
+      } catch (error) {
+        console.warn('OfflineRenderer: 排程音符失败', renderNote.note, error);
+      }
+    });
+  }
+
+  /**
+   * 使用已解码的采样排程声部，没有可用采样时与现场一样改用振荡器
+   * @param {Object} renderer - createRenderVoices 的结果
+   * @param {Object} voice - 声部（AudioManager.getVoices 的结果）
+   * @param {number} velocity - 力度 (0-1)
+   * @param {number} startTime - 开始时间（秒）
+   * @param {number} duration - 按住时长（秒），之后按制音时间或音色层释音淡出
+   */
+  scheduleSampleVoice(renderer, voice, velocity, startTime, duration) {
+    const { player, playerOscillator } = renderer;
+    const sample = player.resolveSample(voice.note, this.audioManager.getNotesMapForTimbre(voice.timbre));
+    const audioBuffer = sample ? this.audioManager.loader.getAudioBuffer(sample.mapping.file) : null;
+
+    if (audioBuffer) {
+      player.playAudioBuffer(voice.note, audioBuffer, velocity, sample.playbackRate, startTime, duration, voice.layerOptions || {});
+      return;
+    }
+
+    const release = window.AudioConfig.AUDIO_CONFIG.damperReleaseTime;
+    playerOscillator.scheduleNote(voice.note, velocity, startTime, duration + release, voice.oscillatorOptions);
+  }
+}
+
+// 将类、编码函数和渲染参数添加到全局对象，以便其他脚本可以使用
+window.OfflineRenderer = OfflineRenderer;
+window.WavFile = {
+  encodeWav
+};
+window.WAV_CONFIG = WAV_CONFIG;
@@ -38,6 +38,10 @@ class Oscillator {
     this.sustainMode = options.sustainMode || false; // 新增持续发音模式
     this.activeSustainedNotes = new Map(); // 存储持续发音的音符
     this.currentPitch = options.pitch || 'medium'; // 当前音调设置
+    this.softPedal = options.softPedal || false; // 弱音踏板是否踩下
+
+    // 音频效果处理器，用于弱音踏板的低通滤波
+    this.effects = new window.AudioEffects(audioContext);
 
     console.info('Oscillator: 振荡器实例创建成功');
   }
@@ -46,15 +50,17 @@ class Oscillator {
    * 播放音符
    * @param {string} noteName - 音符名称
    * @param {number} velocity - 力度 (0-1)
-   * @param {Object} customOptions - 自定义选项（可选）
+   * @param {Object} customOptions - 自定义选项（可选），startTime 指定开始时间（音频时钟，秒），
+   *   detune 为微调（音分），hold 为true时音符停留在持续电平直到被停止（不受 duration 限制），
+   *   softPedal 为弱音踏板状态（默认使用当前踏板状态）
    * @returns {string|null} 音频源ID
    */
   playNote(noteName, velocity = 0.7, customOptions = {}) {
     try {
       const options = { ...this.options, ...customOptions };
 
-      // 如果是持续发音模式
-      if (options.sustainMode || this.sustainMode) {
+      // 如果是持续发音模式（预先排程的音符时长固定，按住发音的音符本身已持续，均不使用持续发音）
+      if (!options.startTime && !options.hold && (options.sustainMode || this.sustainMode)) {
         return this.playSustainedNote(noteName, velocity, options);
       }
 
@@ -69,18 +75,29 @@ class Oscillator {
       const gainNode = this.audioContext.createGain();
 
       oscillator.connect(gainNode);
-      gainNode.connect(this.audioContext.destination);
+      // 预先排程的音符可指定弱音踏板状态，否则使用当前踏板状态
+      this.effects.connectToOutput(gainNode, customOptions.softPedal !== undefined ? customOptions.softPedal : this.softPedal);
 
       // 设置振荡器参数
       oscillator.frequency.value = frequency;
       oscillator.type = options.type;
+      if (options.detune) {
+        oscillator.detune.value = options.detune;
+      }
 
-      // 应用ADSR包络
-      this.applyADSREnvelope(gainNode.gain, velocity * options.volume, options);
+      // 应用ADSR包络，按住发音的音符不预设结束时间，由调用方淡出并停止
+      const startTime = options.startTime || this.audioContext.currentTime;
+      const isHeld = Boolean(options.hold);
+      if (isHeld) {
+        this.applyHoldEnvelope(gainNode.gain, velocity * options.volume, options, startTime);
+      } else {
+        this.applyADSREnvelope(gainNode.gain, velocity * options.volume, options, startTime);
+      }
 
-      const startTime = this.audioContext.currentTime;
       oscillator.start(startTime);
-      oscillator.stop(startTime + options.duration);
+      if (!isHeld) {
+        oscillator.stop(startTime + options.duration);
+      }
 
       const sourceId = `osc_${noteName}_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
 
@@ -106,6 +123,32 @@ class Oscillator {
     }
   }
 
+  /**
+   * 在指定时间播放固定时长的音符
+   * 用于按音频时钟排程的演奏（如琶音器），包络各阶段按比例压缩到时长以内
+   * @param {string} noteName - 音符名称
+   * @param {number} velocity - 力度 (0-1)
+   * @param {number} startTime - 开始时间（音频时钟，秒）
+   * @param {number} duration - 时长（秒）
+   * @param {Object} customOptions - 自定义选项（可选）
+   * @returns {string|null} 音频源ID
+   */
+  scheduleNote(noteName, velocity, startTime, duration, customOptions = {}) {
+    const { attack, decay, release } = { ...this.options, ...customOptions };
+    const envelopeTime = attack + decay + release;
+    const scale = envelopeTime > duration ? duration / envelopeTime : 1;
+
+    return this.playNote(noteName, velocity, {
+      ...customOptions,
+      hold: false,
+      startTime,
+      duration,
+      attack: attack * scale,
+      decay: decay * scale,
+      release: release * scale
+    });
+  }
+
   /**
    * 播放持续发音音符
    * @param {string} noteName - 音符名称
@@ -131,7 +174,7 @@ class Oscillator {
       const gainNode = this.audioContext.createGain();
 
       oscillator.connect(gainNode);
-      gainNode.connect(this.audioContext.destination);
+      this.effects.connectToOutput(gainNode, this.softPedal);
 
       oscillator.frequency.value = frequency;
       oscillator.type = options.type;
@@ -201,9 +244,10 @@ class Oscillator {
    * @param {AudioParam} gainParam - 增益参数
    * @param {number} peakVolume - 峰值音量
    * @param {Object} options - 包络参数
+   * @param {number} startTime - 包络开始时间（音频时钟，秒），默认立即开始
    */
-  applyADSREnvelope(gainParam, peakVolume, options) {
-    const now = this.audioContext.currentTime;
+  applyADSREnvelope(gainParam, peakVolume, options, startTime = this.audioContext.currentTime) {
+    const now = startTime;
 
     // 设置初始音量
     gainParam.setValueAtTime(0, now);
@@ -225,54 +269,45 @@ class Oscillator {
     gainParam.exponentialRampToValueAtTime(0.001, now + options.duration);
   }
 
+  /**
+   * 应用只有起音、衰减阶段的包络，之后保持在持续电平
+   * 用于按住琴键期间持续发音的音符，释音由停止时的淡出完成
+   * @param {AudioParam} gainParam - 增益参数
+   * @param {number} peakVolume - 峰值音量
+   * @param {Object} options - 包络参数
+   * @param {number} startTime - 包络开始时间（音频时钟，秒）
+   */
+  applyHoldEnvelope(gainParam, peakVolume, options, startTime) {
+    gainParam.setValueAtTime(0, startTime);
+    gainParam.linearRampToValueAtTime(peakVolume, startTime + options.attack);
+    gainParam.linearRampToValueAtTime(peakVolume * options.sustain, startTime + options.attack + options.decay);
+  }
+
   /**
    * 获取音符对应的频率
+   * 音符序号换算为MIDI音符号后按当前调律计算，与采样播放和MIDI输出的音高一致
    * @param {string} noteName - 音符名称
    * @returns {number} 音符频率
    */
   getFrequencyForNote(noteName) {
     try {
-      const noteIndex = parseInt(noteName) - 1;
-
-      // 使用音频配置中的频率映射
-      if (window.AudioConfig && window.AudioConfig.NOTE_FREQUENCIES) {
-        const frequencies = window.AudioConfig.NOTE_FREQUENCIES;
-        if (noteIndex >= 0 && noteIndex < frequencies.length) {
-          let frequency = frequencies[noteIndex];
-
-          // 根据音调设置调整频率
-          switch (this.currentPitch) {
-            case 'low':
-              frequency *= 0.5; // 降低一个八度
-              break;
-            case 'high':
-              frequency *= 2; // 升高一个八度
-              break;
-            case 'medium':
-            default:
-              // 保持原频率
-              break;
-          }
-
-          // 为正弦波和三角波调高一个度（一个半音）
-          if (this.options.type === 'sine' || this.options.type === 'triangle') {
-            frequency *= Math.pow(2, 1 / 12); // 升高一个半音
-          }
-
-          return frequency;
-        }
+      const keyNumber = parseInt(noteName, 10);
+      if (Number.isNaN(keyNumber)) {
+        return null;
       }
 
-      // 降级方案：基于C4的十二平均律计算
-      let baseFreq = 261.63; // C4
+      const midiNote = window.AudioConfig.MIDI_CONFIG.baseNote + keyNumber - 1;
+      let frequency = window.pianoTuning
+        ? window.pianoTuning.getFrequency(midiNote)
+        : 440 * Math.pow(2, (midiNote - 69) / 12); // 调律模块不可用时使用A4=440Hz十二平均律
 
-      // 根据音调设置调整基础频率
+      // 根据音调设置调整频率
       switch (this.currentPitch) {
         case 'low':
-          baseFreq *= 0.5; // 降低一个八度
+          frequency *= 0.5; // 降低一个八度
           break;
         case 'high':
-          baseFreq *= 2; // 升高一个八度
+          frequency *= 2; // 升高一个八度
           break;
         case 'medium':
         default:
@@ -280,13 +315,6 @@ class Oscillator {
           break;
       }
 
-      let frequency = baseFreq * Math.pow(2, noteIndex / 12);
-
-      // 为正弦波和三角波调高一个度（一个半音）
-      if (this.options.type === 'sine' || this.options.type === 'triangle') {
-        frequency *= Math.pow(2, 1 / 12); // 升高一个半音
-      }
-
       return frequency;
 
     } catch (error) {
@@ -336,6 +364,14 @@ class Oscillator {
     console.info(`Oscillator: 音调设置为 ${pitch}`);
   }
 
+  /**
+   * 设置弱音踏板状态，只影响之后播放的音符
+   * @param {boolean} isDown - 踏板是否踩下
+   */
+  setSoftPedal(isDown) {
+    this.softPedal = isDown;
+  }
+
   /**
    * 设置ADSR包络参数
    * @param {Object} adsrParams - ADSR参数
@@ -511,6 +547,18 @@ class OscillatorManager {
     }
   }
 
+  /**
+   * 设置所有振荡器实例的弱音踏板状态
+   * 之后创建的实例也会沿用该状态
+   * @param {boolean} isDown - 踏板是否踩下
+   */
+  setSoftPedal(isDown) {
+    this.defaultOptions.softPedal = isDown;
+    for (const oscillator of this.oscillators.values()) {
+      oscillator.setSoftPedal(isDown);
+    }
+  }
+
   /**
    * 设置默认配置
    * @param {Object} options - 默认配置选项
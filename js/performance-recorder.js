@@ -0,0 +1,450 @@
+/**
+ * 演奏录音模块
+ * 负责记录演奏中每个音符的按下和松开（含力度、音色和延音踏板状态）以及踏板变化，并管理多条录音
+ * 时间戳和回放都使用音频时钟（AudioContext.currentTime），回放时提前排程，节奏不受主线程卡顿影响
+ */
+
+// 录音参数
+const RECORDER_CONFIG = {
+  maxTakes: 20, // 最多保留的录音条数，超出时删除最早的录音
+  playbackStartDelay: 0.1, // 回放第一个事件相对点击播放的延迟(秒)，留出排程时间
+  scheduleAheadTime: 0.1, // 提前排程的时长(秒)
+  lookaheadInterval: 25 // 定时器唤醒间隔(毫秒)
+};
+
+/**
+ * 将录音事件整理为有起止时间的音符
+ * 按现场演奏的规则处理踏板：延音踏板保持所有松开的音符，持音踏板只保持踩下时按住的音符，弱音踏板作用于之后按下的音符
+ * @param {Object} take - 演奏录音 {duration, events}
+ * @returns {Array<{note: string, key: string, velocity: number, timbre: string, soft: boolean, startTime: number, endTime: number, eventIndex: number}>}
+ *   按开始时间排序的音符，eventIndex 为按下事件在录音中的序号
+ */
+function collectTakeNotes(take) {
+  const notes = [];
+  const sounding = new Map(); // 按住的音符
+  const sustained = new Map(); // 已松开、由踏板保持的音符
+  const sostenutoNotes = new Set();
+  let sostenutoDown = false;
+  let softDown = false;
+
+  // 录音开始前已踩下的延音踏板没有踏板事件，按第一个音符记录的踏板状态补上
+  const firstNote = take.events.find(event => event.type === 'noteOn');
+  const firstPedal = take.events.find(event => event.type === 'pedal' && event.pedal === 'sustain');
+  let sustainDown = Boolean(firstNote && firstNote.sustain && (!firstPedal || firstPedal.time > firstNote.time));
+
+  const endNote = (renderNote, time) => {
+    renderNote.endTime = Math.max(renderNote.startTime, time);
+    notes.push(renderNote);
+  };
+  const isSustained = note => sustainDown || (sostenutoDown && sostenutoNotes.has(note));
+  const releasePedalNotes = time => {
+    sustained.forEach((renderNote, note) => {
+      if (!isSustained(note)) {
+        endNote(renderNote, time);
+        sustained.delete(note);
+      }
+    });
+  };
+
+  take.events.forEach((event, eventIndex) => {
+    if (event.type === 'noteOn') {
+      // 同一音符重新按下时，先前的发音停止
+      [sounding, sustained].forEach(map => {
+        if (map.has(event.note)) {
+          endNote(map.get(event.note), event.time);
+          map.delete(event.note);
+        }
+      });
+
+      sounding.set(event.note, {
+        note: event.note,
+        key: event.key,
+        velocity: event.velocity,
+        timbre: event.timbre,
+        soft: softDown,
+        startTime: event.time,
+        endTime: event.time,
+        eventIndex
+      });
+    } else if (event.type === 'noteOff') {
+      const renderNote = sounding.get(event.note);
+      if (!renderNote) return;
+
+      sounding.delete(event.note);
+      if (isSustained(event.note)) {
+        sustained.set(event.note, renderNote);
+      } else {
+        endNote(renderNote, event.time);
+      }
+    } else if (event.type === 'pedal') {
+      if (event.pedal === 'sustain') {
+        sustainDown = event.isDown;
+      } else if (event.pedal === 'sostenuto') {
+        sostenutoDown = event.isDown;
+        sostenutoNotes.clear();
+        if (event.isDown) {
+          sounding.forEach((renderNote, note) => sostenutoNotes.add(note));
+        }
+      } else if (event.pedal === 'soft') {
+        softDown = event.isDown;
+      }
+
+      if (!event.isDown) {
+        releasePedalNotes(event.time);
+      }
+    }
+  });
+
+  // 录音结束时仍在发音的音符在结束时刻停止
+  sounding.forEach(renderNote => endNote(renderNote, take.duration));
+  sustained.forEach(renderNote => endNote(renderNote, take.duration));
+
+  return notes.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * 演奏录音类
+ * @class
+ */
+class PerformanceRecorder {
+  /**
+   * 创建PerformanceRecorder实例
+   * @constructor
+   * @param {Function} getAudioContext - 获取音频上下文的函数，音频上下文在用户交互后才创建
+   */
+  constructor(getAudioContext) {
+    this.getAudioContext = getAudioContext;
+
+    // 录音状态
+    this.isRecording = false;
+    this.recordStartTime = 0; // 录音开始时间（音频时钟，秒）
+    this.recordedEvents = [];
+    this.recordingNotes = new Map(); // 正在发音的音符 -> 琴键，停止录音时补上松开事件
+
+    // 录音列表
+    this.takes = []; // {id, name, createdAt, duration, events}
+    this.nextTakeNumber = 1;
+
+    // 回放状态
+    this.playingTake = null;
+    this.playbackStartTime = 0; // 回放开始时间（音频时钟，秒）
+    this.playbackIndex = 0; // 下一个待排程事件的序号
+    this.playbackNotes = new Map(); // 按下事件序号 -> 整理后的音符，含踏板保持后的结束时间
+    this.playbackTimerId = null;
+    this.playbackEndTimerId = null;
+
+    this.onPlaybackEvent = null; // 回放事件排程回调 (event, time, note)，time 为事件的音频时钟时间，
+    // note 为按下事件整理后的音符（见 collectTakeNotes），其他事件为undefined
+    this.onPlaybackEnd = null; // 回放结束或停止回调 (take)
+    this.onStateChange = null; // 录音或回放状态变化回调
+
+    console.info('PerformanceRecorder: 演奏录音模块创建成功');
+  }
+
+  /**
+   * 开始录音
+   * @returns {boolean} 是否开始成功
+   */
+  startRecording() {
+    const audioContext = this.getAudioContext();
+    if (!audioContext) {
+      console.warn('PerformanceRecorder: 音频上下文不可用，无法开始录音');
+      return false;
+    }
+
+    this.stopPlayback();
+    this.isRecording = true;
+    this.recordStartTime = audioContext.currentTime;
+    this.recordedEvents = [];
+    this.recordingNotes.clear();
+
+    console.info('PerformanceRecorder: 开始录音');
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 停止录音并保存为新的录音
+   * @returns {Object|null} 新的录音，没有录到音符时返回null
+   */
+  stopRecording() {
+    if (!this.isRecording) return null;
+
+    const stopTime = this.getRecordingTime();
+
+    // 停止时仍按住的音符在停止时刻松开
+    this.recordingNotes.forEach((key, note) => {
+      this.recordedEvents.push({ type: 'noteOff', time: stopTime, note, key });
+    });
+    this.recordingNotes.clear();
+    this.isRecording = false;
+
+    // 琶音等预先排程的事件可能晚于停止时刻，按时间排序并截掉之后的部分
+    const events = this.recordedEvents
+      .filter(event => event.time <= stopTime)
+      .sort((a, b) => a.time - b.time);
+    this.recordedEvents = [];
+
+    if (!events.some(event => event.type === 'noteOn')) {
+      console.info('PerformanceRecorder: 没有录到音符，已放弃本次录音');
+      this.notifyStateChange();
+      return null;
+    }
+
+    const take = this.addTake(events, stopTime);
+    console.info(`PerformanceRecorder: 录音完成 ${take.name}，共 ${events.length} 个事件`);
+    this.notifyStateChange();
+    return take;
+  }
+
+  /**
+   * 将事件列表添加为新的录音
+   * @param {Array<Object>} events - 按时间排序的事件
+   * @param {number} duration - 时长（秒）
+   * @param {string} name - 录音名称（可选），默认按序号命名
+   * @returns {Object} 新的录音
+   */
+  addTake(events, duration, name) {
+    const take = {
+      id: `take_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      name: name || `录音 ${this.nextTakeNumber++}`,
+      createdAt: Date.now(),
+      duration,
+      events
+    };
+
+    this.takes.push(take);
+    if (this.takes.length > RECORDER_CONFIG.maxTakes) {
+      this.takes.shift();
+    }
+    return take;
+  }
+
+  /**
+   * 获取当前录音时刻
+   * @param {number} time - 事件的音频时钟时间（可选），默认为当前时间
+   * @returns {number} 相对录音开始的时间（秒）
+   */
+  getRecordingTime(time) {
+    const audioContext = this.getAudioContext();
+    const now = time !== undefined ? time : (audioContext ? audioContext.currentTime : this.recordStartTime);
+    return Math.max(0, now - this.recordStartTime);
+  }
+
+  /**
+   * 记录音符按下
+   * @param {string} key - 琴键音符名称（用于点亮琴键）
+   * @param {string} note - 实际发音的音符名称（移调后，交给音频管理器播放）
+   * @param {number} velocity - 力度 (0-1)
+   * @param {Object} state - 按下时的状态：timbre 音色，sustain 延音踏板是否踩下
+   * @param {number} time - 事件的音频时钟时间（可选），预先排程的音符（如琶音）使用排程时间
+   */
+  recordNoteOn(key, note, velocity, state = {}, time) {
+    if (!this.isRecording) return;
+
+    this.recordedEvents.push({
+      type: 'noteOn',
+      time: this.getRecordingTime(time),
+      note,
+      key,
+      velocity,
+      timbre: state.timbre,
+      sustain: Boolean(state.sustain)
+    });
+    this.recordingNotes.set(note, key);
+  }
+
+  /**
+   * 记录音符松开
+   * @param {string} key - 琴键音符名称
+   * @param {string} note - 实际发音的音符名称
+   * @param {Object} state - 松开时的状态：sustain 延音踏板是否踩下
+   * @param {number} time - 事件的音频时钟时间（可选）
+   */
+  recordNoteOff(key, note, state = {}, time) {
+    if (!this.isRecording) return;
+
+    this.recordedEvents.push({
+      type: 'noteOff',
+      time: this.getRecordingTime(time),
+      note,
+      key,
+      sustain: Boolean(state.sustain)
+    });
+    this.recordingNotes.delete(note);
+  }
+
+  /**
+   * 记录踏板变化
+   * @param {string} pedal - 踏板类型 ('sustain', 'sostenuto' 或 'soft')
+   * @param {boolean} isDown - 踏板是否按下
+   */
+  recordPedal(pedal, isDown) {
+    if (!this.isRecording) return;
+
+    this.recordedEvents.push({ type: 'pedal', time: this.getRecordingTime(), pedal, isDown });
+  }
+
+  /**
+   * 获取录音
+   * @param {string} takeId - 录音ID
+   * @returns {Object|null} 录音或null
+   */
+  getTake(takeId) {
+    return this.takes.find(take => take.id === takeId) || null;
+  }
+
+  /**
+   * 重命名录音
+   * @param {string} takeId - 录音ID
+   * @param {string} name - 新名称
+   * @returns {boolean} 是否重命名成功
+   */
+  renameTake(takeId, name) {
+    const take = this.getTake(takeId);
+    const newName = String(name || '').trim();
+    if (!take || !newName) return false;
+
+    take.name = newName;
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 用编辑后的事件替换录音内容，正在回放的录音会先停止
+   * @param {string} takeId - 录音ID
+   * @param {Array<Object>} events - 按时间排序的事件
+   * @param {number} duration - 时长（秒）
+   * @returns {boolean} 是否替换成功
+   */
+  updateTake(takeId, events, duration) {
+    const take = this.getTake(takeId);
+    if (!take) return false;
+
+    // 回放按事件序号排程，事件替换后序号不再对应
+    if (this.playingTake === take) {
+      this.stopPlayback();
+    }
+
+    take.events = events;
+    take.duration = duration;
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 删除录音，正在回放的录音会先停止
+   * @param {string} takeId - 录音ID
+   */
+  deleteTake(takeId) {
+    if (this.playingTake && this.playingTake.id === takeId) {
+      this.stopPlayback();
+    }
+
+    this.takes = this.takes.filter(take => take.id !== takeId);
+    this.notifyStateChange();
+  }
+
+  /**
+   * 回放录音
+   * @param {string} takeId - 录音ID
+   * @returns {boolean} 是否开始回放
+   */
+  play(takeId) {
+    const take = this.getTake(takeId);
+    const audioContext = this.getAudioContext();
+    if (!take || !audioContext || this.isRecording) {
+      console.warn('PerformanceRecorder: 无法回放录音', takeId);
+      return false;
+    }
+
+    this.stopPlayback();
+    this.playingTake = take;
+    this.playbackIndex = 0;
+    this.playbackNotes = new Map(collectTakeNotes(take).map(note => [note.eventIndex, note]));
+    this.playbackStartTime = audioContext.currentTime + RECORDER_CONFIG.playbackStartDelay;
+    this.playbackTimerId = setInterval(() => this.schedulePlayback(), RECORDER_CONFIG.lookaheadInterval);
+    this.schedulePlayback();
+
+    console.info(`PerformanceRecorder: 回放 ${take.name}`);
+    this.notifyStateChange();
+    return true;
+  }
+
+  /**
+   * 排程即将到来的回放事件
+   */
+  schedulePlayback() {
+    const audioContext = this.getAudioContext();
+    const take = this.playingTake;
+    if (!audioContext || !take) {
+      this.stopPlayback();
+      return;
+    }
+
+    const horizon = audioContext.currentTime + RECORDER_CONFIG.scheduleAheadTime;
+    while (this.playbackIndex < take.events.length) {
+      const event = take.events[this.playbackIndex];
+      const time = this.playbackStartTime + event.time;
+      if (time >= horizon) break;
+
+      if (typeof this.onPlaybackEvent === 'function') {
+        this.onPlaybackEvent(event, time, this.playbackNotes.get(this.playbackIndex));
+      }
+      this.playbackIndex++;
+    }
+
+    // 全部事件排程完后停止唤醒，到录音结束时刻再结束回放
+    if (this.playbackIndex >= take.events.length && this.playbackEndTimerId === null) {
+      clearInterval(this.playbackTimerId);
+      this.playbackTimerId = null;
+
+      const remaining = Math.max(0, this.playbackStartTime + take.duration - audioContext.currentTime);
+      this.playbackEndTimerId = setTimeout(() => this.stopPlayback(), remaining * 1000);
+    }
+  }
+
+  /**
+   * 停止回放
+   */
+  stopPlayback() {
+    if (!this.playingTake) return;
+
+    const take = this.playingTake;
+    clearInterval(this.playbackTimerId);
+    clearTimeout(this.playbackEndTimerId);
+    this.playbackTimerId = null;
+    this.playbackEndTimerId = null;
+    this.playingTake = null;
+    this.playbackNotes.clear();
+
+    if (typeof this.onPlaybackEnd === 'function') {
+      this.onPlaybackEnd(take);
+    }
+    this.notifyStateChange();
+  }
+
+  /**
+   * 是否正在回放
+   * @returns {boolean} 是否正在回放
+   */
+  isPlaying() {
+    return this.playingTake !== null;
+  }
+
+  /**
+   * 通知录音或回放状态已变化
+   */
+  notifyStateChange() {
+    if (typeof this.onStateChange === 'function') {
+      this.onStateChange();
+    }
+  }
+}
+
+// 将类、音符整理函数和录音参数添加到全局对象，以便其他脚本可以使用
+window.PerformanceRecorder = PerformanceRecorder;
+window.TakeNotes = {
+  collectTakeNotes
+};
+window.RECORDER_CONFIG = RECORDER_CONFIG;
@@ -0,0 +1,188 @@
+/**
+ * 钢琴踏板模块
+ * 负责汇总屏幕踏板按钮、电脑键盘和MIDI控制器等多个来源的踏板状态
+ * 任一来源按下即视为踏板按下，全部松开后才松开踏板
+ */
+
+// 踏板类型及对应的MIDI控制器编号
+const PIANO_PEDALS = {
+  sustain: { name: '延音踏板', controller: 64 },
+  sostenuto: { name: '持音踏板', controller: 66 },
+  soft: { name: '弱音踏板', controller: 67 }
+};
+
+/**
+ * 钢琴踏板类
+ * @class
+ */
+class PianoPedal {
+  /**
+   * 创建PianoPedal实例
+   * @constructor
+   * @param {UIController} uiController - UI控制器实例，用于应用踏板状态
+   * @param {string} type - 踏板类型 ('sustain', 'sostenuto' 或 'soft')
+   * @param {Object} options - 配置选项
+   * @param {string} options.keyCode - 控制踏板的电脑按键代码（可选）
+   */
+  constructor(uiController, type, options = {}) {
+    this.uiController = uiController;
+    this.type = type;
+    this.keyCode = options.keyCode || null;
+    this.pressedSources = new Set(); // 当前按下踏板的来源 ('button', 'keyboard', 'midi')
+    this.isDown = false;
+    this.pedalButton = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleButtonDown = this.handleButtonDown.bind(this);
+    this.handleButtonUp = this.handleButtonUp.bind(this);
+    this.releaseLocalSources = this.releaseLocalSources.bind(this);
+
+    console.info(`PianoPedal: ${PIANO_PEDALS[type].name}创建成功`);
+  }
+
+  /**
+   * 开始监听电脑按键和屏幕踏板按钮
+   * @param {HTMLElement} pedalButton - 屏幕踏板按钮（可选）
+   */
+  attach(pedalButton) {
+    if (this.keyCode) {
+      document.addEventListener('keydown', this.handleKeyDown);
+      document.addEventListener('keyup', this.handleKeyUp);
+    }
+    // 窗口失去焦点时收不到keyup和pointerup，需要松开本地来源的踏板
+    window.addEventListener('blur', this.releaseLocalSources);
+
+    if (pedalButton) {
+      this.pedalButton = pedalButton;
+      pedalButton.addEventListener('pointerdown', this.handleButtonDown);
+      pedalButton.addEventListener('pointerup', this.handleButtonUp);
+      pedalButton.addEventListener('pointercancel', this.handleButtonUp);
+      pedalButton.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    console.info(`PianoPedal: ${PIANO_PEDALS[this.type].name}事件监听已设置`);
+  }
+
+  /**
+   * 键盘按下处理：按下踏板按键踩下踏板
+   * @param {KeyboardEvent} e - 键盘事件对象
+   */
+  handleKeyDown(e) {
+    if (!this.isPedalKeyEvent(e)) return;
+
+    e.preventDefault();
+    if (e.repeat) return;
+    this.press('keyboard');
+  }
+
+  /**
+   * 键盘松开处理：松开踏板按键松开踏板
+   * @param {KeyboardEvent} e - 键盘事件对象
+   */
+  handleKeyUp(e) {
+    if (e.code !== this.keyCode || !this.pressedSources.has('keyboard')) return;
+
+    // 阻止默认行为，避免按键松开时触发获得焦点的按钮
+    e.preventDefault();
+    this.release('keyboard');
+  }
+
+  /**
+   * 判断是否为应作为踏板处理的按键事件
+   * @param {KeyboardEvent} e - 键盘事件对象
+   * @returns {boolean} 是否处理
+   */
+  isPedalKeyEvent(e) {
+    if (e.code !== this.keyCode) return false;
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    // 在输入框、下拉框中输入时不作为踏板
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName))) {
+      return false;
+    }
+
+    // 踏板按键已被绑定为琴键，或正在绑定按键时，交给电脑键盘输入模块处理
+    const keyboardInput = this.uiController.keyboardInput;
+    if (keyboardInput && (keyboardInput.bindingNote || (keyboardInput.enabled && keyboardInput.getNoteForKey(this.keyCode)))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 屏幕踏板按钮按下处理
+   * @param {PointerEvent} e - 指针事件对象
+   */
+  handleButtonDown(e) {
+    e.preventDefault();
+    // 阻止事件冒泡到钢琴容器的指针处理
+    e.stopPropagation();
+
+    try {
+      e.currentTarget.setPointerCapture(e.pointerId);
+    } catch (error) {
+      console.warn('PianoPedal: 指针捕获失败', error);
+    }
+
+    this.press('button');
+  }
+
+  /**
+   * 屏幕踏板按钮松开处理
+   * @param {PointerEvent} e - 指针事件对象
+   */
+  handleButtonUp(e) {
+    e.stopPropagation();
+    this.release('button');
+  }
+
+  /**
+   * 按下踏板
+   * @param {string} source - 踏板来源
+   */
+  press(source) {
+    this.pressedSources.add(source);
+    this.update();
+  }
+
+  /**
+   * 松开踏板
+   * @param {string} source - 踏板来源
+   */
+  release(source) {
+    this.pressedSources.delete(source);
+    this.update();
+  }
+
+  /**
+   * 松开按钮和键盘来源的踏板
+   */
+  releaseLocalSources() {
+    this.pressedSources.delete('button');
+    this.pressedSources.delete('keyboard');
+    this.update();
+  }
+
+  /**
+   * 根据各来源状态更新踏板
+   */
+  update() {
+    const isDown = this.pressedSources.size > 0;
+    if (isDown === this.isDown) return;
+
+    this.isDown = isDown;
+
+    if (this.pedalButton) {
+      this.pedalButton.classList.toggle('active', isDown);
+    }
+
+    this.uiController.applyPedal(this.type, isDown);
+  }
+}
+
+// 将类和踏板类型添加到全局对象，以便其他脚本可以使用
+window.PianoPedal = PianoPedal;
+window.PIANO_PEDALS = PIANO_PEDALS;
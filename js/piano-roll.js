@@ -0,0 +1,618 @@
+/**
+ * 钢琴卷帘编辑模块
+ * 以音符条显示演奏录音（横轴为时间，纵轴为琴键），可移动、拉长、删除、添加音符，修改力度，并按网格（可加摇摆）量化
+ * 编辑结果写回录音，回放和导出都使用编辑后的音符；每次编辑都可以撤销
+ */
+
+// 钢琴卷帘参数
+const PIANO_ROLL_CONFIG = {
+  grids: [
+    { division: 1, label: '1/4 音符' },
+    { division: 2, label: '1/8 音符' },
+    { division: 3, label: '1/8 三连音' },
+    { division: 4, label: '1/16 音符' }
+  ], // 量化网格，division 为每拍的格数
+  defaultDivision: 2,
+  defaultTempo: 120,
+  minTempo: 40,
+  maxTempo: 240,
+  minSwing: 50, // 摇摆(%)：每两格中第二格在两格里的位置，50 为均分，约 67 为三连音律动
+  maxSwing: 75,
+  minNoteDuration: 0.05, // 最短音符时长(秒)
+  maxUndoSteps: 50, // 最多可撤销的步数
+  pixelsPerSecond: 100, // 横轴每秒的宽度(像素)
+  rowHeight: 20 // 每个琴键一行的高度(像素)
+};
+
+// 同一时刻的事件按松开、踏板、按下的顺序排列，相接的同音音符不会被提前停止
+const PIANO_ROLL_EVENT_ORDER = { noteOff: 0, pedal: 1, noteOn: 2 };
+
+/**
+ * 钢琴卷帘编辑类
+ * 负责录音事件和音符条之间的转换、编辑操作和撤销
+ * @class
+ */
+class PianoRollEditor {
+  /**
+   * 创建PianoRollEditor实例
+   * @constructor
+   */
+  constructor() {
+    this.take = null; // 正在编辑的录音
+    this.notes = []; // 音符条 {id, time, duration, key, note, velocity, timbre}
+    this.pedalEvents = []; // 踏板事件，编辑时原样保留
+    this.initialSustain = false; // 录音开始前是否已踩下延音踏板
+    this.baseDuration = 0; // 录音原本的时长，音符移到结尾之后时延长
+    this.nextNoteId = 1;
+
+    // 撤销
+    this.undoStack = []; // 每步编辑前的音符快照
+    this.pendingSnapshot = null; // 拖动等连续编辑开始前的快照，结束后作为一步撤销
+
+    this.onChange = null; // 编辑后的回调 (events, duration)，参数为写回录音的事件和时长
+
+    console.info('PianoRollEditor: 钢琴卷帘编辑模块创建成功');
+  }
+
+  /**
+   * 载入录音，将按下和松开事件配对为音符条
+   * @param {Object} take - 演奏录音 {id, duration, events}
+   */
+  load(take) {
+    this.take = take;
+    this.notes = [];
+    this.undoStack = [];
+    this.pendingSnapshot = null;
+    this.baseDuration = take.duration;
+    this.pedalEvents = take.events.filter(event => event.type === 'pedal').map(event => ({ ...event }));
+
+    // 录音开始前已踩下的延音踏板没有踏板事件，按第一个音符记录的踏板状态补上
+    const firstNote = take.events.find(event => event.type === 'noteOn');
+    const firstPedal = this.pedalEvents.find(event => event.pedal === 'sustain');
+    this.initialSustain = Boolean(firstNote && firstNote.sustain && (!firstPedal || firstPedal.time > firstNote.time));
+
+    const openNotes = new Map(); // 音符名称 -> 尚未松开的音符条，按按下顺序配对
+    take.events.forEach(event => {
+      if (event.type === 'noteOn') {
+        const note = {
+          id: this.nextNoteId++,
+          time: event.time,
+          duration: 0,
+          key: event.key,
+          note: event.note,
+          velocity: event.velocity,
+          timbre: event.timbre
+        };
+        this.notes.push(note);
+        if (!openNotes.has(event.note)) openNotes.set(event.note, []);
+        openNotes.get(event.note).push(note);
+      } else if (event.type === 'noteOff') {
+        const queue = openNotes.get(event.note);
+        if (queue && queue.length > 0) {
+          const note = queue.shift();
+          note.duration = event.time - note.time;
+        }
+      }
+    });
+
+    // 没有松开事件的音符持续到录音结束
+    openNotes.forEach(queue => queue.forEach(note => {
+      note.duration = take.duration - note.time;
+    }));
+    this.notes.forEach(note => {
+      note.duration = Math.max(PIANO_ROLL_CONFIG.minNoteDuration, note.duration);
+    });
+
+    console.info(`PianoRollEditor: 已载入 ${take.name}，共 ${this.notes.length} 个音符`);
+  }
+
+  /**
+   * 获取音符条
+   * @param {number} id - 音符条ID
+   * @returns {Object|null} 音符条或null
+   */
+  getNote(id) {
+    return this.notes.find(note => note.id === id) || null;
+  }
+
+  /**
+   * 获取编辑后的录音时长
+   * @returns {number} 时长（秒），不短于录音原本的时长
+   */
+  getDuration() {
+    return this.notes.reduce((duration, note) => Math.max(duration, note.time + note.duration), this.baseDuration);
+  }
+
+  /**
+   * 修改音符条的属性，不单独记录撤销，拖动过程中在 beginChange 和 endChange 之间调用
+   * 琴键改变时实际发音的音符随之移动相同的半音数
+   * @param {number} id - 音符条ID
+   * @param {Object} changes - 要修改的属性：time 开始时间，duration 时长，key 琴键音符名称，velocity 力度 (0-1)
+   */
+  setNoteProperties(id, changes) {
+    const note = this.getNote(id);
+    if (!note) return;
+
+    if (Number.isFinite(changes.time)) {
+      note.time = Math.max(0, changes.time);
+    }
+    if (Number.isFinite(changes.duration)) {
+      note.duration = Math.max(PIANO_ROLL_CONFIG.minNoteDuration, changes.duration);
+    }
+    if (changes.key !== undefined && String(changes.key) !== note.key) {
+      const offset = parseInt(changes.key, 10) - parseInt(note.key, 10);
+      note.key = String(changes.key);
+      note.note = String(parseInt(note.note, 10) + offset);
+    }
+    if (Number.isFinite(changes.velocity)) {
+      note.velocity = Math.max(0.01, Math.min(1, changes.velocity));
+    }
+  }
+
+  /**
+   * 开始一次连续编辑（如拖动），记录编辑前的快照
+   */
+  beginChange() {
+    if (!this.pendingSnapshot) {
+      this.pendingSnapshot = this.createSnapshot();
+    }
+  }
+
+  /**
+   * 结束连续编辑，有改动时记为一步撤销并写回录音
+   * @returns {boolean} 是否有改动
+   */
+  endChange() {
+    const snapshot = this.pendingSnapshot;
+    this.pendingSnapshot = null;
+    if (!snapshot || JSON.stringify(snapshot) === JSON.stringify(this.notes)) return false;
+
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > PIANO_ROLL_CONFIG.maxUndoSteps) {
+      this.undoStack.shift();
+    }
+    this.commit();
+    return true;
+  }
+
+  /**
+   * 执行一步编辑
+   * @param {Function} change - 修改音符条的函数
+   * @returns {boolean} 是否有改动
+   */
+  applyChange(change) {
+    this.beginChange();
+    change();
+    return this.endChange();
+  }
+
+  /**
+   * 移动、拉长音符或修改力度
+   * @param {number} id - 音符条ID
+   * @param {Object} changes - 要修改的属性，见 setNoteProperties
+   * @returns {boolean} 是否有改动
+   */
+  updateNote(id, changes) {
+    return this.applyChange(() => this.setNoteProperties(id, changes));
+  }
+
+  /**
+   * 添加音符
+   * @param {Object} properties - 音符属性 {time, duration, key, note, velocity, timbre}
+   * @returns {Object} 新的音符条
+   */
+  addNote(properties) {
+    const note = {
+      id: this.nextNoteId++,
+      time: Math.max(0, properties.time),
+      duration: Math.max(PIANO_ROLL_CONFIG.minNoteDuration, properties.duration),
+      key: String(properties.key),
+      note: String(properties.note),
+      velocity: properties.velocity,
+      timbre: properties.timbre
+    };
+
+    this.applyChange(() => this.notes.push(note));
+    return note;
+  }
+
+  /**
+   * 删除音符
+   * @param {number} id - 音符条ID
+   * @returns {boolean} 是否已删除
+   */
+  deleteNote(id) {
+    if (!this.getNote(id)) return false;
+
+    return this.applyChange(() => {
+      this.notes = this.notes.filter(note => note.id !== id);
+    });
+  }
+
+  /**
+   * 获取网格一格的时长
+   * @param {number} tempo - 速度（BPM）
+   * @param {number} division - 每拍的格数
+   * @returns {number} 时长（秒）
+   */
+  getGridStep(tempo, division) {
+    return 60 / tempo / division;
+  }
+
+  /**
+   * 将时间对齐到最近的网格
+   * 每两格为一组，摇摆将第二格推后；每拍格数为奇数时一组会跨拍，不加摇摆
+   * @param {number} time - 时间（秒）
+   * @param {number} tempo - 速度（BPM）
+   * @param {number} division - 每拍的格数
+   * @param {number} swing - 摇摆(%)，见 PIANO_ROLL_CONFIG.minSwing
+   * @returns {number} 对齐后的时间（秒）
+   */
+  snapToGrid(time, tempo, division, swing = PIANO_ROLL_CONFIG.minSwing) {
+    const pairLength = this.getGridStep(tempo, division) * 2;
+    const swingRatio = division % 2 === 0 ? swing / 100 : 0.5;
+    const pairStart = Math.floor(time / pairLength) * pairLength;
+    const candidates = [pairStart, pairStart + pairLength * swingRatio, pairStart + pairLength];
+
+    return candidates.reduce((nearest, candidate) => (
+      Math.abs(candidate - time) < Math.abs(nearest - time) ? candidate : nearest
+    ));
+  }
+
+  /**
+   * 将所有音符的开始时间量化到网格，音符时长不变
+   * @param {number} tempo - 速度（BPM）
+   * @param {number} division - 每拍的格数
+   * @param {number} swing - 摇摆(%)
+   * @returns {boolean} 是否有改动
+   */
+  quantize(tempo, division, swing) {
+    return this.applyChange(() => {
+      this.notes.forEach(note => {
+        note.time = this.snapToGrid(note.time, tempo, division, swing);
+      });
+    });
+  }
+
+  /**
+   * 是否可以撤销
+   * @returns {boolean} 是否可以撤销
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * 撤销上一步编辑
+   * @returns {boolean} 是否已撤销
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+
+    this.notes = this.undoStack.pop();
+    this.pendingSnapshot = null;
+    this.commit();
+    return true;
+  }
+
+  /**
+   * 复制当前的音符条，用于撤销
+   * @returns {Array<Object>} 音符条副本
+   */
+  createSnapshot() {
+    return this.notes.map(note => ({ ...note }));
+  }
+
+  /**
+   * 将音符条和踏板转换回录音事件
+   * 同一音符重叠时，先前的音符在后一个按下时松开，否则回放时后一个会被先前的松开事件停止
+   * @returns {Array<Object>} 按时间排序的录音事件
+   */
+  toEvents() {
+    const events = [];
+    const lastNoteOffs = new Map(); // 音符名称 -> 最近一个音符的松开事件
+
+    [...this.notes]
+      .sort((a, b) => a.time - b.time)
+      .forEach(note => {
+        const previousNoteOff = lastNoteOffs.get(note.note);
+        if (previousNoteOff && previousNoteOff.time > note.time) {
+          previousNoteOff.time = note.time;
+        }
+
+        const noteOff = { type: 'noteOff', time: note.time + note.duration, note: note.note, key: note.key };
+        events.push(
+          { type: 'noteOn', time: note.time, note: note.note, key: note.key, velocity: note.velocity, timbre: note.timbre },
+          noteOff
+        );
+        lastNoteOffs.set(note.note, noteOff);
+      });
+
+    this.pedalEvents.forEach(event => events.push({ ...event }));
+    events.sort((a, b) => a.time - b.time || PIANO_ROLL_EVENT_ORDER[a.type] - PIANO_ROLL_EVENT_ORDER[b.type]);
+
+    // 按编辑后的时间重新记录每个音符按下和松开时的延音踏板状态
+    let sustainDown = this.initialSustain;
+    events.forEach(event => {
+      if (event.type === 'pedal') {
+        if (event.pedal === 'sustain') {
+          sustainDown = event.isDown;
+        }
+      } else {
+        event.sustain = sustainDown;
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * 将编辑结果写回录音
+   */
+  commit() {
+    if (this.take && typeof this.onChange === 'function') {
+      this.onChange(this.toEvents(), this.getDuration());
+    }
+  }
+}
+
+/**
+ * 钢琴卷帘视图类
+ * 负责绘制音符条和网格，处理拖动、拉长、双击添加和选择
+ * @class
+ */
+class PianoRollView {
+  /**
+   * 创建PianoRollView实例
+   * @constructor
+   * @param {HTMLElement} container - 卷帘的容器元素
+   * @param {PianoRollEditor} editor - 钢琴卷帘编辑实例
+   */
+  constructor(container, editor) {
+    this.container = container;
+    this.editor = editor;
+    this.keyNames = []; // 纵轴的琴键音符名称，从高到低
+    this.selectedId = null;
+    this.dragState = null; // 拖动中的音符 {id, mode, startX, startY, time, duration, row, element}
+
+    this.onSelect = null; // 选中音符变化回调 (id)
+    this.onAddNote = null; // 双击空白处添加音符的回调 (time, key)
+
+    this.keysColumn = document.createElement('div');
+    this.keysColumn.className = 'piano-roll-keys';
+    this.grid = document.createElement('div');
+    this.grid.className = 'piano-roll-grid';
+    this.notesLayer = document.createElement('div');
+    this.playhead = document.createElement('div');
+    this.playhead.className = 'piano-roll-playhead';
+    this.playhead.hidden = true;
+    this.grid.append(this.notesLayer, this.playhead);
+    this.container.append(this.keysColumn, this.grid);
+
+    this.grid.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.grid.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.grid.addEventListener('pointerup', () => this.finishDrag());
+    this.grid.addEventListener('pointercancel', () => this.finishDrag());
+    this.grid.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+  }
+
+  /**
+   * 设置纵轴的琴键范围，并生成琴键标签和行
+   * @param {number} min - 最低琴键（音符名称的数字）
+   * @param {number} max - 最高琴键（音符名称的数字）
+   */
+  setKeyRange(min, max) {
+    this.keyNames = [];
+    for (let keyNumber = max; keyNumber >= min; keyNumber--) {
+      this.keyNames.push(String(keyNumber));
+    }
+
+    this.keysColumn.innerHTML = '';
+    this.grid.querySelectorAll('.piano-roll-row').forEach(row => row.remove());
+    this.keyNames.forEach((name, index) => {
+      const isBlack = this.isBlackKey(name);
+
+      const label = document.createElement('div');
+      label.className = `piano-roll-key${isBlack ? ' black' : ''}`;
+      label.textContent = name;
+      this.keysColumn.appendChild(label);
+
+      const row = document.createElement('div');
+      row.className = `piano-roll-row${isBlack ? ' black' : ''}`;
+      row.style.top = `${index * PIANO_ROLL_CONFIG.rowHeight}px`;
+      this.grid.insertBefore(row, this.notesLayer);
+    });
+
+    this.grid.style.height = `${this.keyNames.length * PIANO_ROLL_CONFIG.rowHeight}px`;
+  }
+
+  /**
+   * 琴键是否为黑键
+   * @param {string} key - 琴键音符名称
+   * @returns {boolean} 是否为黑键
+   */
+  isBlackKey(key) {
+    const midiNote = window.AudioConfig.MIDI_CONFIG.baseNote + parseInt(key, 10) - 1;
+    return [1, 3, 6, 8, 10].includes(((midiNote % 12) + 12) % 12);
+  }
+
+  /**
+   * 按网格绘制竖线，每拍的线更明显
+   * @param {number} step - 一格的时长（秒）
+   * @param {number} division - 每拍的格数
+   */
+  setGrid(step, division) {
+    const stepWidth = step * PIANO_ROLL_CONFIG.pixelsPerSecond;
+    const beatWidth = stepWidth * division;
+    this.grid.style.backgroundImage = [
+      'linear-gradient(to right, rgba(30, 144, 255, 0.35) 1px, transparent 1px)',
+      'linear-gradient(to right, rgba(30, 144, 255, 0.12) 1px, transparent 1px)'
+    ].join(', ');
+    this.grid.style.backgroundSize = `${beatWidth}px 100%, ${stepWidth}px 100%`;
+  }
+
+  /**
+   * 重新绘制所有音符条
+   */
+  render() {
+    const minWidth = Math.max(0, this.container.clientWidth - this.keysColumn.offsetWidth);
+    const width = (this.editor.getDuration() + 1) * PIANO_ROLL_CONFIG.pixelsPerSecond;
+    this.grid.style.width = `${Math.max(minWidth, width)}px`;
+
+    if (this.selectedId !== null && !this.editor.getNote(this.selectedId)) {
+      this.select(null);
+    }
+
+    this.notesLayer.innerHTML = '';
+    this.editor.notes.forEach(note => {
+      const element = document.createElement('div');
+      element.className = 'piano-roll-note';
+      element.dataset.id = String(note.id);
+
+      const handle = document.createElement('div');
+      handle.className = 'piano-roll-note-handle';
+      element.appendChild(handle);
+
+      this.updateNoteElement(element, note);
+      this.notesLayer.appendChild(element);
+    });
+  }
+
+  /**
+   * 按音符条的属性更新其位置、大小和颜色深浅
+   * @param {HTMLElement} element - 音符条元素
+   * @param {Object} note - 音符条
+   */
+  updateNoteElement(element, note) {
+    const row = this.keyNames.indexOf(note.key);
+    element.hidden = row === -1;
+    element.style.left = `${note.time * PIANO_ROLL_CONFIG.pixelsPerSecond}px`;
+    element.style.top = `${row * PIANO_ROLL_CONFIG.rowHeight}px`;
+    element.style.width = `${note.duration * PIANO_ROLL_CONFIG.pixelsPerSecond}px`;
+    element.style.opacity = String(0.35 + note.velocity * 0.65);
+    element.classList.toggle('selected', note.id === this.selectedId);
+    element.title = `${note.key}，力度 ${Math.round(note.velocity * 127)}`;
+  }
+
+  /**
+   * 更新一个音符条的显示
+   * @param {number} id - 音符条ID
+   */
+  updateNote(id) {
+    const note = this.editor.getNote(id);
+    const element = this.notesLayer.querySelector(`[data-id="${id}"]`);
+    if (note && element) {
+      this.updateNoteElement(element, note);
+    }
+  }
+
+  /**
+   * 选中音符条
+   * @param {number|null} id - 音符条ID，null表示取消选中
+   */
+  select(id) {
+    if (id === this.selectedId) return;
+
+    this.selectedId = id;
+    this.notesLayer.querySelectorAll('.piano-roll-note').forEach(element => {
+      element.classList.toggle('selected', Number(element.dataset.id) === id);
+    });
+
+    if (typeof this.onSelect === 'function') {
+      this.onSelect(id);
+    }
+  }
+
+  /**
+   * 设置播放位置线
+   * @param {number|null} time - 播放位置（秒），null表示隐藏
+   */
+  setPlayhead(time) {
+    this.playhead.hidden = time === null;
+    if (time !== null) {
+      this.playhead.style.left = `${time * PIANO_ROLL_CONFIG.pixelsPerSecond}px`;
+    }
+  }
+
+  /**
+   * 按下音符条时选中并开始拖动，按住右端拖动时改变长度
+   * @param {PointerEvent} e - 指针事件
+   */
+  handlePointerDown(e) {
+    const element = e.target.closest('.piano-roll-note');
+    if (!element) {
+      this.select(null);
+      return;
+    }
+
+    const note = this.editor.getNote(Number(element.dataset.id));
+    if (!note) return;
+
+    e.preventDefault();
+    this.select(note.id);
+    this.editor.beginChange();
+    this.dragState = {
+      id: note.id,
+      mode: e.target.classList.contains('piano-roll-note-handle') ? 'resize' : 'move',
+      startX: e.clientX,
+      startY: e.clientY,
+      time: note.time,
+      duration: note.duration,
+      row: this.keyNames.indexOf(note.key),
+      element
+    };
+    element.setPointerCapture(e.pointerId);
+  }
+
+  /**
+   * 拖动中移动音符条或改变长度
+   * @param {PointerEvent} e - 指针事件
+   */
+  handlePointerMove(e) {
+    const drag = this.dragState;
+    if (!drag) return;
+
+    const deltaTime = (e.clientX - drag.startX) / PIANO_ROLL_CONFIG.pixelsPerSecond;
+    if (drag.mode === 'resize') {
+      this.editor.setNoteProperties(drag.id, { duration: drag.duration + deltaTime });
+    } else {
+      const rowOffset = Math.round((e.clientY - drag.startY) / PIANO_ROLL_CONFIG.rowHeight);
+      const row = Math.max(0, Math.min(this.keyNames.length - 1, drag.row + rowOffset));
+      this.editor.setNoteProperties(drag.id, { time: drag.time + deltaTime, key: this.keyNames[row] });
+    }
+
+    const note = this.editor.getNote(drag.id);
+    if (note) {
+      this.updateNoteElement(drag.element, note);
+    }
+  }
+
+  /**
+   * 结束拖动，改动记为一步撤销
+   */
+  finishDrag() {
+    if (!this.dragState) return;
+
+    this.dragState = null;
+    this.editor.endChange();
+  }
+
+  /**
+   * 双击空白处添加音符
+   * @param {MouseEvent} e - 鼠标事件
+   */
+  handleDoubleClick(e) {
+    if (e.target.closest('.piano-roll-note') || typeof this.onAddNote !== 'function') return;
+
+    const rect = this.grid.getBoundingClientRect();
+    const row = Math.floor((e.clientY - rect.top) / PIANO_ROLL_CONFIG.rowHeight);
+    if (row < 0 || row >= this.keyNames.length) return;
+
+    this.onAddNote(Math.max(0, (e.clientX - rect.left) / PIANO_ROLL_CONFIG.pixelsPerSecond), this.keyNames[row]);
+  }
+}
+
+// 将类和编辑参数添加到全局对象，以便其他脚本可以使用
+window.PianoRollEditor = PianoRollEditor;
+window.PianoRollView = PianoRollView;
+window.PIANO_ROLL_CONFIG = PIANO_ROLL_CONFIG;
@@ -20,6 +20,9 @@ class PianoManager {
     this.audioManager = audioManager;
     // 旋转功能已移除
     this.debounceTimer = null;
+    this.labelOffset = 0; // 琴键标签偏移（半音），与全局移调一致
+    this.scaleFilter = null; // 判断琴键是否属于所选音阶的函数，不属于的琴键标暗显示
+    this.splitNote = null; // 键盘分割点（高音区的第一个琴键），null表示未分割
     // 初始化日志，便于调试
     try {
       console.info('PianoManager: initialized', { hasAudioManager: !!audioManager, notesCount: audioManager && Array.isArray(audioManager.notes) ? audioManager.notes.length : 0 });
@@ -74,6 +77,10 @@ class PianoManager {
     // 清空现有键，准备重新创建
     pianoKeys.innerHTML = '';
 
+    // 白键数量随琴键范围变化，由CSS据此等分琴键高度
+    const whiteKeyCount = this.audioManager.notes.filter(note => note.type === 'white').length;
+    pianoKeys.style.setProperty('--white-key-count', whiteKeyCount);
+
     // 创建白键 - 遍历所有音符数据
     this.audioManager.notes.forEach(note => {
       // 只处理白键类型的音符
@@ -89,10 +96,12 @@ class PianoManager {
         const label = document.createElement('div');
         // 设置标签的CSS类名
         label.className = 'key-label';
-        // 设置标签文本内容，将's'替换为音乐符号'♯'
-        label.textContent = note.name.replace('s', '♯');
+        // 设置标签文本内容，显示移调后实际发音的音符
+        label.textContent = this.getKeyLabel(note.name);
         // 将标签添加到键元素中
         keyElement.appendChild(label);
+        // 标记音阶外的琴键和键盘分割的音区
+        this.updateKeyMarks(keyElement);
 
         // 将白键添加到钢琴键盘容器中
         pianoKeys.appendChild(keyElement);
@@ -114,10 +123,12 @@ class PianoManager {
         const label = document.createElement('div');
         // 设置标签的CSS类名
         label.className = 'key-label';
-        // 设置标签文本内容，将's'替换为音乐符号'♯'
-        label.textContent = note.name.replace('s', '♯');
+        // 设置标签文本内容，显示移调后实际发音的音符
+        label.textContent = this.getKeyLabel(note.name);
         // 将标签添加到键元素中
         keyElement.appendChild(label);
+        // 标记音阶外的琴键和键盘分割的音区
+        this.updateKeyMarks(keyElement);
 
         // 将黑键添加到钢琴键盘容器中
         pianoKeys.appendChild(keyElement);
@@ -195,10 +206,11 @@ class PianoManager {
       const pianoKeysRect = pianoKeys.getBoundingClientRect();
 
       // 计算白键相对于钢琴容器的垂直位置
+      // 琴键缩放后容器可以滚动，需要加上滚动距离换算为内容坐标
       // relativeTop: 白键顶部相对于容器顶部的距离
-      const relativeTop = rect.top - pianoKeysRect.top;
+      const relativeTop = rect.top - pianoKeysRect.top + pianoKeys.scrollTop;
       // relativeBottom: 白键底部相对于容器顶部的距离
-      const relativeBottom = rect.bottom - pianoKeysRect.top;
+      const relativeBottom = rect.bottom - pianoKeysRect.top + pianoKeys.scrollTop;
 
       // 存储白键的位置信息，包括顶部位置、底部位置、高度和索引
       whiteKeyPositions[note] = {
@@ -229,8 +241,8 @@ class PianoManager {
         const rect = key.getBoundingClientRect();
         const pianoKeysRect = pianoKeys.getBoundingClientRect();
 
-        const relativeTop = rect.top - pianoKeysRect.top;
-        const relativeBottom = rect.bottom - pianoKeysRect.top;
+        const relativeTop = rect.top - pianoKeysRect.top + pianoKeys.scrollTop;
+        const relativeBottom = rect.bottom - pianoKeysRect.top + pianoKeys.scrollTop;
 
         whiteKeyPositions[note] = {
           top: relativeTop,
@@ -327,23 +339,18 @@ class PianoManager {
 
   /**
    * 查找与黑键相邻的白键
+   * 黑键两侧的半音总是白键，因此相邻白键即前后相差一个半音的音符
    * @param {string} blackNote - 黑键音符名称
    * @returns {Array} 相邻白键名称数组
    */
   findAdjacentWhiteKeys(blackNote) {
-    // 修正黑键与相邻白键的映射关系（F4到B5共19个键）
-    const noteMap = {
-      '2': ['1', '3'],   // 黑键2位于白键1和白键3之间
-      '4': ['3', '5'],   // 黑键4位于白键3和白键5之间
-      '6': ['5', '7'],   // 黑键6位于白键5和白键7之间
-      '9': ['8', '10'],  // 黑键9位于白键8和白键10之间
-      '11': ['10', '12'], // 黑键11位于白键10和白键12之间
-      '14': ['13', '15'], // 黑键14位于白键13和白键15之间
-      '16': ['15', '17'], // 黑键16位于白键15和白键17之间
-      '18': ['17', '19']  // 黑键18位于白键17和白键19之间
-    };
-
-    return noteMap[blackNote] || [];
+    const keyNumber = parseInt(blackNote, 10);
+    if (Number.isNaN(keyNumber)) return [];
+
+    const notes = this.audioManager && Array.isArray(this.audioManager.notes) ? this.audioManager.notes : [];
+    const adjacent = [String(keyNumber - 1), String(keyNumber + 1)];
+    const allWhite = adjacent.every(name => notes.some(note => note.name === name && note.type === 'white'));
+    return allWhite ? adjacent : [];
   }
 
   /**
@@ -352,12 +359,107 @@ class PianoManager {
    * @returns {string} 下一个白键音符名称
    */
   getNextWhiteKey(note) {
-    // 根据音符名称返回下一个白键
-    const noteOrder = ['1', '3', '5', '7', '8', '10', '12', '13', '15', '17', '19'];
+    // 根据当前音域中白键的顺序返回下一个白键
+    const notes = this.audioManager && Array.isArray(this.audioManager.notes) ? this.audioManager.notes : [];
+    const noteOrder = notes.filter(item => item.type === 'white').map(item => item.name);
     const currentIndex = noteOrder.indexOf(note);
+    if (currentIndex === -1) return note;
     return noteOrder[currentIndex + 1] || note;
   }
 
+  /**
+   * 设置琴键缩放倍数
+   * 放大后琴键条超出容器，可沿琴键方向滚动
+   * @param {number} zoom - 缩放倍数（1为铺满容器）
+   */
+  setZoom(zoom) {
+    const pianoKeys = document.getElementById('piano-keys');
+    if (!pianoKeys) return;
+
+    pianoKeys.style.setProperty('--key-zoom', zoom);
+    pianoKeys.classList.toggle('zoomed', zoom > 1);
+
+    // 白键高度变化后重新计算黑键位置
+    this.calculateBlackKeyPositions();
+  }
+
+  /**
+   * 获取琴键标签文本
+   * 原有19键（F4-B5）沿用序号标签，扩展音域的琴键显示音名
+   * @param {string} note - 音符名称
+   * @returns {string} 标签文本
+   */
+  getKeyLabel(note) {
+    const keyNumber = parseInt(note, 10);
+    if (Number.isNaN(keyNumber)) {
+      // 将's'替换为音乐符号'♯'
+      return note.replace('s', '♯');
+    }
+
+    const labelNumber = keyNumber + this.labelOffset;
+    if (labelNumber >= 1 && labelNumber <= window.AudioConfig.NOTES.length) {
+      return String(labelNumber);
+    }
+    return window.AudioConfig.getNoteNameForKey(labelNumber);
+  }
+
+  /**
+   * 设置琴键标签偏移并更新已创建的琴键
+   * @param {number} semitones - 偏移的半音数
+   */
+  setLabelOffset(semitones) {
+    this.labelOffset = semitones;
+
+    document.querySelectorAll('.piano-key').forEach(keyElement => {
+      const label = keyElement.querySelector('.key-label');
+      if (label) {
+        label.textContent = this.getKeyLabel(keyElement.getAttribute('data-note'));
+      }
+    });
+  }
+
+  /**
+   * 判断琴键是否属于所选音阶
+   * @param {string} note - 音符名称
+   * @returns {boolean} 是否属于音阶，未设置音阶时返回true
+   */
+  isKeyInScale(note) {
+    return typeof this.scaleFilter === 'function' ? this.scaleFilter(note) : true;
+  }
+
+  /**
+   * 设置音阶判断函数并更新已创建的琴键
+   * @param {Function|null} filter - 判断琴键是否属于音阶的函数，null表示不限制
+   */
+  setScaleFilter(filter) {
+    this.scaleFilter = filter;
+    document.querySelectorAll('.piano-key').forEach(keyElement => this.updateKeyMarks(keyElement));
+  }
+
+  /**
+   * 设置键盘分割点并更新已创建的琴键
+   * @param {string|null} note - 分割点音符名称（高音区的第一个琴键），null表示取消分割
+   */
+  setSplitNote(note) {
+    this.splitNote = note;
+    document.querySelectorAll('.piano-key').forEach(keyElement => this.updateKeyMarks(keyElement));
+  }
+
+  /**
+   * 更新琴键的音阶和键盘分割标记
+   * @param {HTMLElement} keyElement - 琴键元素
+   */
+  updateKeyMarks(keyElement) {
+    const note = keyElement.getAttribute('data-note');
+    keyElement.classList.toggle('out-of-scale', !this.isKeyInScale(note));
+
+    const splitNumber = this.splitNote === null ? NaN : parseInt(this.splitNote, 10);
+    const keyNumber = parseInt(note, 10);
+    const isSplit = !Number.isNaN(splitNumber) && !Number.isNaN(keyNumber);
+    keyElement.classList.toggle('split-lower', isSplit && keyNumber < splitNumber);
+    keyElement.classList.toggle('split-point', isSplit && keyNumber === splitNumber);
+  }
+
   /**
    * 激活琴键
    * @param {string} note - 要激活的音符名称
@@ -0,0 +1,206 @@
+/**
+ * Scala调律文件解析模块
+ * 负责解析 Scala 音阶文件（.scl）和键盘映射文件（.kbm）
+ * 格式说明：https://www.huygens-fokker.org/scala/scl_format.html
+ */
+
+/**
+ * 读取文件中的有效行
+ * 以'!'开头的行为注释
+ * @param {string} text - 文件内容
+ * @returns {Array<string>} 去除注释后的行
+ */
+function readScalaLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .filter(line => !line.startsWith('!'));
+}
+
+/**
+ * 解析音阶中的一个音高
+ * 含小数点的数值为音分，否则为比率（如 3/2 或 2）
+ * @param {string} line - 音高所在行
+ * @param {number} index - 音高序号（从1开始），用于错误提示
+ * @returns {number} 相对主音的音分
+ */
+function parseScalaPitch(line, index) {
+  // 数值之后的内容为说明文字，忽略
+  const token = line.trim().split(/\s+/)[0];
+  if (!token) {
+    throw new Error(`第 ${index} 个音高为空`);
+  }
+
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (!Number.isFinite(cents)) {
+      throw new Error(`第 ${index} 个音高 "${token}" 不是有效的音分值`);
+    }
+    return cents;
+  }
+
+  const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+  if (!match) {
+    throw new Error(`第 ${index} 个音高 "${token}" 不是有效的比率`);
+  }
+
+  const numerator = Number(match[1]);
+  const denominator = match[2] === undefined ? 1 : Number(match[2]);
+  if (numerator <= 0 || denominator <= 0) {
+    throw new Error(`第 ${index} 个音高 "${token}" 必须为正数比率`);
+  }
+  return 1200 * Math.log2(numerator / denominator);
+}
+
+/**
+ * 解析整数字段
+ * @param {string} line - 字段所在行
+ * @param {string} label - 字段名称，用于错误提示
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 整数值
+ */
+function parseScalaInteger(line, label, min, max) {
+  const token = line === undefined ? '' : line.trim().split(/\s+/)[0];
+  const value = Number(token);
+  if (!token || !Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${label} "${token}" 无效，应为 ${min}-${max} 的整数`);
+  }
+  return value;
+}
+
+/**
+ * 解析Scala音阶文件（.scl）
+ * @param {string} text - 文件内容
+ * @returns {{description: string, cents: Array<number>}} 音阶描述和各音相对主音的音分（最后一个为周期，通常是八度）
+ */
+function parseScl(text) {
+  const lines = readScalaLines(text);
+  if (lines.length < 2) {
+    throw new Error('缺少音阶描述或音符数量');
+  }
+
+  const description = lines[0].trim();
+  const count = parseScalaInteger(lines[1], '音符数量', 1, 1024);
+
+  const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+  if (pitchLines.length < count) {
+    throw new Error(`声明了 ${count} 个音高，但只找到 ${pitchLines.length} 个`);
+  }
+
+  const cents = pitchLines.slice(0, count).map((line, i) => parseScalaPitch(line, i + 1));
+  if (cents[count - 1] <= 0) {
+    throw new Error('音阶周期（最后一个音高）必须大于0');
+  }
+
+  return { description, cents };
+}
+
+/**
+ * 解析Scala键盘映射文件（.kbm）
+ * @param {string} text - 文件内容
+ * @returns {Object} 键盘映射
+ */
+function parseKbm(text) {
+  const lines = readScalaLines(text).filter(line => line.trim() !== '');
+  if (lines.length < 7) {
+    throw new Error('键盘映射文件缺少必需的7个字段');
+  }
+
+  const mapSize = parseScalaInteger(lines[0], '映射大小', 0, 1024);
+  const firstNote = parseScalaInteger(lines[1], '起始MIDI音符', 0, 127);
+  const lastNote = parseScalaInteger(lines[2], '结束MIDI音符', 0, 127);
+  const middleNote = parseScalaInteger(lines[3], '中央音符', 0, 127);
+  const referenceNote = parseScalaInteger(lines[4], '参考音符', 0, 127);
+
+  const referenceFrequency = Number(lines[5].trim().split(/\s+/)[0]);
+  if (!Number.isFinite(referenceFrequency) || referenceFrequency <= 0) {
+    throw new Error(`参考频率 "${lines[5].trim()}" 无效`);
+  }
+
+  const octaveDegree = parseScalaInteger(lines[6], '八度对应的音阶级数', 0, 1024);
+
+  if (firstNote > lastNote) {
+    throw new Error('起始MIDI音符不能大于结束MIDI音符');
+  }
+
+  const mapLines = lines.slice(7);
+  if (mapLines.length < mapSize) {
+    throw new Error(`声明了 ${mapSize} 个映射，但只找到 ${mapLines.length} 个`);
+  }
+
+  // 'x' 表示该键不映射
+  const map = mapLines.slice(0, mapSize).map((line, i) => {
+    const token = line.trim().split(/\s+/)[0];
+    if (token.toLowerCase() === 'x') return null;
+    return parseScalaInteger(token, `第 ${i + 1} 个映射`, 0, 1024);
+  });
+
+  return { mapSize, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map };
+}
+
+/**
+ * 计算音阶级数相对主音的音分，超过一个周期的级数按周期叠加
+ * @param {Array<number>} cents - 音阶各音的音分
+ * @param {number} degree - 音阶级数（0为主音，可为负数）
+ * @returns {number} 音分
+ */
+function getScaleDegreeCents(cents, degree) {
+  const size = cents.length;
+  const period = cents[size - 1];
+  const octaves = Math.floor(degree / size);
+  const index = degree - octaves * size;
+  return octaves * period + (index === 0 ? 0 : cents[index - 1]);
+}
+
+/**
+ * 计算MIDI音符相对键盘映射中央音符的音分
+ * @param {Object} scale - 音阶（parseScl的结果）
+ * @param {Object} mapping - 键盘映射（parseKbm的结果）
+ * @param {number} midiNote - MIDI音符号
+ * @returns {number|null} 音分，未映射或超出映射范围时返回null
+ */
+function getScalaNoteCents(scale, mapping, midiNote) {
+  if (midiNote < mapping.firstNote || midiNote > mapping.lastNote) return null;
+
+  const offset = midiNote - mapping.middleNote;
+
+  // 映射大小为0表示线性映射：相邻琴键对应相邻音阶级数
+  if (mapping.mapSize === 0) {
+    return getScaleDegreeCents(scale.cents, offset);
+  }
+
+  const repeats = Math.floor(offset / mapping.mapSize);
+  const degree = mapping.map[offset - repeats * mapping.mapSize];
+  if (degree === null) return null;
+
+  // 八度级数为0时以音阶周期作为映射的重复间隔
+  const octaveDegree = mapping.octaveDegree || scale.cents.length;
+  return repeats * getScaleDegreeCents(scale.cents, octaveDegree) + getScaleDegreeCents(scale.cents, degree);
+}
+
+/**
+ * 创建默认键盘映射
+ * 与Scala默认设置一致：线性映射，C4为主音，A4为参考音
+ * @param {number} referenceFrequency - 参考音A4的频率(Hz)
+ * @returns {Object} 键盘映射
+ */
+function createDefaultKbm(referenceFrequency) {
+  return {
+    mapSize: 0,
+    firstNote: 0,
+    lastNote: 127,
+    middleNote: 60,
+    referenceNote: 69,
+    referenceFrequency,
+    octaveDegree: 0,
+    map: []
+  };
+}
+
+// 将解析函数添加到全局对象，以便其他脚本可以使用
+window.ScalaParser = {
+  parseScl,
+  parseKbm,
+  getScalaNoteCents,
+  createDefaultKbm
+};
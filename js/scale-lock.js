@@ -0,0 +1,202 @@
+/**
+ * 音阶锁定模块
+ * 负责音阶和主音的选择，判断音符是否属于音阶，并可将调外音静音或吸附到最近的音阶音
+ * 音阶按实际发音的音高计算，与移调后的琴键标签一致
+ */
+
+// 音阶：各音相对主音的半音数
+const SCALES = {
+  none: { name: '不限制', intervals: null },
+  major: { name: '大调', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  naturalMinor: { name: '自然小调', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  harmonicMinor: { name: '和声小调', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  majorPentatonic: { name: '大调五声音阶', intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic: { name: '小调五声音阶', intervals: [0, 3, 5, 7, 10] },
+  blues: { name: '布鲁斯音阶', intervals: [0, 3, 5, 6, 7, 10] },
+  // 中国五声调式，主音为调式主音（如C宫、D商）
+  gong: { name: '宫调式', intervals: [0, 2, 4, 7, 9] },
+  shang: { name: '商调式', intervals: [0, 2, 5, 7, 10] },
+  jue: { name: '角调式', intervals: [0, 3, 5, 8, 10] },
+  zhi: { name: '徵调式', intervals: [0, 2, 5, 7, 9] },
+  yu: { name: '羽调式', intervals: [0, 3, 5, 7, 10] }
+};
+
+// 调外音的处理方式
+const OUT_OF_SCALE_MODES = {
+  dim: { name: '仅标暗' },
+  mute: { name: '静音' },
+  snap: { name: '吸附到最近的音阶音' }
+};
+
+// 吸附时向上下查找音阶音的最大距离（半音）
+const MAX_SNAP_DISTANCE = 6;
+
+/**
+ * 音阶锁定类
+ * @class
+ */
+class ScaleLock {
+  /**
+   * 创建ScaleLock实例
+   * @constructor
+   */
+  constructor() {
+    this.scaleId = 'none';
+    this.root = 0; // 主音（以C为0的半音数）
+    this.outOfScaleMode = 'dim';
+    this.pitchOffset = 0; // 琴键到实际发音的偏移（半音），与全局移调一致
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('ScaleLock: 音阶锁定模块创建成功');
+  }
+
+  /**
+   * 是否选择了音阶
+   * @returns {boolean} 是否启用
+   */
+  isActive() {
+    return this.scaleId !== 'none';
+  }
+
+  /**
+   * 判断琴键音符是否属于当前音阶
+   * @param {string} note - 琴键音符名称
+   * @returns {boolean} 是否属于音阶，未选择音阶或无法解析时返回true
+   */
+  containsNote(note) {
+    const keyNumber = parseInt(note, 10);
+    if (!this.isActive() || Number.isNaN(keyNumber)) return true;
+
+    const midiNote = window.AudioConfig.MIDI_CONFIG.baseNote + keyNumber - 1 + this.pitchOffset;
+    const degree = (((midiNote - this.root) % 12) + 12) % 12;
+    return SCALES[this.scaleId].intervals.includes(degree);
+  }
+
+  /**
+   * 获取按下琴键时实际演奏的音符
+   * @param {string} note - 琴键音符名称
+   * @returns {string|null} 演奏的音符名称，静音时返回null
+   */
+  resolveNote(note) {
+    if (this.containsNote(note)) return note;
+
+    if (this.outOfScaleMode === 'mute') return null;
+    if (this.outOfScaleMode === 'snap') return this.snapNote(note);
+    return note;
+  }
+
+  /**
+   * 获取距离最近的音阶音，距离相同时取较低的音
+   * @param {string} note - 琴键音符名称
+   * @returns {string} 音阶音的音符名称
+   */
+  snapNote(note) {
+    const keyNumber = parseInt(note, 10);
+
+    for (let distance = 1; distance <= MAX_SNAP_DISTANCE; distance++) {
+      const lower = String(keyNumber - distance);
+      if (this.containsNote(lower)) return lower;
+
+      const upper = String(keyNumber + distance);
+      if (this.containsNote(upper)) return upper;
+    }
+    return note;
+  }
+
+  /**
+   * 设置琴键到实际发音的偏移
+   * @param {number} semitones - 偏移的半音数
+   */
+  setPitchOffset(semitones) {
+    this.pitchOffset = semitones;
+  }
+
+  /**
+   * 设置音阶
+   * @param {string} scaleId - 音阶ID
+   */
+  setScale(scaleId) {
+    if (!SCALES[scaleId]) {
+      console.warn(`ScaleLock: 不支持的音阶 ${scaleId}`);
+      return;
+    }
+
+    this.scaleId = scaleId;
+    console.info(`ScaleLock: 音阶设置为 ${scaleId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置主音
+   * @param {number} root - 主音（以C为0的半音数，0-11）
+   */
+  setRoot(root) {
+    if (!Number.isInteger(root) || root < 0 || root > 11) {
+      console.warn(`ScaleLock: 无效的主音 ${root}`);
+      return;
+    }
+
+    this.root = root;
+    console.info(`ScaleLock: 主音设置为 ${root}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置调外音的处理方式
+   * @param {string} mode - 处理方式ID
+   */
+  setOutOfScaleMode(mode) {
+    if (!OUT_OF_SCALE_MODES[mode]) {
+      console.warn(`ScaleLock: 不支持的调外音处理方式 ${mode}`);
+      return;
+    }
+
+    this.outOfScaleMode = mode;
+    console.info(`ScaleLock: 调外音处理方式设置为 ${mode}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 音阶锁定设置
+   */
+  getSettings() {
+    return {
+      scale: this.scaleId,
+      root: this.root,
+      outOfScale: this.outOfScaleMode
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 音阶锁定设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (SCALES[settings.scale]) {
+      this.scaleId = settings.scale;
+    }
+    if (Number.isInteger(settings.root) && settings.root >= 0 && settings.root <= 11) {
+      this.root = settings.root;
+    }
+    if (OUT_OF_SCALE_MODES[settings.outOfScale]) {
+      this.outOfScaleMode = settings.outOfScale;
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和音阶添加到全局对象，以便其他脚本可以使用
+window.ScaleLock = ScaleLock;
+window.SCALES = SCALES;
+window.OUT_OF_SCALE_MODES = OUT_OF_SCALE_MODES;
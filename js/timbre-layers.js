@@ -0,0 +1,298 @@
+/**
+ * 音色叠加模块
+ * 负责管理同时发声的多个音色层（如钢琴采样 + 电音铺底），每层有独立的音量、微调和包络
+ * 音色层配置可保存为命名预设
+ */
+
+// 音色层可选的音色，与音色切换一致
+const LAYER_TIMBRES = {
+  audio: { name: '流行音域' },
+  golden: { name: '黄金音域' },
+  oscillator: { name: '电音' }
+};
+
+// 电音可选的波形
+const LAYER_WAVEFORMS = ['triangle', 'square', 'sawtooth', 'sine'];
+
+// 音色层参数范围
+const LAYER_LIMITS = {
+  maxLayers: 4,
+  maxDetune: 100, // 微调范围（音分）
+  maxAttack: 2, // 起音时间上限（秒）
+  maxDecay: 2, // 衰减时间上限（秒）
+  maxRelease: 4 // 释音时间上限（秒）
+};
+
+/**
+ * 创建默认音色层
+ * @param {string} timbre - 音色类型
+ * @returns {Object} 音色层设置
+ */
+function createDefaultLayer(timbre = 'audio') {
+  return {
+    timbre,
+    waveform: 'sine',
+    volume: 0.8,
+    detune: 0, // 音分
+    attack: 0.01, // 秒
+    decay: 0.1, // 秒
+    sustain: 1, // 持续电平 (0-1)
+    release: 0.25 // 秒
+  };
+}
+
+// 内置预设，不可删除
+const LAYER_PRESETS = {
+  '钢琴+铺底': [
+    { ...createDefaultLayer('audio'), volume: 0.9 },
+    { ...createDefaultLayer('oscillator'), waveform: 'sine', volume: 0.35, attack: 0.6, decay: 0.5, sustain: 0.8, release: 1.5 }
+  ],
+  '双钢琴合唱': [
+    { ...createDefaultLayer('audio'), volume: 0.7, detune: -6 },
+    { ...createDefaultLayer('golden'), volume: 0.7, detune: 6 }
+  ],
+  '电钢琴': [
+    { ...createDefaultLayer('golden'), volume: 0.8 },
+    { ...createDefaultLayer('oscillator'), waveform: 'triangle', volume: 0.4, attack: 0.005, decay: 0.8, sustain: 0.2, release: 0.4 }
+  ]
+};
+
+/**
+ * 音色叠加类
+ * @class
+ */
+class TimbreLayers {
+  /**
+   * 创建TimbreLayers实例
+   * @constructor
+   */
+  constructor() {
+    this.enabled = false;
+    this.layers = LAYER_PRESETS['钢琴+铺底'].map(layer => ({ ...layer }));
+    this.presets = {}; // 用户保存的预设，键为预设名称
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('TimbreLayers: 音色叠加模块创建成功');
+  }
+
+  /**
+   * 启用或禁用音色叠加
+   * @param {boolean} enabled - 是否启用
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.info(`TimbreLayers: 音色叠加 ${enabled ? '开启' : '关闭'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 添加音色层
+   * @param {string} timbre - 音色类型
+   * @returns {boolean} 是否添加成功
+   */
+  addLayer(timbre = 'oscillator') {
+    if (this.layers.length >= LAYER_LIMITS.maxLayers) {
+      console.warn(`TimbreLayers: 最多只能叠加 ${LAYER_LIMITS.maxLayers} 个音色层`);
+      return false;
+    }
+
+    this.layers.push(createDefaultLayer(timbre));
+    this.notifySettingsChange();
+    return true;
+  }
+
+  /**
+   * 移除音色层，至少保留一层
+   * @param {number} index - 音色层序号
+   */
+  removeLayer(index) {
+    if (this.layers.length <= 1 || !this.layers[index]) return;
+
+    this.layers.splice(index, 1);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置音色层的选项
+   * @param {number} index - 音色层序号
+   * @param {string} key - 选项名称
+   * @param {string|number} value - 选项值
+   */
+  setLayerOption(index, key, value) {
+    const layer = this.layers[index];
+    if (!layer || !this.isValidLayerOption(key, value)) {
+      console.warn(`TimbreLayers: 无效的音色层设置 ${index}.${key} = ${value}`);
+      return;
+    }
+
+    layer[key] = value;
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 检查音色层选项是否有效
+   * @param {string} key - 选项名称
+   * @param {string|number} value - 选项值
+   * @returns {boolean} 是否有效
+   */
+  isValidLayerOption(key, value) {
+    const inRange = (min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+    switch (key) {
+      case 'timbre':
+        return Boolean(LAYER_TIMBRES[value]);
+      case 'waveform':
+        return LAYER_WAVEFORMS.includes(value);
+      case 'volume':
+      case 'sustain':
+        return inRange(0, 1);
+      case 'detune':
+        return inRange(-LAYER_LIMITS.maxDetune, LAYER_LIMITS.maxDetune);
+      case 'attack':
+        return inRange(0, LAYER_LIMITS.maxAttack);
+      case 'decay':
+        return inRange(0, LAYER_LIMITS.maxDecay);
+      case 'release':
+        return inRange(0, LAYER_LIMITS.maxRelease);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 校验并复制音色层列表，无效的选项使用默认值
+   * @param {Array<Object>} layers - 音色层列表
+   * @returns {Array<Object>|null} 有效的音色层列表，无效时返回null
+   */
+  sanitizeLayers(layers) {
+    if (!Array.isArray(layers) || layers.length === 0) return null;
+
+    return layers.slice(0, LAYER_LIMITS.maxLayers).map(layer => {
+      const sanitized = createDefaultLayer();
+      Object.keys(sanitized).forEach(key => {
+        if (layer && this.isValidLayerOption(key, layer[key])) {
+          sanitized[key] = layer[key];
+        }
+      });
+      return sanitized;
+    });
+  }
+
+  /**
+   * 获取所有可用预设（内置预设和用户预设）
+   * @returns {Object} 预设名称到音色层列表的映射
+   */
+  getPresets() {
+    return { ...LAYER_PRESETS, ...this.presets };
+  }
+
+  /**
+   * 是否为内置预设
+   * @param {string} name - 预设名称
+   * @returns {boolean} 是否为内置预设
+   */
+  isBuiltInPreset(name) {
+    return Object.prototype.hasOwnProperty.call(LAYER_PRESETS, name);
+  }
+
+  /**
+   * 将当前音色层保存为预设
+   * @param {string} name - 预设名称
+   * @throws {Error} 名称为空或与内置预设重名时抛出错误
+   */
+  savePreset(name) {
+    const presetName = String(name || '').trim();
+    if (!presetName) {
+      throw new Error('请输入预设名称');
+    }
+    if (this.isBuiltInPreset(presetName)) {
+      throw new Error(`"${presetName}" 是内置预设，请换一个名称`);
+    }
+
+    this.presets[presetName] = this.layers.map(layer => ({ ...layer }));
+    console.info(`TimbreLayers: 已保存预设 ${presetName}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 载入预设
+   * @param {string} name - 预设名称
+   */
+  loadPreset(name) {
+    const layers = this.sanitizeLayers(this.getPresets()[name]);
+    if (!layers) {
+      console.warn(`TimbreLayers: 预设 ${name} 不存在`);
+      return;
+    }
+
+    this.layers = layers;
+    console.info(`TimbreLayers: 已载入预设 ${name}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 删除用户预设
+   * @param {string} name - 预设名称
+   */
+  deletePreset(name) {
+    if (!this.presets[name]) return;
+
+    delete this.presets[name];
+    console.info(`TimbreLayers: 已删除预设 ${name}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 音色叠加设置
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      layers: this.layers.map(layer => ({ ...layer })),
+      presets: { ...this.presets }
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 音色叠加设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (typeof settings.enabled === 'boolean') {
+      this.enabled = settings.enabled;
+    }
+
+    const layers = this.sanitizeLayers(settings.layers);
+    if (layers) {
+      this.layers = layers;
+    }
+
+    if (settings.presets && typeof settings.presets === 'object') {
+      this.presets = {};
+      Object.keys(settings.presets).forEach(name => {
+        const presetLayers = this.sanitizeLayers(settings.presets[name]);
+        if (presetLayers && !this.isBuiltInPreset(name)) {
+          this.presets[name] = presetLayers;
+        }
+      });
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和音色层选项添加到全局对象，以便其他脚本可以使用
+window.TimbreLayers = TimbreLayers;
+window.LAYER_TIMBRES = LAYER_TIMBRES;
+window.LAYER_WAVEFORMS = LAYER_WAVEFORMS;
+window.LAYER_LIMITS = LAYER_LIMITS;
@@ -0,0 +1,198 @@
+/**
+ * 触摸力度模块
+ * 负责根据指针事件计算每次按键的力度，并按用户选择的力度曲线进行映射
+ * 力度来源优先级：触控笔/触摸压力 > 触摸接触面积 > 按键位置
+ * 鼠标点击默认使用默认力度，用户开启后才按按键位置计算
+ */
+
+// 力度曲线：将 0-1 的原始强度映射为 0-1 的力度
+const VELOCITY_CURVES = {
+  // 轻触即可得到较大力度
+  soft: {
+    name: '轻柔',
+    map: (value) => Math.pow(value, 0.5)
+  },
+  linear: {
+    name: '线性',
+    map: (value) => value
+  },
+  // 需要用力按下才能得到较大力度
+  hard: {
+    name: '厚重',
+    map: (value) => Math.pow(value, 2)
+  },
+  // 忽略触摸强度，始终使用默认力度
+  fixed: {
+    name: '固定',
+    map: null
+  }
+};
+
+// 默认力度曲线
+const DEFAULT_VELOCITY_CURVE = 'linear';
+
+/**
+ * 触摸力度类
+ * @class
+ */
+class TouchVelocity {
+  /**
+   * 创建TouchVelocity实例
+   * @constructor
+   */
+  constructor() {
+    this.config = window.AudioConfig.VELOCITY_CONFIG;
+    this.curveId = DEFAULT_VELOCITY_CURVE;
+    this.mousePosition = false; // 鼠标点击是否也按按键位置计算力度
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('TouchVelocity: 触摸力度模块创建成功');
+  }
+
+  /**
+   * 计算指针按下的力度
+   * @param {PointerEvent} e - 指针事件对象
+   * @param {Element} keyEl - 被按下的琴键元素
+   * @returns {number} 力度 (0-1)
+   */
+  getVelocity(e, keyEl) {
+    const curve = VELOCITY_CURVES[this.curveId];
+    if (!curve || !curve.map) {
+      return this.config.defaultVelocity;
+    }
+
+    const rawIntensity = this.getRawIntensity(e, keyEl);
+    if (rawIntensity === null) {
+      return this.config.defaultVelocity;
+    }
+
+    const intensity = Math.max(0, Math.min(1, rawIntensity));
+    const { minVelocity, maxVelocity } = this.config;
+    return minVelocity + (maxVelocity - minVelocity) * curve.map(intensity);
+  }
+
+  /**
+   * 获取原始触摸强度
+   * @param {PointerEvent} e - 指针事件对象
+   * @param {Element} keyEl - 被按下的琴键元素
+   * @returns {number|null} 原始强度 (0-1)，没有可用的强度信息时返回null
+   */
+  getRawIntensity(e, keyEl) {
+    const pressure = this.getPressure(e);
+    if (pressure !== null) return pressure;
+
+    const contactSize = this.getContactSize(e);
+    if (contactSize !== null) return contactSize;
+
+    if (e.pointerType === 'mouse' && !this.mousePosition) return null;
+
+    return this.getKeyPosition(e, keyEl);
+  }
+
+  /**
+   * 获取压力值
+   * 不支持压力检测的设备按下时固定报告0.5，此时视为无压力信息
+   * @param {PointerEvent} e - 指针事件对象
+   * @returns {number|null} 压力 (0-1)，无压力信息时返回null
+   */
+  getPressure(e) {
+    if (e.pointerType === 'mouse') return null;
+    if (typeof e.pressure !== 'number' || e.pressure <= 0 || e.pressure === 0.5) return null;
+    return e.pressure;
+  }
+
+  /**
+   * 根据触摸接触面积获取强度
+   * 指针事件的 width/height 对应 Touch.radiusX/radiusY 的两倍，不支持时为1
+   * @param {PointerEvent} e - 指针事件对象
+   * @returns {number|null} 强度 (0-1)，无接触面积信息时返回null
+   */
+  getContactSize(e) {
+    if (e.pointerType !== 'touch') return null;
+    if (!(e.width > 1) && !(e.height > 1)) return null;
+
+    const { minContactSize, maxContactSize } = this.config;
+    const size = Math.max(e.width || 0, e.height || 0);
+    return (size - minContactSize) / (maxContactSize - minContactSize);
+  }
+
+  /**
+   * 根据按在琴键上的位置获取强度
+   * 琴键顺时针旋转90度后，左侧为琴键前端，越靠近前端力度越大
+   * @param {PointerEvent} e - 指针事件对象
+   * @param {Element} keyEl - 被按下的琴键元素
+   * @returns {number|null} 强度 (0-1)，无法取得琴键位置时返回null
+   */
+  getKeyPosition(e, keyEl) {
+    if (!keyEl || typeof keyEl.getBoundingClientRect !== 'function') return null;
+
+    const rect = keyEl.getBoundingClientRect();
+    if (rect.width <= 0) return null;
+
+    return (rect.right - e.clientX) / rect.width;
+  }
+
+  /**
+   * 设置力度曲线
+   * @param {string} curveId - 曲线ID ('soft', 'linear', 'hard' 或 'fixed')
+   */
+  setCurve(curveId) {
+    if (!VELOCITY_CURVES[curveId]) {
+      console.warn(`TouchVelocity: 不支持的力度曲线 ${curveId}`);
+      return;
+    }
+
+    this.curveId = curveId;
+    console.info(`TouchVelocity: 力度曲线设置为 ${curveId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置鼠标点击是否按按键位置计算力度
+   * @param {boolean} enabled - 是否启用
+   */
+  setMousePosition(enabled) {
+    this.mousePosition = Boolean(enabled);
+    console.info(`TouchVelocity: 鼠标按位置计算力度已${this.mousePosition ? '开启' : '关闭'}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 力度设置
+   */
+  getSettings() {
+    return {
+      curve: this.curveId,
+      mousePosition: this.mousePosition
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 力度设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    if (VELOCITY_CURVES[settings.curve]) {
+      this.curveId = settings.curve;
+    }
+    if (typeof settings.mousePosition === 'boolean') {
+      this.mousePosition = settings.mousePosition;
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 将类和曲线添加到全局对象，以便其他脚本可以使用
+window.TouchVelocity = TouchVelocity;
+window.VELOCITY_CURVES = VELOCITY_CURVES;
@@ -0,0 +1,258 @@
+/**
+ * 调律模块
+ * 负责标准音高（A4频率）和律制的选择，为振荡器提供频率、为采样播放提供音分偏移
+ * 导入Scala调律文件后优先使用其中的音高
+ * 采样文件按A4=440Hz十二平均律录制，其他调律通过 detune 或播放速率修正
+ */
+
+// 律制：以主音为0，列出各半音相对十二平均律的音分偏差
+const TEMPERAMENTS = {
+  equal: {
+    name: '十二平均律',
+    offsets: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  },
+  // 五度相生与大三度纯律结合的纯律（1, 16/15, 9/8, 6/5, 5/4, 4/3, 45/32, 3/2, 8/5, 5/3, 9/5, 15/8）
+  just: {
+    name: '纯律',
+    offsets: [0, 11.73, 3.91, 15.64, -13.69, -1.96, -9.78, 1.96, 13.69, -15.64, 17.6, -11.73]
+  },
+  // 四分之一音差中全音律，纯大三度，狼五度位于升G与降E之间
+  meantone: {
+    name: '中全音律',
+    offsets: [0, -23.95, -6.84, 10.26, -13.69, 3.42, -20.53, -3.42, -27.37, -10.26, 6.84, -17.11]
+  },
+  // 韦克迈斯特III：C-G-D-A 与 B-F# 四个五度各缩小四分之一最大音差
+  werckmeister3: {
+    name: '韦克迈斯特III',
+    offsets: [0, -9.78, -7.82, -5.87, -9.78, -1.96, -11.73, -3.91, -7.82, -11.73, -3.91, -7.82]
+  },
+  // 毕达哥拉斯律：纯五度相生，狼五度位于升G与降E之间
+  pythagorean: {
+    name: '毕达哥拉斯律',
+    offsets: [0, 13.69, 3.91, -5.87, 7.82, -1.96, 11.73, 1.96, 15.64, 5.87, -3.91, 9.78]
+  }
+};
+
+// 默认律制
+const DEFAULT_TEMPERAMENT = 'equal';
+
+// 主音可选的音名（以C为0的半音数）
+const TUNING_KEY_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+/**
+ * 调律类
+ * @class
+ */
+class Tuning {
+  /**
+   * 创建Tuning实例
+   * @constructor
+   */
+  constructor() {
+    this.config = window.AudioConfig.TUNING_CONFIG;
+    this.referencePitch = this.config.defaultReferencePitch; // A4频率(Hz)
+    this.temperamentId = DEFAULT_TEMPERAMENT;
+    this.key = 0; // 律制的主音（以C为0的半音数）
+    this.scala = null; // 导入的Scala调律 {name, scale, mapping}，mapping为null时使用默认键盘映射
+    this.onSettingsChange = null; // 设置变化回调，用于持久化
+
+    console.info('Tuning: 调律模块创建成功');
+  }
+
+  /**
+   * 获取MIDI音符相对A4=440Hz十二平均律的音分偏移
+   * 律制偏差以A为基准归零，使A4始终等于所选的标准音高
+   * @param {number} midiNote - MIDI音符号
+   * @returns {number} 音分偏移
+   */
+  getDetune(midiNote) {
+    const scalaFrequency = this.getScalaFrequency(midiNote);
+    if (scalaFrequency !== null) {
+      const { defaultReferencePitch, referenceMidiNote } = this.config;
+      const equalFrequency = defaultReferencePitch * Math.pow(2, (midiNote - referenceMidiNote) / 12);
+      return 1200 * Math.log2(scalaFrequency / equalFrequency);
+    }
+
+    const offsets = TEMPERAMENTS[this.temperamentId].offsets;
+    const pitchClass = ((midiNote % 12) + 12) % 12;
+    const degree = (pitchClass - this.key + 12) % 12;
+    const referenceDegree = (this.config.referenceMidiNote % 12 - this.key + 12) % 12;
+
+    const referenceCents = 1200 * Math.log2(this.referencePitch / this.config.defaultReferencePitch);
+    return referenceCents + offsets[degree] - offsets[referenceDegree];
+  }
+
+  /**
+   * 获取MIDI音符在导入的Scala调律中的频率
+   * @param {number} midiNote - MIDI音符号
+   * @returns {number|null} 频率(Hz)，未导入Scala调律或该键未映射时返回null（沿用律制设置）
+   */
+  getScalaFrequency(midiNote) {
+    if (!this.scala) return null;
+
+    const { scale } = this.scala;
+    const mapping = this.getScalaMapping();
+    const cents = window.ScalaParser.getScalaNoteCents(scale, mapping, midiNote);
+    const referenceCents = window.ScalaParser.getScalaNoteCents(scale, mapping, mapping.referenceNote);
+    if (cents === null || referenceCents === null) return null;
+
+    return mapping.referenceFrequency * Math.pow(2, (cents - referenceCents) / 1200);
+  }
+
+  /**
+   * 获取Scala调律使用的键盘映射
+   * 未导入 .kbm 文件时使用默认映射，参考音高跟随标准音高设置
+   * @returns {Object} 键盘映射
+   */
+  getScalaMapping() {
+    return this.scala.mapping || window.ScalaParser.createDefaultKbm(this.referencePitch);
+  }
+
+  /**
+   * 应用导入的Scala调律
+   * @param {string} name - 调律名称（通常为文件名）
+   * @param {Object} scale - 音阶（ScalaParser.parseScl的结果）
+   * @param {Object|null} mapping - 键盘映射（ScalaParser.parseKbm的结果），可选
+   * @throws {Error} 键盘映射的参考音符未映射时抛出错误
+   */
+  setScala(name, scale, mapping = null) {
+    const effectiveMapping = mapping || window.ScalaParser.createDefaultKbm(this.referencePitch);
+    if (window.ScalaParser.getScalaNoteCents(scale, effectiveMapping, effectiveMapping.referenceNote) === null) {
+      throw new Error('键盘映射的参考音符没有对应的音阶级数');
+    }
+
+    this.scala = { name, scale, mapping };
+    console.info(`Tuning: 已应用Scala调律 ${name}（${scale.cents.length} 音）`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 清除导入的Scala调律，恢复律制设置
+   */
+  clearScala() {
+    if (!this.scala) return;
+
+    this.scala = null;
+    console.info('Tuning: 已清除Scala调律');
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取MIDI音符的频率
+   * @param {number} midiNote - MIDI音符号
+   * @returns {number} 频率(Hz)
+   */
+  getFrequency(midiNote) {
+    const { defaultReferencePitch, referenceMidiNote } = this.config;
+    const equalFrequency = defaultReferencePitch * Math.pow(2, (midiNote - referenceMidiNote) / 12);
+    return equalFrequency * Math.pow(2, this.getDetune(midiNote) / 1200);
+  }
+
+  /**
+   * 获取琴键音符对应的MIDI音符号
+   * @param {string} noteName - 音符名称
+   * @returns {number|null} MIDI音符号，无法解析时返回null
+   */
+  getMidiForNote(noteName) {
+    const keyNumber = parseInt(noteName, 10);
+    if (Number.isNaN(keyNumber)) return null;
+    return window.AudioConfig.MIDI_CONFIG.baseNote + keyNumber - 1;
+  }
+
+  /**
+   * 设置标准音高
+   * @param {number} pitch - A4频率(Hz)
+   */
+  setReferencePitch(pitch) {
+    const { minReferencePitch, maxReferencePitch } = this.config;
+    if (!Number.isFinite(pitch) || pitch < minReferencePitch || pitch > maxReferencePitch) {
+      console.warn(`Tuning: 标准音高 ${pitch}Hz 超出范围 ${minReferencePitch}-${maxReferencePitch}Hz`);
+      return;
+    }
+
+    this.referencePitch = pitch;
+    console.info(`Tuning: 标准音高设置为 A4=${pitch}Hz`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置律制
+   * @param {string} temperamentId - 律制ID
+   */
+  setTemperament(temperamentId) {
+    if (!TEMPERAMENTS[temperamentId]) {
+      console.warn(`Tuning: 不支持的律制 ${temperamentId}`);
+      return;
+    }
+
+    this.temperamentId = temperamentId;
+    console.info(`Tuning: 律制设置为 ${temperamentId}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 设置律制的主音
+   * @param {number} key - 主音（以C为0的半音数，0-11）
+   */
+  setKey(key) {
+    if (!Number.isInteger(key) || key < 0 || key > 11) {
+      console.warn(`Tuning: 无效的主音 ${key}`);
+      return;
+    }
+
+    this.key = key;
+    console.info(`Tuning: 主音设置为 ${TUNING_KEY_NAMES[key]}`);
+    this.notifySettingsChange();
+  }
+
+  /**
+   * 获取可持久化的设置
+   * @returns {Object} 调律设置
+   */
+  getSettings() {
+    return {
+      referencePitch: this.referencePitch,
+      temperament: this.temperamentId,
+      key: this.key,
+      scala: this.scala
+    };
+  }
+
+  /**
+   * 应用已保存的设置
+   * @param {Object} settings - 调律设置
+   */
+  applySettings(settings) {
+    if (!settings) return;
+
+    const { minReferencePitch, maxReferencePitch } = this.config;
+    if (Number.isFinite(settings.referencePitch) &&
+        settings.referencePitch >= minReferencePitch && settings.referencePitch <= maxReferencePitch) {
+      this.referencePitch = settings.referencePitch;
+    }
+    if (TEMPERAMENTS[settings.temperament]) {
+      this.temperamentId = settings.temperament;
+    }
+    if (Number.isInteger(settings.key) && settings.key >= 0 && settings.key <= 11) {
+      this.key = settings.key;
+    }
+    if (settings.scala && settings.scala.scale && Array.isArray(settings.scala.scale.cents)) {
+      this.scala = settings.scala;
+    }
+  }
+
+  /**
+   * 通知设置已变化
+   */
+  notifySettingsChange() {
+    if (typeof this.onSettingsChange === 'function') {
+      this.onSettingsChange(this.getSettings());
+    }
+  }
+}
+
+// 创建全局调律实例，振荡器和音频播放器共用
+window.pianoTuning = new Tuning();
+window.Tuning = Tuning;
+window.TEMPERAMENTS = TEMPERAMENTS;
+window.TUNING_KEY_NAMES = TUNING_KEY_NAMES;